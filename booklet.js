@@ -0,0 +1,340 @@
+// Puzzle booklet
+//
+// Joins the selected Sudokus rows into one document for the printer: the clue
+// sections of every puzzle first, then all the reference pages, then all the
+// solutions at the back, after a table of contents. The Docs service cannot
+// insert page number fields or a live table of contents, so the contents are
+// written as links to bookmarks, with page numbers counted from PDF exports:
+// each entry is laid out alone in a scratch document, which is exported once,
+// and so is the contents page with room left for its page numbers. Page
+// numbers on the pages themselves come from a template: if a Google Doc named
+// "Booklet Template" sits next to the spreadsheet, the booklet takes its
+// header, footer and margins (e.g. Insert > Page numbers). If there is none, a
+// default one with page numbers in its footer is made from a Word file, which
+// needs the Drive advanced service. The booklet's own wording is in the
+// language of its first puzzle; each puzzle's pages are in its own language.
+// Its title names the puzzles it holds, so booklets of different selections
+// are separate documents. Counting the pages takes three PDF exports per
+// puzzle, so a booklet holds at most BOOKLET_CONFIG.maxPuzzles puzzles to be
+// built within the execution time limit; more can go in several booklets.
+
+// Booklet document settings (the title and heading are the "bookletTitle" and "bookletHeading" strings)
+const BOOKLET_CONFIG = {
+  templateName: 'Booklet Template',
+  documentKeyPrefix: '(booklet) ', // Starts what a booklet is kept under (see prepareDocument), bracketed to keep clear of shortnames
+  scratchName: 'Booklet Page Count', // Scratch document each entry is laid out in to count its pages, deleted afterwards
+  maxPuzzles: 10 // Most puzzles in one booklet, each counted with three PDF exports
+};
+
+// The default Booklet Template as the files of a Word document: an empty page with the margins of createDocument and
+// a centred page number field in the footer. Drive keeps the field when it converts the file to a Google Doc
+const DEFAULT_BOOKLET_TEMPLATE_FILES = {
+  '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+    + '<Override PartName="/word/footer1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml"/>'
+    + '</Types>',
+  '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>'
+    + '</Relationships>',
+  'word/_rels/document.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/footer" Target="footer1.xml"/>'
+    + '</Relationships>',
+  'word/document.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+    + '<w:body><w:p/><w:sectPr><w:footerReference w:type="default" r:id="rId1"/>'
+    + '<w:pgMar w:top="720" w:right="1440" w:bottom="360" w:left="1440" w:header="720" w:footer="360" w:gutter="0"/>'
+    + '</w:sectPr></w:body></w:document>',
+  'word/footer1.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<w:ftr xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">'
+    + '<w:p><w:pPr><w:jc w:val="center"/></w:pPr><w:fldSimple w:instr=" PAGE "><w:r><w:t>1</w:t></w:r></w:fldSimple></w:p>'
+    + '</w:ftr>'
+};
+
+// The parts of the booklet in order, each with a page per puzzle (or more)
+const BOOKLET_PARTS = [
+  {
+    nameKey: 'bookletPart.puzzles',
+    getTitle: snapshot => snapshot.longname,
+    output: (body, snapshot) => {
+      outputRows(snapshot.puzzle, body, snapshot);
+      outputColumns(snapshot.puzzle, body, snapshot);
+      outputGroups(snapshot.puzzle, body, snapshot);
+      outputVariants(snapshot.puzzle, body, snapshot);
+    }
+  },
+  {
+    nameKey: 'bookletPart.references',
+    getTitle: snapshot => formatString(snapshot, 'bookletEntryTitle', { title: getReferenceTitle(snapshot), longname: snapshot.longname }),
+    output: (body, snapshot) => outputReferenceImages(body, snapshot)
+  },
+  {
+    nameKey: 'bookletPart.solutions',
+    getTitle: snapshot => formatString(snapshot, 'bookletEntryTitle', { title: formatString(snapshot, 'solutionTitle'), longname: snapshot.longname }),
+    output: (body, snapshot) => outputSolution(body, snapshot)
+  }
+];
+
+/**
+ * Finds the booklet template next to the spreadsheet
+ * @returns {GoogleAppsScript.Drive.File|null} The template document, or null if there is none
+ */
+function findBookletTemplate() {
+  const folder = DriveApp.getFileById(SpreadsheetApp.getActiveSpreadsheet().getId()).getParents().next();
+  const files = folder.getFilesByName(BOOKLET_CONFIG.templateName);
+  while (files.hasNext()) {
+    const file = files.next();
+    if (file.getMimeType() === MimeType.GOOGLE_DOCS) {
+      return file;
+    }
+  }
+  return null;
+}
+
+/**
+ * Makes the default Booklet Template next to the spreadsheet, so booklets get page numbers without one made by hand
+ * @returns {GoogleAppsScript.Drive.File|null} The template, or null if it could not be made (e.g. the Drive advanced
+ *     service is not turned on)
+ */
+function createDefaultBookletTemplate() {
+  try {
+    if (typeof Drive === 'undefined') {
+      throw new Error('the Drive advanced service is not turned on');
+    }
+    const folder = DriveApp.getFileById(SpreadsheetApp.getActiveSpreadsheet().getId()).getParents().next();
+    const blobs = Object.keys(DEFAULT_BOOKLET_TEMPLATE_FILES)
+      .map(name => Utilities.newBlob(DEFAULT_BOOKLET_TEMPLATE_FILES[name], 'application/xml', name));
+    const docx = Utilities.zip(blobs, `${BOOKLET_CONFIG.templateName}.docx`).setContentType(MimeType.MICROSOFT_WORD);
+    const created = Drive.Files.create({ name: BOOKLET_CONFIG.templateName, mimeType: MimeType.GOOGLE_DOCS, parents: [folder.getId()] }, docx);
+    console.log(`Created a default "${BOOKLET_CONFIG.templateName}" with page numbers in its footer`);
+    return DriveApp.getFileById(created.id);
+  } catch (error) {
+    console.warn(`The booklet will have no page numbers on its pages: could not create a default "${BOOKLET_CONFIG.templateName}" (${error.message})`);
+    return null;
+  }
+}
+
+/**
+ * Counts the pages of a PDF
+ * @param {GoogleAppsScript.Base.Blob} pdf - The PDF
+ * @returns {number} The page count
+ * @throws {Error} If no pages can be found in it
+ */
+function countPdfPages(pdf) {
+  const data = pdf.getDataAsString();
+  // The root of the page tree counts every page, so the largest /Count of a /Type /Pages node is the total
+  const treeCounts = (data.match(/<<[^<>]*\/Type\s*\/Pages\b[^<>]*>>/g) || [])
+    .map(node => Number((node.match(/\/Count\s+(\d+)/) || [])[1] || 0));
+  const pages = treeCounts.length > 0
+    ? Math.max(...treeCounts)
+    : (data.match(/\/Type\s*\/Page\b/g) || []).length;
+  if (pages === 0) {
+    throw new Error('Could not count the pages of the PDF export');
+  }
+  return pages;
+}
+
+/**
+ * Checks whether a body already ends on a fresh page
+ * @param {GoogleAppsScript.Document.Body} body - The document body
+ * @returns {boolean} Whether its last element is a paragraph ending with a page break
+ */
+function endsWithPageBreak(body) {
+  const lastChild = body.getChild(body.getNumChildren() - 1);
+  if (lastChild.getType() !== DocumentApp.ElementType.PARAGRAPH) {
+    return false;
+  }
+  const last = lastChild.asParagraph();
+  const count = last.getNumChildren();
+  return count > 0 && last.getChild(count - 1).getType() === DocumentApp.ElementType.PAGE_BREAK;
+}
+
+/**
+ * Creates the scratch document entries are counted in, laid out like the booklet
+ * @param {GoogleAppsScript.Drive.File|null} templateFile - The booklet template
+ * @returns {GoogleAppsScript.Document.Document} The scratch document
+ */
+function createScratchDocument(templateFile) {
+  if (!templateFile) {
+    return createDocument(BOOKLET_CONFIG.scratchName);
+  }
+  return createDocumentFromTemplate(BOOKLET_CONFIG.scratchName, templateFile);
+}
+
+/**
+ * Trashes scratch documents left behind by a booklet build that was stopped by the execution time limit
+ */
+function trashLeftoverScratchDocuments() {
+  const files = getGeneratedFilesFolder().getFilesByName(BOOKLET_CONFIG.scratchName);
+  while (files.hasNext()) {
+    files.next().setTrashed(true);
+  }
+}
+
+/**
+ * Lays out one part of the booklet alone in the scratch document and counts its pages from a PDF export
+ * @param {{doc: GoogleAppsScript.Document.Document}} scratch - Holds the scratch document, reopened after the export
+ * @param {function(GoogleAppsScript.Document.Body)} write - Writes the part
+ * @returns {number} The pages the part takes when it starts on a fresh page. A page break at its end leads straight
+ *     into the next part, so the empty page after it is not counted
+ */
+function countPartPages(scratch, write) {
+  const id = scratch.doc.getId();
+  const body = scratch.doc.getBody();
+  body.clear();
+  write(body);
+  if (body.getNumChildren() > 1) {
+    body.getChild(0).removeFromParent(); // The empty paragraph left by clear
+  }
+  const trailingBreak = endsWithPageBreak(body) ? 1 : 0;
+  scratch.doc.saveAndClose();
+  const pages = countPdfPages(DriveApp.getFileById(id).getAs(MimeType.PDF));
+  scratch.doc = DocumentApp.openById(id);
+  return pages - trailingBreak;
+}
+
+/**
+ * Writes the booklet's heading and table of contents, ending with a page break
+ * @param {GoogleAppsScript.Document.Body} body - The document body
+ * @param {Object} first - The first puzzle's snapshot, whose language the booklet uses
+ * @param {Array<{part: Object, snapshot: Object}>} entries - The booklet entries, in order
+ * @param {function(Object): string} getPageText - The page number to print for an entry
+ * @returns {Array<{entry: Object, paragraph: GoogleAppsScript.Document.Paragraph}>} The contents line of each entry
+ */
+function writeContents(body, first, entries, getPageText) {
+  body.appendParagraph(formatString(first, 'bookletHeading'))
+    .setHeading(DocumentApp.ParagraphHeading.TITLE)
+    .setAlignment(DocumentApp.HorizontalAlignment.CENTER);
+  createSectionHeader(body, formatString(first, 'contentsTitle'));
+
+  const lines = [];
+  BOOKLET_PARTS.forEach(part => {
+    body.appendParagraph(formatString(first, part.nameKey)).setHeading(DocumentApp.ParagraphHeading.HEADING2);
+    entries.filter(entry => entry.part === part).forEach(entry => {
+      const paragraph = body.appendParagraph(`${part.getTitle(entry.snapshot)} ... ${getPageText(entry)}`);
+      lines.push({ entry, paragraph });
+    });
+  });
+  body.appendPageBreak();
+  return lines;
+}
+
+/**
+ * Writes one booklet entry: its title and the part's output for its puzzle
+ * @param {GoogleAppsScript.Document.Body} body - The document body
+ * @param {{part: Object, snapshot: Object}} entry - The entry
+ * @returns {GoogleAppsScript.Document.Paragraph} The title paragraph
+ */
+function writeBookletEntry(body, entry) {
+  const title = createSectionHeader(body, entry.part.getTitle(entry.snapshot));
+  title.setHeading(DocumentApp.ParagraphHeading.TITLE);
+  entry.part.output(body, entry.snapshot);
+  return title;
+}
+
+/**
+ * Works out the page each booklet entry starts on, exporting each entry and the contents once
+ * @param {Array<{part: Object, snapshot: Object}>} entries - The booklet entries, in order; each gets a page number
+ * @param {Object} first - The first puzzle's snapshot, whose language the booklet uses
+ * @param {GoogleAppsScript.Drive.File|null} templateFile - The booklet template
+ */
+function numberBookletPages(entries, first, templateFile) {
+  trashLeftoverScratchDocuments();
+  const scratch = { doc: createScratchDocument(templateFile) };
+  const id = scratch.doc.getId();
+  try {
+    entries.forEach(entry => {
+      entry.pages = countPartPages(scratch, body => writeBookletEntry(body, entry));
+    });
+
+    // Leave room for the widest page number the booklet could need, so the numbers cannot make the contents longer
+    const entryPages = entries.reduce((total, entry) => total + entry.pages, 0);
+    const width = String(entryPages + entries.length + BOOKLET_PARTS.length + 1).length;
+    const contentsPages = countPartPages(scratch, body => writeContents(body, first, entries, () => '0'.repeat(width)));
+
+    let page = contentsPages + 1;
+    entries.forEach(entry => {
+      entry.page = page;
+      page += entry.pages;
+    });
+  } finally {
+    scratch.doc.saveAndClose();
+    DriveApp.getFileById(id).setTrashed(true);
+  }
+}
+
+/**
+ * Builds the booklet document and its PDF for some Sudokus rows
+ * @param {Array<number>} rows - The row numbers, in booklet order
+ * @returns {GoogleAppsScript.Document.Document} The booklet, saved and closed
+ * @throws {Error} If a puzzle is invalid or an image cannot be loaded, before the booklet is touched
+ */
+function createBooklet(rows) {
+  // Check every puzzle before writing anything, as main does for a single document
+  const snapshots = rows.map(row => {
+    const snapshot = getRowSnapshot(row);
+    validateAnswerGrid(snapshot.answers, snapshot.geometry, snapshot.answersSheetName, snapshot.startCell);
+    assertUniqueSolution(snapshot);
+    preloadSymbolImages(snapshot);
+    return snapshot;
+  });
+
+  const [first] = snapshots;
+  const templateFile = findBookletTemplate() || createDefaultBookletTemplate();
+  const entries = [];
+  BOOKLET_PARTS.forEach(part => snapshots.forEach(snapshot => entries.push({ part, snapshot })));
+  numberBookletPages(entries, first, templateFile);
+
+  const shortnames = snapshots.map(snapshot => snapshot.shortname).join(', ');
+  const doc = prepareDocument(`${BOOKLET_CONFIG.documentKeyPrefix}${shortnames}`, formatString(first, 'bookletTitle', { shortnames }), templateFile);
+  const body = doc.getBody();
+  const contents = writeContents(body, first, entries, entry => String(entry.page));
+
+  // Each entry starts on a new page, with a bookmark on its title for the contents to link to
+  entries.forEach(entry => {
+    if (!endsWithPageBreak(body)) {
+      body.appendPageBreak();
+    }
+    const title = writeBookletEntry(body, entry);
+    entry.bookmarkId = doc.addBookmark(doc.newPosition(title, 0)).getId();
+  });
+  contents.forEach(({ entry, paragraph }) => paragraph.setLinkUrl(`#bookmark=${entry.bookmarkId}`));
+  doc.saveAndClose();
+  saveDocumentPdf(doc);
+  return doc;
+}
+
+/**
+ * Builds a booklet from the rows selected on the Sudokus sheet
+ */
+function buildBooklet() {
+  const ui = SpreadsheetApp.getUi();
+  const title = 'Build Booklet';
+  let rows;
+  try {
+    rows = getSelectedPuzzleRows();
+  } catch (error) {
+    ui.alert(title, error.message, ui.ButtonSet.OK);
+    return;
+  }
+  if (rows.length === 0) {
+    ui.alert(title, 'The selection does not include any puzzle rows.', ui.ButtonSet.OK);
+    return;
+  }
+  if (rows.length > BOOKLET_CONFIG.maxPuzzles) {
+    ui.alert(title, `A booklet holds at most ${BOOKLET_CONFIG.maxPuzzles} puzzles, to be built within the execution time limit, and the selection has ${rows.length}. Select fewer rows, or build several booklets.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  try {
+    const doc = createBooklet(rows);
+    ui.alert(title, `Built "${doc.getName()}" from ${rows.length} puzzle(s), with its PDF in Generated Files: ${doc.getUrl()}`, ui.ButtonSet.OK);
+  } catch (error) {
+    console.error('Error building booklet:', error.message);
+    ui.alert(title, `Failed to build the booklet: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
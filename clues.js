@@ -0,0 +1,178 @@
+// Clue marking
+//
+// Decides which cells of an answer grid are marked, i.e. the cells that are
+// clues in "must not contain" puzzles and the cells that are left out in
+// "may only contain" puzzles. The method is chosen per row in the "Clue
+// Marking" column of the Sudokus sheet:
+//   bold (or blank)  - cells in a bold font
+//   background       - cells with a fill colour; "background #ffff00" only counts that colour
+//   mask             - a grid of 1s (marked) and 0s the same size as the answers, to the right of them after one
+//                      blank column (after the region map, for jigsaw grids)
+//   list             - the cells listed in the "Clue Cells" column as R<row>C<column>, counted from the top left
+//                      of the grid (e.g. "R1C1, R2C5")
+// The document and the grid sheet both read the marks from the row snapshot,
+// and commands that change the clues write them back the same way.
+
+// Sudokus sheet headers for the clue marking columns
+const CLUE_MARKING_HEADERS = {
+  method: 'Clue Marking',
+  cells: 'Clue Cells'
+};
+
+// Supported clue marking methods, by the name used in the Clue Marking column
+const CLUE_MARKING_METHODS = {
+  BOLD: 'bold',
+  BACKGROUND: 'background',
+  MASK: 'mask',
+  LIST: 'list'
+};
+
+// The background Sheets reports for cells without a fill
+const NO_FILL_BACKGROUND = '#ffffff';
+
+// The fill given to newly marked cells when the background method has no colour of its own
+const DEFAULT_MARK_BACKGROUND = '#ffff00';
+
+/**
+ * Parses the Clue Marking column
+ * @param {any} text - The column value
+ * @returns {{method: string, color: string|null}} The method from CLUE_MARKING_METHODS, and for the background method
+ *     the only colour that counts (null for any fill)
+ * @throws {Error} If the method is not supported
+ */
+function parseClueMarking(text) {
+  const [name = '', color = null, ...rest] = String(text).trim().toLowerCase().split(/\s+/).filter(part => part !== '');
+  const methods = Object.values(CLUE_MARKING_METHODS);
+  if (name === '') {
+    return { method: CLUE_MARKING_METHODS.BOLD, color: null };
+  }
+  if (!methods.includes(name) || rest.length > 0 || (color !== null && (name !== CLUE_MARKING_METHODS.BACKGROUND || !/^#[0-9a-f]{6}$/.test(color)))) {
+    throw new Error(`Invalid clue marking "${text}". Must be one of: ${methods.join(', ')}, or "background #rrggbb" for one fill colour`);
+  }
+  return { method: name, color };
+}
+
+/**
+ * Gets where the mask grid of a row starts
+ * @param {Object} snapshot - The row snapshot, with its grid size and geometry read
+ * @returns {number} The column of the mask's left edge on the answers sheet
+ */
+function getClueMaskColumn(snapshot) {
+  const { startColumn, gridSize, geometry } = snapshot;
+  const blocksBefore = geometry.jigsaw ? 2 : 1; // The answers, and the region map for jigsaw grids
+  return startColumn + blocksBefore * (gridSize + REGION_MAP_GAP);
+}
+
+/**
+ * Parses a mask grid
+ * @param {Array<Array<any>>} values - The mask values: 1 (or true, or "x") for marked cells, 0 or blank for the rest
+ * @param {string} location - Where the mask was read from, used in error messages
+ * @returns {Array<Array<boolean>>} Whether each cell is marked
+ * @throws {Error} If a value is not one of those
+ */
+function parseClueMask(values, location) {
+  return values.map((maskRow, i) => maskRow.map((value, j) => {
+    const text = String(value).trim().toLowerCase();
+    if (['1', 'true', 'x'].includes(text)) {
+      return true;
+    }
+    if (['0', 'false', ''].includes(text)) {
+      return false;
+    }
+    throw new Error(`Invalid mask value "${value}" at row ${i + 1}, column ${j + 1} of the clue mask at ${location}. Use 1 for clues and 0 for other cells`);
+  }));
+}
+
+/**
+ * Parses a list of cells in R<row>C<column> form
+ * @param {any} text - The list, separated by commas, semicolons or spaces
+ * @param {number} gridSize - The grid size
+ * @returns {Array<Array<boolean>>} Whether each cell is listed
+ * @throws {Error} If an entry is not a cell of the grid
+ */
+function parseClueCellList(text, gridSize) {
+  const marks = Array.from({ length: gridSize }, () => new Array(gridSize).fill(false));
+  String(text).split(/[\s,;]+/).filter(entry => entry !== '').forEach(entry => {
+    const match = entry.match(/^R(\d+)C(\d+)$/i);
+    const row = match ? parseInt(match[1]) : 0;
+    const col = match ? parseInt(match[2]) : 0;
+    if (row < 1 || row > gridSize || col < 1 || col > gridSize) {
+      throw new Error(`Invalid clue cell "${entry}". Expected R<row>C<column> with both from 1 to ${gridSize}, e.g. "R1C5"`);
+    }
+    marks[row - 1][col - 1] = true;
+  });
+  return marks;
+}
+
+/**
+ * Reads which cells of a row's answer grid are marked, by the row's clue marking method
+ * @param {Object} snapshot - The row snapshot, with its answers sheet, grid size and geometry read (see getRowSnapshot)
+ * @returns {Array<Array<boolean>>} Whether each cell is marked
+ * @throws {Error} If the method, the mask or the cell list is invalid
+ */
+function readClueMarks(snapshot) {
+  const { answersSheet, answersSheetName, startRow, startColumn, gridSize } = snapshot;
+  const { method, color } = parseClueMarking(getSnapshotValue(snapshot, CLUE_MARKING_HEADERS.method));
+  const answersRange = () => answersSheet.getRange(startRow, startColumn, gridSize, gridSize);
+
+  if (method === CLUE_MARKING_METHODS.BACKGROUND) {
+    return answersRange().getBackgrounds().map(colorRow => colorRow.map(background => {
+      const fill = String(background).toLowerCase();
+      return color ? fill === color : fill !== NO_FILL_BACKGROUND;
+    }));
+  }
+  if (method === CLUE_MARKING_METHODS.MASK) {
+    const maskColumn = getClueMaskColumn(snapshot);
+    const values = answersSheet.getRange(startRow, maskColumn, gridSize, gridSize).getValues();
+    return parseClueMask(values, formatReference(answersSheetName, startRow, maskColumn));
+  }
+  if (method === CLUE_MARKING_METHODS.LIST) {
+    return parseClueCellList(getSnapshotValue(snapshot, CLUE_MARKING_HEADERS.cells), gridSize);
+  }
+  return answersRange().getFontWeights().map(weightRow => weightRow.map(weight => weight === 'bold'));
+}
+
+/**
+ * Formats marks as a cell list for the Clue Cells column
+ * @param {Array<Array<boolean>>} marks - Whether each cell is marked
+ * @returns {string} The marked cells in R<row>C<column> form, row by row (e.g. "R1C1, R2C5")
+ */
+function formatClueCellList(marks) {
+  const cells = [];
+  marks.forEach((markRow, i) => markRow.forEach((marked, j) => {
+    if (marked) {
+      cells.push(`R${i + 1}C${j + 1}`);
+    }
+  }));
+  return cells.join(', ');
+}
+
+/**
+ * Writes which cells are marked, by the row's clue marking method
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @param {Array<Array<boolean>>} marks - Whether each cell should be marked
+ */
+function writeClueMarks(snapshot, marks) {
+  const { row, answersSheet, startRow, startColumn, gridSize } = snapshot;
+  const { method, color } = parseClueMarking(getSnapshotValue(snapshot, CLUE_MARKING_HEADERS.method));
+  const answersRange = answersSheet.getRange(startRow, startColumn, gridSize, gridSize);
+
+  if (method === CLUE_MARKING_METHODS.BACKGROUND) {
+    // Marked cells keep any fill they already have
+    const backgrounds = answersRange.getBackgrounds();
+    answersRange.setBackgrounds(marks.map((markRow, i) => markRow.map((marked, j) => {
+      const current = String(backgrounds[i][j]).toLowerCase();
+      if (!marked) {
+        return null;
+      }
+      return color || (current !== NO_FILL_BACKGROUND ? current : DEFAULT_MARK_BACKGROUND);
+    })));
+  } else if (method === CLUE_MARKING_METHODS.MASK) {
+    answersSheet.getRange(startRow, getClueMaskColumn(snapshot), gridSize, gridSize)
+      .setValues(marks.map(markRow => markRow.map(marked => marked ? 1 : 0)));
+  } else if (method === CLUE_MARKING_METHODS.LIST) {
+    getSpreadsheet().getRange(row, getSudokusColumn(CLUE_MARKING_HEADERS.cells)).setValue(formatClueCellList(marks));
+  } else {
+    answersRange.setFontWeights(marks.map(markRow => markRow.map(marked => marked ? 'bold' : 'normal')));
+  }
+}
@@ -0,0 +1,99 @@
+// A1 notation helpers for the emulator
+//
+// Kept separate from the Apps Script code so the emulator parses references
+// the way Sheets does, not the way the code under test does.
+
+/**
+ * Converts a 1-based column number to its letters
+ * @param {number} column - The column number (1 = A)
+ * @returns {string} The column letters (e.g. "AB")
+ */
+function columnToLetters(column) {
+  let letters = '';
+  for (let n = column; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+  }
+  return letters;
+}
+
+/**
+ * Converts column letters to a 1-based column number
+ * @param {string} letters - The column letters (e.g. "AB")
+ * @returns {number} The column number
+ */
+function lettersToColumn(letters) {
+  return letters.toUpperCase().split('').reduce((column, letter) => column * 26 + letter.charCodeAt(0) - 64, 0);
+}
+
+/**
+ * Formats a cell address
+ * @param {number} row - The 1-based row
+ * @param {number} column - The 1-based column
+ * @returns {string} The address (e.g. "B2")
+ */
+function formatCell(row, column) {
+  return `${columnToLetters(column)}${row}`;
+}
+
+/**
+ * Splits an optional sheet name off a reference
+ * @param {string} reference - The reference (e.g. "'My Sheet'!A1:B2")
+ * @returns {{sheetName: string|null, a1: string}} The unquoted sheet name and the rest
+ */
+function splitSheetName(reference) {
+  const quoted = reference.match(/^'((?:[^']|'')+)'!(.+)$/);
+  if (quoted) {
+    return { sheetName: quoted[1].replace(/''/g, "'"), a1: quoted[2] };
+  }
+  const bang = reference.lastIndexOf('!');
+  return bang === -1
+    ? { sheetName: null, a1: reference }
+    : { sheetName: reference.slice(0, bang), a1: reference.slice(bang + 1) };
+}
+
+/**
+ * Parses an A1 reference
+ * @param {string} reference - The reference, with or without a sheet name ("A1", "B2:D5", "Sheet1!A:A", "3:3")
+ * @param {{maxRows: number, maxColumns: number}} limits - Where open-ended column and row ranges stop
+ * @returns {{sheetName: string|null, row: number, column: number, numRows: number, numColumns: number}} The range
+ * @throws {Error} If the reference is not valid A1 notation
+ */
+function parseA1(reference, limits) {
+  const { sheetName, a1 } = splitSheetName(String(reference).trim());
+  const [start, end = start] = a1.toUpperCase().replace(/\$/g, '').split(':');
+  const parsePart = part => {
+    const match = part.match(/^([A-Z]*)(\d*)$/);
+    if (!match || part === '') {
+      throw new Error(`Range not found: ${reference}`);
+    }
+    return { column: match[1] ? lettersToColumn(match[1]) : null, row: match[2] ? parseInt(match[2]) : null };
+  };
+  const first = parsePart(start);
+  const last = parsePart(end);
+  const row = first.row || 1;
+  const column = first.column || 1;
+  const lastRow = last.row || (first.row && !last.column ? first.row : limits.maxRows);
+  const lastColumn = last.column || (first.column && !last.row ? first.column : limits.maxColumns);
+  if (lastRow < row || lastColumn < column) {
+    throw new Error(`Range not found: ${reference}`);
+  }
+  return { sheetName, row, column, numRows: lastRow - row + 1, numColumns: lastColumn - column + 1 };
+}
+
+/**
+ * Lists every cell of an A1 range
+ * @param {string} a1 - The range without a sheet name (e.g. "B2:C3")
+ * @returns {Array<{row: number, column: number}>} The cells, row by row
+ */
+function listCells(a1) {
+  const { row, column, numRows, numColumns } = parseA1(a1, { maxRows: 0, maxColumns: 0 });
+  const cells = [];
+  for (let i = 0; i < numRows; i++) {
+    for (let j = 0; j < numColumns; j++) {
+      cells.push({ row: row + i, column: column + j });
+    }
+  }
+  return cells;
+}
+
+module.exports = { columnToLetters, lettersToColumn, formatCell, splitSheetName, parseA1, listCells };
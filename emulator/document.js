@@ -0,0 +1,670 @@
+// In-memory DocumentApp
+//
+// Documents are trees of elements, like the real Docs model: the body holds
+// paragraphs and tables, and paragraphs hold text runs, inline images,
+// horizontal rules and page breaks. Table cells hold paragraphs and tables in
+// turn. toJSON() and outline() turn a document into plain data or
+// text for assertions.
+//
+// As in the Docs service, the only paragraph of a section or table cell
+// cannot be removed.
+//
+// There is no page layout: a PDF export has one page per page break, plus
+// the first, which is enough to check page counting but not how content
+// flows across pages.
+//
+// The Drive advanced service lives here too, as its only use is converting a
+// Word file into a document: paragraphs, alignment, margins, header and
+// footer, with page number fields shown as "#".
+
+const { Blob, File, MIME_TYPES, unzipEntries } = require('./drive');
+
+const ELEMENT_TYPES = {
+  BODY_SECTION: 'BODY_SECTION',
+  HEADER_SECTION: 'HEADER_SECTION',
+  FOOTER_SECTION: 'FOOTER_SECTION',
+  PARAGRAPH: 'PARAGRAPH',
+  TABLE: 'TABLE',
+  TABLE_ROW: 'TABLE_ROW',
+  TABLE_CELL: 'TABLE_CELL',
+  TEXT: 'TEXT',
+  INLINE_IMAGE: 'INLINE_IMAGE',
+  HORIZONTAL_RULE: 'HORIZONTAL_RULE',
+  PAGE_BREAK: 'PAGE_BREAK'
+};
+
+// Elements that must always hold a paragraph
+const PARAGRAPH_CONTAINER_TYPES = [ELEMENT_TYPES.BODY_SECTION, ELEMENT_TYPES.HEADER_SECTION, ELEMENT_TYPES.FOOTER_SECTION, ELEMENT_TYPES.TABLE_CELL];
+
+const PARAGRAPH_HEADINGS = {
+  NORMAL: 'NORMAL',
+  HEADING1: 'HEADING1',
+  HEADING2: 'HEADING2',
+  HEADING3: 'HEADING3',
+  HEADING4: 'HEADING4',
+  HEADING5: 'HEADING5',
+  HEADING6: 'HEADING6',
+  TITLE: 'TITLE',
+  SUBTITLE: 'SUBTITLE'
+};
+
+const HORIZONTAL_ALIGNMENTS = {
+  LEFT: 'LEFT',
+  CENTER: 'CENTER',
+  RIGHT: 'RIGHT',
+  JUSTIFY: 'JUSTIFY'
+};
+
+const VERTICAL_ALIGNMENTS = {
+  TOP: 'TOP',
+  CENTER: 'CENTER',
+  BOTTOM: 'BOTTOM'
+};
+
+// US Letter with one inch margins, the Docs default
+const DEFAULT_PAGE = { width: 612, height: 792, margin: 72 };
+
+// Size the Docs editor gives an inserted image whose pixel size is unknown
+const DEFAULT_IMAGE_SIZE = { width: 100, height: 100 };
+
+class Element {
+  constructor(type) {
+    this.type = type;
+    this.parent = null;
+  }
+
+  getType() { return this.type; }
+  getParent() { return this.parent; }
+
+  // The Docs service returns children as generic elements to be cast; here they already have their own class
+  asParagraph() { return this; }
+  asText() { return this; }
+  asInlineImage() { return this; }
+  asTable() { return this; }
+  asTableRow() { return this; }
+  asTableCell() { return this; }
+
+  // A detached deep copy, as the Docs service's copy() returns
+  copy() { return cloneElement(this); }
+
+  removeFromParent() {
+    if (this.parent) {
+      // The Docs service keeps at least one paragraph in every section and table cell
+      if (this.type === ELEMENT_TYPES.PARAGRAPH && PARAGRAPH_CONTAINER_TYPES.includes(this.parent.type) && this.parent.children.length === 1) {
+        throw new Error('Can\'t remove the last paragraph in a document section.');
+      }
+      this.parent.children = this.parent.children.filter(child => child !== this);
+      this.parent = null;
+    }
+    return this;
+  }
+}
+
+class ContainerElement extends Element {
+  constructor(type) {
+    super(type);
+    this.children = [];
+  }
+
+  getNumChildren() { return this.children.length; }
+  getChildIndex(child) { return this.children.indexOf(child); }
+
+  getChild(index) {
+    if (index < 0 || index >= this.children.length) {
+      throw new Error(`Child index (${index}) must be less than the number of child elements (${this.children.length}).`);
+    }
+    return this.children[index];
+  }
+
+  appendChild(child) {
+    child.parent = this;
+    this.children.push(child);
+    return child;
+  }
+
+  getText() {
+    return this.children.map(child => child.getText ? child.getText() : '').join(this.type === ELEMENT_TYPES.PARAGRAPH ? '' : '\n');
+  }
+}
+
+class Text extends Element {
+  constructor(text) {
+    super(ELEMENT_TYPES.TEXT);
+    this.text = String(text);
+    this.linkUrl = null;
+  }
+
+  getText() { return this.text; }
+  setText(text) { this.text = String(text); return this; }
+  getLinkUrl() { return this.linkUrl; }
+  setLinkUrl(url) { this.linkUrl = url; return this; }
+
+  toJSON() {
+    const json = { type: this.type, text: this.text };
+    if (this.linkUrl) json.linkUrl = this.linkUrl;
+    return json;
+  }
+}
+
+class InlineImage extends Element {
+  constructor(blob) {
+    super(ELEMENT_TYPES.INLINE_IMAGE);
+    this.blob = blob.getBlob().copyBlob();
+    const size = this.blob.getImageSize ? this.blob.getImageSize() : null;
+    this.width = size ? size.width : DEFAULT_IMAGE_SIZE.width;
+    this.height = size ? size.height : DEFAULT_IMAGE_SIZE.height;
+    this.altTitle = '';
+    this.altDescription = '';
+    this.linkUrl = null;
+  }
+
+  getBlob() { return this.blob.copyBlob(); }
+  getWidth() { return this.width; }
+  getHeight() { return this.height; }
+  setWidth(width) { this.width = Math.round(width); return this; }
+  setHeight(height) { this.height = Math.round(height); return this; }
+  getAltTitle() { return this.altTitle; }
+  setAltTitle(title) { this.altTitle = title; return this; }
+  getAltDescription() { return this.altDescription; }
+  setAltDescription(description) { this.altDescription = description; return this; }
+  getLinkUrl() { return this.linkUrl; }
+  setLinkUrl(url) { this.linkUrl = url; return this; }
+
+  toJSON() {
+    const json = { type: this.type, source: this.blob.getName(), width: this.width, height: this.height };
+    if (this.altTitle) json.altTitle = this.altTitle;
+    if (this.altDescription) json.altDescription = this.altDescription;
+    return json;
+  }
+}
+
+class HorizontalRule extends Element {
+  constructor() { super(ELEMENT_TYPES.HORIZONTAL_RULE); }
+  toJSON() { return { type: this.type }; }
+}
+
+class PageBreak extends Element {
+  constructor() { super(ELEMENT_TYPES.PAGE_BREAK); }
+  toJSON() { return { type: this.type }; }
+}
+
+class Paragraph extends ContainerElement {
+  constructor(text) {
+    super(ELEMENT_TYPES.PARAGRAPH);
+    this.heading = PARAGRAPH_HEADINGS.NORMAL;
+    this.alignment = HORIZONTAL_ALIGNMENTS.LEFT;
+    if (text) {
+      this.appendChild(new Text(text));
+    }
+  }
+
+  getHeading() { return this.heading; }
+  setHeading(heading) { this.heading = heading; return this; }
+  getAlignment() { return this.alignment; }
+  setAlignment(alignment) { this.alignment = alignment; return this; }
+  appendText(text) { return this.appendChild(new Text(text)); }
+  appendInlineImage(blob) { return this.appendChild(new InlineImage(blob)); }
+  appendHorizontalRule() { return this.appendChild(new HorizontalRule()); }
+  appendPageBreak() { return this.appendChild(new PageBreak()); }
+
+  // Links every text run in the paragraph
+  getLinkUrl() {
+    const texts = this.children.filter(child => child.type === ELEMENT_TYPES.TEXT);
+    return texts.length > 0 && texts.every(text => text.linkUrl === texts[0].linkUrl) ? texts[0].linkUrl : null;
+  }
+
+  setLinkUrl(url) {
+    this.children.filter(child => child.type === ELEMENT_TYPES.TEXT).forEach(text => text.setLinkUrl(url));
+    return this;
+  }
+
+  setText(text) {
+    this.children.forEach(child => child.parent = null);
+    this.children = [];
+    if (text) {
+      this.appendText(text);
+    }
+    return this;
+  }
+
+  toJSON() {
+    return { type: this.type, heading: this.heading, alignment: this.alignment, text: this.getText(), children: this.children.map(child => child.toJSON()) };
+  }
+}
+
+class Section extends ContainerElement {
+  constructor(type) {
+    super(type);
+    this.attributes = {};
+    this.appendChild(new Paragraph(''));
+  }
+
+  getParagraphs() { return this.children.filter(child => child.type === ELEMENT_TYPES.PARAGRAPH); }
+
+  appendParagraph(textOrParagraph) {
+    return this.appendChild(typeof textOrParagraph === 'object' ? textOrParagraph : new Paragraph(textOrParagraph));
+  }
+
+  // Like the Docs service, a horizontal rule or page break goes into a new paragraph of its own
+  appendHorizontalRule() { return this.appendParagraph('').appendHorizontalRule(); }
+  appendPageBreak() { return this.appendParagraph('').appendPageBreak(); }
+
+  appendTable(cells) {
+    if (cells instanceof Table) {
+      return this.appendChild(cells);
+    }
+    const table = this.appendChild(new Table());
+    (cells || []).forEach(rowCells => {
+      const row = table.appendTableRow();
+      rowCells.forEach(text => row.appendTableCell(text));
+    });
+    return table;
+  }
+
+  setText(text) {
+    this.children.forEach(child => child.parent = null);
+    this.children = [];
+    this.appendParagraph(text);
+    return this;
+  }
+
+  clear() { return this.setText(''); }
+
+  toJSON() { return { type: this.type, children: this.children.map(child => child.toJSON()) }; }
+}
+
+class Table extends ContainerElement {
+  constructor() {
+    super(ELEMENT_TYPES.TABLE);
+    this.borderWidth = 1;
+    this.borderColor = '#000000';
+    this.columnWidths = [];
+  }
+
+  appendTableRow() { return this.appendChild(new TableRow()); }
+  getNumRows() { return this.children.length; }
+  getRow(index) { return this.getChild(index); }
+  getCell(row, cell) { return this.getRow(row).getCell(cell); }
+  getBorderWidth() { return this.borderWidth; }
+  setBorderWidth(points) { this.borderWidth = points; return this; }
+  getBorderColor() { return this.borderColor; }
+  setBorderColor(color) { this.borderColor = color; return this; }
+  getColumnWidth(index) { return this.columnWidths[index] || null; }
+  setColumnWidth(index, points) { this.columnWidths[index] = points; return this; }
+
+  toJSON() {
+    return { type: this.type, borderWidth: this.borderWidth, borderColor: this.borderColor, rows: this.children.map(row => row.toJSON()) };
+  }
+}
+
+class TableRow extends ContainerElement {
+  constructor() { super(ELEMENT_TYPES.TABLE_ROW); }
+
+  appendTableCell(text) {
+    const cell = this.appendChild(new TableCell());
+    if (text) {
+      cell.setText(text);
+    }
+    return cell;
+  }
+
+  getNumCells() { return this.children.length; }
+  getCell(index) { return this.getChild(index); }
+  toJSON() { return { type: this.type, cells: this.children.map(cell => cell.toJSON()) }; }
+}
+
+class TableCell extends Section {
+  constructor() {
+    super(ELEMENT_TYPES.TABLE_CELL);
+    this.backgroundColor = null;
+    this.width = null;
+    this.verticalAlignment = VERTICAL_ALIGNMENTS.TOP;
+  }
+
+  getBackgroundColor() { return this.backgroundColor; }
+  setBackgroundColor(color) { this.backgroundColor = color; return this; }
+  getWidth() { return this.width; }
+  setWidth(points) { this.width = points; return this; }
+  getVerticalAlignment() { return this.verticalAlignment; }
+  setVerticalAlignment(alignment) { this.verticalAlignment = alignment; return this; }
+  getPaddingTop() { return this.attributes.paddingTop; }
+  setPaddingTop(points) { this.attributes.paddingTop = points; return this; }
+  getPaddingBottom() { return this.attributes.paddingBottom; }
+  setPaddingBottom(points) { this.attributes.paddingBottom = points; return this; }
+  getPaddingLeft() { return this.attributes.paddingLeft; }
+  setPaddingLeft(points) { this.attributes.paddingLeft = points; return this; }
+  getPaddingRight() { return this.attributes.paddingRight; }
+  setPaddingRight(points) { this.attributes.paddingRight = points; return this; }
+
+  toJSON() {
+    const json = super.toJSON();
+    if (this.backgroundColor) json.backgroundColor = this.backgroundColor;
+    return json;
+  }
+}
+
+class Body extends Section {
+  constructor() {
+    super(ELEMENT_TYPES.BODY_SECTION);
+    Object.assign(this.attributes, {
+      pageWidth: DEFAULT_PAGE.width,
+      pageHeight: DEFAULT_PAGE.height,
+      marginTop: DEFAULT_PAGE.margin,
+      marginBottom: DEFAULT_PAGE.margin,
+      marginLeft: DEFAULT_PAGE.margin,
+      marginRight: DEFAULT_PAGE.margin
+    });
+  }
+
+  getPageWidth() { return this.attributes.pageWidth; }
+  setPageWidth(points) { this.attributes.pageWidth = points; return this; }
+  getPageHeight() { return this.attributes.pageHeight; }
+  setPageHeight(points) { this.attributes.pageHeight = points; return this; }
+
+  getMarginTop() { return this.attributes.marginTop; }
+  setMarginTop(points) { this.attributes.marginTop = points; return this; }
+  getMarginBottom() { return this.attributes.marginBottom; }
+  setMarginBottom(points) { this.attributes.marginBottom = points; return this; }
+  getMarginLeft() { return this.attributes.marginLeft; }
+  setMarginLeft(points) { this.attributes.marginLeft = points; return this; }
+  getMarginRight() { return this.attributes.marginRight; }
+  setMarginRight(points) { this.attributes.marginRight = points; return this; }
+}
+
+class Position {
+  constructor(element, offset) {
+    this.element = element;
+    this.offset = offset;
+  }
+
+  getElement() { return this.element; }
+  getOffset() { return this.offset; }
+}
+
+class Bookmark {
+  constructor(doc, id, position) {
+    this.doc = doc;
+    this.id = id;
+    this.position = position;
+  }
+
+  getId() { return this.id; }
+  getPosition() { return this.position; }
+  remove() { this.doc.bookmarks.delete(this.id); }
+}
+
+/**
+ * Copies an element and everything inside it
+ * @param {Element} element - The element
+ * @returns {Element} The copy, without a parent
+ */
+function cloneElement(element) {
+  const copy = Object.assign(Object.create(Object.getPrototypeOf(element)), element, { parent: null });
+  if (element.attributes) {
+    copy.attributes = Object.assign({}, element.attributes);
+  }
+  if (element.children) {
+    copy.children = [];
+    element.children.forEach(child => copy.appendChild(cloneElement(child)));
+  }
+  return copy;
+}
+
+/**
+ * Counts the pages of a document, which only end at page breaks in the emulator
+ * @param {Document} doc - The document
+ * @returns {number} The page count
+ */
+function countPages(doc) {
+  const countBreaks = element => element.type === ELEMENT_TYPES.PAGE_BREAK ? 1
+    : (element.children || []).reduce((total, child) => total + countBreaks(child), 0);
+  return 1 + countBreaks(doc.body);
+}
+
+class Document {
+  /**
+   * @param {Drive} drive - The drive to store the document in
+   * @param {string} name - The document name
+   * @param {Map<string, Document>} registry - Every document by id, so DocumentApp.openById can find this one
+   */
+  constructor(drive, name, registry) {
+    this.drive = drive;
+    this.registry = registry;
+    this.body = new Body();
+    this.header = null;
+    this.footer = null;
+    this.bookmarks = new Map();
+    this.closed = false;
+    this.file = drive.register(new File(drive, name, MIME_TYPES.GOOGLE_DOCS, () => new Blob(outline(this), MIME_TYPES.PLAIN_TEXT), {
+      exportAs: contentType => contentType === MIME_TYPES.PDF ? this.toPdf() : null,
+      copy: copyName => this.copy(copyName).file
+    }));
+    registry.set(this.getId(), this);
+  }
+
+  getId() { return this.file.id; }
+  getName() { return this.file.name; }
+  setName(name) { this.file.setName(name); return this; }
+  getUrl() { return `https://docs.google.com/document/d/${this.getId()}/edit`; }
+  getBody() { return this.body; }
+  getHeader() { return this.header; }
+  getFooter() { return this.footer; }
+  addHeader() { this.header = this.header || new Section(ELEMENT_TYPES.HEADER_SECTION); return this.header; }
+  addFooter() { this.footer = this.footer || new Section(ELEMENT_TYPES.FOOTER_SECTION); return this.footer; }
+  saveAndClose() { this.closed = true; }
+  getAs(contentType) { return this.file.getAs(contentType); }
+
+  newPosition(element, offset) { return new Position(element, offset); }
+  getBookmark(id) { return this.bookmarks.get(id) || null; }
+  getBookmarks() { return Array.from(this.bookmarks.values()); }
+
+  addBookmark(position) {
+    const bookmark = new Bookmark(this, `id.${this.drive.nextId()}`, position);
+    this.bookmarks.set(bookmark.id, bookmark);
+    return bookmark;
+  }
+
+  /**
+   * Copies the document, as DriveApp's makeCopy does
+   * @param {string} name - The name of the copy
+   * @returns {Document} The copy
+   */
+  copy(name) {
+    const copy = new Document(this.drive, name, this.registry);
+    copy.body = cloneElement(this.body);
+    copy.header = this.header ? cloneElement(this.header) : null;
+    copy.footer = this.footer ? cloneElement(this.footer) : null;
+    return copy;
+  }
+
+  /**
+   * Exports the document as a stand-in PDF with a page tree and a page object for each page (emulator only)
+   * @returns {Blob} The PDF
+   */
+  toPdf() {
+    const count = countPages(this);
+    const pages = Array.from({ length: count }, (_, index) => `${index + 2} 0 obj << /Type /Page /Parent 1 0 R >> endobj`);
+    const tree = `1 0 obj << /Type /Pages /Count ${count} >> endobj`;
+    return new Blob(['%PDF-1.4', `% ${this.getName()}`, tree, ...pages, '%%EOF'].join('\n'), MIME_TYPES.PDF);
+  }
+
+  /**
+   * Fills the document from a fixture, one paragraph per line (emulator only)
+   * @param {{header: Array<string>, body: Array<string>, footer: Array<string>}} fixture - The fixture
+   */
+  load(fixture) {
+    const fill = (section, lines) => {
+      section.setText(lines[0] || '');
+      lines.slice(1).forEach(line => section.appendParagraph(line));
+    };
+    fill(this.body, fixture.body || []);
+    if (fixture.header) fill(this.addHeader(), fixture.header);
+    if (fixture.footer) fill(this.addFooter(), fixture.footer);
+  }
+
+  // The script sets margins on the document itself, which the Docs service forwards to the body
+  setMarginTop(points) { this.body.setMarginTop(points); return this; }
+  setMarginBottom(points) { this.body.setMarginBottom(points); return this; }
+  setMarginLeft(points) { this.body.setMarginLeft(points); return this; }
+  setMarginRight(points) { this.body.setMarginRight(points); return this; }
+
+  toJSON() {
+    return {
+      id: this.getId(),
+      name: this.getName(),
+      header: this.header ? this.header.toJSON() : null,
+      body: this.body.toJSON(),
+      footer: this.footer ? this.footer.toJSON() : null
+    };
+  }
+}
+
+/**
+ * Describes one element of a document on a single line
+ * @param {Element} element - The element
+ * @returns {string} The description
+ */
+function describeElement(element) {
+  switch (element.type) {
+    case ELEMENT_TYPES.TEXT:
+      return element.linkUrl ? `${JSON.stringify(element.text)}<${element.linkUrl}>` : JSON.stringify(element.text);
+    case ELEMENT_TYPES.INLINE_IMAGE:
+      return `[image ${element.blob.getName() || 'untitled'} ${element.width}x${element.height}]`;
+    case ELEMENT_TYPES.HORIZONTAL_RULE:
+      return '[horizontal rule]';
+    case ELEMENT_TYPES.PAGE_BREAK:
+      return '[page break]';
+    default:
+      return `[${element.type.toLowerCase()}]`;
+  }
+}
+
+/**
+ * Renders a document as text, one paragraph per line, for reading or snapshot assertions
+ * @param {Document} doc - The document
+ * @returns {string} The outline
+ */
+function outline(doc) {
+  const describeParagraph = (paragraph, indent) => {
+    const style = [paragraph.heading, paragraph.alignment].filter(value => value !== PARAGRAPH_HEADINGS.NORMAL && value !== HORIZONTAL_ALIGNMENTS.LEFT);
+    const prefix = style.length > 0 ? `${style.join(' ')} ` : '';
+    return `${indent}${prefix}${paragraph.children.map(describeElement).join(' ')}`.replace(/\s+$/, '');
+  };
+
+  // A table is a line of its own, then a line per cell; cells holding only one paragraph fit on their label's line
+  const describeChildren = (container, indent) => container.children.flatMap(child => child.type === ELEMENT_TYPES.TABLE
+    ? describeTable(child, indent)
+    : [describeParagraph(child, indent)]);
+  const describeTable = (table, indent) => {
+    const columns = Math.max(0, ...table.children.map(row => row.children.length));
+    const lines = [`${indent}[table ${table.children.length}x${columns} border ${table.borderWidth}]`];
+    table.children.forEach((row, r) => row.children.forEach((cell, c) => {
+      const label = `${indent}  [${r + 1},${c + 1}${cell.backgroundColor ? ` ${cell.backgroundColor}` : ''}]`;
+      const content = describeChildren(cell, `${indent}    `).filter(line => line.trim() !== '');
+      const single = content.length === 1 && cell.children.every(child => child.type === ELEMENT_TYPES.PARAGRAPH);
+      lines.push(...(single ? [`${label} ${content[0].trim()}`] : [label, ...content]));
+    }));
+    return lines;
+  };
+  const describeSection = section => describeChildren(section, '  ');
+
+  const lines = [`# ${doc.getName()}`];
+  if (doc.header) {
+    lines.push('header:', ...describeSection(doc.header));
+  }
+  lines.push('body:', ...describeSection(doc.body));
+  if (doc.footer) {
+    lines.push('footer:', ...describeSection(doc.footer));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Fills a section from the paragraphs of a WordprocessingML part
+ * @param {Section} section - The section, replaced
+ * @param {string} xml - The part
+ */
+function loadWordParagraphs(section, xml) {
+  const paragraphs = xml.match(/<w:p\b[^>]*\/>|<w:p\b[^>]*>[\s\S]*?<\/w:p>/g) || [];
+  section.clear();
+  paragraphs.forEach((source, index) => {
+    const content = source.replace(/<w:fldSimple\b[^>]*w:instr="\s*PAGE\b[^"]*"[^>]*>[\s\S]*?<\/w:fldSimple>/g, '<w:t>#</w:t>');
+    const text = (content.match(/<w:t\b[^>]*>[^<]*<\/w:t>/g) || []).map(run => run.replace(/<[^>]+>/g, '')).join('');
+    const paragraph = index === 0 ? section.getChild(0).setText(text) : section.appendParagraph(text);
+    const alignment = (content.match(/<w:jc w:val="(\w+)"/) || [])[1];
+    if (alignment) {
+      paragraph.setAlignment({ center: HORIZONTAL_ALIGNMENTS.CENTER, right: HORIZONTAL_ALIGNMENTS.RIGHT, end: HORIZONTAL_ALIGNMENTS.RIGHT, both: HORIZONTAL_ALIGNMENTS.JUSTIFY }[alignment] || HORIZONTAL_ALIGNMENTS.LEFT);
+    }
+  });
+}
+
+/**
+ * Creates the Drive advanced service (v3), which only converts Word files to Google Docs
+ * @param {Object} emulator - The emulator state (drive and documents by id)
+ * @returns {Object} The service
+ */
+function createDriveAdvancedService(emulator) {
+  return {
+    Files: {
+      create: (resource, blob) => {
+        if (resource.mimeType !== MIME_TYPES.GOOGLE_DOCS || !blob || blob.getContentType() !== MIME_TYPES.MICROSOFT_WORD) {
+          throw new Error('The emulator\'s Drive service can only convert Word files to Google Docs');
+        }
+        const parts = new Map(unzipEntries(blob.getBlob().bytes).map(({ name, bytes }) => [name, bytes.toString('utf8')]));
+        const main = parts.get('word/document.xml');
+        if (!main) {
+          throw new Error('Bad Request: the file is not a Word document');
+        }
+
+        const doc = new Document(emulator.drive, resource.name || blob.getName() || 'Untitled document', emulator.documents);
+        loadWordParagraphs(doc.body, main.replace(/<w:sectPr\b[\s\S]*?<\/w:sectPr>/g, ''));
+        const margins = (main.match(/<w:pgMar\b[^>]*>/) || [''])[0];
+        [['top', 'setMarginTop'], ['bottom', 'setMarginBottom'], ['left', 'setMarginLeft'], ['right', 'setMarginRight']].forEach(([side, setter]) => {
+          const twips = (margins.match(new RegExp(`w:${side}="(\\d+)"`)) || [])[1];
+          if (twips) {
+            doc.body[setter](Number(twips) / 20);
+          }
+        });
+        parts.forEach((xml, name) => {
+          if (/^word\/header\d*\.xml$/.test(name)) {
+            loadWordParagraphs(doc.addHeader(), xml);
+          } else if (/^word\/footer\d*\.xml$/.test(name)) {
+            loadWordParagraphs(doc.addFooter(), xml);
+          }
+        });
+
+        const folder = resource.parents && resource.parents.length > 0 ? emulator.drive.createService().getFolderById(resource.parents[0]) : emulator.drive.root;
+        folder.addItem(doc.file);
+        return { kind: 'drive#file', id: doc.getId(), name: doc.getName(), mimeType: MIME_TYPES.GOOGLE_DOCS };
+      }
+    }
+  };
+}
+
+/**
+ * Creates the DocumentApp service
+ * @param {Object} emulator - The emulator state (drive and documents by id)
+ * @returns {Object} The service
+ */
+function createDocumentApp(emulator) {
+  return {
+    ElementType: ELEMENT_TYPES,
+    ParagraphHeading: PARAGRAPH_HEADINGS,
+    HorizontalAlignment: HORIZONTAL_ALIGNMENTS,
+    VerticalAlignment: VERTICAL_ALIGNMENTS,
+    create: name => {
+      const doc = new Document(emulator.drive, name, emulator.documents);
+      emulator.drive.root.addItem(doc.file);
+      return doc;
+    },
+    openById: id => {
+      const doc = emulator.documents.get(id);
+      if (!doc) {
+        throw new Error(`Document ${id} is missing (perhaps it was deleted, or you don't have read access?)`);
+      }
+      return doc;
+    }
+  };
+}
+
+module.exports = { ELEMENT_TYPES, Document, Paragraph, outline, createDocumentApp, createDriveAdvancedService };
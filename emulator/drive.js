@@ -0,0 +1,445 @@
+// In-memory DriveApp, Blob and Utilities
+//
+// Drive holds every file the other services create (spreadsheets, documents,
+// exported blobs) in a tree of folders, so code that moves files between
+// folders or looks them up by name can be checked without a Google account.
+
+const crypto = require('crypto');
+
+const MIME_TYPES = {
+  FOLDER: 'application/vnd.google-apps.folder',
+  GOOGLE_DOCS: 'application/vnd.google-apps.document',
+  GOOGLE_SHEETS: 'application/vnd.google-apps.spreadsheet',
+  PDF: 'application/pdf',
+  MICROSOFT_WORD: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  ZIP: 'application/zip',
+  HTML: 'text/html',
+  PLAIN_TEXT: 'text/plain',
+  PNG: 'image/png',
+  JPEG: 'image/jpeg',
+  GIF: 'image/gif',
+  SVG: 'image/svg+xml'
+};
+
+/**
+ * Reads the pixel size of a PNG, GIF or JPEG image
+ * @param {Buffer} bytes - The image bytes
+ * @returns {{width: number, height: number}|null} The size, or null if the format is not recognised
+ */
+function getImageSize(bytes) {
+  if (bytes.length >= 24 && bytes.readUInt32BE(0) === 0x89504e47) {
+    return { width: bytes.readUInt32BE(16), height: bytes.readUInt32BE(20) };
+  }
+  if (bytes.length >= 10 && bytes.toString('ascii', 0, 3) === 'GIF') {
+    return { width: bytes.readUInt16LE(6), height: bytes.readUInt16LE(8) };
+  }
+  if (bytes.length >= 4 && bytes[0] === 0xff && bytes[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < bytes.length) {
+      const marker = bytes[offset + 1];
+      const length = bytes.readUInt16BE(offset + 2);
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: bytes.readUInt16BE(offset + 7), height: bytes.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + length;
+    }
+  }
+  return null;
+}
+
+// CRC-32 of each byte value, for zip entries
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Computes the CRC-32 of some bytes
+ * @param {Buffer} bytes - The bytes
+ * @returns {number} The checksum
+ */
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Packs files into a zip archive, stored without compression
+ * @param {Array<{name: string, bytes: Buffer}>} entries - The files
+ * @returns {Buffer} The archive
+ */
+function zipEntries(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  entries.forEach(({ name, bytes }) => {
+    const nameBytes = Buffer.from(name, 'utf8');
+    const crc = crc32(bytes);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(bytes.length, 18);
+    local.writeUInt32LE(bytes.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(bytes.length, 20);
+    central.writeUInt32LE(bytes.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, bytes);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + bytes.length;
+  });
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * Unpacks a zip archive written by zipEntries
+ * @param {Buffer} archive - The archive
+ * @returns {Array<{name: string, bytes: Buffer}>} The files
+ * @throws {Error} If an entry is compressed, which the emulator does not support
+ */
+function unzipEntries(archive) {
+  const entries = [];
+  let offset = 0;
+  while (offset + 30 <= archive.length && archive.readUInt32LE(offset) === 0x04034b50) {
+    if (archive.readUInt16LE(offset + 8) !== 0) {
+      throw new Error('Compressed zip entries are not supported by the emulator');
+    }
+    const size = archive.readUInt32LE(offset + 18);
+    const nameLength = archive.readUInt16LE(offset + 26);
+    const extraLength = archive.readUInt16LE(offset + 28);
+    const start = offset + 30 + nameLength + extraLength;
+    entries.push({ name: archive.toString('utf8', offset + 30, offset + 30 + nameLength), bytes: archive.subarray(start, start + size) });
+    offset = start + size;
+  }
+  return entries;
+}
+
+/**
+ * Wraps an array so it can be walked like a Drive iterator
+ * @param {Array<any>} items - The items
+ * @returns {{hasNext: function(): boolean, next: function(): any}} The iterator
+ */
+function createIterator(items) {
+  let index = 0;
+  return {
+    hasNext: () => index < items.length,
+    next: () => {
+      if (index >= items.length) {
+        throw new Error('No more items');
+      }
+      return items[index++];
+    }
+  };
+}
+
+class Blob {
+  /**
+   * @param {Buffer|string|Array<number>} data - The contents
+   * @param {string} [contentType] - The MIME type
+   * @param {string} [name] - The file name
+   */
+  constructor(data, contentType, name) {
+    this.bytes = Buffer.isBuffer(data) ? Buffer.from(data) : Array.isArray(data) ? Buffer.from(data.map(b => b & 0xff)) : Buffer.from(String(data || ''), 'utf8');
+    this.contentType = contentType || null;
+    this.name = name || null;
+  }
+
+  getBytes() { return Array.from(new Int8Array(this.bytes.buffer, this.bytes.byteOffset, this.bytes.length)); }
+  setBytes(data) { this.bytes = new Blob(data).bytes; return this; }
+  getDataAsString() { return this.bytes.toString('utf8'); }
+  setDataFromString(text) { this.bytes = Buffer.from(String(text), 'utf8'); return this; }
+  getContentType() { return this.contentType; }
+  setContentType(contentType) { this.contentType = contentType; return this; }
+  getName() { return this.name; }
+  setName(name) { this.name = name; return this; }
+  getBlob() { return this; }
+  copyBlob() { return new Blob(this.bytes, this.contentType, this.name); }
+  isGoogleType() { return false; }
+
+  getAs(contentType) {
+    const copy = this.copyBlob().setContentType(contentType);
+    if (copy.name) {
+      copy.name = copy.name.replace(/\.[^.]*$/, '') + `.${contentType.split('/')[1]}`;
+    }
+    return copy;
+  }
+
+  /**
+   * Gets the pixel size of the image held in the blob (emulator only)
+   * @returns {{width: number, height: number}|null} The size, or null if it is not an image
+   */
+  getImageSize() {
+    return getImageSize(this.bytes);
+  }
+}
+
+class DriveItem {
+  constructor(drive, name) {
+    this.drive = drive;
+    this.id = drive.nextId();
+    this.name = name;
+    this.parents = [];
+    this.trashed = false;
+    this.created = new Date(drive.now());
+    this.updated = this.created;
+    this.description = '';
+  }
+
+  getId() { return this.id; }
+  getName() { return this.name; }
+  setName(name) { this.name = name; this.touch(); return this; }
+  getDescription() { return this.description; }
+  setDescription(description) { this.description = description; return this; }
+  getParents() { return createIterator(this.parents.slice()); }
+  isTrashed() { return this.trashed; }
+  setTrashed(trashed) { this.trashed = Boolean(trashed); return this; }
+  getDateCreated() { return this.created; }
+  getLastUpdated() { return this.updated; }
+  touch() { this.updated = new Date(this.drive.now()); }
+
+  moveTo(folder) {
+    this.parents.slice().forEach(parent => parent.removeItem(this));
+    folder.addItem(this);
+    return this;
+  }
+}
+
+class File extends DriveItem {
+  /**
+   * @param {Drive} drive - The drive the file belongs to
+   * @param {string} name - The file name
+   * @param {string} mimeType - The MIME type
+   * @param {function(): Blob} getContent - Produces the current contents
+   * @param {{exportAs: function(string): Blob, copy: function(string): File}} [hooks] - For Google files: converts
+   *     the file to another type (or returns null to convert its contents as they are), and copies it
+   */
+  constructor(drive, name, mimeType, getContent, hooks) {
+    super(drive, name);
+    this.mimeType = mimeType;
+    this.getContent = getContent;
+    this.hooks = hooks || {};
+  }
+
+  getMimeType() { return this.mimeType; }
+  getUrl() { return `https://drive.google.com/file/d/${this.id}/view`; }
+  getSize() { return this.getBlob().bytes.length; }
+
+  getBlob() {
+    return this.getContent().copyBlob().setName(this.name);
+  }
+
+  getAs(contentType) {
+    const exported = this.hooks.exportAs ? this.hooks.exportAs(contentType) : null;
+    return (exported || this.getContent().getAs(contentType)).setName(`${this.name}.${contentType.split('/')[1]}`);
+  }
+
+  setContent(text) {
+    const blob = new Blob(text, this.mimeType);
+    this.getContent = () => blob;
+    this.touch();
+    return this;
+  }
+
+  makeCopy(name, folder) {
+    if (name && typeof name === 'object') {
+      [name, folder] = [undefined, name];
+    }
+    const copy = this.drive.copyItem(this, name || `Copy of ${this.name}`);
+    (folder || this.parents[0] || this.drive.root).addItem(copy);
+    return copy;
+  }
+}
+
+class Folder extends DriveItem {
+  constructor(drive, name) {
+    super(drive, name);
+    this.children = [];
+  }
+
+  getUrl() { return `https://drive.google.com/drive/folders/${this.id}`; }
+
+  addItem(item) {
+    if (!this.children.includes(item)) {
+      this.children.push(item);
+      item.parents.push(this);
+    }
+    return this;
+  }
+
+  removeItem(item) {
+    this.children = this.children.filter(child => child !== item);
+    item.parents = item.parents.filter(parent => parent !== this);
+    return this;
+  }
+
+  listFolders() { return this.children.filter(child => child instanceof Folder && !child.trashed); }
+  listFiles() { return this.children.filter(child => child instanceof File && !child.trashed); }
+
+  getFolders() { return createIterator(this.listFolders()); }
+  getFoldersByName(name) { return createIterator(this.listFolders().filter(folder => folder.name === name)); }
+  getFiles() { return createIterator(this.listFiles()); }
+  getFilesByName(name) { return createIterator(this.listFiles().filter(file => file.name === name)); }
+  getFilesByType(mimeType) { return createIterator(this.listFiles().filter(file => file.mimeType === mimeType)); }
+  addFile(file) { return this.addItem(file); }
+  removeFile(file) { return this.removeItem(file); }
+  addFolder(folder) { return this.addItem(folder); }
+  removeFolder(folder) { return this.removeItem(folder); }
+
+  createFolder(name) {
+    const folder = this.drive.register(new Folder(this.drive, name));
+    this.addItem(folder);
+    return folder;
+  }
+
+  createFile(nameOrBlob, content, mimeType) {
+    const blob = typeof nameOrBlob === 'string'
+      ? new Blob(content, mimeType || MIME_TYPES.PLAIN_TEXT, nameOrBlob)
+      : nameOrBlob.getBlob().copyBlob();
+    const file = this.drive.register(new File(this.drive, blob.getName() || 'Untitled', blob.getContentType(), () => blob));
+    this.addItem(file);
+    return file;
+  }
+}
+
+class Drive {
+  /**
+   * @param {function(): number} now - The emulator clock, in milliseconds
+   */
+  constructor(now) {
+    this.now = now;
+    this.items = new Map();
+    this.idCounter = 0;
+    this.root = this.register(new Folder(this, 'My Drive'));
+  }
+
+  nextId() {
+    this.idCounter++;
+    return `emulated-${String(this.idCounter).padStart(6, '0')}`;
+  }
+
+  register(item) {
+    this.items.set(item.id, item);
+    return item;
+  }
+
+  /**
+   * Registers a file under a fixed id, such as the spreadsheet ids hard-coded in the script
+   * @param {File} file - The file
+   * @param {string} id - The id to give it
+   * @returns {File} The file
+   */
+  registerWithId(file, id) {
+    this.items.delete(file.id);
+    file.id = id;
+    return this.register(file);
+  }
+
+  copyItem(file, name) {
+    if (file.hooks.copy) {
+      return file.hooks.copy(name);
+    }
+    const blob = file.getContent().copyBlob();
+    return this.register(new File(this, name, file.mimeType, () => blob));
+  }
+
+  getItem(id, type, label) {
+    const item = this.items.get(id);
+    if (!(item instanceof type)) {
+      throw new Error(`No item with the given ID could be found, or you do not have permission to access it. (${label} ${id})`);
+    }
+    return item;
+  }
+
+  /**
+   * Finds a folder by its path from My Drive, creating any that are missing
+   * @param {string} path - The folder names separated by "/"
+   * @returns {Folder} The folder
+   */
+  getFolderByPath(path) {
+    return String(path || '').split('/').filter(Boolean).reduce((folder, name) => {
+      const existing = folder.getFoldersByName(name);
+      return existing.hasNext() ? existing.next() : folder.createFolder(name);
+    }, this.root);
+  }
+
+  /**
+   * Gets the path of an item from My Drive (emulator only)
+   * @param {DriveItem} item - The file or folder
+   * @returns {string} The path, e.g. "My Drive/Puzzles/Generated Files/doc"
+   */
+  getPath(item) {
+    const names = [];
+    for (let current = item; current; current = current.parents[0]) {
+      names.unshift(current.name);
+    }
+    return names.join('/');
+  }
+
+  createService() {
+    const search = predicate => createIterator(Array.from(this.items.values()).filter(item => !item.trashed && predicate(item)));
+    return {
+      getFileById: id => this.getItem(id, File, 'file'),
+      getFolderById: id => this.getItem(id, Folder, 'folder'),
+      getRootFolder: () => this.root,
+      createFolder: name => this.root.createFolder(name),
+      createFile: (nameOrBlob, content, mimeType) => this.root.createFile(nameOrBlob, content, mimeType),
+      getFilesByName: name => search(item => item instanceof File && item.name === name),
+      getFoldersByName: name => search(item => item instanceof Folder && item.name === name),
+      getFiles: () => search(item => item instanceof File),
+      getFolders: () => search(item => item instanceof Folder && item !== this.root)
+    };
+  }
+}
+
+/**
+ * Creates the Utilities service
+ * @returns {Object} The service
+ */
+function createUtilities() {
+  const toBuffer = data => Buffer.isBuffer(data) ? data : Array.isArray(data) ? Buffer.from(data.map(b => b & 0xff)) : Buffer.from(String(data), 'utf8');
+  const toSignedBytes = buffer => Array.from(new Int8Array(buffer.buffer, buffer.byteOffset, buffer.length));
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+  return {
+    DigestAlgorithm: { MD5: 'md5', SHA_1: 'sha1', SHA_256: 'sha256', SHA_512: 'sha512' },
+    Charset: { UTF_8: 'utf8', US_ASCII: 'ascii' },
+    newBlob: (data, contentType, name) => new Blob(data, contentType, name),
+    zip: (blobs, name) => new Blob(zipEntries(blobs.map(blob => ({ name: blob.getName(), bytes: blob.getBlob().bytes }))), MIME_TYPES.ZIP, name || 'Archive.zip'),
+    unzip: blob => unzipEntries(blob.getBlob().bytes).map(({ name, bytes }) => new Blob(bytes, null, name)),
+    computeDigest: (algorithm, value) => toSignedBytes(crypto.createHash(algorithm).update(toBuffer(value)).digest()),
+    base64Encode: data => toBuffer(data).toString('base64'),
+    base64Decode: text => toSignedBytes(Buffer.from(text, 'base64')),
+    getUuid: () => crypto.randomUUID(),
+    sleep: () => {},
+    // Supports the yyyy, MM, dd, HH, mm and ss patterns, always in UTC
+    formatDate: (date, timeZone, format) => format
+      .replace(/yyyy/g, date.getUTCFullYear())
+      .replace(/MM/g, pad(date.getUTCMonth() + 1))
+      .replace(/dd/g, pad(date.getUTCDate()))
+      .replace(/HH/g, pad(date.getUTCHours()))
+      .replace(/mm/g, pad(date.getUTCMinutes()))
+      .replace(/ss/g, pad(date.getUTCSeconds()))
+  };
+}
+
+module.exports = { MIME_TYPES, Blob, File, Folder, Drive, createIterator, createUtilities, getImageSize, unzipEntries };
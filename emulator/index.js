@@ -0,0 +1,168 @@
+// Offline Apps Script emulator
+//
+// Loads the script files into a Node vm context together with in-memory
+// SpreadsheetApp, DocumentApp, DriveApp, UrlFetchApp, Utilities, HtmlService,
+// PropertiesService, Session, ScriptApp and LockService services and the
+// MimeType enum, plus the advanced services the fixture turns on, seeded from
+// a workbook fixture. Functions such as main can then run end to
+// end and the documents, sheets and Drive folders they leave behind can be
+// inspected.
+//
+// A workbook fixture is a JSON file:
+//   {
+//     "activeSpreadsheetId": "<id>",             // defaults to the first spreadsheet
+//     "spreadsheets": [{
+//       "id": "<id>", "name": "Puzzles", "folder": "Puzzles",
+//       "sheets": [{ "name": "Sudokus", "values": [[...]], "formulas": {"E2": "=IMAGE(\"...\")"},
+//                    "bold": ["B2", "C3:D3"], "backgrounds": {"B2": "#ffff00"}, "images": {"H2": "https://..."} }],
+//       "namedRanges": {"Template4Name": "Template4!B1"},
+//       "selection": ["Sudokus!A2:A3"]                // selected ranges, for commands that use the selection
+//     }],
+//     "documents": [{                                 // Google Docs, such as templates
+//       "name": "Booklet Template", "folder": "Puzzles",
+//       "header": ["line"], "body": ["line"], "footer": ["Page #"]   // one paragraph per line
+//     }],
+//     "properties": {"script": {"key": "value"}},     // also "document" and "user"
+//     "advancedServices": ["Drive"],                  // advanced services to turn on; Drive only converts Word files
+//     "timeZone": "Europe/London",                    // the script time zone, defaults to UTC (dates are always formatted in UTC)
+//     "urls": {"https://example.com/1.png": "images/1.png"},  // or {"file", "contentType", "status", "etag"}
+//     "ui": [{"button": "OK", "text": "4"}]
+//   }
+// File paths in "urls" are relative to the fixture file.
+//
+// The tests in test/ drive the basic fixture through main, the solver, the
+// generator and generation jobs: node --test emulator/test/
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { MIME_TYPES, Drive, createUtilities } = require('./drive');
+const { Spreadsheet, createSpreadsheetApp } = require('./spreadsheet');
+const { Document, outline, createDocumentApp, createDriveAdvancedService } = require('./document');
+const {
+  createUrlFetchApp, createUi, createHtmlService, createPropertiesService, createSession, createScriptApp, createLockService
+} = require('./services');
+
+// The script files live one directory up
+const PROJECT_DIR = path.resolve(__dirname, '..');
+
+/**
+ * Lists the script files in the order clasp pushes them
+ * @param {string} projectDir - The directory holding the .js files
+ * @returns {Array<string>} The file names
+ */
+function listScriptFiles(projectDir) {
+  return fs.readdirSync(projectDir).filter(name => name.endsWith('.js')).sort();
+}
+
+/**
+ * Creates an emulator seeded from a workbook fixture
+ * @param {Object} workbook - The workbook fixture (see the top of this file)
+ * @param {{baseDir: string, projectDir: string, console: Object, now: function(): number}} [options] - Where fixture
+ *     files are read from, where the script lives, where its console output goes and the clock to use
+ * @returns {Object} The emulator
+ */
+function createEmulator(workbook, options) {
+  const { baseDir = process.cwd(), projectDir = PROJECT_DIR, console: scriptConsole = console, now = Date.now } = options || {};
+  const drive = new Drive(now);
+  const ui = createUi(workbook.ui || []);
+  const properties = createPropertiesService(workbook.properties);
+  const scriptApp = createScriptApp(now);
+  const locks = createLockService();
+  const fetchLog = [];
+  const state = { drive, ui, spreadsheets: new Map(), documents: new Map(), activeSpreadsheetId: null };
+
+  (workbook.spreadsheets || []).forEach(fixture => {
+    const spreadsheet = new Spreadsheet(drive, fixture.name || 'Untitled spreadsheet');
+    if (fixture.id) {
+      drive.registerWithId(spreadsheet.file, fixture.id);
+    }
+    spreadsheet.load(fixture);
+    drive.getFolderByPath(fixture.folder).addItem(spreadsheet.file);
+    state.spreadsheets.set(spreadsheet.getId(), spreadsheet);
+  });
+  (workbook.documents || []).forEach(fixture => {
+    const doc = new Document(drive, fixture.name || 'Untitled document', state.documents);
+    doc.load(fixture);
+    drive.getFolderByPath(fixture.folder).addItem(doc.file);
+  });
+  state.activeSpreadsheetId = workbook.activeSpreadsheetId || (state.spreadsheets.size > 0 ? state.spreadsheets.keys().next().value : null);
+
+  const services = {
+    SpreadsheetApp: createSpreadsheetApp(state),
+    DocumentApp: createDocumentApp(state),
+    DriveApp: drive.createService(),
+    UrlFetchApp: createUrlFetchApp(workbook.urls || {}, baseDir, fetchLog),
+    Utilities: createUtilities(),
+    HtmlService: createHtmlService(),
+    PropertiesService: properties.service,
+    Session: createSession(workbook.timeZone || 'UTC'),
+    ScriptApp: scriptApp.service,
+    LockService: locks.service,
+    MimeType: MIME_TYPES
+  };
+  if ((workbook.advancedServices || []).includes('Drive')) {
+    services.Drive = createDriveAdvancedService(state);
+  }
+
+  const context = vm.createContext(Object.assign({ console: scriptConsole }, services));
+  listScriptFiles(projectDir).forEach(name => {
+    vm.runInContext(fs.readFileSync(path.join(projectDir, name), 'utf8'), context, { filename: name });
+  });
+
+  return {
+    context,
+    services,
+    drive,
+    fetchLog,
+    dialogs: ui.dialogs,
+    menus: ui.menus,
+    properties: properties.stores,
+    triggers: scriptApp.triggers,
+
+    /**
+     * Runs a script function, as the menu, a trigger or the script editor would. Locks it took are released when
+     * it returns, as at the end of an execution
+     * @param {string} functionName - The function name
+     * @param {...any} args - Arguments to pass
+     * @returns {any} What the function returned
+     */
+    run(functionName, ...args) {
+      if (typeof context[functionName] !== 'function') {
+        throw new Error(`Script function not found: ${functionName}`);
+      }
+      try {
+        return context[functionName](...args);
+      } finally {
+        locks.releaseAll();
+      }
+    },
+
+    /**
+     * Evaluates an expression in the script's global scope, e.g. to read a top-level const
+     * @param {string} expression - The expression
+     * @returns {any} Its value
+     */
+    evaluate(expression) {
+      return vm.runInContext(expression, context);
+    },
+
+    spreadsheet: id => services.SpreadsheetApp.openById(id),
+    documents: () => Array.from(state.documents.values()),
+    outline,
+    pathOf: item => drive.getPath(item)
+  };
+}
+
+/**
+ * Creates an emulator from a workbook fixture file
+ * @param {string} file - The path to the workbook JSON
+ * @param {Object} [options] - As for createEmulator; baseDir defaults to the fixture's directory
+ * @returns {Object} The emulator
+ */
+function loadWorkbook(file, options) {
+  const workbook = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return createEmulator(workbook, Object.assign({ baseDir: path.dirname(path.resolve(file)) }, options));
+}
+
+module.exports = { createEmulator, loadWorkbook, listScriptFiles };
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+// Runs a script function against a workbook fixture and prints the documents it created
+//
+// Usage: node emulator/run.js [workbook.json] [functionName] [--verbose] [--json]
+//   workbook.json  defaults to emulator/fixtures/basic/workbook.json
+//   functionName   defaults to main
+//   --verbose      shows the script's console output
+//   --json         prints the document trees as JSON instead of an outline
+
+const path = require('path');
+const { loadWorkbook } = require('./index');
+
+const args = process.argv.slice(2);
+const flags = args.filter(arg => arg.startsWith('--'));
+const [workbookFile = path.join(__dirname, 'fixtures', 'basic', 'workbook.json'), functionName = 'main'] = args.filter(arg => !arg.startsWith('--'));
+
+const quiet = { log: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+const emulator = loadWorkbook(workbookFile, { console: flags.includes('--verbose') ? console : quiet });
+
+const existing = new Set(emulator.documents());
+let failed = false;
+try {
+  emulator.run(functionName);
+} catch (error) {
+  failed = true;
+  console.error(`${functionName} failed: ${error.message}`);
+}
+
+const created = emulator.documents().filter(doc => !existing.has(doc));
+created.forEach(doc => {
+  console.log(flags.includes('--json') ? JSON.stringify(doc.toJSON(), null, 2) : emulator.outline(doc));
+  console.log(`(saved to ${emulator.pathOf(doc.file)})\n`);
+});
+emulator.dialogs.forEach(dialog => console.log(dialog.content !== undefined
+  ? `${dialog.kind}: ${dialog.title} (${dialog.content.length} characters of HTML)`
+  : `${dialog.kind}: ${dialog.title} - ${dialog.prompt} -> ${dialog.response}`));
+console.log(`${emulator.fetchLog.length} fetches, ${created.length} documents`);
+process.exitCode = failed ? 1 : 0;
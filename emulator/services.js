@@ -0,0 +1,327 @@
+// UrlFetchApp, the spreadsheet UI, HtmlService, PropertiesService, Session,
+// ScriptApp and LockService for the emulator
+//
+// Fetches are answered from local files listed in the workbook fixture, and
+// every fetch is logged so callers can check what was downloaded. Dialogs are
+// answered from a queue of scripted responses and recorded, as are sidebars
+// and HTML dialogs with the page they showed. Properties are seeded from the
+// fixture and kept in memory, with the 9 KB limit on each value. Triggers are only recorded: nothing fires them,
+// so callers run their handler functions themselves. Locks are held until the
+// script function that took them returns.
+
+const fs = require('fs');
+const path = require('path');
+const { Blob } = require('./drive');
+
+// Largest property value Apps Script accepts, in bytes
+const PROPERTY_VALUE_LIMIT = 9 * 1024;
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.txt': 'text/plain',
+  '.html': 'text/html',
+  '.json': 'application/json'
+};
+
+class HTTPResponse {
+  constructor(status, blob, etag) {
+    this.status = status;
+    this.blob = blob;
+    this.etag = etag || null;
+  }
+
+  getResponseCode() { return this.status; }
+  getBlob() { return this.blob.copyBlob(); }
+  getContent() { return this.blob.getBytes(); }
+  getContentText() { return this.blob.getDataAsString(); }
+  getHeaders() {
+    const headers = { 'Content-Type': this.blob.getContentType() };
+    if (this.etag) {
+      headers.ETag = this.etag;
+    }
+    return headers;
+  }
+  getAllHeaders() { return this.getHeaders(); }
+}
+
+/**
+ * Creates the UrlFetchApp service
+ * @param {Object} urls - The fixture URL map: a file path, or {file, contentType, status, etag}, for each URL. A
+ *     request whose If-None-Match header matches the etag is answered with 304 Not Modified
+ * @param {string} baseDir - The directory file paths are relative to
+ * @param {Array<string>} fetchLog - Receives every URL fetched
+ * @returns {Object} The service
+ */
+function createUrlFetchApp(urls, baseDir, fetchLog) {
+  const fetch = (url, params) => {
+    fetchLog.push(url);
+    const entry = urls[url];
+    if (!entry) {
+      throw new Error(`Address unavailable: ${url}`);
+    }
+
+    const { file, contentType, status = 200, etag } = typeof entry === 'string' ? { file: entry } : entry;
+    const headers = (params && params.headers) || {};
+    if (etag && headers['If-None-Match'] === etag) {
+      return new HTTPResponse(304, new Blob(Buffer.alloc(0), 'application/octet-stream', null), etag);
+    }
+    const bytes = file ? fs.readFileSync(path.resolve(baseDir, file)) : Buffer.alloc(0);
+    const type = contentType || CONTENT_TYPES[path.extname(file || '').toLowerCase()] || 'application/octet-stream';
+    const blob = new Blob(bytes, type, file ? path.basename(file) : null);
+    if (status >= 400 && !(params && params.muteHttpExceptions)) {
+      throw new Error(`Request failed for ${url} returned code ${status}. Truncated server response: (use muteHttpExceptions option to examine full response)`);
+    }
+    return new HTTPResponse(status, blob, etag);
+  };
+
+  return {
+    fetch,
+    fetchAll: requests => requests.map(request => typeof request === 'string' ? fetch(request) : fetch(request.url, request))
+  };
+}
+
+/**
+ * Creates the spreadsheet UI with scripted dialog responses
+ * @param {Array<{button: string, text: string}>} responses - Answers for alerts and prompts, used in order.
+ *     Alerts with no scripted answer are dismissed with OK; prompts with none fail
+ * @returns {{service: Object, dialogs: Array<Object>, menus: Array<Object>}} The service and what it showed
+ */
+function createUi(responses) {
+  const queue = responses.slice();
+  const dialogs = [];
+  const menus = [];
+  const Button = { OK: 'OK', CANCEL: 'CANCEL', YES: 'YES', NO: 'NO', CLOSE: 'CLOSE' };
+  const ButtonSet = { OK: 'OK', OK_CANCEL: 'OK_CANCEL', YES_NO: 'YES_NO', YES_NO_CANCEL: 'YES_NO_CANCEL' };
+
+  // Apps Script allows alert(prompt), alert(prompt, buttons) and alert(title, prompt, buttons)
+  const parseArguments = args => {
+    if (args.length === 1) return { title: '', prompt: args[0], buttons: ButtonSet.OK };
+    if (args.length === 2 && ButtonSet[args[1]]) return { title: '', prompt: args[0], buttons: args[1] };
+    return { title: args[0], prompt: args[1], buttons: args[2] || ButtonSet.OK };
+  };
+
+  const createMenu = name => {
+    const menu = { name, items: [] };
+    const builder = {
+      addItem: (caption, functionName) => { menu.items.push({ caption, functionName }); return builder; },
+      addSeparator: () => { menu.items.push({ separator: true }); return builder; },
+      addSubMenu: subMenu => { menu.items.push({ subMenu: subMenu.menu }); return builder; },
+      addToUi: () => { menus.push(menu); },
+      menu
+    };
+    return builder;
+  };
+
+  const service = {
+    Button,
+    ButtonSet,
+    createMenu,
+    alert: (...args) => {
+      const dialog = Object.assign({ kind: 'alert' }, parseArguments(args));
+      const response = queue.shift();
+      dialog.response = response ? response.button : Button.OK;
+      dialogs.push(dialog);
+      return dialog.response;
+    },
+    showSidebar: output => {
+      dialogs.push({ kind: 'sidebar', title: output.getTitle(), prompt: '', response: null, content: output.getContent() });
+    },
+    showModalDialog: (output, title) => {
+      dialogs.push({ kind: 'modal', title, prompt: '', response: null, content: output.getContent() });
+    },
+    prompt: (...args) => {
+      const dialog = Object.assign({ kind: 'prompt' }, parseArguments(args));
+      const response = queue.shift();
+      if (!response) {
+        throw new Error(`No scripted response for prompt "${dialog.prompt}"`);
+      }
+      dialog.response = response.button || Button.OK;
+      dialog.text = response.text || '';
+      dialogs.push(dialog);
+      return { getSelectedButton: () => dialog.response, getResponseText: () => dialog.text };
+    }
+  };
+
+  return { service, dialogs, menus };
+}
+
+/**
+ * Creates the HtmlService, for pages shown in sidebars and dialogs
+ * @returns {Object} The service
+ */
+function createHtmlService() {
+  const createOutput = content => {
+    let html = String(content || '');
+    let title = '';
+    const output = {
+      getContent: () => html,
+      setContent: newContent => { html = String(newContent); return output; },
+      append: more => { html += more; return output; },
+      getTitle: () => title,
+      setTitle: newTitle => { title = newTitle; return output; },
+      setWidth: () => output,
+      setHeight: () => output
+    };
+    return output;
+  };
+  return { createHtmlOutput: createOutput };
+}
+
+/**
+ * Creates the PropertiesService
+ * @param {{script: Object, document: Object, user: Object}} initial - The starting properties of each store
+ * @returns {{service: Object, stores: Object}} The service and its stores, keyed by "script", "document" and "user"
+ */
+function createPropertiesService(initial) {
+  const stores = {};
+  const createStore = name => {
+    const values = new Map(Object.keys((initial || {})[name] || {}).map(key => [key, String(initial[name][key])]));
+    stores[name] = values;
+    const set = (key, value) => {
+      const text = String(value);
+      if (Buffer.byteLength(text, 'utf8') > PROPERTY_VALUE_LIMIT) {
+        throw new Error(`Argument too large: value (the "${key}" property would hold ${Buffer.byteLength(text, 'utf8')} bytes)`);
+      }
+      values.set(key, text);
+    };
+    const store = {
+      getProperty: key => values.has(key) ? values.get(key) : null,
+      setProperty: (key, value) => { set(key, value); return store; },
+      deleteProperty: key => { values.delete(key); return store; },
+      getProperties: () => Object.fromEntries(values),
+      setProperties: (properties, deleteAllOthers) => {
+        if (deleteAllOthers) {
+          values.clear();
+        }
+        Object.keys(properties).forEach(key => set(key, properties[key]));
+        return store;
+      },
+      getKeys: () => Array.from(values.keys()),
+      deleteAllProperties: () => { values.clear(); return store; }
+    };
+    return store;
+  };
+
+  const script = createStore('script');
+  const document = createStore('document');
+  const user = createStore('user');
+  return {
+    service: {
+      getScriptProperties: () => script,
+      getDocumentProperties: () => document,
+      getUserProperties: () => user
+    },
+    stores
+  };
+}
+
+/**
+ * Creates the Session service
+ * @param {string} timeZone - The script time zone
+ * @returns {Object} The service
+ */
+function createSession(timeZone) {
+  return {
+    getScriptTimeZone: () => timeZone
+  };
+}
+
+/**
+ * Creates the ScriptApp service, for installable triggers
+ * @param {function(): number} now - The clock, for when time-driven triggers are due
+ * @returns {{service: Object, triggers: Array<Object>}} The service and the project's triggers
+ */
+function createScriptApp(now) {
+  const triggers = [];
+  let nextId = 1;
+  const createTrigger = (handlerFunction, dueAt) => {
+    const trigger = {
+      id: String(nextId++),
+      handlerFunction,
+      dueAt,
+      getUniqueId: () => trigger.id,
+      getHandlerFunction: () => handlerFunction,
+      getEventType: () => 'CLOCK',
+      getTriggerSource: () => 'CLOCK'
+    };
+    triggers.push(trigger);
+    return trigger;
+  };
+
+  const service = {
+    EventType: { CLOCK: 'CLOCK' },
+    TriggerSource: { CLOCK: 'CLOCK' },
+    newTrigger: handlerFunction => ({
+      timeBased: () => {
+        let dueAt = null;
+        const builder = {
+          after: ms => { dueAt = new Date(now() + ms); return builder; },
+          at: date => { dueAt = new Date(date.getTime()); return builder; },
+          create: () => {
+            if (!dueAt) {
+              throw new Error('A time-based trigger needs after() or at() before create()');
+            }
+            return createTrigger(handlerFunction, dueAt);
+          }
+        };
+        return builder;
+      }
+    }),
+    getProjectTriggers: () => triggers.slice(),
+    deleteTrigger: trigger => {
+      const index = triggers.findIndex(candidate => candidate.id === trigger.getUniqueId());
+      if (index !== -1) {
+        triggers.splice(index, 1);
+      }
+    }
+  };
+  return { service, triggers };
+}
+
+/**
+ * Creates the LockService. Each kind of lock can be held by one Lock object at a time
+ * @returns {{service: Object, releaseAll: function()}} The service, and a function releasing every lock held
+ */
+function createLockService() {
+  const holders = new Map();
+  const createLock = kind => {
+    const lock = {
+      tryLock: () => {
+        if (holders.has(kind) && holders.get(kind) !== lock) {
+          return false;
+        }
+        holders.set(kind, lock);
+        return true;
+      },
+      waitLock: timeoutInMillis => {
+        if (!lock.tryLock(timeoutInMillis)) {
+          throw new Error('Lock timeout: another process was holding the lock for too long.');
+        }
+      },
+      hasLock: () => holders.get(kind) === lock,
+      releaseLock: () => {
+        if (holders.get(kind) === lock) {
+          holders.delete(kind);
+        }
+      }
+    };
+    return lock;
+  };
+
+  return {
+    service: {
+      getScriptLock: () => createLock('script'),
+      getDocumentLock: () => createLock('document'),
+      getUserLock: () => createLock('user')
+    },
+    releaseAll: () => holders.clear()
+  };
+}
+
+module.exports = {
+  createUrlFetchApp, createUi, createHtmlService, createPropertiesService, createSession, createScriptApp, createLockService
+};
@@ -0,0 +1,465 @@
+// In-memory SpreadsheetApp
+//
+// Sheets are sparse maps of cells. Each cell keeps its value, formula, font
+// weight, background, borders and (for images placed in a cell) its image URL.
+// Formulas are not evaluated: a formula cell returns the value given for it in
+// the fixture, which is what the script reads back from IMAGE() cells anyway.
+
+const { Blob, File, MIME_TYPES } = require('./drive');
+const { formatCell, parseA1, listCells, splitSheetName } = require('./a1');
+
+const DEFAULT_MAX_ROWS = 1000;
+const DEFAULT_MAX_COLUMNS = 26;
+
+const BORDER_STYLES = {
+  DOTTED: 'DOTTED',
+  DASHED: 'DASHED',
+  SOLID: 'SOLID',
+  SOLID_MEDIUM: 'SOLID_MEDIUM',
+  SOLID_THICK: 'SOLID_THICK',
+  DOUBLE: 'DOUBLE'
+};
+
+/**
+ * Creates an empty cell
+ * @returns {Object} The cell
+ */
+function createCell() {
+  return { value: '', formula: '', fontWeight: 'normal', background: '#ffffff', image: null, borders: {} };
+}
+
+class CellImage {
+  constructor(url, altTitle, altDescription) {
+    this.url = url;
+    this.altTitle = altTitle || '';
+    this.altDescription = altDescription || '';
+    this.valueType = 'IMAGE';
+  }
+
+  getContentUrl() { return this.url; }
+  getUrl() { return this.url; }
+  getAltTextTitle() { return this.altTitle; }
+  getAltTextDescription() { return this.altDescription; }
+  toString() { return 'CellImage'; }
+}
+
+class Range {
+  constructor(sheet, row, column, numRows, numColumns) {
+    this.sheet = sheet;
+    this.row = row;
+    this.column = column;
+    this.numRows = numRows;
+    this.numColumns = numColumns;
+  }
+
+  getSheet() { return this.sheet; }
+  getRow() { return this.row; }
+  getColumn() { return this.column; }
+  getLastRow() { return this.row + this.numRows - 1; }
+  getLastColumn() { return this.column + this.numColumns - 1; }
+  getNumRows() { return this.numRows; }
+  getNumColumns() { return this.numColumns; }
+
+  getA1Notation() {
+    const start = formatCell(this.row, this.column);
+    return this.numRows === 1 && this.numColumns === 1 ? start : `${start}:${formatCell(this.getLastRow(), this.getLastColumn())}`;
+  }
+
+  getCell(row, column) {
+    return new Range(this.sheet, this.row + row - 1, this.column + column - 1, 1, 1);
+  }
+
+  offset(rowOffset, columnOffset, numRows, numColumns) {
+    return new Range(this.sheet, this.row + rowOffset, this.column + columnOffset, numRows || this.numRows, numColumns || this.numColumns);
+  }
+
+  /**
+   * Reads a property of every cell in the range
+   * @param {function(Object): any} read - Reads the property from a cell
+   * @returns {Array<Array<any>>} The values, row by row
+   */
+  map(read) {
+    return Array.from({ length: this.numRows }, (_, i) =>
+      Array.from({ length: this.numColumns }, (_, j) => read(this.sheet.peekCell(this.row + i, this.column + j))));
+  }
+
+  /**
+   * Writes a property to every cell in the range
+   * @param {Array<Array<any>>} grid - The values, row by row, matching the range dimensions
+   * @param {function(Object, any): void} write - Writes the property to a cell
+   * @returns {Range} The range, for chaining
+   */
+  write(grid, write) {
+    if (!Array.isArray(grid) || grid.length !== this.numRows || grid.some(row => !Array.isArray(row) || row.length !== this.numColumns)) {
+      const rows = Array.isArray(grid) ? grid.length : 0;
+      const columns = Array.isArray(grid) && Array.isArray(grid[0]) ? grid[0].length : 0;
+      throw new Error(`The number of rows or columns in the data does not match the range. The data has ${rows} rows and ${columns} columns but the range has ${this.numRows} rows and ${this.numColumns} columns.`);
+    }
+    grid.forEach((gridRow, i) => gridRow.forEach((value, j) => write(this.sheet.getCellData(this.row + i, this.column + j), value)));
+    return this;
+  }
+
+  fill(value) {
+    return Array.from({ length: this.numRows }, () => new Array(this.numColumns).fill(value));
+  }
+
+  getValues() { return this.map(cell => cell.image ? new CellImage(cell.image.url, cell.image.altTitle, cell.image.altDescription) : cell.value); }
+  getValue() { return this.getCell(1, 1).getValues()[0][0]; }
+  getDisplayValues() { return this.map(cell => cell.image ? '' : String(cell.value)); }
+  getDisplayValue() { return this.getCell(1, 1).getDisplayValues()[0][0]; }
+  getFormulas() { return this.map(cell => cell.formula); }
+  getFormula() { return this.getFormulas()[0][0]; }
+  getFontWeights() { return this.map(cell => cell.fontWeight); }
+  getFontWeight() { return this.getFontWeights()[0][0]; }
+  getBackgrounds() { return this.map(cell => cell.background); }
+  getBackground() { return this.getBackgrounds()[0][0]; }
+
+  setValues(values) {
+    return this.write(values, (cell, value) => {
+      if (typeof value === 'string' && value.startsWith('=')) {
+        cell.formula = value;
+        cell.value = '';
+      } else {
+        cell.formula = '';
+        cell.value = value === null || value === undefined ? '' : value;
+      }
+      cell.image = null;
+    });
+  }
+
+  setValue(value) { return this.setValues(this.fill(value)); }
+  setFormulas(formulas) { return this.write(formulas, (cell, formula) => { cell.formula = formula; cell.value = ''; }); }
+  setFormula(formula) { return this.setFormulas(this.fill(formula)); }
+  setFontWeights(weights) { return this.write(weights, (cell, weight) => cell.fontWeight = weight || 'normal'); }
+  setFontWeight(weight) { return this.setFontWeights(this.fill(weight)); }
+  setBackgrounds(colors) { return this.write(colors, (cell, color) => cell.background = color || '#ffffff'); }
+  setBackground(color) { return this.setBackgrounds(this.fill(color)); }
+
+  clearContent() { return this.write(this.fill(null), cell => { cell.value = ''; cell.formula = ''; cell.image = null; }); }
+  clearFormat() { return this.write(this.fill(null), cell => { cell.fontWeight = 'normal'; cell.background = '#ffffff'; cell.borders = {}; }); }
+  clear() { this.clearContent(); return this.clearFormat(); }
+
+  /**
+   * Sets borders the way Range.setBorder does: true draws, false clears and null leaves a side as it is
+   */
+  setBorder(top, left, bottom, right, vertical, horizontal, color, style) {
+    const border = { color: color || 'black', style: style || BORDER_STYLES.SOLID };
+    const apply = (cell, side, flag) => {
+      if (flag === true) {
+        cell.borders[side] = border;
+      } else if (flag === false) {
+        delete cell.borders[side];
+      }
+    };
+    const lastRow = this.getLastRow();
+    const lastColumn = this.getLastColumn();
+    for (let r = this.row; r <= lastRow; r++) {
+      for (let c = this.column; c <= lastColumn; c++) {
+        const cell = this.sheet.getCellData(r, c);
+        apply(cell, 'top', r === this.row ? top : horizontal);
+        apply(cell, 'bottom', r === lastRow ? bottom : horizontal);
+        apply(cell, 'left', c === this.column ? left : vertical);
+        apply(cell, 'right', c === lastColumn ? right : vertical);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Gets the borders drawn on each cell (emulator only)
+   * @returns {Array<Array<Object>>} The borders of each cell, keyed by side
+   */
+  getBorders() {
+    return this.map(cell => Object.assign({}, cell.borders));
+  }
+}
+
+class Sheet {
+  constructor(spreadsheet, name) {
+    this.spreadsheet = spreadsheet;
+    this.name = name;
+    this.sheetId = spreadsheet.nextSheetId++;
+    this.cells = new Map();
+    this.maxRows = DEFAULT_MAX_ROWS;
+    this.maxColumns = DEFAULT_MAX_COLUMNS;
+    this.frozenRows = 0;
+  }
+
+  getName() { return this.name; }
+  getParent() { return this.spreadsheet; }
+  setActiveSelection(a1) { return this.setActiveRange(this.getRange(a1)); }
+  setActiveRange(range) { return this.spreadsheet.setActiveRange(range); }
+  getSheetId() { return this.sheetId; }
+  getMaxRows() { return this.maxRows; }
+  getMaxColumns() { return this.maxColumns; }
+  activate() { this.spreadsheet.activeSheet = this; return this; }
+  getFrozenRows() { return this.frozenRows; }
+  setFrozenRows(rows) { this.frozenRows = rows; return this; }
+
+  setName(name) {
+    const clash = this.spreadsheet.getSheetByName(name);
+    if (clash && clash !== this) {
+      throw new Error(`A sheet with the name "${name}" already exists. Please enter another name.`);
+    }
+    this.name = name;
+    return this;
+  }
+
+  peekCell(row, column) {
+    return this.cells.get(`${row},${column}`) || createCell();
+  }
+
+  getCellData(row, column) {
+    const key = `${row},${column}`;
+    if (!this.cells.has(key)) {
+      this.cells.set(key, createCell());
+      this.maxRows = Math.max(this.maxRows, row);
+      this.maxColumns = Math.max(this.maxColumns, column);
+    }
+    return this.cells.get(key);
+  }
+
+  getRange(rowOrA1, column, numRows, numColumns) {
+    if (typeof rowOrA1 === 'string') {
+      const parsed = parseA1(rowOrA1, { maxRows: this.maxRows, maxColumns: this.maxColumns });
+      return new Range(this, parsed.row, parsed.column, parsed.numRows, parsed.numColumns);
+    }
+    const dimensions = [rowOrA1, column, numRows === undefined ? 1 : numRows, numColumns === undefined ? 1 : numColumns];
+    if (dimensions.some(n => !Number.isInteger(n) || n < 1)) {
+      throw new Error('The coordinates or dimensions of the range are invalid.');
+    }
+    return new Range(this, ...dimensions);
+  }
+
+  hasContent(cell) {
+    return cell.value !== '' || cell.formula !== '' || cell.image !== null;
+  }
+
+  getLastRow() {
+    let last = 0;
+    this.cells.forEach((cell, key) => {
+      if (this.hasContent(cell)) {
+        last = Math.max(last, parseInt(key.split(',')[0]));
+      }
+    });
+    return last;
+  }
+
+  getLastColumn() {
+    let last = 0;
+    this.cells.forEach((cell, key) => {
+      if (this.hasContent(cell)) {
+        last = Math.max(last, parseInt(key.split(',')[1]));
+      }
+    });
+    return last;
+  }
+
+  getDataRange() {
+    return new Range(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  clear() {
+    this.cells.clear();
+    return this;
+  }
+
+  appendRow(values) {
+    const row = this.getLastRow() + 1;
+    this.getRange(row, 1, 1, values.length).setValues([values]);
+    return this;
+  }
+
+  copyTo(spreadsheet) {
+    let name = `Copy of ${this.name}`;
+    for (let n = 2; spreadsheet.getSheetByName(name); n++) {
+      name = `Copy of ${this.name} ${n}`;
+    }
+    const copy = spreadsheet.insertSheet(name);
+    this.cells.forEach((cell, key) => copy.cells.set(key, JSON.parse(JSON.stringify(cell))));
+    copy.maxRows = this.maxRows;
+    copy.maxColumns = this.maxColumns;
+    return copy;
+  }
+
+  /**
+   * Loads a sheet from its fixture (emulator only)
+   * @param {{values: Array<Array<any>>, formulas: Object, bold: Array<string>, backgrounds: Object, images: Object}} fixture - The fixture.
+   *     Values start at A1; formulas, backgrounds and images are keyed by A1 address; bold lists cells and ranges
+   */
+  load(fixture) {
+    (fixture.values || []).forEach((valueRow, i) => valueRow.forEach((value, j) => {
+      if (value !== null && value !== '') {
+        this.getCellData(i + 1, j + 1).value = value;
+      }
+    }));
+    Object.keys(fixture.formulas || {}).forEach(a1 => {
+      const { row, column } = listCells(a1)[0];
+      this.getCellData(row, column).formula = fixture.formulas[a1];
+    });
+    (fixture.bold || []).forEach(a1 => listCells(a1).forEach(({ row, column }) => this.getCellData(row, column).fontWeight = 'bold'));
+    Object.keys(fixture.backgrounds || {}).forEach(a1 => listCells(a1).forEach(({ row, column }) => this.getCellData(row, column).background = fixture.backgrounds[a1]));
+    Object.keys(fixture.images || {}).forEach(a1 => {
+      const { row, column } = listCells(a1)[0];
+      const image = fixture.images[a1];
+      this.getCellData(row, column).image = typeof image === 'string' ? { url: image } : image;
+    });
+  }
+
+  /**
+   * Dumps the sheet in the fixture format (emulator only)
+   * @returns {Object} The fixture
+   */
+  toJSON() {
+    const lastRow = this.getLastRow();
+    const lastColumn = this.getLastColumn();
+    const values = lastRow === 0 ? [] : this.getRange(1, 1, lastRow, lastColumn).map(cell => cell.value);
+    const formulas = {};
+    const images = {};
+    const bold = [];
+    const backgrounds = {};
+    Array.from(this.cells.keys())
+      .map(key => key.split(',').map(Number))
+      .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+      .forEach(([row, column]) => {
+        const cell = this.peekCell(row, column);
+        const a1 = formatCell(row, column);
+        if (cell.formula) formulas[a1] = cell.formula;
+        if (cell.image) images[a1] = cell.image.url;
+        if (cell.fontWeight === 'bold') bold.push(a1);
+        if (cell.background !== '#ffffff') backgrounds[a1] = cell.background;
+      });
+    return { name: this.name, values, formulas, bold, backgrounds, images };
+  }
+}
+
+class Spreadsheet {
+  constructor(drive, name) {
+    this.drive = drive;
+    this.sheets = [];
+    this.namedRanges = new Map();
+    this.nextSheetId = 0;
+    this.activeSheet = null;
+    this.activeRanges = [];
+    this.file = drive.register(new File(drive, name, MIME_TYPES.GOOGLE_SHEETS, () => new Blob(JSON.stringify(this.toJSON(), null, 2), 'application/json')));
+  }
+
+  getId() { return this.file.id; }
+  getName() { return this.file.name; }
+  rename(name) { this.file.setName(name); }
+  getUrl() { return `https://docs.google.com/spreadsheets/d/${this.getId()}/edit`; }
+  getSheets() { return this.sheets.slice(); }
+  getSheetByName(name) { return this.sheets.find(sheet => sheet.name === name) || null; }
+  getActiveSheet() { return this.activeSheet || this.sheets[0]; }
+  getActiveRange() { return this.activeRanges[0] || this.getActiveSheet().getRange('A1'); }
+  getActiveRangeList() { return { getRanges: () => this.activeRanges.length > 0 ? this.activeRanges.slice() : [this.getActiveRange()] }; }
+  setActiveSelection(reference) { return this.setActiveRange(this.getRange(reference)); }
+
+  setActiveRange(range) {
+    this.activeSheet = range.getSheet();
+    this.activeRanges = [range];
+    return range;
+  }
+
+  /**
+   * Selects several ranges at once, like a ctrl-click selection (emulator only)
+   * @param {Array<string>} references - The ranges, each with a sheet name
+   */
+  setActiveRanges(references) {
+    this.activeRanges = references.map(reference => this.getRange(reference));
+    this.activeSheet = this.activeRanges[0].getSheet();
+  }
+  getAs(contentType) { return this.file.getAs(contentType); }
+
+  insertSheet(name) {
+    const sheetName = name || `Sheet${this.sheets.length + 1}`;
+    if (this.getSheetByName(sheetName)) {
+      throw new Error(`A sheet with the name "${sheetName}" already exists. Please enter another name.`);
+    }
+    const sheet = new Sheet(this, sheetName);
+    this.sheets.push(sheet);
+    return sheet;
+  }
+
+  deleteSheet(sheet) {
+    if (this.sheets.length === 1) {
+      throw new Error('You can\'t remove all the sheets in a document.');
+    }
+    this.sheets = this.sheets.filter(existing => existing !== sheet);
+  }
+
+  getRange(reference) {
+    const { sheetName, a1 } = splitSheetName(reference);
+    const sheet = sheetName === null ? this.getActiveSheet() : this.getSheetByName(sheetName);
+    if (!sheet) {
+      throw new Error(`Range not found: ${reference}`);
+    }
+    return sheet.getRange(a1);
+  }
+
+  getRangeByName(name) {
+    const reference = this.namedRanges.get(name);
+    return reference ? this.getRange(reference) : null;
+  }
+
+  setNamedRange(name, range) {
+    const sheetName = range.getSheet().getName().replace(/'/g, "''");
+    this.namedRanges.set(name, `'${sheetName}'!${range.getA1Notation()}`);
+  }
+
+  removeNamedRange(name) {
+    this.namedRanges.delete(name);
+  }
+
+  /**
+   * Loads sheets and named ranges from a fixture (emulator only)
+   * @param {{sheets: Array<Object>, namedRanges: Object, selection: Array<string>}} fixture - The fixture; selection
+   *     lists the selected ranges, each with a sheet name
+   */
+  load(fixture) {
+    (fixture.sheets || []).forEach(sheetFixture => this.insertSheet(sheetFixture.name).load(sheetFixture));
+    Object.keys(fixture.namedRanges || {}).forEach(name => this.namedRanges.set(name, fixture.namedRanges[name]));
+    if (fixture.selection) {
+      this.setActiveRanges(fixture.selection);
+    }
+  }
+
+  toJSON() {
+    const namedRanges = {};
+    this.namedRanges.forEach((reference, name) => namedRanges[name] = reference);
+    return { id: this.getId(), name: this.getName(), sheets: this.sheets.map(sheet => sheet.toJSON()), namedRanges };
+  }
+}
+
+/**
+ * Creates the SpreadsheetApp service
+ * @param {Object} emulator - The emulator state (drive, spreadsheets by id, active spreadsheet id, ui)
+ * @returns {Object} The service
+ */
+function createSpreadsheetApp(emulator) {
+  const openById = id => {
+    const spreadsheet = emulator.spreadsheets.get(id);
+    if (!spreadsheet) {
+      throw new Error(`Unexpected error while getting the method or property openById on object SpreadsheetApp. (no spreadsheet with id ${id})`);
+    }
+    return spreadsheet;
+  };
+
+  return {
+    BorderStyle: BORDER_STYLES,
+    openById,
+    getActiveSpreadsheet: () => emulator.activeSpreadsheetId ? openById(emulator.activeSpreadsheetId) : null,
+    getActive: () => emulator.activeSpreadsheetId ? openById(emulator.activeSpreadsheetId) : null,
+    getUi: () => emulator.ui.service,
+    flush: () => {},
+    create: name => {
+      const spreadsheet = new Spreadsheet(emulator.drive, name);
+      spreadsheet.insertSheet('Sheet1');
+      emulator.drive.root.addItem(spreadsheet.file);
+      emulator.spreadsheets.set(spreadsheet.getId(), spreadsheet);
+      return spreadsheet;
+    }
+  };
+}
+
+module.exports = { BORDER_STYLES, CellImage, Range, Sheet, Spreadsheet, createSpreadsheetApp };
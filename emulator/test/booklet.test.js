@@ -0,0 +1,188 @@
+// Checks the PDF saved beside each document and the booklet built from the selected rows
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBasicWorkbook, loadEditedBasicWorkbook } = require('./helpers');
+
+/**
+ * Lists the files in a Drive folder
+ * @param {Object} emulator - The emulator
+ * @param {string} folderPath - The folder path from My Drive
+ * @returns {Array<Object>} The files that are not in the trash
+ */
+function listFiles(emulator, folderPath) {
+  const files = emulator.drive.getFolderByPath(folderPath).getFiles();
+  const list = [];
+  while (files.hasNext()) {
+    const file = files.next();
+    if (!file.isTrashed()) {
+      list.push(file);
+    }
+  }
+  return list;
+}
+
+/**
+ * Finds the page each TITLE paragraph of a body starts on, counting pages by their page breaks
+ * @param {Object} body - The document body
+ * @returns {Array<{title: string, page: number}>} The titles in order
+ */
+function findTitlePages(body) {
+  let page = 1;
+  const titles = [];
+  body.children.forEach(child => {
+    if (child.getType() !== 'PARAGRAPH') {
+      return;
+    }
+    if (child.getHeading() === 'TITLE') {
+      titles.push({ title: child.getText(), page });
+    }
+    page += child.children.filter(grandchild => grandchild.getType() === 'PAGE_BREAK').length;
+  });
+  return titles;
+}
+
+test('PDF beside each document', () => {
+  const emulator = loadBasicWorkbook();
+  emulator.run('main');
+  emulator.run('main');
+  const pdfs = listFiles(emulator, 'Puzzles/Generated Files').filter(file => file.getMimeType() === 'application/pdf');
+  assert.deepStrictEqual(pdfs.map(file => file.getName()).sort(), ['Mint Hulzo Coin - basic4.pdf', 'Mint Hulzo Coin - jigsaw6.pdf']);
+});
+
+test('buildBooklet', async t => {
+  const emulator = loadBasicWorkbook();
+  emulator.run('getSpreadsheet').setActiveSelection('A2:A3');
+  emulator.run('buildBooklet');
+  const booklet = emulator.documents().find(doc => doc.getName() === 'Mint Hulzo Coin - Booklet (basic4, jigsaw6)');
+  const body = booklet.getBody();
+  const titles = findTitlePages(body);
+
+  await t.test('reports the booklet it built', () => {
+    assert.match(emulator.dialogs[0].prompt, /^Built "Mint Hulzo Coin - Booklet \(basic4, jigsaw6\)" from 2 puzzle\(s\)/);
+  });
+
+  await t.test('puts the clues first, then the reference pages, then the solutions', () => {
+    assert.deepStrictEqual(titles.map(({ title }) => title), [
+      'Mint Hulzo Coin',
+      'Basic 4x4',
+      'Jigsaw 6x6',
+      'Reference Images: Basic 4x4',
+      'Reference Images: Jigsaw 6x6',
+      'Solution: Basic 4x4',
+      'Solution: Jigsaw 6x6'
+    ]);
+  });
+
+  await t.test('lists the page each entry starts on in the contents', () => {
+    const entries = body.getParagraphs().filter(paragraph => / \.\.\. \d+$/.test(paragraph.getText()));
+    assert.deepStrictEqual(entries.map(paragraph => paragraph.getText()),
+      titles.slice(1).map(({ title, page }) => `${title} ... ${page}`));
+    entries.forEach(paragraph => assert.match(paragraph.getLinkUrl(), /^#bookmark=/));
+  });
+
+  await t.test('saves the booklet PDF with every page', () => {
+    const [pdf] = listFiles(emulator, 'Puzzles/Generated Files').filter(file => file.getName() === 'Mint Hulzo Coin - Booklet (basic4, jigsaw6).pdf');
+    const pages = emulator.run('countPdfPages', pdf.getBlob());
+    assert.ok(pages >= titles[titles.length - 1].page, `the PDF has ${pages} pages`);
+  });
+});
+
+test('countPdfPages', async t => {
+  const emulator = loadBasicWorkbook();
+  const pdf = text => emulator.services.Utilities.newBlob(text, 'application/pdf', 'test.pdf');
+
+  await t.test('reads the count of the root of the page tree', () => {
+    const data = ['%PDF-1.4', '1 0 obj << /Type /Pages /Kids [2 0 R 3 0 R] /Count 5 >> endobj',
+      '2 0 obj << /Type /Pages /Parent 1 0 R /Count 3 >> endobj', '3 0 obj << /Type /Pages /Parent 1 0 R /Count 2 >> endobj'].join('\n');
+    assert.strictEqual(emulator.run('countPdfPages', pdf(data)), 5);
+  });
+
+  await t.test('counts page objects when there is no page tree', () => {
+    assert.strictEqual(emulator.run('countPdfPages', pdf('<< /Type /Page >> << /Type /Page >>')), 2);
+    assert.throws(() => emulator.run('countPdfPages', pdf('%PDF-1.4')), /Could not count the pages/);
+  });
+});
+
+test('endsWithPageBreak', () => {
+  const emulator = loadBasicWorkbook();
+  const body = emulator.services.DocumentApp.create('Breaks').getBody();
+  assert.strictEqual(emulator.run('endsWithPageBreak', body), false);
+  body.appendPageBreak();
+  assert.strictEqual(emulator.run('endsWithPageBreak', body), true);
+  body.appendTable([['cell']]);
+  assert.strictEqual(emulator.run('endsWithPageBreak', body), false);
+});
+
+test('booklet template', async t => {
+  const emulator = loadEditedBasicWorkbook(workbook => workbook.advancedServices = ['Drive']);
+  const sudokus = emulator.run('getSpreadsheet');
+  sudokus.setActiveSelection('A2:A3');
+  const findBooklet = () => emulator.documents().find(doc => doc.getName() === 'Mint Hulzo Coin - Booklet (basic4, jigsaw6)' &&
+    !emulator.pathOf(doc.file).includes('/Archive/'));
+  const describeFooter = doc => doc.getFooter().getParagraphs().map(paragraph => `${paragraph.getAlignment()} ${paragraph.getText()}`);
+
+  await t.test('makes a default template with page numbers next to the spreadsheet', () => {
+    emulator.run('buildBooklet');
+    const template = emulator.documents().find(doc => doc.getName() === 'Booklet Template');
+    assert.ok(template, 'no Booklet Template was made');
+    const spreadsheetFile = emulator.services.DriveApp.getFileById(sudokus.getParent().getId());
+    assert.strictEqual(emulator.pathOf(template.file).replace(/[^/]*$/, ''), emulator.pathOf(spreadsheetFile).replace(/[^/]*$/, ''));
+    assert.deepStrictEqual(describeFooter(template), ['CENTER #']);
+    assert.deepStrictEqual(describeFooter(findBooklet()), ['CENTER #']);
+    assert.strictEqual(findBooklet().getBody().getMarginLeft(), 72);
+  });
+
+  await t.test('keeps one copy of the page numbers when the booklet is rebuilt', () => {
+    const id = findBooklet().getId();
+    emulator.run('buildBooklet');
+    assert.strictEqual(findBooklet().getId(), id);
+    assert.deepStrictEqual(describeFooter(findBooklet()), ['CENTER #']);
+    assert.strictEqual(emulator.documents().filter(doc => doc.getName() === 'Booklet Template').length, 1);
+  });
+
+  await t.test('leaves no scratch documents behind', () => {
+    const scratch = emulator.documents().filter(doc => doc.getName() === 'Booklet Page Count' && !doc.file.isTrashed());
+    assert.deepStrictEqual(scratch, []);
+  });
+});
+
+test('booklet selections', async t => {
+  const listBooklets = emulator => emulator.documents()
+    .filter(doc => doc.getName().startsWith('Mint Hulzo Coin - Booklet') && !doc.file.isTrashed() && !emulator.pathOf(doc.file).includes('/Archive/'));
+
+  await t.test('keeps a booklet for each selection of puzzles', () => {
+    const emulator = loadBasicWorkbook();
+    const sudokus = emulator.run('getSpreadsheet');
+    sudokus.setActiveSelection('A2');
+    emulator.run('buildBooklet');
+    const [single] = listBooklets(emulator);
+    sudokus.setActiveSelection('A2:A3');
+    emulator.run('buildBooklet');
+    sudokus.setActiveSelection('A2');
+    emulator.run('buildBooklet');
+
+    assert.deepStrictEqual(listBooklets(emulator).map(doc => doc.getName()).sort(),
+      ['Mint Hulzo Coin - Booklet (basic4)', 'Mint Hulzo Coin - Booklet (basic4, jigsaw6)']);
+    assert.strictEqual(listBooklets(emulator).find(doc => doc.getName() === 'Mint Hulzo Coin - Booklet (basic4)').getId(), single.getId());
+    assert.deepStrictEqual(listFiles(emulator, 'Puzzles/Generated Files').filter(file => file.getName().endsWith('.pdf')).map(file => file.getName()).sort(),
+      ['Mint Hulzo Coin - Booklet (basic4).pdf', 'Mint Hulzo Coin - Booklet (basic4, jigsaw6).pdf']);
+  });
+
+  await t.test('refuses more puzzles than a booklet holds', () => {
+    const emulator = loadBasicWorkbook();
+    emulator.evaluate('BOOKLET_CONFIG.maxPuzzles = 1');
+    emulator.run('getSpreadsheet').setActiveSelection('A2:A3');
+    emulator.run('buildBooklet');
+    assert.match(emulator.dialogs[0].prompt, /^A booklet holds at most 1 puzzles, to be built within the execution time limit, and the selection has 2\./);
+    assert.deepStrictEqual(listBooklets(emulator), []);
+  });
+
+  await t.test('trashes scratch documents left by a build that was cut short', () => {
+    const emulator = loadBasicWorkbook();
+    emulator.run('createDocument', 'Booklet Page Count');
+    emulator.run('getSpreadsheet').setActiveSelection('A2');
+    emulator.run('buildBooklet');
+    assert.deepStrictEqual(emulator.documents().filter(doc => doc.getName() === 'Booklet Page Count' && !doc.file.isTrashed()), []);
+  });
+});
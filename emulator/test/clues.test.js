@@ -0,0 +1,101 @@
+// Checks that every clue marking method reads basic4's clues, and that Validate All reports bad marks
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBasicWorkbook, plain } = require('./helpers');
+
+// basic4's bold clues, as marks over Answers4!B2:E5
+const BASIC4_MARKS = [
+  [false, true, false, false],
+  [false, true, true, false],
+  [true, false, true, false],
+  [true, true, false, false]
+];
+
+/**
+ * Loads the basic workbook with the clue marking columns added to the Sudokus sheet
+ * @param {string} method - The Clue Marking value for basic4
+ * @returns {{emulator: Object, sudokus: Object, answers: Object}} The emulator and the two sheets
+ */
+function loadWithMarking(method) {
+  const emulator = loadBasicWorkbook();
+  const sudokus = emulator.run('getSpreadsheet');
+  sudokus.getRange('X1:Y1').setValues([['Clue Marking', 'Clue Cells']]);
+  sudokus.getRange('X2').setValue(method);
+  const answers = sudokus.getParent().getSheetByName('Answers4');
+  return { emulator, sudokus, answers };
+}
+
+/**
+ * Turns the marks into cell values
+ * @param {Function} valueFor - Gives the value for a marked (true) or unmarked (false) cell
+ * @returns {Array<Array<any>>} One value per cell
+ */
+function marksTo(valueFor) {
+  return BASIC4_MARKS.map(row => row.map(valueFor));
+}
+
+test('readClueMarks', async t => {
+  const original = plain(loadBasicWorkbook().run('getRowSnapshot', 2).puzzle);
+
+  const setups = {
+    'bold (blank)': () => loadWithMarking(''),
+    background: () => {
+      const setup = loadWithMarking('background');
+      setup.answers.getRange('B2:E5').setFontWeight('normal').setBackgrounds(marksTo(marked => (marked ? '#ffff00' : null)));
+      return setup;
+    },
+    'background with a colour': () => {
+      const setup = loadWithMarking('Background #FFFF00');
+      setup.answers.getRange('B2:E5').setFontWeight('normal')
+        .setBackgrounds(marksTo(marked => (marked ? '#ffff00' : '#00ff00')));
+      return setup;
+    },
+    mask: () => {
+      const setup = loadWithMarking('mask');
+      setup.answers.getRange('B2:E5').setFontWeight('normal');
+      setup.answers.getRange('G2:J5').setValues(marksTo(marked => (marked ? 1 : '')));
+      return setup;
+    },
+    list: () => {
+      const setup = loadWithMarking('list');
+      setup.answers.getRange('B2:E5').setFontWeight('normal');
+      setup.sudokus.getRange('Y2').setValue('R1C2, R2C2; R2C3 R3C1,r3c3,R4C1,R4C2');
+      return setup;
+    }
+  };
+
+  for (const [name, setup] of Object.entries(setups)) {
+    await t.test(`reads basic4's clues by ${name}`, () => {
+      const { emulator } = setup();
+      const snapshot = emulator.run('getRowSnapshot', 2);
+      assert.deepStrictEqual(plain(snapshot.clueMarks), BASIC4_MARKS);
+      assert.deepStrictEqual(plain(snapshot.puzzle), original);
+    });
+  }
+});
+
+test('findClueMarkingProblem', async t => {
+  const cases = [
+    ['an unknown method', 'stripes', () => {}, 'Sudokus!X2', /Invalid clue marking "stripes"/],
+    ['a colour on a method other than background', 'mask #ffff00', () => {}, 'Sudokus!X2', /Invalid clue marking/],
+    ['a bad mask value', 'mask', ({ answers }) => answers.getRange('H3').setValue('maybe'), 'Answers4!G2',
+      /Invalid mask value "maybe" at row 2, column 2/],
+    ['a cell outside the grid', 'list', ({ sudokus }) => sudokus.getRange('Y2').setValue('R1C2, R5C1'), 'Sudokus!Y2',
+      /Invalid clue cell "R5C1"/]
+  ];
+
+  for (const [name, method, edit, cell, message] of cases) {
+    await t.test(`reports ${name}`, () => {
+      const setup = loadWithMarking(method);
+      edit(setup);
+      setup.emulator.run('validateAll');
+      const sheet = setup.sudokus.getParent().getSheetByName('Validation Report');
+      const report = plain(sheet.getDataRange().getValues()).slice(1);
+      assert.strictEqual(report.length, 1);
+      const [severity, row, reportedCell, problem] = report[0];
+      assert.deepStrictEqual([severity, row, reportedCell], ['Error', 2, cell]);
+      assert.match(problem, message);
+    });
+  }
+});
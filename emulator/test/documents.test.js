@@ -0,0 +1,97 @@
+// Checks that regenerating a puzzle rewrites its document in place and archives the previous content
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBasicWorkbook, findPuzzleDocument } = require('./helpers');
+
+test('regenerating a puzzle', async t => {
+  const emulator = loadBasicWorkbook();
+  emulator.run('main');
+  const first = findPuzzleDocument(emulator, 'basic4');
+  // The outline of a document without its title line, which the archive copy changes
+  const describe = doc => emulator.outline(doc).replace(/^# .*\n/, '');
+  const firstOutline = describe(first);
+
+  // Unbolding a clue of basic4 still leaves it with one solution, but changes the clues printed
+  emulator.run('getSpreadsheet').getParent().getSheetByName('Answers4').getRange('C2').setFontWeight('normal');
+  emulator.run('main');
+  const live = emulator.documents().filter(doc => !doc.file.isTrashed() && !emulator.pathOf(doc.file).includes('/Archive/'));
+  const archived = emulator.documents().filter(doc => emulator.pathOf(doc.file).includes('/Generated Files/Archive/'));
+
+  await t.test('keeps one document per shortname, with the same ID', () => {
+    assert.deepStrictEqual(live.map(doc => doc.getName()).sort(), ['Mint Hulzo Coin - basic4', 'Mint Hulzo Coin - jigsaw6']);
+    assert.strictEqual(findPuzzleDocument(emulator, 'basic4').getId(), first.getId());
+  });
+
+  await t.test('rewrites the document instead of appending to it', () => {
+    const titles = first.getBody().getParagraphs().filter(paragraph => paragraph.getHeading() === 'HEADING1');
+    assert.strictEqual(titles.length, 5);
+  });
+
+  await t.test('archives the previous content with a timestamp', () => {
+    assert.deepStrictEqual(archived.map(doc => doc.getName().replace(/ \d{4}-\d\d-\d\d \d\d-\d\d-\d\d$/, '')).sort(),
+      ['Mint Hulzo Coin - basic4', 'Mint Hulzo Coin - jigsaw6']);
+    const archivedBasic = archived.find(doc => doc.getName().startsWith('Mint Hulzo Coin - basic4 '));
+    assert.strictEqual(describe(archivedBasic), firstOutline);
+    assert.notStrictEqual(describe(first), firstOutline);
+  });
+});
+
+test('finding a puzzle\'s document by its shortname', async t => {
+  /**
+   * Generates the puzzles of a workbook whose document titles use the longname
+   * @returns {{emulator: Object, sudokus: Object, first: Object}} The emulator, the Sudokus sheet and basic4's document
+   */
+  const generateWithLongnameTitles = () => {
+    const emulator = loadBasicWorkbook();
+    const sudokus = emulator.run('getSpreadsheet');
+    sudokus.getParent().insertSheet('Strings').getRange('A1:B2').setValues([['Key', 'en'], ['documentTitle', '{longname} ({shortname})']]);
+    emulator.run('main');
+    const first = emulator.documents().find(doc => doc.getName() === 'Basic 4x4 (basic4)');
+    return { emulator, sudokus, first };
+  };
+  const listLiveNames = emulator => emulator.documents()
+    .filter(doc => !doc.file.isTrashed() && !emulator.pathOf(doc.file).includes('/Archive/'))
+    .map(doc => doc.getName())
+    .sort();
+  const listPdfNames = emulator => {
+    const names = [];
+    const files = emulator.drive.getFolderByPath('Puzzles/Generated Files').getFiles();
+    while (files.hasNext()) {
+      const file = files.next();
+      if (file.getName().endsWith('.pdf')) {
+        names.push(file.getName());
+      }
+    }
+    return names.sort();
+  };
+
+  await t.test('renames the same document when its title changes', () => {
+    const { emulator, sudokus, first } = generateWithLongnameTitles();
+    assert.strictEqual(emulator.properties.script.get('documentId.basic4'), first.getId());
+    sudokus.getRange('B2').setValue('Basic Four');
+    emulator.run('main');
+
+    assert.strictEqual(first.getName(), 'Basic Four (basic4)');
+    assert.deepStrictEqual(listLiveNames(emulator), ['Basic Four (basic4)', 'Jigsaw 6x6 (jigsaw6)']);
+    assert.deepStrictEqual(listPdfNames(emulator), ['Basic Four (basic4).pdf', 'Jigsaw 6x6 (jigsaw6).pdf']);
+    assert.ok(emulator.documents().some(doc => doc.getName().startsWith('Basic 4x4 (basic4) ') && emulator.pathOf(doc.file).includes('/Archive/')));
+  });
+
+  await t.test('finds a document generated before its ID was kept by its title', () => {
+    const { emulator, first } = generateWithLongnameTitles();
+    emulator.properties.script.delete('documentId.basic4');
+    emulator.run('main');
+    assert.deepStrictEqual(listLiveNames(emulator), ['Basic 4x4 (basic4)', 'Jigsaw 6x6 (jigsaw6)']);
+    assert.strictEqual(emulator.properties.script.get('documentId.basic4'), first.getId());
+  });
+
+  await t.test('creates a new document when the kept one was deleted', () => {
+    const { emulator, first } = generateWithLongnameTitles();
+    first.file.setTrashed(true);
+    emulator.run('main');
+    const id = emulator.properties.script.get('documentId.basic4');
+    assert.notStrictEqual(id, first.getId());
+    assert.strictEqual(emulator.services.DocumentApp.openById(id).getName(), 'Basic 4x4 (basic4)');
+  });
+});
@@ -0,0 +1,101 @@
+// Shared helpers for the emulator tests
+//
+// The tests run under Node's built-in test runner, with no packages to
+// install: node --test emulator/test/
+
+const fs = require('fs');
+const path = require('path');
+const { createEmulator, loadWorkbook } = require('../index');
+
+// The workbook the tests run against
+const BASIC_WORKBOOK = path.join(__dirname, '..', 'fixtures', 'basic', 'workbook.json');
+
+// Swallows the script's console output, which would drown the test report
+const QUIET_CONSOLE = { log: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+/**
+ * Loads the basic workbook fixture
+ * @param {Object} [options] - As for loadWorkbook
+ * @returns {Object} The emulator
+ */
+function loadBasicWorkbook(options) {
+  return loadWorkbook(BASIC_WORKBOOK, Object.assign({ console: QUIET_CONSOLE }, options));
+}
+
+/**
+ * Loads a changed copy of the basic workbook fixture
+ * @param {function(Object)} edit - Changes the parsed fixture, e.g. to add "ui" responses
+ * @returns {Object} The emulator
+ */
+function loadEditedBasicWorkbook(edit) {
+  const workbook = JSON.parse(fs.readFileSync(BASIC_WORKBOOK, 'utf8'));
+  edit(workbook);
+  return createEmulator(workbook, { baseDir: path.dirname(BASIC_WORKBOOK), console: QUIET_CONSOLE });
+}
+
+/**
+ * Copies a value made inside the script context into plain Node objects, so deepStrictEqual does not trip over
+ * prototypes from the other realm
+ * @param {any} value - The value
+ * @returns {any} The copy
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Finds the generated document of a puzzle by its shortname
+ * @param {Object} emulator - The emulator
+ * @param {string} shortname - The shortname
+ * @returns {Object} The document
+ */
+function findPuzzleDocument(emulator, shortname) {
+  const doc = emulator.documents().find(candidate => candidate.getName().endsWith(` - ${shortname}`) &&
+    !candidate.file.isTrashed() && !emulator.pathOf(candidate.file).includes('/Archive/'));
+  if (!doc) {
+    throw new Error(`No document was generated for ${shortname}`);
+  }
+  return doc;
+}
+
+/**
+ * Lists the names of the images in a paragraph, in order
+ * @param {Object} paragraph - The paragraph
+ * @returns {Array<string>} The image file names
+ */
+function listImageNames(paragraph) {
+  return paragraph.children.filter(child => child.getType() === 'INLINE_IMAGE').map(image => image.getBlob().getName());
+}
+
+/**
+ * Finds the first table after a heading in a document body
+ * @param {Object} body - The body
+ * @param {string} heading - The heading text
+ * @returns {Object} The table
+ */
+function findTableAfter(body, heading) {
+  const start = body.children.findIndex(child => child.getType() === 'PARAGRAPH' && child.getText() === heading);
+  const table = body.children.slice(start + 1).find(child => child.getType() === 'TABLE');
+  if (start === -1 || !table) {
+    throw new Error(`No table follows "${heading}"`);
+  }
+  return table;
+}
+
+/**
+ * Reads a grid of symbol images from a table, whose cells may each hold a box of the grid as a table of its own
+ * @param {Object} table - The table
+ * @returns {Array<Array<string>>} The image file name of each grid cell
+ */
+function readImageGrid(table) {
+  const readCell = cell => {
+    const inner = cell.children.find(child => child.getType() === 'TABLE');
+    return inner ? readImageGrid(inner) : [[cell.children.flatMap(listImageNames)[0]]];
+  };
+  return table.children.flatMap(row => {
+    const boxes = row.children.map(readCell);
+    return boxes[0].map((_, r) => boxes.flatMap(box => box[r]));
+  });
+}
+
+module.exports = { BASIC_WORKBOOK, QUIET_CONSOLE, loadBasicWorkbook, loadEditedBasicWorkbook, plain, findPuzzleDocument, listImageNames, findTableAfter, readImageGrid };
@@ -0,0 +1,48 @@
+// Checks the HTML preview: the same sections as the document, inline symbols, and the sidebar and saved file
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBasicWorkbook } = require('./helpers');
+
+test('previewPuzzle', async t => {
+  const emulator = loadBasicWorkbook();
+  emulator.run('getSpreadsheet').setActiveSelection('A3');
+  emulator.run('previewPuzzle');
+  const [sidebar] = emulator.dialogs;
+  const html = sidebar.content;
+
+  await t.test('shows the first selected puzzle in a sidebar', () => {
+    assert.strictEqual(sidebar.kind, 'sidebar');
+    assert.strictEqual(sidebar.title, 'Preview: jigsaw6');
+  });
+
+  await t.test('has the sections main writes, in the same order', () => {
+    const headings = Array.from(html.matchAll(/<h1>([^<]*)<\/h1>/g), match => match[1]);
+    assert.deepStrictEqual(headings, [
+      'ROWS may only contain one of these values',
+      'COLUMNS may only contain one of these values',
+      'GROUPS may only contain one of these values',
+      'Reference Images',
+      'Solution'
+    ]);
+  });
+
+  await t.test('embeds each symbol once and refers to it from the grids', () => {
+    assert.strictEqual((html.match(/<symbol id="symbol-\d+"/g) || []).length, 6);
+    assert.strictEqual((html.match(/href="data:image\/png;base64,/g) || []).length, 6);
+    assert.doesNotMatch(html, /https:\/\/example\.com/);
+    // Every cell of the reference page and the solution, plus each clue
+    const { puzzle } = emulator.run('getRowSnapshot', 3);
+    const clues = puzzle.flat().filter(value => value !== null).length;
+    assert.strictEqual((html.match(/<use href="#symbol-/g) || []).length, 2 * 36 + 3 * clues);
+  });
+
+  await t.test('saves the page in Generated Files', () => {
+    const files = emulator.drive.getFolderByPath('Puzzles/Generated Files').getFilesByName('Mint Hulzo Coin - jigsaw6.html');
+    assert.strictEqual(files.next().getBlob().getDataAsString(), html);
+  });
+
+  await t.test('escapes text from the sheet', () => {
+    assert.strictEqual(emulator.run('escapeHtml', `<b>"Tom's" & co</b>`), '&lt;b&gt;&quot;Tom&#39;s&quot; &amp; co&lt;/b&gt;');
+  });
+});
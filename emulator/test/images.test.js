@@ -0,0 +1,138 @@
+// Checks that symbol images are downloaded once, kept in the Drive image cache and reported when they fail
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBasicWorkbook, loadEditedBasicWorkbook, findPuzzleDocument } = require('./helpers');
+
+/**
+ * Loads the basic workbook with some of its symbol URLs served differently
+ * @param {Object} urls - Replacement "urls" entries, keyed by URL
+ * @returns {Object} The emulator
+ */
+function loadWithUrls(urls) {
+  return loadEditedBasicWorkbook(workbook => Object.assign(workbook.urls, urls));
+}
+
+test('image cache', async t => {
+  const emulator = loadBasicWorkbook();
+  emulator.run('main');
+
+  await t.test('downloads each symbol once', () => {
+    assert.deepStrictEqual(emulator.fetchLog.slice().sort(), [1, 2, 3, 4, 5, 6].map(value => `https://example.com/symbols/${value}.png`));
+  });
+
+  await t.test('keeps a copy of each symbol in the Image Cache folder', () => {
+    const files = emulator.drive.getFolderByPath('Puzzles/Generated Files/Image Cache').getFiles();
+    const descriptions = [];
+    while (files.hasNext()) {
+      descriptions.push(JSON.parse(files.next().getDescription()));
+    }
+    assert.deepStrictEqual(descriptions.map(({ url }) => url).sort(), [1, 2, 3, 4, 5, 6].map(value => `https://example.com/symbols/${value}.png`));
+    descriptions.forEach(({ fetchedAt, etag }) => {
+      assert.ok(Date.now() - fetchedAt < 60 * 1000);
+      assert.strictEqual(etag, null);
+    });
+  });
+
+  await t.test('reruns read the Drive copies instead of downloading again', () => {
+    emulator.evaluate('imageCache.clear()');
+    emulator.fetchLog.length = 0;
+    emulator.run('main');
+    assert.deepStrictEqual(emulator.fetchLog, []);
+  });
+
+  await t.test('Clear Image Cache empties the folder', () => {
+    emulator.run('clearImageCache');
+    assert.match(emulator.dialogs[emulator.dialogs.length - 1].prompt, /^Removed 6 cached image\(s\)/);
+    emulator.run('main');
+    assert.strictEqual(emulator.fetchLog.length, 6);
+  });
+});
+
+test('image cache expiry', async t => {
+  const url = 'https://example.com/symbols/1.png';
+  const dayAgo = Date.now() - 25 * 60 * 60 * 1000;
+
+  /**
+   * Generates the puzzles, then ages the cached copy of symbol 1 and runs main again as a new execution
+   * @param {function(Object): void} changeServer - Changes how the fixture serves the URLs before the second run
+   * @returns {{emulator: Object, copies: Array<Object>}} The emulator, and the cached copies of symbol 1 afterwards
+   */
+  function rerunWithOldCopy(changeServer) {
+    let fixture;
+    const emulator = loadEditedBasicWorkbook(workbook => {
+      fixture = workbook;
+      workbook.urls[url] = { file: 'images/1.png', etag: '"v1"' };
+    });
+    emulator.run('main');
+    const folder = emulator.drive.getFolderByPath('Puzzles/Generated Files/Image Cache');
+    const listCopies = () => {
+      const copies = [];
+      const files = folder.getFiles();
+      while (files.hasNext()) {
+        const file = files.next();
+        if (!file.isTrashed() && JSON.parse(file.getDescription()).url === url) {
+          copies.push(file);
+        }
+      }
+      return copies;
+    };
+    const [copy] = listCopies();
+    copy.setDescription(JSON.stringify({ url, fetchedAt: dayAgo, etag: '"v1"' }));
+
+    changeServer(fixture.urls);
+    emulator.evaluate('imageCache.clear()');
+    emulator.fetchLog.length = 0;
+    emulator.run('main');
+    return { emulator, copies: listCopies() };
+  }
+
+  await t.test('keeps a day-old copy the server says is unchanged', () => {
+    const { emulator, copies } = rerunWithOldCopy(() => {});
+    assert.deepStrictEqual(emulator.fetchLog, [url]);
+    assert.strictEqual(copies.length, 1);
+    const { fetchedAt, etag } = JSON.parse(copies[0].getDescription());
+    assert.ok(fetchedAt > dayAgo);
+    assert.strictEqual(etag, '"v1"');
+  });
+
+  await t.test('replaces a day-old copy the server has changed', () => {
+    const { emulator, copies } = rerunWithOldCopy(urls => urls[url] = { file: 'images/2.png', etag: '"v2"' });
+    assert.deepStrictEqual(emulator.fetchLog, [url]);
+    assert.strictEqual(copies.length, 1);
+    assert.strictEqual(JSON.parse(copies[0].getDescription()).etag, '"v2"');
+    assert.strictEqual(copies[0].getBlob().getName(), emulator.run('getImageCacheKey', url));
+  });
+
+  await t.test('keeps using a day-old copy when the server cannot be reached', () => {
+    const { emulator, copies } = rerunWithOldCopy(urls => urls[url] = { file: 'images/1.png', status: 503 });
+    assert.strictEqual(emulator.dialogs[1].prompt, 'Generated 2 puzzle(s): basic4, jigsaw6.');
+    assert.strictEqual(copies.length, 1);
+    assert.strictEqual(JSON.parse(copies[0].getDescription()).fetchedAt, dayAgo);
+  });
+});
+
+test('image content types', async t => {
+  await t.test('keeps the content type of a JPEG symbol', () => {
+    const emulator = loadWithUrls({ 'https://example.com/symbols/1.png': { file: 'images/1.png', contentType: 'image/jpeg' } });
+    emulator.run('main');
+    const image = findPuzzleDocument(emulator, 'basic4').getBody().children.flatMap(child => child.children || [])
+      .find(child => child.getType() === 'INLINE_IMAGE' && child.getBlob().getName() === '1.png');
+    assert.strictEqual(image.getBlob().getContentType(), 'image/jpeg');
+  });
+
+  await t.test('names the symbol and URL that failed to load', () => {
+    const emulator = loadWithUrls({ 'https://example.com/symbols/3.png': { file: 'images/3.png', status: 404 } });
+    emulator.run('main');
+    assert.match(emulator.dialogs[0].prompt, /- Row 2 \(basic4\): Row 2: the image for symbol 3 in cell G2 could not be loaded\. Failed to load image https:\/\/example\.com\/symbols\/3\.png: Server returned HTTP 404/);
+    assert.match(emulator.dialogs[0].prompt, /- Row 3 \(jigsaw6\): Row 3: the image for symbol 3 in cell G3 could not be loaded/);
+    assert.deepStrictEqual(emulator.documents().map(doc => doc.getName()), []);
+  });
+
+  await t.test('rejects a download that is not an image', () => {
+    const emulator = loadWithUrls({ 'https://example.com/symbols/2.png': { file: 'images/2.png', contentType: 'text/html' } });
+    emulator.run('main');
+    assert.match(emulator.dialogs[0].prompt, /Unsupported content type "text\/html"/);
+    assert.deepStrictEqual(emulator.documents().map(doc => doc.getName()), []);
+  });
+});
@@ -0,0 +1,156 @@
+// Checks that a generation job cut into many executions writes the same documents as one that runs straight through
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBasicWorkbook, loadEditedBasicWorkbook, plain } = require('./helpers');
+
+/**
+ * Outlines the generated documents, leaving out archived copies
+ * @param {Object} emulator - The emulator
+ * @returns {Array<string>} The outlines, sorted
+ */
+function outlineDocuments(emulator) {
+  return emulator.documents()
+    .filter(doc => !doc.file.isTrashed() && !emulator.pathOf(doc.file).includes('/Archive/'))
+    .map(doc => emulator.outline(doc))
+    .sort();
+}
+
+/**
+ * Reads the job's checkpoint
+ * @param {Object} emulator - The emulator
+ * @returns {Object} The checkpoint
+ */
+function readCheckpoint(emulator) {
+  return JSON.parse(emulator.properties.script.get('generationJob'));
+}
+
+/**
+ * Makes the saved checkpoint look like its execution was killed part way through a row
+ * @param {Object} emulator - The emulator
+ */
+function interruptJob(emulator) {
+  const checkpoint = readCheckpoint(emulator);
+  emulator.properties.script.set('generationJob', JSON.stringify(Object.assign(checkpoint, { stopped: false })));
+}
+
+/**
+ * Runs the continuation trigger until the job is done
+ * @param {Object} emulator - The emulator
+ * @returns {number} How many continuations it took
+ */
+function continueUntilDone(emulator) {
+  let continuations = 0;
+  while (readCheckpoint(emulator).status !== 'done') {
+    assert.ok(continuations < 50, 'the job never finished');
+    assert.strictEqual(emulator.triggers.length, 1, 'the job should have one continuation scheduled');
+    emulator.run('continueGenerationJob');
+    continuations++;
+  }
+  return continuations;
+}
+
+test('generation job', async t => {
+  const straight = loadBasicWorkbook();
+  straight.run('main');
+  const expected = outlineDocuments(straight);
+
+  await t.test('finishes in one execution when there is time, leaving no trigger', () => {
+    assert.strictEqual(readCheckpoint(straight).status, 'done');
+    assert.strictEqual(readCheckpoint(straight).executions, 1);
+    assert.strictEqual(straight.triggers.length, 0);
+  });
+
+  await t.test('resumes step by step with no time budget', () => {
+    const emulator = loadBasicWorkbook();
+    emulator.evaluate('JOB_CONFIG.timeBudgetMs = 0');
+    emulator.run('main');
+    assert.match(emulator.dialogs[0].prompt, /^Done 0 of 2 puzzle\(s\) so far; the rest will be generated in the background\./);
+    assert.ok(continueUntilDone(emulator) > 1);
+
+    assert.deepStrictEqual(outlineDocuments(emulator), expected);
+    assert.deepStrictEqual(readCheckpoint(emulator).counts, { generated: 2, skipped: 0, failed: 0 });
+    assert.strictEqual(emulator.triggers.length, 0);
+    assert.deepStrictEqual(plain(emulator.run('describeGenerationJob', emulator.run('readGenerationJob')).slice(-1)),
+      ['Generated 2 puzzle(s): basic4, jigsaw6.']);
+  });
+
+  await t.test('redoes a row whose execution was killed part way in its own document', () => {
+    const emulator = loadBasicWorkbook();
+    emulator.run('main');
+    const countArchived = () => emulator.documents().filter(doc => emulator.pathOf(doc.file).includes('/Archive/')).length;
+    emulator.evaluate('JOB_CONFIG.timeBudgetMs = 0');
+    emulator.run('main');
+    emulator.run('continueGenerationJob');
+    const archived = countArchived();
+    const { step, docId } = readCheckpoint(emulator);
+    assert.ok(step > 0 && docId);
+
+    interruptJob(emulator);
+    emulator.evaluate('JOB_CONFIG.timeBudgetMs = 60 * 60 * 1000');
+    emulator.run('continueGenerationJob');
+
+    const checkpoint = readCheckpoint(emulator);
+    assert.strictEqual(checkpoint.status, 'done');
+    assert.strictEqual(checkpoint.interruptions, 0);
+    assert.strictEqual(countArchived() - archived, 1, 'only the second row should be archived again');
+    assert.deepStrictEqual(outlineDocuments(emulator), expected);
+  });
+
+  await t.test('records a row as failed once it has been cut short too often', () => {
+    const emulator = loadBasicWorkbook();
+    emulator.evaluate('JOB_CONFIG.timeBudgetMs = 0');
+    emulator.run('main');
+    for (let interruption = 0; interruption < 2; interruption++) {
+      emulator.run('continueGenerationJob');
+      interruptJob(emulator);
+    }
+    emulator.evaluate('JOB_CONFIG.timeBudgetMs = 60 * 60 * 1000');
+    emulator.run('continueGenerationJob');
+
+    assert.strictEqual(readCheckpoint(emulator).status, 'done');
+    const results = plain(emulator.run('readJobResults', emulator.run('readGenerationJob')));
+    assert.deepStrictEqual(results.generated, ['jigsaw6']);
+    assert.deepStrictEqual(results.failed, [
+      { row: 2, shortname: 'basic4', error: 'Generating this row was cut short by the execution time limit 2 times' }
+    ]);
+    const statusColumn = emulator.run('getSudokusColumn', 'Status');
+    assert.strictEqual(emulator.run('getSpreadsheet').getRange(2, statusColumn).getValue(), 'FAILED');
+  });
+
+  await t.test('refuses to start a second job while one is running', () => {
+    const emulator = loadBasicWorkbook();
+    emulator.evaluate('JOB_CONFIG.timeBudgetMs = 0');
+    emulator.run('main');
+    emulator.run('main');
+    assert.match(emulator.dialogs[1].prompt, /The "Generate Puzzles" job is still running \(0 of 2 rows done\)/);
+  });
+
+  await t.test('refuses to start while another execution holds the lock', () => {
+    const emulator = loadBasicWorkbook();
+    emulator.services.LockService.getScriptLock().tryLock(0);
+    emulator.context.main();
+    assert.match(emulator.dialogs[0].prompt, /running in another execution/);
+    assert.strictEqual(emulator.properties.script.get('generationJob'), undefined);
+  });
+
+  await t.test('keeps the rows and results out of the checkpoint', () => {
+    const emulator = loadBasicWorkbook();
+    emulator.run('main');
+    assert.strictEqual(readCheckpoint(emulator).rows, undefined);
+    assert.strictEqual(emulator.properties.script.get('generationJob.rows'), '2-3');
+    assert.deepStrictEqual(plain(emulator.run('parseRowRanges', emulator.run('formatRowRanges', [2, 3, 4, 7, 9, 10]))), [2, 3, 4, 7, 9, 10]);
+    assert.strictEqual(emulator.run('formatRowRanges', [2, 3, 4, 7, 9, 10]), '2-4,7,9-10');
+  });
+
+  await t.test('cancels the running job from Generation Job Status', () => {
+    const emulator = loadEditedBasicWorkbook(workbook => workbook.ui = [{ button: 'OK' }, { button: 'YES' }]);
+    emulator.evaluate('JOB_CONFIG.timeBudgetMs = 0');
+    emulator.run('main');
+    emulator.run('showGenerationJob');
+    assert.match(emulator.dialogs[1].prompt, /^Generate Puzzles, started .*\n0 of 2 row\(s\) done\. Next is row 2, at step "rows"\./);
+    assert.strictEqual(emulator.dialogs[2].prompt, 'Cancelled the job after 0 of 2 row(s). Rows already generated keep their documents.');
+    assert.deepStrictEqual([...emulator.properties.script.keys()].filter(key => key.startsWith('generationJob')), []);
+    assert.strictEqual(emulator.triggers.length, 0);
+  });
+});
@@ -0,0 +1,106 @@
+// Runs main against the basic workbook and checks the documents it writes
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBasicWorkbook, plain, findPuzzleDocument, listImageNames, findTableAfter, readImageGrid } = require('./helpers');
+
+// The basic workbook's puzzles: a 4x4 with boxes whose clues say what a house must not contain, and a 6x6 jigsaw
+// whose clues say what a house may only contain
+const PUZZLES = [
+  { row: 2, shortname: 'basic4', statement: 'must not contain any of these values' },
+  { row: 3, shortname: 'jigsaw6', statement: 'may only contain one of these values' }
+];
+
+test('main', async t => {
+  const emulator = loadBasicWorkbook();
+  emulator.run('main');
+
+  await t.test('reports both puzzles generated', () => {
+    const [summary] = emulator.dialogs;
+    assert.strictEqual(summary.title, 'Generate Puzzles');
+    assert.strictEqual(summary.prompt, 'Generated 2 puzzle(s): basic4, jigsaw6.');
+  });
+
+  for (const { row, shortname, statement } of PUZZLES) {
+    const snapshot = emulator.run('getRowSnapshot', row);
+    const { geometry } = snapshot;
+    const puzzle = plain(snapshot.puzzle);
+    const doc = findPuzzleDocument(emulator, shortname);
+    const body = doc.getBody();
+    const paragraphs = body.children.filter(child => child.getType() === 'PARAGRAPH');
+
+    await t.test(`${shortname}: section titles`, () => {
+      const titles = paragraphs.filter(paragraph => paragraph.getHeading() === 'HEADING1').map(paragraph => paragraph.getText());
+      assert.deepStrictEqual(titles, [
+        `ROWS ${statement}`,
+        `COLUMNS ${statement}`,
+        `GROUPS ${statement}`,
+        'Reference Images',
+        'Solution'
+      ]);
+    });
+
+    await t.test(`${shortname}: house labels and clues`, () => {
+      const houses = plain(emulator.run('getHouses', geometry));
+      assert.strictEqual(houses.length, 3 * geometry.gridSize);
+      houses.forEach(({ prefix, index, cells }) => {
+        const label = `${prefix} ${index + 1}: `;
+        const paragraph = paragraphs.find(candidate => candidate.getText() === label);
+        assert.ok(paragraph, `no line labelled "${label}"`);
+        const clues = cells.map(({ row: i, col: j }) => puzzle[i][j]).filter(value => value !== null);
+        const expected = clues.sort((a, b) => a - b).map(value => `${value}.png`);
+        assert.deepStrictEqual(listImageNames(paragraph), expected, `${label}has the wrong clues`);
+      });
+    });
+
+    await t.test(`${shortname}: reference table`, () => {
+      const expected = Array.from({ length: geometry.gridSize }, (_, i) => new Array(geometry.gridSize).fill(`${i + 1}.png`));
+      assert.deepStrictEqual(readImageGrid(findTableAfter(body, 'Reference Images')), expected);
+    });
+
+    await t.test(`${shortname}: solution table`, () => {
+      assert.deepStrictEqual(readImageGrid(findTableAfter(body, 'Solution')), plain(snapshot.answers).map(answerRow => answerRow.map(value => `${value}.png`)));
+    });
+
+    await t.test(`${shortname}: difficulty header`, () => {
+      const rating = emulator.run('ratePuzzle', puzzle, geometry, snapshot.mayOnlyContain);
+      assert.strictEqual(doc.getHeader().getText(), emulator.run('formatRating', rating));
+      assert.strictEqual(emulator.run('getSnapshotValue', snapshot, 'Difficulty'), rating.difficulty);
+    });
+  }
+
+  await t.test('basic4: snapshot', () => {
+    const snapshot = emulator.run('getRowSnapshot', 2);
+    assert.deepStrictEqual(plain([snapshot.shortname, snapshot.longname, snapshot.answersSheetName, snapshot.startCell, snapshot.gridSize]),
+      ['basic4', 'Basic 4x4', 'Answers4', 'B2', 4]);
+    assert.strictEqual(snapshot.puzzle.flat().filter(value => value !== null).length, 7);
+  });
+});
+
+test('outputVariants', async t => {
+  const emulator = loadBasicWorkbook();
+  emulator.run('getSpreadsheet').getRange(2, emulator.run('getSudokusColumn', 'Variants')).setValue('diagonal, anti-king');
+  const snapshot = emulator.run('getRowSnapshot', 2);
+  const puzzle = plain(snapshot.puzzle);
+  const body = emulator.services.DocumentApp.create('Variants').getBody();
+  emulator.run('outputVariants', puzzle, body, snapshot);
+  const paragraphs = body.children.filter(child => child.getType() === 'PARAGRAPH');
+
+  await t.test('adds a section for each variant', () => {
+    const titles = paragraphs.filter(paragraph => paragraph.getHeading() === 'HEADING1').map(paragraph => paragraph.getText());
+    assert.deepStrictEqual(titles, [
+      'DIAGONALS must not contain any of these values',
+      'ANTI-KING: Cells that touch diagonally must not contain the same value'
+    ]);
+  });
+
+  await t.test('lists the clues on each diagonal', () => {
+    const lines = paragraphs.filter(paragraph => paragraph.getText().startsWith('DIAGONAL '));
+    assert.deepStrictEqual(lines.map(paragraph => paragraph.getText()), ['DIAGONAL 1: ', 'DIAGONAL 2: ']);
+    const expected = [0, 1].map(index => {
+      const cells = index === 0 ? [0, 1, 2, 3].map(i => puzzle[i][i]) : [0, 1, 2, 3].map(i => puzzle[i][3 - i]);
+      return cells.filter(value => value !== null).sort((a, b) => a - b).map(value => `${value}.png`);
+    });
+    assert.deepStrictEqual(lines.map(listImageNames), expected);
+  });
+});
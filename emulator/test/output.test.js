@@ -0,0 +1,112 @@
+// Checks the Output Mode column: text-only and digit documents, and alt text on images in mixed mode
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBasicWorkbook, plain, findPuzzleDocument, findTableAfter } = require('./helpers');
+
+const LABELS = ['Sun', 'Moon', 'Star', 'Cloud'];
+
+/**
+ * Generates basic4 in an output mode, with its symbols from a Symbols sheet set that labels them
+ * @param {string} mode - The Output Mode value
+ * @returns {{emulator: Object, snapshot: Object, body: Object}} The emulator, basic4's snapshot and its document body
+ */
+function generateInMode(mode) {
+  const emulator = loadBasicWorkbook();
+  const sudokus = emulator.run('getSpreadsheet');
+  const symbols = sudokus.getParent().insertSheet('Symbols');
+  symbols.getRange(1, 1, 5, 5).setValues([['Set', 'Value', 'Image', 'Label', 'Alt Text']].concat(
+    LABELS.map((label, index) => ['Sky', index + 1, `https://example.com/symbols/${index + 1}.png`, label, `A ${label.toLowerCase()}`])));
+  sudokus.getRange('X1:Y1').setValues([['Symbol Set', 'Output Mode']]);
+  sudokus.getRange('X2:Y2').setValues([['Sky', mode]]);
+  sudokus.getRange('E2:H2').setFormulas([['', '', '', '']]);
+  sudokus.setActiveSelection('A2');
+  emulator.run('generateSelectedRows');
+  const snapshot = emulator.run('getRowSnapshot', 2);
+  return { emulator, snapshot, body: findPuzzleDocument(emulator, 'basic4').getBody() };
+}
+
+/**
+ * Reads the text of each row paragraph of the ROWS section
+ * @param {Object} body - The document body
+ * @returns {Array<string>} The paragraphs that start with "ROW "
+ */
+function readRowLines(body) {
+  return body.children.filter(child => child.getType() === 'PARAGRAPH' && child.getText().startsWith('ROW ')).map(child => child.getText());
+}
+
+/**
+ * Reads the text of each cell of a grid table, whose cells may each hold a box of the grid as a table of its own
+ * @param {Object} table - The table
+ * @returns {Array<Array<string>>} The text of each grid cell
+ */
+function readTextGrid(table) {
+  const readCell = cell => {
+    const inner = cell.children.find(child => child.getType() === 'TABLE');
+    return inner ? readTextGrid(inner) : [[cell.children[0].getText()]];
+  };
+  return table.children.flatMap(row => {
+    const boxes = row.children.map(readCell);
+    return boxes[0].map((_, r) => boxes.flatMap(box => box[r]));
+  });
+}
+
+/**
+ * Lists the clues of each grid row, by the text a symbol shows
+ * @param {Object} snapshot - The row snapshot
+ * @param {function(number): string} textFor - The text for a value
+ * @returns {Array<string>} The ROW lines the document should have
+ */
+function expectedRowLines(snapshot, textFor) {
+  return plain(snapshot.puzzle).map((puzzleRow, i) => {
+    const clues = puzzleRow.filter(value => value !== null).sort((a, b) => a - b);
+    return `ROW ${i + 1}: ${clues.map(textFor).join(', ')}`;
+  });
+}
+
+test('output modes', async t => {
+  await t.test('prints labels and a symbol key without loading any image in text mode', () => {
+    const { emulator, snapshot, body } = generateInMode('Text');
+    assert.deepStrictEqual(emulator.fetchLog, []);
+    assert.deepStrictEqual(readRowLines(body), expectedRowLines(snapshot, value => LABELS[value - 1]));
+    const keyStart = body.children.findIndex(child => child.getText() === 'Symbol Key');
+    assert.notStrictEqual(keyStart, -1);
+    assert.deepStrictEqual(body.children.slice(keyStart + 1, keyStart + 5).map(child => child.getText()),
+      ['Sun - A sun', 'Moon - A moon', 'Star - A star', 'Cloud - A cloud']);
+    assert.deepStrictEqual(readTextGrid(findTableAfter(body, 'Solution')),
+      plain(snapshot.answers).map(answerRow => answerRow.map(value => LABELS[value - 1])));
+  });
+
+  await t.test('prints digits with a key to the labels in digits mode', () => {
+    const { emulator, snapshot, body } = generateInMode('digits');
+    assert.deepStrictEqual(emulator.fetchLog, []);
+    assert.deepStrictEqual(readRowLines(body), expectedRowLines(snapshot, String));
+    const keyStart = body.children.findIndex(child => child.getText() === 'Symbol Key');
+    assert.strictEqual(body.children[keyStart + 1].getText(), '1: Sun - A sun');
+    assert.deepStrictEqual(readTextGrid(findTableAfter(body, 'Solution')), plain(snapshot.answers).map(answerRow => answerRow.map(String)));
+  });
+
+  await t.test('sets each image\'s label and alt text in mixed mode', () => {
+    const { body } = generateInMode('mixed');
+    const images = body.children.filter(child => child.getType() === 'PARAGRAPH' && child.getText().startsWith('ROW '))
+      .flatMap(paragraph => paragraph.children.filter(child => child.getType() === 'INLINE_IMAGE'));
+    assert.ok(images.length > 0);
+    images.forEach(image => {
+      const label = image.getAltTitle();
+      assert.ok(LABELS.includes(label), `unexpected alt title "${label}"`);
+      assert.strictEqual(image.getAltDescription(), `A ${label.toLowerCase()}`);
+    });
+    assert.ok(body.children.some(child => child.getType() === 'PARAGRAPH' && child.getText() === 'Reference Images'));
+  });
+
+  await t.test('reports an unknown mode', () => {
+    const emulator = loadBasicWorkbook();
+    const sudokus = emulator.run('getSpreadsheet');
+    sudokus.getRange('X1').setValue('Output Mode');
+    sudokus.getRange('X2').setValue('braille');
+    emulator.run('validateAll');
+    const report = plain(sudokus.getParent().getSheetByName('Validation Report').getDataRange().getValues()).slice(1);
+    assert.deepStrictEqual(report.map(([severity, row, cell]) => [severity, row, cell]), [['Error', 2, 'Sudokus!X2']]);
+    assert.match(report[0][3], /Invalid output mode "braille"/);
+  });
+});
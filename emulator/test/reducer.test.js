@@ -0,0 +1,98 @@
+// Checks that clue reduction keeps one solution and writes the reduced clues back by each marking method
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBasicWorkbook, loadEditedBasicWorkbook, plain } = require('./helpers');
+
+/**
+ * Checks that a reduced clue grid keeps only clues of the original and still has one solution
+ * @param {Object} emulator - The emulator
+ * @param {Object} snapshot - The row snapshot the reduction started from
+ * @param {Array<Array<number|null>>} reduced - The reduced clue grid
+ */
+function assertReducedFrom(emulator, snapshot, reduced) {
+  assert.strictEqual(emulator.run('countSolutions', reduced, snapshot.geometry, snapshot.mayOnlyContain), 1);
+  reduced.forEach((reducedRow, i) => reducedRow.forEach((value, j) => {
+    if (value !== null) {
+      assert.strictEqual(value, snapshot.puzzle[i][j], `clue ${i + 1},${j + 1} was changed`);
+    }
+  }));
+}
+
+test('reduceClueSet', async t => {
+  const emulator = loadBasicWorkbook();
+
+  for (const row of [2, 3]) {
+    const snapshot = emulator.run('getRowSnapshot', row);
+
+    await t.test(`leaves ${snapshot.shortname} minimal in a random order`, () => {
+      const options = { symmetric: false, random: emulator.run('createRandom', 7), deadline: Date.now() + 60 * 1000 };
+      const { puzzle, removable } = emulator.run('reduceClueSet', snapshot.puzzle, snapshot.geometry, snapshot.mayOnlyContain, options);
+      assertReducedFrom(emulator, snapshot, plain(puzzle));
+      assert.strictEqual(removable, 0);
+      assert.ok(emulator.run('countClues', puzzle) <= emulator.run('countClues', snapshot.puzzle));
+    });
+
+    await t.test(`counts the clues left removable after symmetric pairs for ${snapshot.shortname}`, () => {
+      const options = { symmetric: true, random: emulator.run('createRandom', 7), deadline: Date.now() + 60 * 1000 };
+      const { puzzle, removable } = emulator.run('reduceClueSet', snapshot.puzzle, snapshot.geometry, snapshot.mayOnlyContain, options);
+      assertReducedFrom(emulator, snapshot, plain(puzzle));
+      const singles = emulator.run('getClueCells', puzzle).filter(({ row: i, col: j }) => {
+        const without = plain(puzzle);
+        without[i][j] = null;
+        return emulator.run('countSolutions', without, snapshot.geometry, snapshot.mayOnlyContain) === 1;
+      });
+      assert.strictEqual(removable, singles.length);
+    });
+  }
+
+  await t.test('stops at the deadline with the clues unchanged', () => {
+    const snapshot = emulator.run('getRowSnapshot', 2);
+    const options = { symmetric: false, random: emulator.run('createRandom', 7), deadline: Date.now() - 1 };
+    const { puzzle, removable } = emulator.run('reduceClueSet', snapshot.puzzle, snapshot.geometry, snapshot.mayOnlyContain, options);
+    assert.deepStrictEqual(plain(puzzle), plain(snapshot.puzzle));
+    assert.strictEqual(removable, null);
+  });
+});
+
+test('reduceClues', async t => {
+  await t.test('reduces the selected rows in a random order and reports the counts', () => {
+    const emulator = loadEditedBasicWorkbook(workbook => workbook.ui = [{ button: 'NO' }]);
+    const before = [2, 3].map(row => emulator.run('getRowSnapshot', row));
+    emulator.run('getSpreadsheet').setActiveSelection('A2:A3');
+    emulator.run('reduceClues');
+
+    const after = [2, 3].map(row => emulator.run('getRowSnapshot', row));
+    const counts = after.map((snapshot, index) => {
+      assertReducedFrom(emulator, before[index], plain(snapshot.puzzle));
+      return `${snapshot.shortname}: ${emulator.run('countClues', before[index].puzzle)} -> ${emulator.run('countClues', snapshot.puzzle)} clues, minimal.`;
+    });
+    assert.strictEqual(emulator.dialogs[1].prompt, counts.join('\n'));
+  });
+
+  for (const [method, readMarks] of [
+    ['list', sudokus => sudokus.getRange('Y2').getValue()],
+    ['mask', (sudokus, answers) => plain(answers.getRange('G2:J5').getValues())]
+  ]) {
+    await t.test(`writes the reduced clues back by the ${method} method`, () => {
+      const emulator = loadEditedBasicWorkbook(workbook => workbook.ui = [{ button: 'NO' }]);
+      const sudokus = emulator.run('getSpreadsheet');
+      const answers = sudokus.getParent().getSheetByName('Answers4');
+      sudokus.getRange('X1:Y1').setValues([['Clue Marking', 'Clue Cells']]);
+      sudokus.getRange('X2').setValue(method);
+      sudokus.getRange('Y2').setValue('R1C2, R2C2, R2C3, R3C1, R3C3, R4C1, R4C2');
+      answers.getRange('G2:J5').setValues([[0, 1, 0, 0], [0, 1, 1, 0], [1, 0, 1, 0], [1, 1, 0, 0]]);
+      const fontWeights = plain(answers.getRange('B2:E5').getFontWeights());
+      const original = emulator.run('getRowSnapshot', 2);
+      const originalMarks = readMarks(sudokus, answers);
+
+      sudokus.setActiveSelection('A2');
+      emulator.run('reduceClues');
+
+      const reduced = emulator.run('getRowSnapshot', 2);
+      assertReducedFrom(emulator, original, plain(reduced.puzzle));
+      assert.notDeepStrictEqual(readMarks(sudokus, answers), originalMarks);
+      assert.deepStrictEqual(plain(answers.getRange('B2:E5').getFontWeights()), fontWeights);
+    });
+  }
+});
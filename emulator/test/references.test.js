@@ -0,0 +1,65 @@
+// Checks A1 reference parsing and formatting, and reading answer blocks from every kind of reference
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBasicWorkbook, plain } = require('./helpers');
+
+const emulator = loadBasicWorkbook();
+
+test('parseReference', async t => {
+  await t.test('reads multi-letter columns, absolute markers and quoted sheet names', () => {
+    assert.deepStrictEqual(plain(emulator.run('parseReference', "'Answers 9'!$AB$10:AJ18")),
+      { sheetName: 'Answers 9', startRow: 10, startColumn: 28, numRows: 9, numColumns: 9, isRange: true });
+    assert.deepStrictEqual(plain(emulator.run('parseReference', "'Bob''s grids'!Z3")),
+      { sheetName: "Bob's grids", startRow: 3, startColumn: 26, numRows: 1, numColumns: 1, isRange: false });
+    assert.deepStrictEqual(plain(emulator.run('parseReference', 'B2')),
+      { sheetName: null, startRow: 2, startColumn: 2, numRows: 1, numColumns: 1, isRange: false });
+  });
+
+  await t.test('rejects ranges that are not rectangles from the top left', () => {
+    assert.throws(() => emulator.run('parseReference', 'Answers9!J10:B2'), /must run from its top left cell/);
+    assert.throws(() => emulator.run('parseReference', 'Answers9!B'), /Invalid reference "Answers9!B"/);
+  });
+});
+
+test('formatReference', async t => {
+  await t.test('writes what parseReference reads', () => {
+    for (const reference of ["'Answers 9'!AB10:AJ18", 'Answers9!B2', "'Bob''s grids'!ZZ100:AAA101", 'XFD1']) {
+      const { sheetName, startRow, startColumn, numRows, numColumns } = emulator.run('parseReference', reference);
+      assert.strictEqual(emulator.run('formatReference', sheetName, startRow, startColumn, numRows, numColumns), reference);
+    }
+  });
+
+  await t.test('converts between column numbers and letters', () => {
+    assert.deepStrictEqual([1, 26, 27, 52, 703].map(column => emulator.run('columnToLetters', column)), ['A', 'Z', 'AA', 'AZ', 'AAA']);
+    assert.strictEqual(emulator.run('lettersToColumn', 'ab'), 28);
+  });
+});
+
+test('answer block references', async t => {
+  const sudokus = emulator.run('getSpreadsheet');
+  const spreadsheet = sudokus.getParent();
+  const original = emulator.run('getRowSnapshot', 2);
+
+  // Copy basic4's answers and bold clues to a sheet whose name needs quotes, far enough right to need two letters
+  const moved = spreadsheet.insertSheet('Answers4 (copy)');
+  const block = moved.getRange('AB10:AE13');
+  block.setValues(plain(original.answers));
+  block.setFontWeights(plain(original.clueMarks).map(row => row.map(marked => (marked ? 'bold' : 'normal'))));
+  spreadsheet.setNamedRange('Basic4Answers', block);
+
+  for (const reference of ["'Answers4 (copy)'!AB10", "'Answers4 (copy)'!AB10:AE13", 'Basic4Answers']) {
+    await t.test(`reads the grid at ${reference}`, () => {
+      sudokus.getRange('C2').setValue(reference);
+      const snapshot = emulator.run('getRowSnapshot', 2);
+      assert.strictEqual(snapshot.answersSheetName, 'Answers4 (copy)');
+      assert.strictEqual(snapshot.startCell, 'AB10');
+      assert.deepStrictEqual(plain(snapshot.puzzle), plain(original.puzzle));
+    });
+  }
+
+  await t.test('refuses a range that is not square', () => {
+    sudokus.getRange('C2').setValue("'Answers4 (copy)'!AB10:AF13");
+    assert.throws(() => emulator.run('getRowSnapshot', 2), /is 4x5\. It must cover a square grid/);
+  });
+});
@@ -0,0 +1,76 @@
+// Checks regenerating the selected rows, one shortname, or only the rows whose inputs changed
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBasicWorkbook, loadEditedBasicWorkbook } = require('./helpers');
+
+/**
+ * Lists the names of the documents an emulator has created, in order
+ * @param {Object} emulator - The emulator
+ * @returns {Array<string>} The document names
+ */
+function listDocumentNames(emulator) {
+  return emulator.documents().map(doc => doc.getName());
+}
+
+test('generateSelectedRows', async t => {
+  await t.test('generates only the selected puzzle rows', () => {
+    const emulator = loadBasicWorkbook();
+    emulator.run('getSpreadsheet').setActiveSelection('B3:C5');
+    emulator.run('generateSelectedRows');
+    assert.deepStrictEqual(listDocumentNames(emulator), ['Mint Hulzo Coin - jigsaw6']);
+    assert.strictEqual(emulator.dialogs[0].prompt, 'Generated 1 puzzle(s): jigsaw6.');
+  });
+
+  await t.test('refuses a selection on another sheet', () => {
+    const emulator = loadBasicWorkbook();
+    emulator.run('getSpreadsheet').getParent().getSheetByName('Answers4').setActiveSelection('B2');
+    emulator.run('generateSelectedRows');
+    assert.deepStrictEqual(listDocumentNames(emulator), []);
+    assert.strictEqual(emulator.dialogs[0].prompt, 'Select one or more rows on the Sudokus sheet first');
+  });
+});
+
+test('generatePuzzleByShortname', async t => {
+  await t.test('generates the row with that shortname', () => {
+    const emulator = loadEditedBasicWorkbook(workbook => workbook.ui = [{ button: 'OK', text: ' basic4 ' }]);
+    emulator.run('generatePuzzleByShortname');
+    assert.deepStrictEqual(listDocumentNames(emulator), ['Mint Hulzo Coin - basic4']);
+  });
+
+  await t.test('reports a shortname that is not on the sheet', () => {
+    const emulator = loadEditedBasicWorkbook(workbook => workbook.ui = [{ button: 'OK', text: 'basic9' }]);
+    emulator.run('generatePuzzleByShortname');
+    assert.deepStrictEqual(listDocumentNames(emulator), []);
+    assert.strictEqual(emulator.dialogs[1].prompt, 'No puzzle with the shortname "basic9" on the Sudokus sheet.');
+  });
+});
+
+test('generateChangedPuzzles', async t => {
+  const emulator = loadBasicWorkbook();
+  const lastAlert = () => emulator.dialogs[emulator.dialogs.length - 1].prompt;
+
+  await t.test('generates every row the first time', () => {
+    emulator.run('generateChangedPuzzles');
+    assert.strictEqual(lastAlert(), 'Generated 2 puzzle(s): basic4, jigsaw6.\nSkipped 0 unchanged puzzle(s).');
+    assert.deepStrictEqual(Array.from(emulator.properties.script.keys()).filter(key => key.startsWith('inputHash.')).sort(), ['inputHash.basic4', 'inputHash.jigsaw6']);
+  });
+
+  await t.test('skips rows whose inputs have not changed', () => {
+    emulator.run('generateChangedPuzzles');
+    assert.strictEqual(lastAlert(), 'Generated 0 puzzle(s).\nSkipped 2 unchanged puzzle(s): basic4, jigsaw6.');
+  });
+
+  await t.test('regenerates a row whose bolding changed', () => {
+    // Unbolding a clue of basic4 still leaves it with one solution
+    emulator.run('getSpreadsheet').getParent().getSheetByName('Answers4').getRange('C2').setFontWeight('normal');
+    emulator.run('generateChangedPuzzles');
+    assert.strictEqual(lastAlert(), 'Generated 1 puzzle(s): basic4.\nSkipped 1 unchanged puzzle(s): jigsaw6.');
+  });
+
+  await t.test('ignores the rating columns it writes itself', () => {
+    emulator.run('getSpreadsheet').getRange(2, emulator.run('getSudokusColumn', 'Difficulty')).setValue('Hard');
+    emulator.run('generateChangedPuzzles');
+    assert.strictEqual(lastAlert(), 'Generated 0 puzzle(s).\nSkipped 2 unchanged puzzle(s): basic4, jigsaw6.');
+  });
+});
@@ -0,0 +1,139 @@
+// Checks the solver, the difficulty rating and the puzzle generator on the basic workbook's puzzles
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBasicWorkbook, plain } = require('./helpers');
+
+const emulator = loadBasicWorkbook();
+
+/**
+ * Reads what a Sudokus row needs to count the solutions of its puzzle
+ * @param {number} row - The Sudokus row
+ * @returns {{puzzle: Array<Array<number|null>>, answers: Array<Array<number>>, geometry: Object, mayOnlyContain: boolean}} The row
+ */
+function readRow(row) {
+  const { puzzle, answers, geometry, mayOnlyContain } = emulator.run('getRowSnapshot', row);
+  return { puzzle: plain(puzzle), answers: plain(answers), geometry, mayOnlyContain };
+}
+
+const basic = readRow(2);
+const jigsaw = readRow(3);
+
+/**
+ * Counts the solutions of a clue grid, up to the solver's limit
+ * @param {Object} puzzleRow - The row from readRow whose geometry and clue statement to use
+ * @param {Array<Array<number|null>>} puzzle - The clue grid
+ * @param {boolean} [mayOnlyContain] - A clue statement to use instead of the row's
+ * @returns {number} The count
+ */
+function count(puzzleRow, puzzle, mayOnlyContain = puzzleRow.mayOnlyContain) {
+  return emulator.run('countSolutions', puzzle, puzzleRow.geometry, mayOnlyContain);
+}
+
+/**
+ * Counts the solutions of a clue grid from the printed statement alone, without what each house's clues imply
+ * @param {Object} puzzleRow - The row from readRow whose geometry to use
+ * @param {Array<Array<number|null>>} puzzle - The clue grid
+ * @param {boolean} mayOnlyContain - The clue statement
+ * @returns {number} The count
+ */
+function countStatedOnly(puzzleRow, puzzle, mayOnlyContain) {
+  const getImpliedCandidates = emulator.context.getImpliedCandidates;
+  emulator.context.getImpliedCandidates = (clues, gridSize) => new Array(gridSize * gridSize).fill((1 << gridSize) - 1);
+  try {
+    return count(puzzleRow, puzzle, mayOnlyContain);
+  } finally {
+    emulator.context.getImpliedCandidates = getImpliedCandidates;
+  }
+}
+
+test('countSolutions', async t => {
+  await t.test('finds one solution for each fixture puzzle', () => {
+    assert.strictEqual(count(basic, basic.puzzle), 1);
+    assert.strictEqual(count(jigsaw, jigsaw.puzzle), 1);
+  });
+
+  await t.test('stops at the limit when clues are missing', () => {
+    const empty = basic.puzzle.map(puzzleRow => puzzleRow.map(() => null));
+    assert.strictEqual(count(basic, empty), emulator.evaluate('SOLUTION_LIMIT'));
+  });
+
+  await t.test('finds none for contradictory clues', () => {
+    // Row 1 of basic4 must not contain 1, 2, 3 or 4
+    const contradictory = plain(basic.puzzle);
+    contradictory[0] = [1, 2, 3, 4];
+    assert.strictEqual(count(basic, contradictory), 0);
+  });
+
+  await t.test('reports the solution it finds', () => {
+    const found = [];
+    emulator.run('countSolutions', basic.puzzle, basic.geometry, basic.mayOnlyContain, 1, solution => found.push(plain(solution)));
+    assert.deepStrictEqual(found, [basic.answers]);
+  });
+
+  // The implied candidates only narrow the search, so counting with and without them must agree in both modes,
+  // including for houses that list a value twice
+  for (const mayOnlyContain of [false, true]) {
+    await t.test(`counts the same without implied candidates when ${mayOnlyContain ? 'may only contain' : 'must not contain'}`, () => {
+      const random = emulator.run('createRandom', 3);
+      for (const puzzleRow of [basic, jigsaw]) {
+        const { gridSize } = puzzleRow.geometry;
+        for (let trial = 0; trial < 40; trial++) {
+          const repeat = trial % 2 === 0;
+          const puzzle = puzzleRow.answers.map(answerRow => answerRow.map(value => {
+            if (random() >= 0.4) {
+              return null;
+            }
+            return repeat && random() < 0.3 ? 1 + Math.floor(random() * gridSize) : value;
+          }));
+          assert.strictEqual(count(puzzleRow, puzzle, mayOnlyContain), countStatedOnly(puzzleRow, puzzle, mayOnlyContain),
+            `counts differ for ${JSON.stringify(puzzle)}`);
+        }
+      }
+    });
+  }
+});
+
+test('ratePuzzle', async t => {
+  // Puzzles on the jigsaw6 grid that each need one more rung of the technique ladder
+  const ladder = [
+    ['Naked single', 'Easy', [[null, 5, null, null, null, null], [4, null, null, null, null, null], [null, null, 3, null, null, 5], [3, null, null, null, null, 6], [null, null, 2, 3, 1, null], [6, 4, 1, null, null, null]]],
+    ['Hidden single', 'Easy', [[null, null, 6, 4, 3, null], [null, null, null, null, null, 2], [1, null, null, null, 4, null], [null, null, 4, null, null, null], [null, null, null, 3, 1, null], [null, 4, null, null, null, 3]]],
+    ['Pointing pair', 'Medium', [[2, 5, null, null, null, 1], [null, null, null, null, null, null], [null, null, null, 6, null, null], [null, null, 4, 5, null, null], [null, null, 2, null, null, null], [6, 4, null, null, null, null]]],
+    ['Box/line reduction', 'Medium', [[null, null, null, null, null, null], [null, null, null, null, null, 2], [null, null, null, null, 4, 5], [null, 1, 4, null, null, null], [null, null, null, 3, null, null], [null, null, 1, null, null, 3]]],
+    ['Trial and error', 'Hard', [[2, null, null, 4, null, null], [null, null, null, null, 6, 2], [null, null, null, 6, 4, 5], [null, 1, null, 5, null, null], [null, 6, null, null, null, null], [6, null, 1, null, null, null]]]
+  ];
+  const scores = Object.fromEntries(plain(emulator.evaluate('TECHNIQUE_LADDER')).map(({ name, score }) => [name, score]));
+
+  for (const [hardest, difficulty, puzzle] of ladder) {
+    await t.test(`rates a puzzle whose hardest technique is ${hardest}`, () => {
+      assert.strictEqual(count(jigsaw, puzzle), 1);
+      const rating = plain(emulator.run('ratePuzzle', puzzle, jigsaw.geometry, jigsaw.mayOnlyContain));
+      assert.strictEqual(rating.hardest, hardest);
+      assert.strictEqual(rating.difficulty, difficulty);
+      assert.strictEqual(rating.score, rating.steps.reduce((total, step) => total + scores[step.technique], 0));
+    });
+  }
+
+  await t.test('refuses a puzzle with no solution', () => {
+    const contradictory = plain(basic.puzzle);
+    contradictory[0] = [1, 2, 3, 4];
+    assert.throws(() => emulator.run('ratePuzzle', contradictory, basic.geometry, basic.mayOnlyContain), /has no solution/);
+  });
+});
+
+test('generatePuzzle', async t => {
+  for (const mayOnlyContain of [false, true]) {
+    await t.test(`writes a row with one solution when ${mayOnlyContain ? 'may only contain' : 'must not contain'}`, () => {
+      const geometry = emulator.run('createGeometry', 6);
+      const generated = emulator.run('generatePuzzle', geometry, mayOnlyContain, 'test');
+      assert.deepStrictEqual(plain(emulator.run('generatePuzzle', geometry, mayOnlyContain, 'test')), plain(generated));
+
+      const row = emulator.run('writeGeneratedPuzzle', generated, geometry, mayOnlyContain, `gen6-${mayOnlyContain}`, 'Generated');
+      const written = readRow(row);
+      assert.deepStrictEqual(written.answers, plain(generated.solution));
+      assert.strictEqual(written.mayOnlyContain, mayOnlyContain);
+      assert.strictEqual(count(written, written.puzzle), 1);
+    });
+  }
+});
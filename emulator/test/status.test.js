@@ -0,0 +1,98 @@
+// Checks the status columns each generated row gets, and that one failing row does not stop the others
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadEditedBasicWorkbook, findPuzzleDocument } = require('./helpers');
+
+/**
+ * Reads the status columns of a Sudokus row
+ * @param {Object} emulator - The emulator
+ * @param {number} row - The row
+ * @returns {Object} The values and formulas, keyed by header
+ */
+function readStatus(emulator, row) {
+  const sheet = emulator.run('getSpreadsheet');
+  const read = header => sheet.getRange(row, emulator.run('getSudokusColumn', header));
+  return {
+    status: read('Status').getValue(),
+    error: read('Error').getValue(),
+    document: read('Document').getFormula() || read('Document').getValue(),
+    gridSheet: read('Grid Sheet').getFormula() || read('Grid Sheet').getValue(),
+    lastRun: read('Last Run').getValue()
+  };
+}
+
+test('row status', async t => {
+  // Only jigsaw6 uses symbol 5, so only its row fails
+  const emulator = loadEditedBasicWorkbook(workbook => {
+    workbook.urls['https://example.com/symbols/5.png'] = { file: 'images/5.png', status: 500 };
+  });
+  emulator.run('main');
+
+  await t.test('records a row that worked, with links to what it made', () => {
+    const status = readStatus(emulator, 2);
+    const doc = findPuzzleDocument(emulator, 'basic4');
+    assert.strictEqual(status.status, 'OK');
+    assert.strictEqual(status.error, '');
+    assert.strictEqual(status.document, `=HYPERLINK("${doc.getUrl()}", "Mint Hulzo Coin - basic4")`);
+    assert.match(status.gridSheet, /^=HYPERLINK\("https:\/\/docs\.google\.com\/spreadsheets\/d\/[^"]+#gid=\d+", "[^"]+"\)$/);
+    assert.strictEqual(Object.prototype.toString.call(status.lastRun), '[object Date]');
+  });
+
+  await t.test('records a row that failed, without links', () => {
+    const status = readStatus(emulator, 3);
+    assert.strictEqual(status.status, 'FAILED');
+    assert.match(status.error, /the image for symbol 5 in cell I3 could not be loaded/);
+    assert.strictEqual(status.document, '');
+    assert.strictEqual(status.gridSheet, '');
+  });
+
+  await t.test('summarises the failures after generating the other rows', () => {
+    const [summary] = emulator.dialogs;
+    assert.strictEqual(summary.title, 'Generate Puzzles');
+    assert.match(summary.prompt, /^Generated 1 puzzle\(s\): basic4\.\nFailed 1 puzzle\(s\):\n- Row 3 \(jigsaw6\): /);
+  });
+});
+
+test('failed rows', async t => {
+  await t.test('are tried again by Generate Changed Puzzles when their inputs go back to the last ones generated', () => {
+    let fixture;
+    const emulator = loadEditedBasicWorkbook(workbook => fixture = workbook);
+    const sudokus = emulator.run('getSpreadsheet');
+    const url = 'https://example.com/symbols/5.png';
+    const lastAlert = () => emulator.dialogs[emulator.dialogs.length - 1].prompt;
+    emulator.run('generateChangedPuzzles');
+    assert.ok(emulator.properties.script.has('inputHash.jigsaw6'));
+
+    // A change that fails, then is undone, leaves the inputs as they were when the row last worked
+    const served = fixture.urls[url];
+    const longname = sudokus.getRange('B3').getValue();
+    fixture.urls[url] = { file: 'images/5.png', status: 500 };
+    sudokus.getRange('B3').setValue('Jigsaw 6x6, renamed');
+    emulator.evaluate('imageCache.clear()');
+    emulator.run('clearImageCache');
+    emulator.run('generateChangedPuzzles');
+    assert.match(lastAlert(), /^Generated 0 puzzle\(s\)\.\nSkipped 1 unchanged puzzle\(s\): basic4\.\nFailed 1 puzzle\(s\):\n- Row 3 \(jigsaw6\): /);
+    assert.ok(!emulator.properties.script.has('inputHash.jigsaw6'));
+
+    fixture.urls[url] = served;
+    sudokus.getRange('B3').setValue(longname);
+    emulator.run('generateChangedPuzzles');
+    assert.strictEqual(lastAlert(), 'Generated 1 puzzle(s): jigsaw6.\nSkipped 1 unchanged puzzle(s): basic4.');
+  });
+
+  await t.test('do not stop the batch when their status cannot be written', () => {
+    const emulator = loadEditedBasicWorkbook(workbook => {
+      workbook.urls['https://example.com/symbols/5.png'] = { file: 'images/5.png', status: 500 };
+    });
+    const writeRowStatus = emulator.context.writeRowStatus;
+    emulator.context.writeRowStatus = (row, status) => {
+      if (status.status === 'FAILED') {
+        throw new Error('The sheet is protected');
+      }
+      return writeRowStatus(row, status);
+    };
+    emulator.run('main');
+    assert.match(emulator.dialogs[0].prompt, /^Generated 1 puzzle\(s\): basic4\.\nFailed 1 puzzle\(s\):\n- Row 3 \(jigsaw6\): /);
+  });
+});
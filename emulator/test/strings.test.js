@@ -0,0 +1,88 @@
+// Checks that documents print their wording from the Strings sheet in each row's language
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBasicWorkbook, plain, findPuzzleDocument } = require('./helpers');
+
+/**
+ * Loads the basic workbook with a Strings sheet, and basic4 printed in its "nl" column
+ * @param {Array<Array<string>>} rows - The Strings sheet rows below its Key, nl headers
+ * @param {string} [language] - The Language value for basic4
+ * @returns {{emulator: Object, sudokus: Object}} The emulator and the Sudokus sheet
+ */
+function loadWithStrings(rows, language) {
+  const emulator = loadBasicWorkbook();
+  const sudokus = emulator.run('getSpreadsheet');
+  const strings = sudokus.getParent().insertSheet('Strings');
+  strings.getRange(1, 1, rows.length + 1, 2).setValues([['Key', 'nl']].concat(rows));
+  sudokus.getRange('X1:X2').setValues([['Language'], [language === undefined ? 'NL' : language]]);
+  return { emulator, sudokus };
+}
+
+/**
+ * Reads the Validation Report lines
+ * @param {Object} sudokus - The Sudokus sheet
+ * @returns {Array<Array<any>>} The lines below the header
+ */
+function readReport(sudokus) {
+  return plain(sudokus.getParent().getSheetByName('Validation Report').getDataRange().getValues()).slice(1);
+}
+
+const DUTCH = [
+  ['documentTitle', 'Munt Hulzo - {shortname}'],
+  ['sectionTitle', '{sectionType}: {declaration}'],
+  ['mustNotContain', 'mogen geen van deze waarden bevatten'],
+  ['section.ROWS', 'RIJEN'],
+  ['prefix.ROW', 'RIJ'],
+  ['solutionTitle', 'Oplossing'],
+  ['referenceTitle', '']
+];
+
+test('formatString', async t => {
+  await t.test('fills in the English defaults without a Strings sheet', () => {
+    const emulator = loadBasicWorkbook();
+    assert.strictEqual(emulator.run('formatString', null, 'houseLabel', { prefix: 'ROW', index: 3 }), 'ROW 3:');
+    assert.throws(() => emulator.run('formatString', null, 'houseLabel', { prefix: 'ROW' }),
+      /The template in the default for "houseLabel" uses \{index\}/);
+    assert.throws(() => emulator.run('formatString', null, 'nothing'), /Unknown string key "nothing"/);
+  });
+
+  await t.test('prints a row in its language, falling back to English for blank and missing templates', () => {
+    const { emulator } = loadWithStrings(DUTCH);
+    emulator.run('main');
+    const lines = emulator.outline(findPuzzleDocument(emulator, 'basic4')).split('\n');
+    assert.strictEqual(lines[0], '# Munt Hulzo - basic4');
+    assert.ok(lines.some(line => line.includes('RIJEN: mogen geen van deze waarden bevatten')));
+    assert.ok(lines.some(line => line.includes('"RIJ 1: ')));
+    assert.ok(lines.some(line => line.includes('COLUMNS: mogen geen van deze waarden bevatten')));
+    assert.ok(lines.some(line => line.includes('Reference Images')));
+    assert.ok(lines.some(line => line.includes('Oplossing')));
+
+    const english = emulator.outline(findPuzzleDocument(emulator, 'jigsaw6')).split('\n');
+    assert.strictEqual(english[0], '# Mint Hulzo Coin - jigsaw6');
+    assert.ok(english.some(line => line.includes('"ROW 1: ')));
+  });
+});
+
+test('findStringSheetProblems', async t => {
+  const cases = [
+    ['a language without a column', [], 'fr', 'Error', 'Sudokus!X2', /language "fr" has no column on the Strings sheet/],
+    ['a placeholder the key cannot fill in', [['solutionTitle', 'Oplossing {shortname}']], undefined, 'Error', 'Strings!B2',
+      /The "solutionTitle" template uses \{shortname\}, which it cannot fill in/],
+    ['a key listed twice', [['solutionTitle', 'Oplossing'], ['solutionTitle', 'Antwoord']], undefined, 'Error', 'Strings!A1',
+      /The key "solutionTitle" is listed twice on the Strings sheet, in rows 2 and 3/],
+    ['an unknown key', [['soluton', 'Oplossing']], undefined, 'Warning', 'Strings!B2', /Unknown string key "soluton"/],
+    ['a booklet title that leaves out the puzzles', [['bookletTitle', 'Munt Hulzo - Boekje']], undefined, 'Warning', 'Strings!B2',
+      /The "bookletTitle" template leaves out \{shortnames\}, so documents it names can share a title/]
+  ];
+
+  for (const [name, rows, language, severity, cell, message] of cases) {
+    await t.test(`reports ${name}`, () => {
+      const { emulator, sudokus } = loadWithStrings(rows, language);
+      emulator.run('validateAll');
+      const report = readReport(sudokus);
+      assert.deepStrictEqual(report.map(([reportedSeverity, , reportedCell]) => [reportedSeverity, reportedCell]), [[severity, cell]]);
+      assert.match(report[0][3], message);
+    });
+  }
+});
@@ -0,0 +1,91 @@
+// Checks that rows take their symbols from a Symbols sheet set, with their own images overriding it
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBasicWorkbook, plain } = require('./helpers');
+
+const SYMBOL_URL = 'https://example.com/symbols/';
+
+/**
+ * Loads the basic workbook with a "Shapes" set on a Symbols sheet, used by basic4 with its own image for value 3
+ * @param {Array<Array<any>>} [symbolRows] - Rows for the Symbols sheet below its headers, instead of the Shapes set
+ * @param {string} [setName] - The Symbol Set value for basic4
+ * @returns {{emulator: Object, sudokus: Object}} The emulator and the Sudokus sheet
+ */
+function loadWithSymbolSet(symbolRows, setName) {
+  const emulator = loadBasicWorkbook();
+  const sudokus = emulator.run('getSpreadsheet');
+  const rows = symbolRows || [
+    ['Shapes', 1, `${SYMBOL_URL}4.png`, 'Circle', 'A red circle'],
+    ['shapes', 2, `=IMAGE("${SYMBOL_URL}3.png")`, 'Square', ''],
+    ['Shapes', 3, `${SYMBOL_URL}2.png`, '', ''],
+    ['Shapes', 4, `${SYMBOL_URL}1.png`, '', '']
+  ];
+  const symbols = sudokus.getParent().insertSheet('Symbols');
+  symbols.getRange(1, 1, 1, 5).setValues([['Set', 'Value', 'Image', 'Label', 'Alt Text']]);
+  rows.forEach((symbolRow, index) => {
+    const cells = symbols.getRange(index + 2, 1, 1, 5);
+    cells.setValues([symbolRow.map(value => (String(value).startsWith('=') ? '' : value))]);
+    symbolRow.forEach((value, column) => {
+      if (String(value).startsWith('=')) {
+        symbols.getRange(index + 2, column + 1).setFormula(value);
+      }
+    });
+  });
+
+  sudokus.getRange('X1').setValue('Symbol Set');
+  sudokus.getRange('X2').setValue(setName === undefined ? 'Shapes' : setName);
+  sudokus.getRange('E2:H2').setFormulas([['', '', `=IMAGE("${SYMBOL_URL}3.png")`, '']]);
+  return { emulator, sudokus };
+}
+
+test('getSymbol', async t => {
+  await t.test('reads the set, with the row\'s own image overriding its value', () => {
+    const { emulator } = loadWithSymbolSet();
+    const snapshot = emulator.run('getRowSnapshot', 2);
+    const symbols = [1, 2, 3, 4].map(num => plain(emulator.run('getSymbol', num, snapshot)));
+    assert.deepStrictEqual(symbols, [
+      { url: `${SYMBOL_URL}4.png`, label: 'Circle', altText: 'A red circle', cell: 'Symbols!C2' },
+      { url: `${SYMBOL_URL}3.png`, label: 'Square', altText: 'Square', cell: 'Symbols!C3' },
+      { url: `${SYMBOL_URL}3.png`, label: '3', altText: '3', cell: 'G2' },
+      { url: `${SYMBOL_URL}1.png`, label: '4', altText: '4', cell: 'Symbols!C5' }
+    ]);
+  });
+
+  await t.test('keeps the row\'s own images when it names no set', () => {
+    const emulator = loadBasicWorkbook();
+    const snapshot = emulator.run('getRowSnapshot', 3);
+    assert.deepStrictEqual(plain(emulator.run('getSymbol', 5, snapshot)),
+      { url: `${SYMBOL_URL}5.png`, label: '5', altText: 'Symbol 5', cell: 'I3' });
+  });
+
+  await t.test('generates a document from the set\'s images', () => {
+    const { emulator } = loadWithSymbolSet();
+    emulator.run('main');
+    assert.strictEqual(emulator.dialogs[emulator.dialogs.length - 1].prompt, 'Generated 2 puzzle(s): basic4, jigsaw6.');
+  });
+});
+
+test('findSymbolProblems', async t => {
+  const cases = [
+    ['a set that is not on the Symbols sheet', undefined, 'Circles', 'Sudokus!X2', /symbol set "Circles" is not defined/],
+    ['a value missing from the set', [['Shapes', 1, `${SYMBOL_URL}1.png`, '', '']], 'Shapes', 'Sudokus!X2',
+      /symbol set "Shapes" has no symbol for value 2/],
+    ['a value defined twice', [['Shapes', 1, `${SYMBOL_URL}1.png`, '', ''], ['Shapes', 1, `${SYMBOL_URL}2.png`, '', '']],
+      'Shapes', 'Symbols!A1', /defines value 1 twice, in Symbols!C2 and Symbols!C3/],
+    ['a set image that is not an image', [1, 2, 3, 4].map(num => ['Shapes', num, num === 4 ? 42 : `${SYMBOL_URL}${num}.png`, '', '']),
+      'Shapes', 'Symbols!C5', /does not contain an image/]
+  ];
+
+  for (const [name, symbolRows, setName, cell, message] of cases) {
+    await t.test(`reports ${name}`, () => {
+      const { emulator, sudokus } = loadWithSymbolSet(symbolRows, setName);
+      emulator.run('validateAll');
+      const sheet = sudokus.getParent().getSheetByName('Validation Report');
+      const report = plain(sheet.getDataRange().getValues()).slice(1);
+      const [severity, , reportedCell, problem] = report[0];
+      assert.deepStrictEqual([severity, reportedCell], ['Error', cell]);
+      assert.match(problem, message);
+    });
+  }
+});
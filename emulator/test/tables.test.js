@@ -0,0 +1,82 @@
+// Checks the grid tables on the reference and solution pages: box borders, jigsaw shading and shaded clues
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBasicWorkbook, plain, findPuzzleDocument, findTableAfter } = require('./helpers');
+
+/**
+ * Reads the background of every cell of a single-table grid
+ * @param {Object} table - The table
+ * @returns {Array<Array<string|null>>} The cell colours
+ */
+function readBackgrounds(table) {
+  return table.children.map(row => row.children.map(cell => cell.getBackgroundColor() || null));
+}
+
+test('grid tables', async t => {
+  const emulator = loadBasicWorkbook();
+  const sudokus = emulator.run('getSpreadsheet');
+  sudokus.getRange(1, 24).setValue('Shade Clues');
+  sudokus.getRange(2, 24).setValue('yes');
+  emulator.run('main');
+
+  await t.test('draws boxes as tables with thick borders holding cells with thin borders', () => {
+    const outer = findTableAfter(findPuzzleDocument(emulator, 'basic4').getBody(), 'Solution');
+    assert.strictEqual(outer.getBorderWidth(), 3);
+    assert.strictEqual(outer.children.length, 2);
+    outer.children.forEach(row => row.children.forEach(boxCell => {
+      assert.deepStrictEqual(boxCell.children.map(child => child.getType()), ['TABLE']);
+      assert.strictEqual(boxCell.children[0].getBorderWidth(), 1);
+    }));
+  });
+
+  await t.test('shades clue cells when the row asks for it', () => {
+    const { puzzle } = emulator.run('getRowSnapshot', 2);
+    const outer = findTableAfter(findPuzzleDocument(emulator, 'basic4').getBody(), 'Solution');
+    // Read the 2x2 boxes back into grid order
+    const shaded = [0, 1, 2, 3].map(i => [0, 1, 2, 3].map(j => {
+      const box = outer.children[Math.floor(i / 2)].children[Math.floor(j / 2)].children[0];
+      return box.children[i % 2].children[j % 2].getBackgroundColor() === '#b7b7b7';
+    }));
+    assert.deepStrictEqual(shaded, plain(puzzle).map(puzzleRow => puzzleRow.map(value => value !== null)));
+  });
+
+  await t.test('shades jigsaw regions so that neighbours differ', () => {
+    const { geometry } = emulator.run('getRowSnapshot', 3);
+    const regions = plain(geometry.regions);
+    const backgrounds = readBackgrounds(findTableAfter(findPuzzleDocument(emulator, 'jigsaw6').getBody(), 'Solution'));
+    regions.forEach((regionRow, i) => regionRow.forEach((region, j) => {
+      assert.ok(backgrounds[i][j], `cell ${i + 1},${j + 1} is not shaded`);
+      [[i + 1, j], [i, j + 1]].filter(([r, c]) => r < 6 && c < 6).forEach(([r, c]) => {
+        assert.strictEqual(backgrounds[r][c] === backgrounds[i][j], regions[r][c] === region,
+          `cells ${i + 1},${j + 1} and ${r + 1},${c + 1} are shaded wrongly`);
+      });
+    }));
+  });
+
+  await t.test('fits the grid to the page width', () => {
+    const body = findPuzzleDocument(emulator, 'jigsaw6').getBody();
+    const width = body.getPageWidth() - body.getMarginLeft() - body.getMarginRight();
+    const images = findTableAfter(body, 'Solution').children[0].children.map(cell => cell.children[0].children[0]);
+    const rowWidth = images.reduce((total, image) => total + image.getWidth() + 2 * 2 + 3, 0);
+    assert.ok(rowWidth <= width, `a row is ${rowWidth} points wide on a ${width} point page`);
+  });
+});
+
+test('the only paragraph of a section or cell', async t => {
+  const emulator = loadBasicWorkbook();
+  const body = emulator.services.DocumentApp.create('Scratch').getBody();
+
+  await t.test('cannot be removed', () => {
+    assert.throws(() => body.getChild(0).removeFromParent(), /^Error: Can't remove the last paragraph in a document section\.$/);
+    const cell = body.appendTable().appendTableRow().appendTableCell();
+    assert.throws(() => cell.getChild(0).removeFromParent(), /Can't remove the last paragraph/);
+  });
+
+  await t.test('can be removed once something else holds the cell', () => {
+    const cell = body.appendTable().appendTableRow().appendTableCell();
+    cell.appendTable();
+    cell.getChild(0).removeFromParent();
+    assert.deepStrictEqual(cell.children.map(child => child.getType()), ['TABLE']);
+  });
+});
@@ -0,0 +1,142 @@
+// Checks the puzzle transforms and the Make Variants command that writes them as new rows
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBasicWorkbook, loadEditedBasicWorkbook, plain } = require('./helpers');
+
+test('moveGridCells', async t => {
+  const emulator = loadBasicWorkbook();
+  const grid = [[1, 2], [3, 4]];
+  const identity = { rowOrder: [0, 1], colOrder: [0, 1], transpose: false, quarterTurns: 0 };
+  const move = changes => plain(emulator.run('moveGridCells', grid, Object.assign({}, identity, changes)));
+
+  await t.test('swaps lines, transposes and turns clockwise', () => {
+    assert.deepStrictEqual(move({}), [[1, 2], [3, 4]]);
+    assert.deepStrictEqual(move({ rowOrder: [1, 0] }), [[3, 4], [1, 2]]);
+    assert.deepStrictEqual(move({ colOrder: [1, 0] }), [[2, 1], [4, 3]]);
+    assert.deepStrictEqual(move({ transpose: true }), [[1, 3], [2, 4]]);
+    assert.deepStrictEqual(move({ quarterTurns: 1 }), [[3, 1], [4, 2]]);
+    assert.deepStrictEqual(move({ quarterTurns: 2 }), [[4, 3], [2, 1]]);
+  });
+});
+
+test('createTransform', async t => {
+  const emulator = loadBasicWorkbook();
+  const random = emulator.run('createRandom', 5);
+
+  await t.test('keeps rows in their bands and columns in their stacks', () => {
+    const geometry = emulator.run('createGeometry', 6);
+    const sameBlock = (order, size) => order.every((source, line) =>
+      Math.floor(source / size) === Math.floor(order[line - line % size] / size));
+    for (let trial = 0; trial < 20; trial++) {
+      const { relabel, rowOrder, colOrder, transpose, quarterTurns } = plain(emulator.run('createTransform', geometry, random));
+      assert.deepStrictEqual(relabel.slice().sort(), [1, 2, 3, 4, 5, 6]);
+      assert.ok(sameBlock(rowOrder, geometry.boxRows), `rows left their bands: ${rowOrder}`);
+      assert.ok(sameBlock(colOrder, geometry.boxCols), `columns left their stacks: ${colOrder}`);
+      // 2x3 boxes cannot be transposed or turned a quarter
+      assert.strictEqual(transpose, false);
+      assert.strictEqual(quarterTurns % 2, 0);
+    }
+  });
+
+  await t.test('leaves the line order alone for jigsaw grids', () => {
+    const { geometry } = emulator.run('getRowSnapshot', 3);
+    const { rowOrder, colOrder } = plain(emulator.run('createTransform', geometry, random));
+    assert.deepStrictEqual(rowOrder, [0, 1, 2, 3, 4, 5]);
+    assert.deepStrictEqual(colOrder, [0, 1, 2, 3, 4, 5]);
+  });
+});
+
+test('transformPuzzle', async t => {
+  const emulator = loadBasicWorkbook();
+
+  for (const row of [2, 3]) {
+    const snapshot = emulator.run('getRowSnapshot', row);
+
+    await t.test(`keeps one solution for ${snapshot.shortname}`, () => {
+      const random = emulator.run('createRandom', 11);
+      for (let trial = 0; trial < 10; trial++) {
+        const transformed = emulator.run('transformPuzzle', snapshot, random);
+        const geometry = transformed.regionMap
+          ? emulator.run('withVariants', emulator.run('createJigsawGeometry', transformed.regionMap, 'the test grid'), snapshot.geometry.variants)
+          : snapshot.geometry;
+        const moved = Object.assign({}, snapshot, { answers: transformed.answers, clueMarks: transformed.clueMarks });
+        const puzzle = emulator.run('getSudokuPuzzle', moved);
+        assert.deepStrictEqual(plain(emulator.run('findAnswerGridConflicts', transformed.answers, geometry, snapshot.answersSheetName, snapshot.startCell)), []);
+        assert.strictEqual(emulator.run('countSolutions', puzzle, geometry, snapshot.mayOnlyContain), 1);
+        assert.strictEqual(emulator.run('countClues', puzzle), emulator.run('countClues', snapshot.puzzle));
+        assert.match(transformed.description, /^symbols relabelled/);
+      }
+    });
+  }
+});
+
+test('makeVariants', async t => {
+  await t.test('adds numbered rows with the source row\'s symbols and one solution each', () => {
+    const emulator = loadEditedBasicWorkbook(workbook => workbook.ui = [{ button: 'OK', text: '2' }]);
+    const sudokus = emulator.run('getSpreadsheet');
+    sudokus.setActiveSelection('A3');
+    emulator.run('makeVariants');
+
+    const alert = emulator.dialogs[1].prompt;
+    assert.match(alert, /^Added 2 puzzle\(s\) with the symbols and settings of row 3:\njigsaw6-v1 \(row 4\): .*\njigsaw6-v2 \(row 5\): /);
+    assert.deepStrictEqual(plain(sudokus.getRange('E4:J4').getFormulas()), plain(sudokus.getRange('E3:J3').getFormulas()));
+    for (const [row, shortname] of [[4, 'jigsaw6-v1'], [5, 'jigsaw6-v2']]) {
+      const snapshot = emulator.run('getRowSnapshot', row);
+      assert.strictEqual(snapshot.shortname, shortname);
+      assert.strictEqual(snapshot.answersSheetName, 'Answers6');
+      assert.strictEqual(emulator.run('countSolutions', snapshot.puzzle, snapshot.geometry, snapshot.mayOnlyContain), 1);
+    }
+  });
+
+  await t.test('writes nothing when one of the new puzzles cannot be made', () => {
+    const emulator = loadEditedBasicWorkbook(workbook => workbook.ui = [{ button: 'OK', text: '2' }]);
+    const sudokus = emulator.run('getSpreadsheet');
+    const answers = sudokus.getParent().getSheetByName('Answers6');
+    const answersBefore = plain(answers.getDataRange().getValues());
+    const transformPuzzle = emulator.context.transformPuzzle;
+    let calls = 0;
+    emulator.context.transformPuzzle = (...args) => {
+      if (++calls === 2) {
+        throw new Error('No valid transform found for row 3 after 20 attempts');
+      }
+      return transformPuzzle(...args);
+    };
+    sudokus.setActiveSelection('A3');
+    emulator.run('makeVariants');
+
+    assert.strictEqual(emulator.dialogs[1].prompt, 'Failed to make variants: No valid transform found for row 3 after 20 attempts');
+    assert.strictEqual(emulator.run('findFreeSudokusRow'), 4);
+    assert.deepStrictEqual(plain(answers.getDataRange().getValues()), answersBefore);
+  });
+
+  await t.test('names the rows already added when writing one fails', () => {
+    const emulator = loadEditedBasicWorkbook(workbook => workbook.ui = [{ button: 'OK', text: '2' }]);
+    const writePuzzleVariant = emulator.context.writePuzzleVariant;
+    emulator.context.writePuzzleVariant = (snapshot, transformed, shortname, longname) => {
+      if (shortname === 'jigsaw6-v2') {
+        throw new Error('Service Spreadsheets timed out');
+      }
+      return writePuzzleVariant(snapshot, transformed, shortname, longname);
+    };
+    emulator.run('getSpreadsheet').setActiveSelection('A3');
+    emulator.run('makeVariants');
+    assert.strictEqual(emulator.dialogs[1].prompt,
+      'Failed to make variants: Failed to write jigsaw6-v2 after adding 1 of 2 puzzle(s) (jigsaw6-v1 (row 4)): Service Spreadsheets timed out');
+  });
+
+  await t.test('refuses a count outside the limit', () => {
+    const emulator = loadEditedBasicWorkbook(workbook => workbook.ui = [{ button: 'OK', text: '21' }]);
+    emulator.run('getSpreadsheet').setActiveSelection('A2');
+    emulator.run('makeVariants');
+    assert.strictEqual(emulator.dialogs[1].prompt, 'Enter a whole number from 1 to 20.');
+    assert.strictEqual(emulator.run('findFreeSudokusRow'), 4);
+  });
+
+  await t.test('refuses a selection of more than one row', () => {
+    const emulator = loadBasicWorkbook();
+    emulator.run('getSpreadsheet').setActiveSelection('A2:A3');
+    emulator.run('makeVariants');
+    assert.strictEqual(emulator.dialogs[0].prompt, 'Select the one puzzle row to make variants of.');
+  });
+});
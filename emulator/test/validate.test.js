@@ -0,0 +1,96 @@
+// Checks the Validate All report and that main refuses to start while it has errors
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBasicWorkbook, plain } = require('./helpers');
+
+/**
+ * Reads the lines of the Validation Report sheet
+ * @param {Object} emulator - The emulator
+ * @returns {Array<Array<any>>} The lines below the header
+ */
+function readReport(emulator) {
+  const sheet = emulator.run('getSpreadsheet').getParent().getSheetByName('Validation Report');
+  return plain(sheet.getDataRange().getValues()).slice(1);
+}
+
+test('validateAll', async t => {
+  await t.test('reports no problems for the basic workbook', () => {
+    const emulator = loadBasicWorkbook();
+    emulator.run('validateAll');
+    assert.strictEqual(emulator.dialogs[0].prompt, 'No problems found.');
+    assert.deepStrictEqual(readReport(emulator), [['', '', '', 'No problems found', '']]);
+    assert.deepStrictEqual(emulator.documents(), []);
+  });
+
+  await t.test('reports each broken row with the cell to fix', () => {
+    const emulator = loadBasicWorkbook();
+    const sudokus = emulator.run('getSpreadsheet');
+    sudokus.getRange('C2').setValue('Answers4!');
+    sudokus.getRange('E3').setFormula('');
+    sudokus.getRange('A4:D4').setValues([['basic4', 'Basic again', 'Answers4!B2', false]]);
+    sudokus.getRange('E4:H4').setFormulas([[1, 2, 3, 4].map(value => `=IMAGE("https://example.com/symbols/${value}.png")`)]);
+    emulator.run('validateAll');
+
+    const report = readReport(emulator);
+    assert.deepStrictEqual(report.map(([severity, row, cell]) => [severity, row, cell]), [
+      ['Error', 2, 'Sudokus!C2'],
+      ['Error', 3, 'Sudokus!E3'],
+      ['Error', 4, 'Sudokus!A4']
+    ]);
+    assert.match(report[2][3], /^The shortname "basic4" is already used in row 2/);
+    assert.strictEqual(emulator.dialogs[0].prompt, 'Found 3 error(s) and 0 warning(s). See the "Validation Report" sheet.');
+  });
+
+  await t.test('reports clues with more than one solution', () => {
+    const emulator = loadBasicWorkbook();
+    emulator.run('getSpreadsheet').getParent().getSheetByName('Answers4').getRange('B4:D5').setFontWeight('normal');
+    emulator.run('validateAll');
+    assert.deepStrictEqual(readReport(emulator).map(([, row, cell, problem]) => [row, cell, problem]),
+      [[2, 'Answers4!B2:E5', 'The clues allow more than one solution']]);
+  });
+
+  await t.test('warns about rows hidden behind a blank shortname', () => {
+    const emulator = loadBasicWorkbook();
+    emulator.run('getSpreadsheet').getRange('A5:D5').setValues([['later', 'Later', 'Answers4!B2', false]]);
+    emulator.run('validateAll');
+    assert.deepStrictEqual(readReport(emulator).map(([severity, row]) => [severity, row]), [['Warning', 4]]);
+  });
+});
+
+test('main refuses to start while errors remain', async t => {
+  await t.test('stops at a broken reference', () => {
+    const emulator = loadBasicWorkbook();
+    emulator.run('getSpreadsheet').getRange('C2').setValue('Answers4!');
+    emulator.run('main');
+    assert.match(emulator.dialogs[0].prompt, /^Validation found 1 error\(s\)/);
+    assert.deepStrictEqual(emulator.documents(), []);
+    assert.strictEqual(readReport(emulator).length, 1);
+  });
+
+  await t.test('stops at a header inside the symbol columns', () => {
+    const emulator = loadBasicWorkbook();
+    emulator.run('getSpreadsheet').getRange('T1').setValue('Output Mode');
+    emulator.run('main');
+    assert.match(emulator.dialogs[0].prompt, /^Validation found 1 error\(s\)/);
+    assert.deepStrictEqual(readReport(emulator).map(([severity, row, cell]) => [severity, row, cell]), [['Error', 1, 'Sudokus!T1']]);
+  });
+
+  await t.test('stops at a missing image', () => {
+    const emulator = loadBasicWorkbook();
+    emulator.run('getSpreadsheet').getRange('E3').setFormula('');
+    emulator.run('main');
+    assert.match(emulator.dialogs[0].prompt, /^Validation found 1 error\(s\)/);
+    assert.deepStrictEqual(emulator.documents(), []);
+    assert.deepStrictEqual(readReport(emulator).map(([severity, row, cell]) => [severity, row, cell]), [['Error', 3, 'Sudokus!E3']]);
+  });
+
+  await t.test('stops at clues with more than one solution', () => {
+    const emulator = loadBasicWorkbook();
+    emulator.run('getSpreadsheet').getParent().getSheetByName('Answers4').getRange('B4:D5').setFontWeight('normal');
+    emulator.run('main');
+    assert.match(emulator.dialogs[0].prompt, /^Validation found 1 error\(s\)/);
+    assert.deepStrictEqual(emulator.documents(), []);
+    assert.deepStrictEqual(readReport(emulator).map(([, row, , problem]) => [row, problem]), [[2, 'The clues allow more than one solution']]);
+  });
+});
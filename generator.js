@@ -0,0 +1,218 @@
+// Random puzzle generation
+//
+// Builds a random solution grid, picks the cells to bold so that the clues
+// have exactly one solution, and writes both into an Answers sheet together
+// with a new row on the Sudokus sheet.
+
+// Number of solution grids to try before giving up
+const GENERATOR_ATTEMPTS = 20;
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32)
+ * @param {number|string} seed - The seed; strings are hashed to a number
+ * @returns {function(): number} A function returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = 0;
+  if (typeof seed === 'number') {
+    state = seed >>> 0;
+  } else {
+    const text = String(seed);
+    for (let i = 0; i < text.length; i++) {
+      state = Math.imul(state ^ text.charCodeAt(i), 2654435761) >>> 0;
+    }
+  }
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Shuffles an array in place
+ * @param {Array<any>} array - The array to shuffle
+ * @param {function(): number} random - The random number generator
+ * @returns {Array<any>} The shuffled array
+ */
+function shuffle(array, random) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+/**
+ * Builds a random, complete and valid solution grid
+ * @param {Object} geometry - The grid geometry from createGeometry
+ * @param {function(): number} random - The random number generator
+ * @returns {Array<Array<number>>} The solution grid
+ */
+function generateSolutionGrid(geometry, random) {
+  const { gridSize } = geometry;
+  const candidates = new Array(gridSize * gridSize).fill((1 << gridSize) - 1);
+  let grid = null;
+  searchSolutions(candidates, geometry, { limit: 1, random, onSolution: solution => grid = solution });
+  if (!grid) {
+    throw new Error(`Could not build a ${gridSize}x${gridSize} solution grid`);
+  }
+  return grid;
+}
+
+/**
+ * Picks the cells to bold so that the clues have exactly one solution
+ * @param {Array<Array<number>>} solution - The solution grid
+ * @param {Object} geometry - The grid geometry from createGeometry
+ * @param {boolean} mayOnlyContain - Whether the clues list the values a house may only contain
+ * @param {function(): number} random - The random number generator
+ * @returns {Array<Array<boolean>>} Whether each cell should be bold, or null if no clue set was found
+ */
+function generateClueMask(solution, geometry, mayOnlyContain, random) {
+  const { gridSize } = geometry;
+  const sameGrid = (a, b) => a.every((gridRow, i) => gridRow.every((value, j) => value === b[i][j]));
+
+  // Start by listing a random half of the cells, which is where the clues say the most
+  const puzzle = solution.map(solutionRow => solutionRow.map(value => random() < 0.5 ? value : null));
+
+  for (let step = 0; step < gridSize * gridSize; step++) {
+    let otherSolution = null;
+    countSolutions(puzzle, geometry, mayOnlyContain, SOLUTION_LIMIT, found => {
+      if (!sameGrid(found, solution)) {
+        otherSolution = found;
+      }
+    });
+    if (!otherSolution) {
+      // Bold cells are listed in "must not contain" mode and left out in "may only contain" mode
+      return puzzle.map(puzzleRow => puzzleRow.map(value => (value !== null) !== mayOnlyContain));
+    }
+
+    // Listing or unlisting any cell where the other solution differs rules that solution out
+    const differences = [];
+    otherSolution.forEach((otherRow, i) => otherRow.forEach((value, j) => {
+      if (value !== solution[i][j]) {
+        differences.push({ row: i, col: j });
+      }
+    }));
+    const { row, col } = differences[Math.floor(random() * differences.length)];
+    puzzle[row][col] = puzzle[row][col] === null ? solution[row][col] : null;
+  }
+  return null;
+}
+
+/**
+ * Generates a random puzzle
+ * @param {Object} geometry - The grid geometry from createGeometry
+ * @param {boolean} mayOnlyContain - Whether the clues list the values a house may only contain
+ * @param {number|string} seed - The seed that makes the output reproducible
+ * @returns {{solution: Array<Array<number>>, bold: Array<Array<boolean>>}} The solution grid and which cells to bold
+ */
+function generatePuzzle(geometry, mayOnlyContain, seed) {
+  const random = createRandom(seed);
+
+  for (let attempt = 0; attempt < GENERATOR_ATTEMPTS; attempt++) {
+    const solution = generateSolutionGrid(geometry, random);
+    const bold = generateClueMask(solution, geometry, mayOnlyContain, random);
+    if (bold) {
+      return { solution, bold };
+    }
+  }
+  throw new Error(`Could not find a clue set with a unique solution after ${GENERATOR_ATTEMPTS} attempts (seed ${seed})`);
+}
+
+/**
+ * Finds where a new answer block goes on an Answers sheet
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} answersSheet - The Answers sheet
+ * @returns {number} The first row of the new block, leaving a blank row after the last block
+ */
+function findFreeAnswersRow(answersSheet) {
+  const lastRow = answersSheet.getLastRow();
+  return lastRow === 0 ? 1 : lastRow + 2;
+}
+
+/**
+ * Finds the first empty row of the Sudokus sheet, where main will find a new puzzle
+ * @returns {number} The row number
+ */
+function findFreeSudokusRow() {
+  const sheet = getSpreadsheet();
+  const shortnames = sheet.getRange(1, 1, sheet.getLastRow() + 1, 1).getValues();
+  let row = 2;
+  while (row <= shortnames.length && shortnames[row - 1][0] !== '') {
+    row++;
+  }
+  return row;
+}
+
+/**
+ * Writes a generated puzzle into a new block of its Answers sheet and adds a row for it to the Sudokus sheet
+ * @param {{solution: Array<Array<number>>, bold: Array<Array<boolean>>}} generated - The generated puzzle
+ * @param {Object} geometry - The grid geometry the puzzle was generated for
+ * @param {boolean} mayOnlyContain - Whether the clues list the values a house may only contain
+ * @param {string} shortname - The shortname for the new Sudokus row
+ * @param {string} longname - The longname for the new Sudokus row
+ * @returns {number} The Sudokus row that was added
+ */
+function writeGeneratedPuzzle(generated, geometry, mayOnlyContain, shortname, longname) {
+  const { solution, bold } = generated;
+  const { gridSize } = geometry;
+  const answersSheetName = `Answers${gridSize}`;
+  const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
+  const answersSheet = spreadsheet.getSheetByName(answersSheetName) || spreadsheet.insertSheet(answersSheetName);
+
+  const startRow = findFreeAnswersRow(answersSheet);
+  const range = answersSheet.getRange(startRow, 1, gridSize, gridSize);
+  range.setValues(solution);
+  range.setFontWeights(bold.map(boldRow => boldRow.map(isBold => isBold ? 'bold' : 'normal')));
+
+  const sheet = getSpreadsheet();
+  const row = findFreeSudokusRow();
+  const reference = formatReference(answersSheetName, startRow, 1);
+  sheet.getRange(row, 1, 1, 4).setValues([[shortname, longname, reference, mayOnlyContain]]);
+  sheet.getRange(row, getSudokusColumn(GEOMETRY_HEADERS.boxShape)).setValue(formatBoxShape(geometry));
+
+  console.log(`Wrote generated puzzle "${shortname}" to ${reference} and Sudokus row ${row}`);
+  return row;
+}
+
+/**
+ * Asks for the size, mode and seed of a new puzzle, then generates it
+ */
+function generateNewPuzzle() {
+  const ui = SpreadsheetApp.getUi();
+  const title = 'Generate New Puzzle';
+
+  const sizeResponse = ui.prompt(title, `Grid size (${Object.keys(DEFAULT_BOX_SHAPES).join(', ')}), optionally followed by a box shape (e.g. "12 2x6"):`, ui.ButtonSet.OK_CANCEL);
+  if (sizeResponse.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+  const [sizeText, boxShapeText] = sizeResponse.getResponseText().trim().split(/\s+/);
+  const gridSize = Number(sizeText);
+
+  const modeResponse = ui.alert(title, 'Use "may only contain" clues? Choose No for "must not contain".', ui.ButtonSet.YES_NO_CANCEL);
+  if (modeResponse === ui.Button.CANCEL) {
+    return;
+  }
+  const mayOnlyContain = modeResponse === ui.Button.YES;
+
+  const seedResponse = ui.prompt(title, 'Seed (leave blank for a random one):', ui.ButtonSet.OK_CANCEL);
+  if (seedResponse.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+  const seed = seedResponse.getResponseText().trim() || String(Date.now());
+
+  try {
+    const geometry = createGeometry(gridSize, boxShapeText ? parseBoxShape(boxShapeText, gridSize) : null);
+    const generated = generatePuzzle(geometry, mayOnlyContain, seed);
+    const shortname = `gen${gridSize}-${seed}`;
+    const longname = `Generated ${gridSize}x${gridSize} puzzle (seed ${seed})`;
+    const row = writeGeneratedPuzzle(generated, geometry, mayOnlyContain, shortname, longname);
+    ui.alert(title, `Added "${shortname}" on Sudokus row ${row}. Name a symbol set in its "${SYMBOL_SET_HEADER}" column, or fill in its symbol images in columns E onward, before generating documents.`, ui.ButtonSet.OK);
+  } catch (error) {
+    console.error('Error generating puzzle:', error.message);
+    ui.alert(title, `Failed to generate puzzle: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
@@ -0,0 +1,225 @@
+// Grid geometry
+//
+// Describes the size of a grid and the shape of its boxes. The size comes from
+// the "Grid Size" column of the Sudokus sheet, falling back to the number in
+// the Answers<size> sheet name. The box shape comes from the "Box Shape"
+// column, written as "<rows>x<columns>" (e.g. "3x4"); common sizes have a
+// default shape so the column can be left blank.
+//
+// A Box Shape of "jigsaw" makes a jigsaw grid instead: each cell's region
+// number (1 to the grid size) is read from a region map of the same size,
+// placed to the right of the answer grid after one blank column.
+
+// Smallest and largest supported grid sizes
+const MIN_GRID_SIZE = 4;
+const MAX_GRID_SIZE = 16;
+
+// Box shape used when the Box Shape column is blank
+const DEFAULT_BOX_SHAPES = {
+  4: { boxRows: 2, boxCols: 2 },
+  6: { boxRows: 2, boxCols: 3 },
+  8: { boxRows: 2, boxCols: 4 },
+  9: { boxRows: 3, boxCols: 3 },
+  10: { boxRows: 2, boxCols: 5 },
+  12: { boxRows: 3, boxCols: 4 },
+  14: { boxRows: 2, boxCols: 7 },
+  15: { boxRows: 3, boxCols: 5 },
+  16: { boxRows: 4, boxCols: 4 }
+};
+
+// Box Shape value for jigsaw grids
+const JIGSAW_BOX_SHAPE = 'jigsaw';
+
+// Blank columns between an answer grid and its region map
+const REGION_MAP_GAP = 1;
+
+// Sudokus sheet headers for the geometry columns
+const GEOMETRY_HEADERS = {
+  gridSize: 'Grid Size',
+  boxShape: 'Box Shape'
+};
+
+/**
+ * Parses a box shape such as "3x4" (3 rows by 4 columns)
+ * @param {string} text - The box shape text
+ * @param {number} gridSize - The grid size the boxes must tile
+ * @returns {{boxRows: number, boxCols: number}} The box shape
+ * @throws {Error} If the text is not a box shape that tiles the grid
+ */
+function parseBoxShape(text, gridSize) {
+  const match = String(text).trim().match(/^(\d+)\s*[x×*]\s*(\d+)$/i);
+  if (!match) {
+    throw new Error(`Invalid box shape: "${text}". Expected "<rows>x<columns>", e.g. "3x4"`);
+  }
+
+  const boxRows = parseInt(match[1]);
+  const boxCols = parseInt(match[2]);
+  if (boxRows * boxCols !== gridSize) {
+    throw new Error(`Box shape ${boxRows}x${boxCols} does not fit a ${gridSize}x${gridSize} grid. The box must hold exactly ${gridSize} cells`);
+  }
+  return { boxRows, boxCols };
+}
+
+/**
+ * Formats the box shape of a geometry the way the Box Shape column expects it
+ * @param {Object} geometry - The grid geometry
+ * @returns {string} The box shape text (e.g. "3x4" or "jigsaw")
+ */
+function formatBoxShape(geometry) {
+  return geometry.jigsaw ? JIGSAW_BOX_SHAPE : `${geometry.boxRows}x${geometry.boxCols}`;
+}
+
+/**
+ * Validates a grid size
+ * @param {number} gridSize - The grid size
+ * @throws {Error} If the grid size is not supported
+ */
+function validateGridSize(gridSize) {
+  if (!Number.isInteger(gridSize) || gridSize < MIN_GRID_SIZE || gridSize > MAX_GRID_SIZE) {
+    throw new Error(`Invalid grid size: ${gridSize}. Must be a whole number from ${MIN_GRID_SIZE} to ${MAX_GRID_SIZE}.`);
+  }
+}
+
+/**
+ * Creates the geometry of a grid with rectangular boxes
+ * @param {number} gridSize - The grid size
+ * @param {{boxRows: number, boxCols: number}} [boxShape] - The box shape, defaults to the usual shape for the size
+ * @returns {Object} The geometry (see getGeometry)
+ */
+function createGeometry(gridSize, boxShape) {
+  validateGridSize(gridSize);
+  const { boxRows, boxCols } = boxShape || DEFAULT_BOX_SHAPES[gridSize] || {};
+  if (!boxRows || !boxCols) {
+    throw new Error(`A ${gridSize}x${gridSize} grid has no default box shape. Fill in the "${GEOMETRY_HEADERS.boxShape}" column`);
+  }
+
+  const groupBoundaries = getGroupBoundaries(gridSize, boxRows, boxCols);
+  const groups = groupBoundaries.map(boundaries => {
+    const cells = [];
+    for (let i = boundaries.rowStart; i <= boundaries.rowEnd; i++) {
+      for (let j = boundaries.colStart; j <= boundaries.colEnd; j++) {
+        cells.push({ row: i, col: j });
+      }
+    }
+    return cells;
+  });
+
+  return {
+    gridSize,
+    boxRows,
+    boxCols,
+    jigsaw: false,
+    groupBoundaries,
+    groups,
+    regions: getRegionsFromGroups(gridSize, groups),
+    variants: []
+  };
+}
+
+/**
+ * Creates the geometry of a jigsaw grid from its region map
+ * @param {Array<Array<any>>} regionMap - The region number (1 to the grid size) of each cell
+ * @param {string} location - Where the region map was read from, used in error messages
+ * @returns {Object} The geometry (see getGeometry)
+ * @throws {Error} If the region map does not split the grid into equal, connected regions
+ */
+function createJigsawGeometry(regionMap, location) {
+  const gridSize = regionMap.length;
+  validateGridSize(gridSize);
+
+  const groups = Array.from({ length: gridSize }, () => []);
+  regionMap.forEach((mapRow, i) => mapRow.forEach((value, j) => {
+    const region = Number(value);
+    if (!Number.isInteger(region) || region < 1 || region > gridSize) {
+      throw new Error(`Invalid region number "${value}" at row ${i + 1}, column ${j + 1} of the region map at ${location}. Must be between 1 and ${gridSize}`);
+    }
+    groups[region - 1].push({ row: i, col: j });
+  }));
+
+  groups.forEach((cells, index) => {
+    if (cells.length !== gridSize) {
+      throw new Error(`Region ${index + 1} in the region map at ${location} has ${cells.length} cells. Every region must have exactly ${gridSize}`);
+    }
+    if (!isConnected(cells)) {
+      throw new Error(`Region ${index + 1} in the region map at ${location} is split into separate pieces`);
+    }
+  });
+
+  return {
+    gridSize,
+    boxRows: null,
+    boxCols: null,
+    jigsaw: true,
+    groupBoundaries: null,
+    groups,
+    regions: getRegionsFromGroups(gridSize, groups),
+    variants: []
+  };
+}
+
+/**
+ * Gets the group index of each cell
+ * @param {number} gridSize - The grid size
+ * @param {Array<Array<{row: number, col: number}>>} groups - The cells of each group
+ * @returns {Array<Array<number>>} The 0-based group index of each cell
+ */
+function getRegionsFromGroups(gridSize, groups) {
+  const regions = Array.from({ length: gridSize }, () => new Array(gridSize).fill(null));
+  groups.forEach((cells, index) => cells.forEach(({ row, col }) => regions[row][col] = index));
+  return regions;
+}
+
+/**
+ * Checks whether a set of cells forms one piece, joined edge to edge
+ * @param {Array<{row: number, col: number}>} cells - The cells
+ * @returns {boolean} Whether every cell can be reached from the first
+ */
+function isConnected(cells) {
+  const remaining = new Set(cells.map(({ row, col }) => `${row},${col}`));
+  const queue = [cells[0]];
+  remaining.delete(`${cells[0].row},${cells[0].col}`);
+  while (queue.length > 0) {
+    const { row, col } = queue.shift();
+    [[row - 1, col], [row + 1, col], [row, col - 1], [row, col + 1]].forEach(([r, c]) => {
+      if (remaining.delete(`${r},${c}`)) {
+        queue.push({ row: r, col: c });
+      }
+    });
+  }
+  return remaining.size === 0;
+}
+
+/**
+ * Reads the region map next to the answer grid of a Sudokus row
+ * @param {Object} snapshot - The row snapshot, with its grid size and answers sheet read
+ * @returns {{regionMap: Array<Array<any>>, location: string}} The region map values and where they were read from
+ */
+function getRegionMap(snapshot) {
+  const { answersSheet, answersSheetName, startRow, startColumn, gridSize } = snapshot;
+  const mapStartColumn = startColumn + gridSize + REGION_MAP_GAP;
+  return {
+    regionMap: answersSheet.getRange(startRow, mapStartColumn, gridSize, gridSize).getValues(),
+    location: formatReference(answersSheetName, startRow, mapStartColumn)
+  };
+}
+
+/**
+ * Gets the geometry of the grid for a row of the Sudokus sheet
+ * @param {Object} snapshot - The row snapshot, with its grid size and answers sheet read (see getRowSnapshot)
+ * @returns {{gridSize: number, boxRows: number|null, boxCols: number|null, jigsaw: boolean,
+ *     groupBoundaries: Array<Object>|null, groups: Array<Array<{row: number, col: number}>>,
+ *     regions: Array<Array<number>>, variants: Array<string>}} The geometry. Jigsaw grids have no box
+ *     shape or boundaries; groups and regions (the group index of each cell) are always set
+ */
+function getGeometry(snapshot) {
+  const { gridSize } = snapshot;
+  const variants = parseVariants(getSnapshotValue(snapshot, VARIANTS_HEADER));
+  const boxShapeText = String(getSnapshotValue(snapshot, GEOMETRY_HEADERS.boxShape)).trim();
+  if (boxShapeText.toLowerCase() === JIGSAW_BOX_SHAPE) {
+    const { regionMap, location } = getRegionMap(snapshot);
+    return withVariants(createJigsawGeometry(regionMap, location), variants);
+  }
+
+  const boxShape = boxShapeText === '' ? null : parseBoxShape(boxShapeText, gridSize);
+  return withVariants(createGeometry(gridSize, boxShape), variants);
+}
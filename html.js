@@ -0,0 +1,216 @@
+// HTML preview
+//
+// Renders a puzzle as one self-contained HTML page, in the same order main
+// writes the document: the clue sections, the reference page and the
+// solution. Grids and clue rows are inline SVG, and each symbol is defined
+// once (images as data URIs, or as text for text-only rows), so the page needs
+// nothing else to display and can be shown in a sidebar, saved to Drive or
+// published as it is.
+
+// SVG layout settings, in SVG units
+const HTML_LAYOUT_CONFIG = {
+  cellSize: 60,
+  imagePadding: 6,
+  thinLine: 1,
+  thickLine: 4,
+  lineColor: '#000000'
+};
+
+/**
+ * Escapes text for use in HTML content or attribute values
+ * @param {any} text - The text
+ * @returns {string} The escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renders the symbols as SVG symbols that the grids refer to, in the row's output mode: images (titled with their
+ * alt text in mixed mode) or text
+ * @param {Object} snapshot - The row snapshot to get the symbols from
+ * @returns {string} A hidden SVG element defining "symbol-1" up to the grid size
+ */
+function renderSvgSymbols(snapshot) {
+  const mixed = getOutputMode(snapshot) === OUTPUT_MODES.MIXED;
+  const symbols = [];
+  for (let num = 1; num <= snapshot.gridSize; num++) {
+    let content;
+    if (usesSymbolImages(snapshot)) {
+      const { url, altText } = getSymbol(num, snapshot);
+      const blob = getImageBlob(url);
+      const dataUri = `data:${blob.getContentType()};base64,${Utilities.base64Encode(blob.getBytes())}`;
+      const title = mixed ? `<title>${escapeHtml(altText)}</title>` : '';
+      content = `${title}<image href="${dataUri}" width="100" height="100" preserveAspectRatio="xMidYMid meet"/>`;
+    } else {
+      content = `<text x="50" y="50" text-anchor="middle" dominant-baseline="central" font-size="40">${escapeHtml(getSymbolText(num, snapshot))}</text>`;
+    }
+    symbols.push(`<symbol id="symbol-${num}" viewBox="0 0 100 100">${content}</symbol>`);
+  }
+  return `<svg width="0" height="0" style="position:absolute" aria-hidden="true"><defs>${symbols.join('')}</defs></svg>`;
+}
+
+/**
+ * Renders a use of a symbol image filling a cell
+ * @param {number} value - The symbol
+ * @param {number} x - The left of the cell
+ * @param {number} y - The top of the cell
+ * @returns {string} The SVG element
+ */
+function renderSvgSymbol(value, x, y) {
+  const { cellSize, imagePadding } = HTML_LAYOUT_CONFIG;
+  const size = cellSize - 2 * imagePadding;
+  return `<use href="#symbol-${value}" x="${x + imagePadding}" y="${y + imagePadding}" width="${size}" height="${size}"/>`;
+}
+
+/**
+ * Renders a row of clue images
+ * @param {Array<{value: number}>} section - The clues, in order
+ * @returns {string} The SVG, or an empty string if there are no clues
+ */
+function renderSvgStrip(section) {
+  if (section.length === 0) {
+    return '';
+  }
+  const { cellSize } = HTML_LAYOUT_CONFIG;
+  const width = section.length * cellSize;
+  const uses = section.map((item, index) => renderSvgSymbol(item.value, index * cellSize, 0)).join('');
+  return `<svg class="strip" viewBox="0 0 ${width} ${cellSize}" style="height:${cellSize / 2}px">${uses}</svg>`;
+}
+
+/**
+ * Renders a grid of symbols with thick lines between groups (boxes or jigsaw regions)
+ * @param {Array<Array<number>>} symbols - The symbol in each cell
+ * @param {Object} geometry - The grid geometry from getGeometry
+ * @param {Array<Array<string|null>>} [backgrounds] - A colour for each cell, or null to leave it unshaded
+ * @returns {string} The SVG
+ */
+function renderSvgGrid(symbols, geometry, backgrounds) {
+  const { cellSize, thinLine, thickLine, lineColor } = HTML_LAYOUT_CONFIG;
+  const { gridSize, regions } = geometry;
+  const size = gridSize * cellSize;
+  const parts = [];
+
+  for (let i = 0; i < gridSize; i++) {
+    for (let j = 0; j < gridSize; j++) {
+      const background = backgrounds ? backgrounds[i][j] : null;
+      if (background) {
+        parts.push(`<rect x="${j * cellSize}" y="${i * cellSize}" width="${cellSize}" height="${cellSize}" fill="${background}"/>`);
+      }
+      parts.push(renderSvgSymbol(symbols[i][j], j * cellSize, i * cellSize));
+    }
+  }
+
+  // A line segment along each cell edge, thick where it separates two groups
+  const line = (x1, y1, x2, y2, thick) =>
+    `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${lineColor}" stroke-width="${thick ? thickLine : thinLine}" stroke-linecap="square"/>`;
+  for (let i = 0; i < gridSize; i++) {
+    for (let j = 1; j < gridSize; j++) {
+      parts.push(line(j * cellSize, i * cellSize, j * cellSize, (i + 1) * cellSize, regions[i][j - 1] !== regions[i][j]));
+      parts.push(line(i * cellSize, j * cellSize, (i + 1) * cellSize, j * cellSize, regions[j - 1][i] !== regions[j][i]));
+    }
+  }
+  parts.push(`<rect x="0" y="0" width="${size}" height="${size}" fill="none" stroke="${lineColor}" stroke-width="${2 * thickLine}"/>`);
+
+  return `<svg class="grid" viewBox="0 0 ${size} ${size}">${parts.join('')}</svg>`;
+}
+
+/**
+ * Renders a puzzle as a self-contained HTML page
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @param {{score: number, hardest: string, difficulty: string}} rating - The rating from ratePuzzle
+ * @returns {string} The HTML page
+ */
+function renderPuzzleHtml(snapshot, rating) {
+  const { longname, puzzle, answers, geometry, gridSize } = snapshot;
+
+  const clueSections = getClueSections(puzzle, snapshot).map(({ title, prefix, sections }) => {
+    const lines = sections.map((section, index) => {
+      const sorted = section.slice().sort((a, b) => a.value - b.value);
+      return `<p class="house">${escapeHtml(formatHouseLabel(snapshot, prefix, index))} ${renderSvgStrip(sorted)}</p><hr>`;
+    });
+    return `<section class="clues"><h1>${escapeHtml(title)}</h1>${lines.join('')}</section>`;
+  });
+
+  // The same shading as the document tables: jigsaw regions, then clue cells if the row asks for them
+  const regionColors = geometry.groupBoundaries ? null : getRegionColors(geometry);
+  const getBackgrounds = shadeClues => answers.map((answerRow, i) => answerRow.map((_, j) => {
+    if (shadeClues && puzzle[i][j] !== null) {
+      return TABLE_LAYOUT_CONFIG.clueColor;
+    }
+    return regionColors ? regionColors[geometry.regions[i][j]] : null;
+  }));
+  const referenceSymbols = Array.from({ length: gridSize }, (_, i) => new Array(gridSize).fill(i + 1));
+
+  return [
+    '<!DOCTYPE html>',
+    `<html lang="${escapeHtml(getLanguage(snapshot))}">`,
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(getDocumentTitle(snapshot))}</title>`,
+    '<style>',
+    'body { font-family: Arial, sans-serif; margin: 1em; }',
+    'header { color: #555; font-size: 0.9em; }',
+    'h1 { text-align: center; font-size: 1.3em; }',
+    '.house { display: flex; align-items: center; gap: 0.5em; flex-wrap: wrap; }',
+    '.grid { width: 100%; max-width: 40em; display: block; margin: 0 auto; }',
+    'section { break-after: page; }',
+    '</style>',
+    '</head>',
+    '<body>',
+    renderSvgSymbols(snapshot),
+    `<header>${escapeHtml(longname)} &middot; ${escapeHtml(formatRating(rating, snapshot))}</header>`,
+    ...clueSections,
+    `<section class="reference"><h1>${escapeHtml(getReferenceTitle(snapshot))}</h1>${renderSvgGrid(referenceSymbols, geometry, getBackgrounds(false))}</section>`,
+    `<section class="solution"><h1>${escapeHtml(formatString(snapshot, 'solutionTitle'))}</h1>${renderSvgGrid(answers, geometry, getBackgrounds(shouldShadeClues(snapshot)))}</section>`,
+    '</body>',
+    '</html>'
+  ].join('\n');
+}
+
+/**
+ * Saves an HTML page in the Generated Files folder, replacing the page saved under the same name last time
+ * @param {string} name - The file name
+ * @param {string} html - The page
+ * @returns {GoogleAppsScript.Drive.File} The file
+ */
+function saveHtmlFile(name, html) {
+  const folder = getGeneratedFilesFolder();
+  const existingFiles = folder.getFilesByName(name);
+  while (existingFiles.hasNext()) {
+    existingFiles.next().setTrashed(true);
+  }
+  return folder.createFile(name, html, MimeType.HTML);
+}
+
+/**
+ * Renders the first puzzle selected on the Sudokus sheet, shows it in a sidebar and saves it as an HTML file
+ */
+function previewPuzzle() {
+  const ui = SpreadsheetApp.getUi();
+  const title = 'Preview Puzzle';
+  try {
+    const rows = getSelectedPuzzleRows();
+    if (rows.length === 0) {
+      ui.alert(title, 'The selection does not include any puzzle rows.', ui.ButtonSet.OK);
+      return;
+    }
+
+    const snapshot = getRowSnapshot(rows[0]);
+    validateAnswerGrid(snapshot.answers, snapshot.geometry, snapshot.answersSheetName, snapshot.startCell);
+    assertUniqueSolution(snapshot);
+    preloadSymbolImages(snapshot);
+    const html = renderPuzzleHtml(snapshot, ratePuzzle(snapshot.puzzle, snapshot.geometry, snapshot.mayOnlyContain));
+    const file = saveHtmlFile(`${getDocumentTitle(snapshot)}.html`, html);
+    console.log(`Saved the preview of ${snapshot.shortname} to ${file.getUrl()}`);
+    ui.showSidebar(HtmlService.createHtmlOutput(html).setTitle(`Preview: ${snapshot.shortname}`));
+  } catch (error) {
+    console.error('Error previewing puzzle:', error.message);
+    ui.alert(title, `Failed to preview the puzzle: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
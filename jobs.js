@@ -0,0 +1,402 @@
+// Generation jobs
+//
+// Apps Script stops an execution after six minutes, which a large batch of
+// rows can outlast. The Generate commands therefore run their rows as a job
+// whose checkpoint is kept in the script properties: counts of the results so
+// far and, for the row in progress, how many of its steps (see ROW_STEPS) are
+// done and the document they wrote. A script property holds at most 9 KB, so
+// the job's rows and the result of each row are kept in properties of their
+// own. The checkpoint is saved after every row and every step. When the time
+// budget below is spent, the job saves its document, schedules a time-driven
+// trigger that runs continueGenerationJob and stops; the continuation carries
+// on from the checkpoint. An execution that is killed anyway is picked up by
+// the trigger scheduled when it started, and redoes the row it was in from the
+// beginning in the same document, or gives up on that row if it keeps getting
+// killed. Only one job runs at a time, each execution holding the script lock
+// while it runs the job, and Generation Job Status on the menu shows its
+// progress and can cancel it.
+
+// Generation job settings
+const JOB_CONFIG = {
+  property: 'generationJob', // Script property holding the job's checkpoint as JSON
+  rowsProperty: 'generationJob.rows', // Script property holding the job's rows, as ranges such as "2-40,45"
+  resultPrefix: 'generationJob.result.', // Prefix of the script properties holding each row's result, by its index
+  maxErrorLength: 1000, // Characters of a failed row's error message kept in its result
+  timeBudgetMs: 4.5 * 60 * 1000, // Stop and continue later after this long, leaving time for the step in progress
+  executionLimitMs: 6 * 60 * 1000, // When Apps Script kills an execution
+  continueAfterMs: 60 * 1000, // How soon the continuation runs after a job stops
+  maxInterruptions: 2, // Executions killed in the same row before it is recorded as FAILED
+  handlerFunction: 'continueGenerationJob',
+  timestampFormat: 'yyyy-MM-dd HH:mm:ss'
+};
+
+// Values of a job's status
+const JOB_STATUS = {
+  RUNNING: 'running',
+  DONE: 'done'
+};
+
+// Outcomes of a row in a job's results
+const JOB_OUTCOMES = {
+  GENERATED: 'generated',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+};
+
+/**
+ * Writes row numbers as ranges of consecutive rows
+ * @param {Array<number>} rows - The row numbers, in order
+ * @returns {string} The ranges, e.g. "2-40,45"
+ */
+function formatRowRanges(rows) {
+  const ranges = [];
+  rows.forEach((row, index) => {
+    const last = ranges[ranges.length - 1];
+    if (index > 0 && row === rows[index - 1] + 1) {
+      last[1] = row;
+    } else {
+      ranges.push([row, row]);
+    }
+  });
+  return ranges.map(([first, last]) => first === last ? `${first}` : `${first}-${last}`).join(',');
+}
+
+/**
+ * Reads row numbers written by formatRowRanges
+ * @param {string} text - The ranges
+ * @returns {Array<number>} The row numbers
+ */
+function parseRowRanges(text) {
+  return text.split(',').filter(Boolean).flatMap(range => {
+    const [first, last = first] = range.split('-').map(Number);
+    return Array.from({ length: last - first + 1 }, (_, index) => first + index);
+  });
+}
+
+/**
+ * Reads the current or last generation job
+ * @returns {Object|null} The job's checkpoint (see startGenerationJob) with its rows, or null if there is none
+ */
+function readGenerationJob() {
+  const properties = PropertiesService.getScriptProperties();
+  const text = properties.getProperty(JOB_CONFIG.property);
+  if (!text) {
+    return null;
+  }
+  const job = JSON.parse(text);
+  job.rows = parseRowRanges(properties.getProperty(JOB_CONFIG.rowsProperty) || '');
+  return job;
+}
+
+/**
+ * Checks that a job has not been cancelled or replaced since it was read
+ * @param {Object} job - The job
+ * @returns {boolean} Whether the saved job is still this one
+ */
+function isCurrentJob(job) {
+  const text = PropertiesService.getScriptProperties().getProperty(JOB_CONFIG.property);
+  return Boolean(text) && JSON.parse(text).id === job.id;
+}
+
+/**
+ * Saves a job's checkpoint, without its rows, which are saved once when it starts
+ * @param {Object} job - The job
+ */
+function saveGenerationJob(job) {
+  job.updatedAt = new Date().toISOString();
+  const checkpoint = Object.assign({}, job);
+  delete checkpoint.rows;
+  PropertiesService.getScriptProperties().setProperty(JOB_CONFIG.property, JSON.stringify(checkpoint));
+}
+
+/**
+ * Records the result of the job's row in progress and counts it in the checkpoint
+ * @param {Object} job - The job, updated in place
+ * @param {{row: number, outcome: string, shortname: string, error: string}} result - The row, its outcome from
+ *     JOB_OUTCOMES, its shortname and for a failed row the error
+ */
+function saveJobResult(job, result) {
+  const saved = Object.assign({}, result, { error: String(result.error || '').slice(0, JOB_CONFIG.maxErrorLength) });
+  PropertiesService.getScriptProperties().setProperty(`${JOB_CONFIG.resultPrefix}${job.next}`, JSON.stringify(saved));
+  job.counts[result.outcome]++;
+}
+
+/**
+ * Reads the results of a job's finished rows
+ * @param {Object} job - The job
+ * @returns {{generated: Array<string>, skipped: Array<string>, failed: Array<Object>}} The results, as for
+ *     generatePuzzleRow
+ */
+function readJobResults(job) {
+  const properties = PropertiesService.getScriptProperties().getProperties();
+  const results = { generated: [], skipped: [], failed: [] };
+  for (let index = 0; index < job.next; index++) {
+    const text = properties[`${JOB_CONFIG.resultPrefix}${index}`];
+    if (!text) {
+      continue;
+    }
+    const { row, outcome, shortname, error } = JSON.parse(text);
+    if (outcome === JOB_OUTCOMES.FAILED) {
+      results.failed.push({ row, shortname, error });
+    } else {
+      results[outcome].push(shortname);
+    }
+  }
+  return results;
+}
+
+/**
+ * Deletes the checkpoint, rows and results of the current or last job
+ */
+function deleteGenerationJob() {
+  const properties = PropertiesService.getScriptProperties();
+  properties.getKeys()
+    .filter(key => key === JOB_CONFIG.property || key === JOB_CONFIG.rowsProperty || key.startsWith(JOB_CONFIG.resultPrefix))
+    .forEach(key => properties.deleteProperty(key));
+}
+
+/**
+ * Deletes the triggers that continue a job
+ */
+function deleteJobTriggers() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === JOB_CONFIG.handlerFunction)
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+}
+
+/**
+ * Schedules the continuation of the job, replacing any scheduled before
+ * @param {number} delayMs - How long from now it should run
+ * @returns {Date} Roughly when it will run
+ */
+function scheduleJobContinuation(delayMs) {
+  deleteJobTriggers();
+  ScriptApp.newTrigger(JOB_CONFIG.handlerFunction).timeBased().after(delayMs).create();
+  return new Date(Date.now() + delayMs);
+}
+
+/**
+ * Runs a job's remaining rows until they are done or the time budget is spent, saving the checkpoint as it goes
+ * @param {Object} job - The job, updated in place
+ * @returns {Object} The job
+ */
+function runGenerationJob(job) {
+  const deadline = Date.now() + JOB_CONFIG.timeBudgetMs;
+  const options = { incremental: job.incremental };
+  job.executions++;
+  job.stopped = false;
+  // In case this execution is killed before it stops by itself
+  job.continuesAt = scheduleJobContinuation(JOB_CONFIG.executionLimitMs + JOB_CONFIG.continueAfterMs).toISOString();
+  saveGenerationJob(job);
+
+  const afterStep = (step, docId) => {
+    if (!isCurrentJob(job)) {
+      return false;
+    }
+    job.step = step;
+    job.docId = docId;
+    saveGenerationJob(job);
+    return Date.now() < deadline;
+  };
+
+  // Each execution gets through at least one step, so a job always moves on
+  for (let first = true; job.next < job.rows.length && isCurrentJob(job); first = false) {
+    if (!first && Date.now() >= deadline) {
+      break;
+    }
+    const row = job.rows[job.next];
+    const results = { generated: [], skipped: [], failed: [] };
+    if (!generatePuzzleRow(row, options, results, { step: job.step, docId: job.docId, afterStep })) {
+      break;
+    }
+    if (!isCurrentJob(job)) {
+      break;
+    }
+    const [failed] = results.failed;
+    saveJobResult(job, failed
+      ? { row, outcome: JOB_OUTCOMES.FAILED, shortname: failed.shortname, error: failed.error }
+      : { row, outcome: results.generated.length > 0 ? JOB_OUTCOMES.GENERATED : JOB_OUTCOMES.SKIPPED, shortname: results.generated[0] || results.skipped[0] });
+    job.next++;
+    job.step = 0;
+    job.docId = null;
+    job.interruptions = 0;
+    saveGenerationJob(job);
+  }
+
+  if (!isCurrentJob(job)) {
+    console.log(`Generation job ${job.id} was cancelled`);
+    return job;
+  }
+  job.stopped = true;
+  if (job.next < job.rows.length) {
+    job.continuesAt = scheduleJobContinuation(JOB_CONFIG.continueAfterMs).toISOString();
+    console.log(`Generation job ${job.id} stopped after ${job.next} of ${job.rows.length} rows; it continues at ${job.continuesAt}`);
+  } else {
+    deleteJobTriggers();
+    job.status = JOB_STATUS.DONE;
+    job.continuesAt = null;
+  }
+  saveGenerationJob(job);
+  return job;
+}
+
+/**
+ * Starts a generation job and runs as much of it as fits in this execution
+ * @param {string} title - The job's name, as shown by the menu command that started it
+ * @param {Array<number>} rows - The Sudokus row numbers, in order
+ * @param {{incremental: boolean}} options - As for generatePuzzleRow
+ * @returns {{id: string, title: string, rows: Array<number>, incremental: boolean, status: string, next: number,
+ *     step: number, docId: string|null, counts: Object, interruptions: number, executions: number,
+ *     stopped: boolean, continuesAt: string|null, startedAt: string, updatedAt: string}} The job: its status from
+ *     JOB_STATUS, the index in rows of the row in progress, the steps of that row done, its document and how often
+ *     it was cut short, how many rows had each outcome from JOB_OUTCOMES (see readJobResults for the rows),
+ *     whether the last execution stopped by itself and when the next one is due
+ * @throws {Error} If another job is still running
+ */
+function startGenerationJob(title, rows, options) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(0)) {
+    throw new Error('A generation job is running in another execution. Wait for it to finish, or cancel it with Generation Job Status');
+  }
+  try {
+    const running = readGenerationJob();
+    if (running && running.status === JOB_STATUS.RUNNING) {
+      throw new Error(`The "${running.title}" job is still running (${running.next} of ${running.rows.length} rows done). Wait for it to finish, or cancel it with Generation Job Status`);
+    }
+
+    deleteGenerationJob();
+    const startedAt = new Date().toISOString();
+    const job = {
+      id: `${Date.now()}`,
+      title,
+      rows,
+      incremental: options.incremental,
+      status: JOB_STATUS.RUNNING,
+      next: 0,
+      step: 0,
+      docId: null,
+      counts: { generated: 0, skipped: 0, failed: 0 },
+      interruptions: 0,
+      executions: 0,
+      stopped: false,
+      continuesAt: null,
+      startedAt,
+      updatedAt: startedAt
+    };
+    PropertiesService.getScriptProperties().setProperty(JOB_CONFIG.rowsProperty, formatRowRanges(rows));
+    console.log(`Starting generation job ${job.id} with ${rows.length} rows`);
+    return runGenerationJob(job);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Picks up a job whose last execution was killed part way through a row, whose document may then hold half a step.
+ * The row is generated again from the beginning, in the same document if it had one, unless it has been interrupted
+ * too often, when it is recorded as FAILED and skipped
+ * @param {Object} job - The job, updated in place
+ */
+function recoverInterruptedJob(job) {
+  const row = job.rows[job.next];
+  job.interruptions++;
+  job.step = 0;
+  if (job.interruptions < JOB_CONFIG.maxInterruptions) {
+    console.warn(`Generation job ${job.id} was interrupted in row ${row}; generating that row again`);
+    return;
+  }
+  const error = `Generating this row was cut short by the execution time limit ${job.interruptions} times`;
+  console.error(`Error generating row ${row}:`, error);
+  writeRowStatus(row, { status: ROW_STATUS.FAILED, error, document: null, gridSheet: null });
+  saveJobResult(job, { row, outcome: JOB_OUTCOMES.FAILED, shortname: String(getSpreadsheet().getRange(row, 1).getValue()).trim(), error });
+  job.next++;
+  job.docId = null;
+  job.interruptions = 0;
+}
+
+/**
+ * Continues the generation job where it stopped. Run by the time-driven trigger the job schedules
+ */
+function continueGenerationJob() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(0)) {
+    console.log('Another execution is running the generation job');
+    return;
+  }
+  try {
+    const job = readGenerationJob();
+    if (!job || job.status !== JOB_STATUS.RUNNING) {
+      deleteJobTriggers();
+      return;
+    }
+    if (!job.stopped) {
+      recoverInterruptedJob(job);
+    }
+    runGenerationJob(job);
+  } catch (error) {
+    console.error('Error continuing the generation job:', error.message);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Formats a checkpoint timestamp in the script time zone
+ * @param {string} timestamp - The ISO timestamp
+ * @returns {string} The formatted time
+ */
+function formatJobTime(timestamp) {
+  return Utilities.formatDate(new Date(timestamp), Session.getScriptTimeZone(), JOB_CONFIG.timestampFormat);
+}
+
+/**
+ * Describes a job's progress
+ * @param {Object} job - The job from readGenerationJob
+ * @returns {Array<string>} The lines
+ */
+function describeGenerationJob(job) {
+  const { title, rows, next, step, status } = job;
+  const lines = [`${title}, started ${formatJobTime(job.startedAt)}, ${job.executions} execution(s) so far.`];
+  if (status === JOB_STATUS.DONE) {
+    lines.push(`Finished ${formatJobTime(job.updatedAt)}.`);
+  } else {
+    const stepName = step > 0 ? `, at step "${ROW_STEPS[step].name}"` : '';
+    lines.push(`${next} of ${rows.length} row(s) done. Next is row ${rows[next]}${stepName}.`);
+    lines.push(job.stopped
+      ? `Waiting to continue around ${formatJobTime(job.continuesAt)} (last checkpoint ${formatJobTime(job.updatedAt)}).`
+      : `Running (last checkpoint ${formatJobTime(job.updatedAt)}).`);
+  }
+  return lines.concat(formatGenerationResults(readJobResults(job), job.incremental));
+}
+
+/**
+ * Cancels the generation job. An execution running it stops at its next checkpoint
+ */
+function cancelGenerationJob() {
+  deleteGenerationJob();
+  deleteJobTriggers();
+}
+
+/**
+ * Shows the progress of the current or last generation job, and offers to cancel it while it runs
+ */
+function showGenerationJob() {
+  const ui = SpreadsheetApp.getUi();
+  const title = 'Generation Job Status';
+  const job = readGenerationJob();
+  if (!job) {
+    ui.alert(title, 'No generation job is running.', ui.ButtonSet.OK);
+    return;
+  }
+  const lines = describeGenerationJob(job);
+  if (job.status === JOB_STATUS.DONE) {
+    ui.alert(title, lines.join('\n'), ui.ButtonSet.OK);
+    return;
+  }
+
+  const response = ui.alert(title, lines.concat(['', 'Cancel the job?']).join('\n'), ui.ButtonSet.YES_NO);
+  if (response === ui.Button.YES) {
+    cancelGenerationJob();
+    ui.alert(title, `Cancelled the job after ${job.next} of ${job.rows.length} row(s). Rows already generated keep their documents.`, ui.ButtonSet.OK);
+  }
+}
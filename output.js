@@ -0,0 +1,149 @@
+// Output modes
+//
+// How a row's documents show its symbols, chosen in the "Output Mode" column
+// of the Sudokus sheet:
+//   images (or blank) - the symbol images
+//   mixed             - the symbol images, with each symbol's label and alt text set on them for screen readers
+//   text              - the symbol labels as text (see the Symbols sheet), so no image is loaded at all
+//   digits            - the values as digits, with a key to the labels on the reference page
+// The clue sections, the reference page and the solution all insert their
+// symbols through insertSymbol, so they follow the same mode.
+
+// Sudokus sheet header for the output mode column
+const OUTPUT_MODE_HEADER = 'Output Mode';
+
+// Supported output modes, by the name used in the Output Mode column
+const OUTPUT_MODES = {
+  IMAGES: 'images',
+  MIXED: 'mixed',
+  TEXT: 'text',
+  DIGITS: 'digits'
+};
+
+/**
+ * Parses the Output Mode column
+ * @param {any} text - The column value
+ * @returns {string} The mode from OUTPUT_MODES
+ * @throws {Error} If the mode is not supported
+ */
+function parseOutputMode(text) {
+  const name = String(text).trim().toLowerCase();
+  if (name === '') {
+    return OUTPUT_MODES.IMAGES;
+  }
+  const modes = Object.values(OUTPUT_MODES);
+  if (!modes.includes(name)) {
+    throw new Error(`Invalid output mode "${text}". Must be one of: ${modes.join(', ')}`);
+  }
+  return name;
+}
+
+/**
+ * Gets the output mode of a row
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @returns {string} The mode from OUTPUT_MODES
+ * @throws {Error} If the mode is not supported
+ */
+function getOutputMode(snapshot) {
+  return parseOutputMode(getSnapshotValue(snapshot, OUTPUT_MODE_HEADER));
+}
+
+/**
+ * Checks whether a row's documents show symbol images
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @returns {boolean} Whether the mode is images or mixed
+ */
+function usesSymbolImages(snapshot) {
+  const mode = getOutputMode(snapshot);
+  return mode === OUTPUT_MODES.IMAGES || mode === OUTPUT_MODES.MIXED;
+}
+
+/**
+ * Gets the text a text-only row prints for a symbol
+ * @param {number} num - The value (1 to the grid size)
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @returns {string} The digit in digits mode, otherwise the symbol's label
+ * @throws {Error} If the row's symbol set has no symbol for the value
+ */
+function getSymbolText(num, snapshot) {
+  return getOutputMode(snapshot) === OUTPUT_MODES.DIGITS ? String(num) : findSymbolSource(num, snapshot).label;
+}
+
+/**
+ * Gets what a row's documents show for a symbol, so a change to it can be noticed between runs
+ * @param {number} num - The value (1 to the grid size)
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @returns {string|Object} The image URL in images mode, the URL, label and alt text in mixed mode, otherwise the text
+ * @throws {Error} If the symbol cannot be read
+ */
+function getShownSymbol(num, snapshot) {
+  const mode = getOutputMode(snapshot);
+  if (mode === OUTPUT_MODES.IMAGES) {
+    return getSymbolImageUrl(num, snapshot);
+  }
+  if (mode === OUTPUT_MODES.MIXED) {
+    const { url, label, altText } = getSymbol(num, snapshot);
+    return { url, label, altText };
+  }
+  return getSymbolText(num, snapshot);
+}
+
+/**
+ * Appends a symbol to a paragraph in the row's output mode
+ * @param {GoogleAppsScript.Document.Paragraph} paragraph - The paragraph
+ * @param {number} num - The value (1 to the grid size)
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @param {number} [fitSize] - The size in points of a square to fit an image in (see insertImage)
+ * @returns {GoogleAppsScript.Document.InlineImage|GoogleAppsScript.Document.Text} The image or text appended
+ */
+function insertSymbol(paragraph, num, snapshot, fitSize) {
+  if (!usesSymbolImages(snapshot)) {
+    return paragraph.appendText(getSymbolText(num, snapshot));
+  }
+  const { url, label, altText } = getSymbol(num, snapshot);
+  const image = insertImage(paragraph, url, fitSize);
+  if (getOutputMode(snapshot) === OUTPUT_MODES.MIXED) {
+    image.setAltTitle(label).setAltDescription(altText);
+  }
+  return image;
+}
+
+/**
+ * Appends the clues of one house to its paragraph: images side by side, or text separated by commas
+ * @param {GoogleAppsScript.Document.Paragraph} paragraph - The paragraph, already holding the house name
+ * @param {Array<number>} values - The clue values, in order
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ */
+function insertSymbols(paragraph, values, snapshot) {
+  const separator = usesSymbolImages(snapshot) ? null : ', ';
+  values.forEach((value, index) => {
+    if (separator && index > 0) {
+      paragraph.appendText(separator);
+    }
+    insertSymbol(paragraph, value, snapshot);
+  });
+}
+
+/**
+ * Gets the title of a row's reference page
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @returns {string} "Reference Images", or "Symbol Key" for text-only rows, in the row's language
+ */
+function getReferenceTitle(snapshot) {
+  return formatString(snapshot, usesSymbolImages(snapshot) ? 'referenceTitle' : 'symbolKeyTitle');
+}
+
+/**
+ * Outputs a key to the symbols, for the reference page of text-only rows: each label (after its digit in digits
+ * mode) and its alt text
+ * @param {GoogleAppsScript.Document.Body} body - The document body
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ */
+function outputSymbolKey(body, snapshot) {
+  const digits = getOutputMode(snapshot) === OUTPUT_MODES.DIGITS;
+  for (let num = 1; num <= snapshot.gridSize; num++) {
+    const { label, altText } = findSymbolSource(num, snapshot);
+    const key = digits && label !== String(num) ? `${num}: ${label}` : label;
+    body.appendParagraph(altText !== label ? `${key} - ${altText}` : key);
+  }
+}
@@ -0,0 +1,247 @@
+// Difficulty rating
+//
+// Solves a puzzle the way a person would: at every step it uses the easiest
+// technique on the ladder that makes progress, and the puzzle is scored by
+// the techniques it needed along the way.
+
+// Techniques from easiest to hardest
+const TECHNIQUES = {
+  NAKED_SINGLE: { name: 'Naked single', score: 1, difficulty: 'Easy' },
+  HIDDEN_SINGLE: { name: 'Hidden single', score: 2, difficulty: 'Easy' },
+  POINTING_PAIR: { name: 'Pointing pair', score: 5, difficulty: 'Medium' },
+  BOX_LINE_REDUCTION: { name: 'Box/line reduction', score: 5, difficulty: 'Medium' },
+  TRIAL_AND_ERROR: { name: 'Trial and error', score: 25, difficulty: 'Hard' }
+};
+const TECHNIQUE_LADDER = [
+  TECHNIQUES.NAKED_SINGLE,
+  TECHNIQUES.HIDDEN_SINGLE,
+  TECHNIQUES.POINTING_PAIR,
+  TECHNIQUES.BOX_LINE_REDUCTION,
+  TECHNIQUES.TRIAL_AND_ERROR
+];
+
+// Sudokus sheet headers for the rating columns
+const DIFFICULTY_HEADERS = {
+  difficulty: 'Difficulty',
+  score: 'Difficulty Score',
+  hardest: 'Hardest Technique'
+};
+
+/**
+ * Describes a house the way the document labels it
+ * @param {{prefix: string, index: number}} house - The house
+ * @returns {string} The label (e.g. "ROW 3")
+ */
+function getHouseLabel(house) {
+  return `${house.prefix} ${house.index + 1}`;
+}
+
+/**
+ * Places a value in a cell during rating
+ * @param {Object} state - The rating state
+ * @param {number} cell - The cell index
+ * @param {number} bit - The bitmask of the value to place
+ */
+function placeRatedValue(state, cell, bit) {
+  state.solved[cell] = true;
+  placeCandidate(state.candidates, state.peers, cell, bit);
+}
+
+/**
+ * Finds a cell with only one candidate left and places it
+ * @param {Object} state - The rating state
+ * @returns {string|null} Where the technique was used, or null if it does not apply
+ */
+function applyNakedSingle(state) {
+  for (let cell = 0; cell < state.candidates.length; cell++) {
+    if (!state.solved[cell] && countCandidates(state.candidates[cell]) === 1) {
+      placeRatedValue(state, cell, state.candidates[cell]);
+      const row = Math.floor(cell / state.gridSize);
+      const col = cell % state.gridSize;
+      return `ROW ${row + 1}, COLUMN ${col + 1}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds a value with only one possible cell left in a house and places it
+ * @param {Object} state - The rating state
+ * @returns {string|null} Where the technique was used, or null if it does not apply
+ */
+function applyHiddenSingle(state) {
+  for (let h = 0; h < state.houses.length; h++) {
+    const cells = state.houseCells[h].filter(cell => !state.solved[cell]);
+    for (let value = 1; value <= state.gridSize; value++) {
+      const bit = 1 << (value - 1);
+      const possible = cells.filter(cell => state.candidates[cell] & bit);
+      if (possible.length === 1) {
+        placeRatedValue(state, possible[0], bit);
+        return getHouseLabel(state.houses[h]);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds a value whose candidates in one house all lie inside a second house, and
+ * removes it from the rest of the second house
+ * @param {Object} state - The rating state
+ * @param {function(Object): boolean} isSource - Whether a house is where the candidates are confined
+ * @param {function(Object): boolean} isTarget - Whether a house is where candidates get removed
+ * @returns {string|null} Where the technique was used, or null if it does not apply
+ */
+function applyIntersection(state, isSource, isTarget) {
+  for (let h = 0; h < state.houses.length; h++) {
+    if (!isSource(state.houses[h])) {
+      continue;
+    }
+    const sourceCells = state.houseCells[h];
+    for (let value = 1; value <= state.gridSize; value++) {
+      const bit = 1 << (value - 1);
+      const possible = sourceCells.filter(cell => !state.solved[cell] && (state.candidates[cell] & bit));
+      if (possible.length < 2) {
+        continue;
+      }
+
+      for (let t = 0; t < state.houses.length; t++) {
+        const targetCells = state.houseCells[t];
+        if (t === h || !isTarget(state.houses[t]) || !possible.every(cell => targetCells.includes(cell))) {
+          continue;
+        }
+        const eliminated = targetCells.filter(cell =>
+          !state.solved[cell] && !sourceCells.includes(cell) && (state.candidates[cell] & bit));
+        if (eliminated.length > 0) {
+          eliminated.forEach(cell => state.candidates[cell] &= ~bit);
+          return `${getHouseLabel(state.houses[h])} / ${getHouseLabel(state.houses[t])}`;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Places the correct value in the unsolved cell with the fewest candidates
+ * @param {Object} state - The rating state
+ * @returns {string|null} Where the technique was used, or null if it does not apply
+ */
+function applyTrialAndError(state) {
+  let best = -1;
+  for (let cell = 0; cell < state.candidates.length; cell++) {
+    if (!state.solved[cell] && (best === -1 || countCandidates(state.candidates[cell]) < countCandidates(state.candidates[best]))) {
+      best = cell;
+    }
+  }
+  if (best === -1) {
+    return null;
+  }
+
+  const row = Math.floor(best / state.gridSize);
+  const col = best % state.gridSize;
+  placeRatedValue(state, best, 1 << (state.solution[row][col] - 1));
+  return `ROW ${row + 1}, COLUMN ${col + 1}`;
+}
+
+/**
+ * Rates how hard a puzzle is to solve by hand
+ * @param {Array<Array<number|null>>} puzzle - The clue grid from getSudokuPuzzle
+ * @param {Object} geometry - The grid geometry from getGeometry
+ * @param {boolean} mayOnlyContain - Whether the clues list the values a house may only contain
+ * @returns {{score: number, hardest: string, difficulty: string, steps: Array<{technique: string, where: string}>}} The rating
+ * @throws {Error} If the puzzle has no solution
+ */
+function ratePuzzle(puzzle, geometry, mayOnlyContain) {
+  const { gridSize } = geometry;
+  const solution = findSolution(puzzle, geometry, mayOnlyContain);
+  if (!solution) {
+    throw new Error('Cannot rate a puzzle that has no solution');
+  }
+
+  const houses = getHouses(geometry);
+  const houseCells = getHouseCells(houses, gridSize);
+  const state = {
+    gridSize,
+    houses,
+    houseCells,
+    solution,
+    peers: getPeers(houseCells, geometry),
+    candidates: getClueCandidates(puzzle, gridSize, mayOnlyContain, houses),
+    solved: new Array(gridSize * gridSize).fill(false)
+  };
+
+  const isGroup = house => house.sectionType === SECTION_TYPES.GROUPS;
+  const isLine = house => !isGroup(house);
+  const apply = {
+    [TECHNIQUES.NAKED_SINGLE.name]: () => applyNakedSingle(state),
+    [TECHNIQUES.HIDDEN_SINGLE.name]: () => applyHiddenSingle(state),
+    [TECHNIQUES.POINTING_PAIR.name]: () => applyIntersection(state, isGroup, isLine),
+    [TECHNIQUES.BOX_LINE_REDUCTION.name]: () => applyIntersection(state, isLine, isGroup),
+    [TECHNIQUES.TRIAL_AND_ERROR.name]: () => applyTrialAndError(state)
+  };
+
+  const steps = [];
+  let score = 0;
+  let hardestIndex = 0;
+  while (state.solved.includes(false)) {
+    // Always fall back to the easiest technique that makes progress
+    const index = TECHNIQUE_LADDER.findIndex(technique => {
+      const where = apply[technique.name]();
+      if (where) {
+        steps.push({ technique: technique.name, where });
+      }
+      return Boolean(where);
+    });
+    score += TECHNIQUE_LADDER[index].score;
+    hardestIndex = Math.max(hardestIndex, index);
+  }
+
+  const hardest = TECHNIQUE_LADDER[hardestIndex];
+  return { score, hardest: hardest.name, difficulty: hardest.difficulty, steps };
+}
+
+/**
+ * Formats a rating for the document header
+ * @param {{score: number, hardest: string, difficulty: string}} rating - The rating from ratePuzzle
+ * @param {Object|null} [snapshot] - The row snapshot whose language to use, or null for the default language
+ * @returns {string} The header text
+ */
+function formatRating(rating, snapshot = null) {
+  const techniqueKey = Object.keys(TECHNIQUES).find(key => TECHNIQUES[key].name === rating.hardest);
+  return formatString(snapshot, 'difficultyHeader', {
+    difficulty: formatString(snapshot, `difficulty.${rating.difficulty}`),
+    score: rating.score,
+    hardest: formatString(snapshot, `technique.${techniqueKey}`)
+  });
+}
+
+/**
+ * Writes a rating to the difficulty columns of a Sudokus row
+ * @param {number} row - The row number to write to
+ * @param {{score: number, hardest: string, difficulty: string}} rating - The rating from ratePuzzle
+ */
+function writeRating(row, rating) {
+  const sheet = getSpreadsheet();
+  sheet.getRange(row, getSudokusColumn(DIFFICULTY_HEADERS.difficulty)).setValue(rating.difficulty);
+  sheet.getRange(row, getSudokusColumn(DIFFICULTY_HEADERS.score)).setValue(rating.score);
+  sheet.getRange(row, getSudokusColumn(DIFFICULTY_HEADERS.hardest)).setValue(rating.hardest);
+}
+
+/**
+ * Rates every puzzle on the Sudokus sheet without generating documents
+ */
+function ratePuzzles() {
+  try {
+    getPuzzleRows().forEach(row => {
+      const snapshot = getRowSnapshot(row);
+      assertUniqueSolution(snapshot);
+      const rating = ratePuzzle(snapshot.puzzle, snapshot.geometry, snapshot.mayOnlyContain);
+      console.log(`Row ${row}: ${formatRating(rating)}`);
+      writeRating(row, rating);
+    });
+  } catch (error) {
+    console.error('Error rating puzzles:', error.message);
+    throw error;
+  }
+}
@@ -0,0 +1,165 @@
+// Clue reduction
+//
+// Takes a row's current clues and removes them one at a time, keeping each
+// removal only if the puzzle still has exactly one solution in the row's
+// "may only contain" or "must not contain" mode. Clues are tried in a random
+// order, or in pairs that mirror each other through the centre of the grid so
+// the clue pattern stays symmetric. The reduced clues are written back with
+// the row's clue marking method (bold, by default).
+
+// Reduction settings
+const REDUCER_CONFIG = {
+  timeLimitMs: 4 * 60 * 1000 // Leaves room inside the 6 minute Apps Script limit to write the result
+};
+
+/**
+ * Counts the clues of a clue grid
+ * @param {Array<Array<number|null>>} puzzle - The clue grid from getSudokuPuzzle
+ * @returns {number} The number of listed cells
+ */
+function countClues(puzzle) {
+  return puzzle.reduce((count, puzzleRow) => count + puzzleRow.filter(value => value !== null).length, 0);
+}
+
+/**
+ * Lists the clue cells of a clue grid
+ * @param {Array<Array<number|null>>} puzzle - The clue grid
+ * @returns {Array<{row: number, col: number}>} The listed cells, row by row
+ */
+function getClueCells(puzzle) {
+  const cells = [];
+  puzzle.forEach((puzzleRow, i) => puzzleRow.forEach((value, j) => {
+    if (value !== null) {
+      cells.push({ row: i, col: j });
+    }
+  }));
+  return cells;
+}
+
+/**
+ * Removes clues from a clue grid while it keeps exactly one solution
+ * @param {Array<Array<number|null>>} puzzle - The clue grid, which must have exactly one solution
+ * @param {Object} geometry - The grid geometry from getGeometry
+ * @param {boolean} mayOnlyContain - Whether the clues list the values a house may only contain
+ * @param {{symmetric: boolean, random: function(): number, deadline: number}} options - Whether to remove mirrored
+ *     pairs of clues together, the random number generator for the order, and the time (in ms) to stop by
+ * @returns {{puzzle: Array<Array<number|null>>, removable: number|null}} The reduced clue grid, and how many of its
+ *     clues could still be removed one at a time (0 when it is minimal, null if time ran out before checking)
+ */
+function reduceClueSet(puzzle, geometry, mayOnlyContain, options) {
+  const { symmetric, random, deadline } = options;
+  const { gridSize } = geometry;
+  const reduced = puzzle.map(puzzleRow => puzzleRow.slice());
+  const isUnique = () => countSolutions(reduced, geometry, mayOnlyContain) === 1;
+
+  // Try removing each clue (or mirrored pair), in a new order each pass, until a pass removes nothing
+  let removedAny = true;
+  while (removedAny) {
+    removedAny = false;
+    const tried = new Set();
+    for (const { row, col } of shuffle(getClueCells(reduced), random)) {
+      if (Date.now() > deadline) {
+        return { puzzle: reduced, removable: null };
+      }
+      if (tried.has(`${row},${col}`) || reduced[row][col] === null) {
+        continue;
+      }
+      const group = [{ row, col }];
+      const mirror = { row: gridSize - 1 - row, col: gridSize - 1 - col };
+      if (symmetric && (mirror.row !== row || mirror.col !== col) && reduced[mirror.row][mirror.col] !== null) {
+        group.push(mirror);
+      }
+      group.forEach(cell => tried.add(`${cell.row},${cell.col}`));
+
+      const values = group.map(cell => reduced[cell.row][cell.col]);
+      group.forEach(cell => reduced[cell.row][cell.col] = null);
+      if (isUnique()) {
+        removedAny = true;
+      } else {
+        group.forEach((cell, index) => reduced[cell.row][cell.col] = values[index]);
+      }
+    }
+  }
+
+  // The last pass tried every single clue, unless pairs were removed together
+  if (!symmetric) {
+    return { puzzle: reduced, removable: 0 };
+  }
+  let removable = 0;
+  for (const { row, col } of getClueCells(reduced)) {
+    if (Date.now() > deadline) {
+      return { puzzle: reduced, removable: null };
+    }
+    const value = reduced[row][col];
+    reduced[row][col] = null;
+    if (isUnique()) {
+      removable++;
+    }
+    reduced[row][col] = value;
+  }
+  return { puzzle: reduced, removable };
+}
+
+/**
+ * Reduces the clues of one Sudokus row and writes them back
+ * @param {number} row - The row number
+ * @param {{symmetric: boolean, random: function(): number, deadline: number}} options - As for reduceClueSet
+ * @returns {{shortname: string, before: number, after: number, removable: number|null}} The clue counts and how many
+ *     clues could still be removed one at a time
+ * @throws {Error} If the row's answers are invalid or its clues do not have exactly one solution to start with
+ */
+function reduceRowClues(row, options) {
+  const snapshot = getRowSnapshot(row);
+  const { shortname, puzzle, geometry, mayOnlyContain } = snapshot;
+  validateAnswerGrid(snapshot.answers, geometry, snapshot.answersSheetName, snapshot.startCell);
+  assertUniqueSolution(snapshot);
+
+  const { puzzle: reduced, removable } = reduceClueSet(puzzle, geometry, mayOnlyContain, options);
+  // Marked cells are listed in "must not contain" mode and left out in "may only contain" mode
+  writeClueMarks(snapshot, reduced.map(reducedRow => reducedRow.map(value => (value !== null) !== mayOnlyContain)));
+  return { shortname, before: countClues(puzzle), after: countClues(reduced), removable };
+}
+
+/**
+ * Reduces the clues of the rows selected on the Sudokus sheet and reports the clue counts
+ */
+function reduceClues() {
+  const ui = SpreadsheetApp.getUi();
+  const title = 'Reduce Clues';
+  let rows;
+  try {
+    rows = getSelectedPuzzleRows();
+  } catch (error) {
+    ui.alert(title, error.message, ui.ButtonSet.OK);
+    return;
+  }
+  if (rows.length === 0) {
+    ui.alert(title, 'The selection does not include any puzzle rows.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const orderResponse = ui.alert(title, 'Remove clues in symmetric pairs (mirrored through the centre)? Choose No for a random order.', ui.ButtonSet.YES_NO_CANCEL);
+  if (orderResponse === ui.Button.CANCEL) {
+    return;
+  }
+  const options = {
+    symmetric: orderResponse === ui.Button.YES,
+    random: createRandom(Date.now()),
+    deadline: Date.now() + REDUCER_CONFIG.timeLimitMs
+  };
+
+  const lines = rows.map(row => {
+    try {
+      const { shortname, before, after, removable } = reduceRowClues(row, options);
+      const minimal = removable === null
+        ? 'stopped at the time limit, so it may not be minimal'
+        : removable === 0 ? 'minimal' : `not minimal (${removable} clue(s) could still go one at a time, breaking the symmetry)`;
+      console.log(`Row ${row} (${shortname}): ${before} -> ${after} clues, ${minimal}`);
+      return `${shortname}: ${before} -> ${after} clues, ${minimal}.`;
+    } catch (error) {
+      console.error(`Error reducing clues for row ${row}:`, error.message);
+      return `Row ${row}: failed - ${error.message}`;
+    }
+  });
+  ui.alert(title, lines.join('\n'), ui.ButtonSet.OK);
+}
@@ -0,0 +1,97 @@
+// A1 references
+//
+// Parses and formats cell and range references the way Sheets writes them:
+// multi-letter columns ("AB10"), absolute markers ("$B$2"), full ranges
+// ("B2:J10") and sheet names, quoted when they contain spaces or other
+// punctuation ("'Answers 9'!AB10:AJ18").
+
+/**
+ * Converts a column number to its letters
+ * @param {number} column - The 1-based column number
+ * @returns {string} The column letters (e.g. 28 -> "AB")
+ */
+function columnToLetters(column) {
+  let letters = '';
+  for (let n = column; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+  }
+  return letters;
+}
+
+/**
+ * Converts column letters to a column number
+ * @param {string} letters - The column letters (e.g. "AB")
+ * @returns {number} The 1-based column number
+ */
+function lettersToColumn(letters) {
+  return letters.toUpperCase().split('').reduce((column, letter) => column * 26 + letter.charCodeAt(0) - 64, 0);
+}
+
+/**
+ * Formats a cell address without a sheet name
+ * @param {number} row - The 1-based row
+ * @param {number} column - The 1-based column
+ * @returns {string} The address (e.g. "AB10")
+ */
+function formatCellAddress(row, column) {
+  return `${columnToLetters(column)}${row}`;
+}
+
+/**
+ * Quotes a sheet name for use in a reference if it needs it
+ * @param {string} sheetName - The sheet name
+ * @returns {string} The name, in single quotes (with inner quotes doubled) unless it is only letters, digits, dots and underscores
+ */
+function quoteSheetName(sheetName) {
+  return /^[A-Za-z0-9_.]+$/.test(sheetName) ? sheetName : `'${sheetName.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Parses a cell or range reference
+ * @param {string} reference - The reference (e.g. "B2", "Answers9!B2:J10" or "'Answers 9'!AB10:AJ18")
+ * @returns {{sheetName: string|null, startRow: number, startColumn: number, numRows: number, numColumns: number,
+ *     isRange: boolean}} The reference; sheetName is null when there is none, and a single cell has one row and column
+ * @throws {Error} If the reference is not a cell or a rectangular range
+ */
+function parseReference(reference) {
+  const text = String(reference).trim();
+  const match = text.match(/^(?:(?:'((?:[^']|'')+)'|([^'!]+))!)?\$?([A-Za-z]{1,3})\$?(\d+)(?::\$?([A-Za-z]{1,3})\$?(\d+))?$/);
+  if (!match) {
+    throw new Error(`Invalid reference "${text}". Expected a cell or range such as "B2", "Answers9!B2:J10" or "'Answers 9'!AB10:AJ18"`);
+  }
+
+  const [, quotedName, plainName, startLetters, startRowText, endLetters, endRowText] = match;
+  const startRow = parseInt(startRowText);
+  const startColumn = lettersToColumn(startLetters);
+  const endRow = endRowText ? parseInt(endRowText) : startRow;
+  const endColumn = endLetters ? lettersToColumn(endLetters) : startColumn;
+  if (startRow < 1 || endRow < startRow || endColumn < startColumn) {
+    throw new Error(`Invalid reference "${text}". A range must run from its top left cell to its bottom right cell`);
+  }
+
+  return {
+    sheetName: quotedName !== undefined ? quotedName.replace(/''/g, "'") : plainName !== undefined ? plainName.trim() : null,
+    startRow,
+    startColumn,
+    numRows: endRow - startRow + 1,
+    numColumns: endColumn - startColumn + 1,
+    isRange: Boolean(endLetters)
+  };
+}
+
+/**
+ * Formats a cell or range reference
+ * @param {string|null} sheetName - The sheet name, or null to leave it out
+ * @param {number} row - The 1-based top row
+ * @param {number} column - The 1-based left column
+ * @param {number} [numRows] - The number of rows, defaults to 1
+ * @param {number} [numColumns] - The number of columns, defaults to 1
+ * @returns {string} The reference (e.g. "'Answers 9'!AB10:AJ18")
+ */
+function formatReference(sheetName, row, column, numRows, numColumns) {
+  const start = formatCellAddress(row, column);
+  const rows = numRows || 1;
+  const columns = numColumns || 1;
+  const range = rows === 1 && columns === 1 ? start : `${start}:${formatCellAddress(row + rows - 1, column + columns - 1)}`;
+  return sheetName ? `${quoteSheetName(sheetName)}!${range}` : range;
+}
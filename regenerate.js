@@ -0,0 +1,224 @@
+// Selective and incremental regeneration
+//
+// Generates documents for some of the Sudokus rows instead of all of them:
+// the rows selected on the sheet, one row picked by shortname, or only the
+// rows whose inputs changed since they were last generated. Each successful
+// row stores a hash of its inputs (settings, symbols, answer grid and
+// clue marks) in the script properties, keyed by shortname, and the incremental
+// mode skips rows whose hash still matches. Each batch runs as a generation
+// job (see jobs.js), so it can carry on past the execution time limit.
+
+// Script property prefix for the input hash of each shortname
+const INPUT_HASH_PROPERTY_PREFIX = 'inputHash.';
+
+/**
+ * Lists the Sudokus headers that hold generated output rather than puzzle inputs
+ * @returns {Array<string>} The headers, in lower case
+ */
+function getOutputHeaders() {
+  return Object.values(DIFFICULTY_HEADERS).concat(Object.values(STATUS_HEADERS)).map(header => header.toLowerCase());
+}
+
+/**
+ * Hashes everything a row's documents are generated from
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @returns {string} The SHA-256 hash in hex
+ * @throws {Error} If a symbol or the row's language cannot be read
+ */
+function getInputHash(snapshot) {
+  const outputHeaders = getOutputHeaders();
+  // Symbols are hashed by what the documents show for them below, so the formulas in E-T are left out here
+  const settings = snapshot.headers
+    .map((header, index) => ({ header: String(header).trim(), value: snapshot.values[index], column: index + 1 }))
+    .filter(({ header, column }) => column <= 4 || (column >= EXTRA_COLUMNS_START && header !== '' && !outputHeaders.includes(header.toLowerCase())))
+    .map(({ header, value }) => [header, value]);
+
+  const symbols = [];
+  for (let num = 1; num <= snapshot.gridSize; num++) {
+    symbols.push(getShownSymbol(num, snapshot));
+  }
+
+  const inputs = {
+    settings,
+    symbols,
+    answers: snapshot.answers,
+    clueMarks: snapshot.clueMarks,
+    regions: snapshot.geometry.regions
+  };
+  // The wording is only hashed once there is a Strings sheet, so rows without one keep their earlier hashes
+  const table = getStringTables().get(getLanguage(snapshot));
+  if (table) {
+    inputs.wording = Array.from(table, ([key, { text }]) => [key, text]);
+  }
+  const text = JSON.stringify(inputs);
+  return bytesToHex(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, text, Utilities.Charset.UTF_8));
+}
+
+/**
+ * Generates the documents for one Sudokus row and adds the outcome to the results. A row that fails is recorded as
+ * FAILED in its status columns and in the results rather than thrown, so a batch can carry on with the next row, and
+ * its input hash is deleted so that it is not skipped as unchanged next time
+ * @param {number} row - The row number
+ * @param {{incremental: boolean}} options - With incremental set, a row whose inputs have not changed since it was
+ *     last generated is skipped
+ * @param {{generated: Array<string>, skipped: Array<string>, failed: Array<{row: number, shortname: string,
+ *     error: string}>}} results - The shortnames generated and skipped, and the rows that failed, so far
+ * @param {Object} [progress] - Where to continue a row stopped part way, and when to stop it (see generateRow)
+ * @returns {boolean} Whether the row is done, false if progress.afterStep stopped it part way
+ */
+function generatePuzzleRow(row, options, results, progress) {
+  const properties = PropertiesService.getScriptProperties();
+  let shortname = `row ${row}`; // Until the row has been read
+  let property = null;
+  try {
+    const snapshot = getRowSnapshot(row);
+    shortname = snapshot.shortname;
+    const hash = getInputHash(snapshot);
+    property = `${INPUT_HASH_PROPERTY_PREFIX}${shortname}`;
+    const continuing = Boolean(progress && (progress.step > 0 || progress.docId));
+    if (options.incremental && !continuing && properties.getProperty(property) === hash) {
+      console.log(`Skipping row ${row} (${shortname}) - unchanged since it was last generated`);
+      results.skipped.push(shortname);
+      return true;
+    }
+
+    const generated = generateRow(snapshot, progress);
+    if (!generated) {
+      return false;
+    }
+    properties.setProperty(property, hash);
+    writeRowStatus(row, { status: ROW_STATUS.OK, error: '', document: generated.doc, gridSheet: generated.gridSheet });
+    results.generated.push(shortname);
+  } catch (error) {
+    console.error(`Error generating row ${row} (${shortname}):`, error.message);
+    results.failed.push({ row, shortname, error: error.message });
+    // Forget the row's last hash, so Generate Changed tries it again even if its inputs stay the same
+    try {
+      // A row that could not be read is found by the shortname in its first cell
+      properties.deleteProperty(property || `${INPUT_HASH_PROPERTY_PREFIX}${String(getSpreadsheet().getRange(row, 1).getValue()).trim()}`);
+    } catch (propertyError) {
+      console.error(`Error forgetting the input hash of row ${row}:`, propertyError.message);
+    }
+    // The batch carries on with the next row even if the status cannot be written
+    try {
+      writeRowStatus(row, { status: ROW_STATUS.FAILED, error: error.message, document: null, gridSheet: null });
+    } catch (statusError) {
+      console.error(`Error writing the status of row ${row}:`, statusError.message);
+    }
+  }
+  return true;
+}
+
+/**
+ * Summarizes what a batch of rows did
+ * @param {{generated: Array<string>, skipped: Array<string>, failed: Array<Object>}} results - As for
+ *     generatePuzzleRow
+ * @param {boolean} incremental - Whether unchanged rows were skipped
+ * @returns {Array<string>} The summary lines
+ */
+function formatGenerationResults(results, incremental) {
+  const { generated, skipped, failed } = results;
+  const lines = [`Generated ${generated.length} puzzle(s)${generated.length > 0 ? `: ${generated.join(', ')}` : ''}.`];
+  if (incremental) {
+    lines.push(`Skipped ${skipped.length} unchanged puzzle(s)${skipped.length > 0 ? `: ${skipped.join(', ')}` : ''}.`);
+  }
+  if (failed.length > 0) {
+    lines.push(`Failed ${failed.length} puzzle(s):`);
+    failed.forEach(({ row, shortname, error }) => lines.push(`- Row ${row} (${shortname}): ${error}`));
+  }
+  return lines;
+}
+
+/**
+ * Generates some rows as a generation job and reports what was done, or how far it got if the job has to carry on
+ * in the background
+ * @param {string} title - The dialog title, also the job's name
+ * @param {Array<number>} rows - The row numbers
+ * @param {{incremental: boolean}} options - As for generatePuzzleRow
+ */
+function generatePuzzlesAndReport(title, rows, options) {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const job = startGenerationJob(title, rows, options);
+    if (job.status === JOB_STATUS.DONE) {
+      ui.alert(title, formatGenerationResults(readJobResults(job), options.incremental).join('\n'), ui.ButtonSet.OK);
+      return;
+    }
+    const lines = [`Done ${job.next} of ${rows.length} puzzle(s) so far; the rest will be generated in the background.`]
+      .concat(formatGenerationResults(readJobResults(job), options.incremental))
+      .concat(['Use Generation Job Status on the Sudoku menu to follow the job or cancel it.']);
+    ui.alert(title, lines.join('\n'), ui.ButtonSet.OK);
+  } catch (error) {
+    console.error('Error generating puzzles:', error.message);
+    ui.alert(title, `Failed to generate puzzles: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Gets the puzzle rows covered by the selection on the Sudokus sheet
+ * @returns {Array<number>} The row numbers, in order
+ * @throws {Error} If the selection is not on the Sudokus sheet
+ */
+function getSelectedPuzzleRows() {
+  const rangeList = SpreadsheetApp.getActiveSpreadsheet().getActiveRangeList();
+  const ranges = rangeList ? rangeList.getRanges() : [];
+  if (ranges.length === 0 || ranges.some(range => range.getSheet().getName() !== 'Sudokus')) {
+    throw new Error('Select one or more rows on the Sudokus sheet first');
+  }
+
+  const selected = new Set();
+  ranges.forEach(range => {
+    for (let row = range.getRow(); row <= range.getLastRow(); row++) {
+      selected.add(row);
+    }
+  });
+  return getPuzzleRows().filter(row => selected.has(row));
+}
+
+/**
+ * Generates the documents for the rows selected on the Sudokus sheet
+ */
+function generateSelectedRows() {
+  const ui = SpreadsheetApp.getUi();
+  const title = 'Generate Selected Rows';
+  let rows;
+  try {
+    rows = getSelectedPuzzleRows();
+  } catch (error) {
+    ui.alert(title, error.message, ui.ButtonSet.OK);
+    return;
+  }
+  if (rows.length === 0) {
+    ui.alert(title, 'The selection does not include any puzzle rows.', ui.ButtonSet.OK);
+    return;
+  }
+  generatePuzzlesAndReport(title, rows, { incremental: false });
+}
+
+/**
+ * Asks for a shortname and generates the documents for its row
+ */
+function generatePuzzleByShortname() {
+  const ui = SpreadsheetApp.getUi();
+  const title = 'Generate Puzzle by Shortname';
+  const response = ui.prompt(title, 'Shortname of the puzzle to generate:', ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const shortname = response.getResponseText().trim();
+  const sheet = getSpreadsheet();
+  const row = getPuzzleRows().find(candidate => String(sheet.getRange(candidate, 1).getValue()).trim() === shortname);
+  if (!row) {
+    ui.alert(title, `No puzzle with the shortname "${shortname}" on the Sudokus sheet.`, ui.ButtonSet.OK);
+    return;
+  }
+  generatePuzzlesAndReport(title, [row], { incremental: false });
+}
+
+/**
+ * Generates the documents for the rows whose inputs changed since they were last generated
+ */
+function generateChangedPuzzles() {
+  generatePuzzlesAndReport('Generate Changed Puzzles', getPuzzleRows(), { incremental: true });
+}
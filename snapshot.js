@@ -0,0 +1,83 @@
+// Row snapshots
+//
+// Everything the output functions need for one Sudokus row, read in a few
+// batch calls: the row's settings and symbol formulas, the answer block's
+// values and clue marks, and (for jigsaw grids) the region map. The output
+// functions work from the snapshot instead of going back to the sheets for
+// every cell and symbol.
+
+/**
+ * Reads a row of the Sudokus sheet and its answer block
+ * @param {number} row - The row number to read
+ * @returns {{row: number, headers: Array<any>, values: Array<any>, formulas: Array<string>, shortname: string,
+ *     longname: string, mayOnlyContain: boolean, answersSheetName: string, startCell: string, startRow: number,
+ *     startColumn: number, answersInfo: Object, spreadsheet: GoogleAppsScript.Spreadsheet.Spreadsheet,
+ *     answersSheet: GoogleAppsScript.Spreadsheet.Sheet,
+ *     gridSize: number, geometry: Object, answers: Array<Array<any>>, clueMarks: Array<Array<boolean>>,
+ *     puzzle: Array<Array<number|null>>, symbols: Map<number, Object>}} The snapshot. Headers, values and
+ *     formulas are the Sudokus row 1 headers and this row's cells; answersInfo is the column C reference from
+ *     getAnswersSheetInfo; clueMarks are the cells marked by the row's clue marking method (see readClueMarks);
+ *     symbols fills in as they are looked up (see getSymbol)
+ * @throws {Error} If the row settings or the answers sheet cannot be read
+ */
+function getRowSnapshot(row) {
+  if (!row || typeof row !== 'number' || row < 2) {
+    throw new Error(`Invalid row number: ${row} (type: ${typeof row}). Must be row 2 or greater.`);
+  }
+
+  const sheet = getSpreadsheet();
+  const spreadsheet = sheet.getParent();
+  const lastColumn = Math.max(sheet.getLastColumn(), 4);
+  const headers = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+  const rowRange = sheet.getRange(row, 1, 1, lastColumn);
+  const values = rowRange.getValues()[0];
+  const formulas = rowRange.getFormulas()[0];
+
+  const answersInfo = getAnswersSheetInfo(row, values[2], spreadsheet);
+  const { sheetName: answersSheetName, startCell, startRow, startColumn } = answersInfo;
+  const answersSheet = spreadsheet.getSheetByName(answersSheetName);
+  if (!answersSheet) {
+    throw new Error(`Sheet "${answersSheetName}" not found for row ${row}`);
+  }
+
+  const snapshot = {
+    row,
+    headers,
+    values,
+    formulas,
+    shortname: values[0],
+    longname: values[1],
+    mayOnlyContain: Boolean(values[3]), // Column D is the mayOnlyContain column
+    answersSheetName,
+    startCell,
+    startRow,
+    startColumn,
+    answersInfo,
+    spreadsheet,
+    answersSheet,
+    symbols: new Map()
+  };
+  snapshot.gridSize = getGridSize(snapshot);
+  const { numRows, numColumns } = answersInfo;
+  if (numRows !== null && (numRows !== snapshot.gridSize || numColumns !== snapshot.gridSize)) {
+    const range = formatReference(answersSheetName, startRow, startColumn, numRows, numColumns);
+    throw new Error(`Row ${row}: the answers range ${range} is ${numRows}x${numColumns} but the grid is ${snapshot.gridSize}x${snapshot.gridSize}`);
+  }
+  snapshot.geometry = getGeometry(snapshot);
+
+  snapshot.answers = answersSheet.getRange(startRow, startColumn, snapshot.gridSize, snapshot.gridSize).getValues();
+  snapshot.clueMarks = readClueMarks(snapshot);
+  snapshot.puzzle = getSudokuPuzzle(snapshot);
+  return snapshot;
+}
+
+/**
+ * Gets the value under a header in a snapshot's Sudokus row
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @param {string} header - The header text in row 1
+ * @returns {any} The cell value, or an empty string if there is no such header
+ */
+function getSnapshotValue(snapshot, header) {
+  const column = findHeaderColumn(snapshot.headers, header);
+  return column ? snapshot.values[column - 1] : '';
+}
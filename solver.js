@@ -0,0 +1,329 @@
+// Solution counting for clue grids
+//
+// A clue grid comes from getSudokuPuzzle: each house (row, column or group)
+// lists the values of its non-null cells. In "must not contain" mode the
+// remaining cells of the house may not hold any listed value; in "may only
+// contain" mode the listed cells may only hold one of the listed values.
+// Together with the usual sudoku rules that is enough to solve the grid.
+
+// Maximum number of solutions worth counting when checking uniqueness
+const SOLUTION_LIMIT = 2;
+
+/**
+ * Gets every house (row, column, group and variant house) of the grid, labelled the way the document prints them
+ * @param {Object} geometry - The grid geometry from getGeometry
+ * @returns {Array<{sectionType: string, prefix: string, index: number, cells: Array<{row: number, col: number}>}>} The houses of the grid
+ */
+function getHouses(geometry) {
+  const { gridSize, groups } = geometry;
+  const houses = [];
+  for (let i = 0; i < gridSize; i++) {
+    const cells = Array.from({ length: gridSize }, (_, j) => ({ row: i, col: j }));
+    houses.push({ sectionType: SECTION_TYPES.ROWS, prefix: 'ROW', index: i, cells });
+  }
+  for (let j = 0; j < gridSize; j++) {
+    const cells = Array.from({ length: gridSize }, (_, i) => ({ row: i, col: j }));
+    houses.push({ sectionType: SECTION_TYPES.COLUMNS, prefix: 'COLUMN', index: j, cells });
+  }
+  groups.forEach((cells, index) => {
+    houses.push({ sectionType: SECTION_TYPES.GROUPS, prefix: 'GROUP', index, cells });
+  });
+  return houses.concat(getVariantHouses(geometry));
+}
+
+/**
+ * Gets the cells that must hold a different value from each cell: those sharing a house, and variant pairs
+ * @param {Array<Array<number>>} houseCells - The cell indexes of each house
+ * @param {Object} geometry - The grid geometry from getGeometry
+ * @returns {Array<Array<number>>} The peer cell indexes of each cell
+ */
+function getPeers(houseCells, geometry) {
+  const { gridSize } = geometry;
+  const peerSets = Array.from({ length: gridSize * gridSize }, () => new Set());
+  houseCells.forEach(cells => cells.forEach(cell => cells.forEach(peer => {
+    if (peer !== cell) {
+      peerSets[cell].add(peer);
+    }
+  })));
+  getVariantPeerPairs(geometry).forEach(([a, b]) => {
+    peerSets[a.row * gridSize + a.col].add(b.row * gridSize + b.col);
+    peerSets[b.row * gridSize + b.col].add(a.row * gridSize + a.col);
+  });
+  return peerSets.map(set => Array.from(set));
+}
+
+/**
+ * Gets the cell indexes of each house, indexed by row * gridSize + col
+ * @param {Array<{cells: Array<{row: number, col: number}>}>} houses - The houses of the grid
+ * @param {number} gridSize - The grid size
+ * @returns {Array<Array<number>>} The cell indexes of each house
+ */
+function getHouseCells(houses, gridSize) {
+  return houses.map(house => house.cells.map(({ row, col }) => row * gridSize + col));
+}
+
+/**
+ * Gets the starting candidates of each cell from the clues printed for its houses
+ * @param {Array<Array<number|null>>} puzzle - The clue grid
+ * @param {number} gridSize - The grid size
+ * @param {boolean} mayOnlyContain - Whether the clues list the values a house may only contain
+ * @param {Array<{cells: Array<{row: number, col: number}>}>} houses - The houses of the grid
+ * @returns {Array<number>} A bitmask of candidate values for each cell, indexed by row * gridSize + col
+ */
+function getClueCandidates(puzzle, gridSize, mayOnlyContain, houses) {
+  const allValues = (1 << gridSize) - 1;
+  const candidates = new Array(gridSize * gridSize).fill(allValues);
+
+  houses.forEach(house => {
+    const listed = house.cells.reduce((mask, { row, col }) => {
+      const value = puzzle[row][col];
+      return value === null ? mask : mask | (1 << (value - 1));
+    }, 0);
+
+    house.cells.forEach(({ row, col }) => {
+      const isListed = puzzle[row][col] !== null;
+      if (mayOnlyContain && isListed) {
+        candidates[row * gridSize + col] &= listed;
+      } else if (!mayOnlyContain && !isListed) {
+        candidates[row * gridSize + col] &= ~listed;
+      }
+    });
+  });
+
+  return candidates;
+}
+
+/**
+ * Gets what the clues of each house imply beyond the printed statement. Every value goes in a house once, so when
+ * the values a house lists are all different, those values fill exactly its listed cells: whichever statement is
+ * printed, the listed cells may only hold listed values and the other cells may not hold any. Both follow from
+ * either statement and the sudoku rules, so they narrow the search without changing the solutions. Houses that list
+ * a value twice are left to the printed statement alone
+ * @param {Array<Array<number|null>>} puzzle - The clue grid
+ * @param {number} gridSize - The grid size
+ * @param {Array<{cells: Array<{row: number, col: number}>}>} houses - The houses of the grid
+ * @returns {Array<number>} A bitmask of candidate values for each cell, indexed by row * gridSize + col
+ */
+function getImpliedCandidates(puzzle, gridSize, houses) {
+  const candidates = new Array(gridSize * gridSize).fill((1 << gridSize) - 1);
+
+  houses.forEach(house => {
+    const listedCells = house.cells.filter(({ row, col }) => puzzle[row][col] !== null);
+    const listed = listedCells.reduce((mask, { row, col }) => mask | (1 << (puzzle[row][col] - 1)), 0);
+    if (countCandidates(listed) !== listedCells.length) {
+      return;
+    }
+    house.cells.forEach(({ row, col }) => {
+      candidates[row * gridSize + col] &= puzzle[row][col] !== null ? listed : ~listed;
+    });
+  });
+
+  return candidates;
+}
+
+/**
+ * Counts the number of bits set in a candidate mask
+ * @param {number} mask - The candidate mask
+ * @returns {number} The number of candidates
+ */
+function countCandidates(mask) {
+  let count = 0;
+  while (mask) {
+    mask &= mask - 1;
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Places a value in a cell and removes it from the candidates of every peer
+ * @param {Array<number>} candidates - The candidate masks, updated in place
+ * @param {Array<Array<number>>} peers - The peer cell indexes of each cell
+ * @param {number} cell - The cell index
+ * @param {number} bit - The bitmask of the value to place
+ * @returns {boolean} False if a peer is left without candidates
+ */
+function placeCandidate(candidates, peers, cell, bit) {
+  candidates[cell] = bit;
+  for (const peer of peers[cell]) {
+    if (candidates[peer] & bit) {
+      candidates[peer] &= ~bit;
+      if (candidates[peer] === 0) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+/**
+ * Applies naked and hidden singles until nothing changes
+ * @param {Array<number>} candidates - The candidate masks, updated in place
+ * @param {Array<Array<number>>} peers - The peer cell indexes of each cell
+ * @param {Array<Array<number>>} houseCells - The cell indexes of each house
+ * @param {Array<boolean>} solved - Whether each cell has been placed, updated in place
+ * @returns {boolean} False if the grid has no solution
+ */
+function propagateCandidates(candidates, peers, houseCells, solved) {
+  let changed = true;
+  while (changed) {
+    changed = false;
+
+    // Naked singles
+    for (let cell = 0; cell < candidates.length; cell++) {
+      if (candidates[cell] === 0) {
+        return false;
+      }
+      if (!solved[cell] && countCandidates(candidates[cell]) === 1) {
+        solved[cell] = true;
+        if (!placeCandidate(candidates, peers, cell, candidates[cell])) {
+          return false;
+        }
+        changed = true;
+      }
+    }
+
+    // Hidden singles
+    for (const cells of houseCells) {
+      let seenOnce = 0;
+      let seenTwice = 0;
+      for (const cell of cells) {
+        seenTwice |= seenOnce & candidates[cell];
+        seenOnce |= candidates[cell];
+      }
+      if (countCandidates(seenOnce) !== cells.length) {
+        return false; // Some value has nowhere to go in this house
+      }
+      const hidden = seenOnce & ~seenTwice;
+      for (const cell of cells) {
+        const bit = candidates[cell] & hidden;
+        if (bit & (bit - 1)) {
+          return false; // Two values can only go in the same cell
+        }
+        if (bit && !solved[cell]) {
+          solved[cell] = true;
+          if (!placeCandidate(candidates, peers, cell, bit)) {
+            return false;
+          }
+          changed = true;
+        }
+      }
+    }
+  }
+  return true;
+}
+
+/**
+ * Searches for solutions from a set of starting candidates, stopping once the limit is reached
+ * @param {Array<number>} candidates - The starting candidate mask of each cell, indexed by row * gridSize + col
+ * @param {Object} geometry - The grid geometry from getGeometry
+ * @param {{limit: number, onSolution: function(Array<Array<number>>), random: function(): number}} [options] - The
+ *     number of solutions to stop at (default SOLUTION_LIMIT), a callback for each solution found, and a random
+ *     number generator to try candidates in random order instead of ascending order
+ * @returns {number} The number of solutions found, at most the limit
+ */
+function searchSolutions(candidates, geometry, options = {}) {
+  const { gridSize } = geometry;
+  const { limit = SOLUTION_LIMIT, onSolution = null, random = null } = options;
+  const houseCells = getHouseCells(getHouses(geometry), gridSize);
+  const peers = getPeers(houseCells, geometry);
+
+  let count = 0;
+  const search = (candidates, solved) => {
+    if (!propagateCandidates(candidates, peers, houseCells, solved)) {
+      return;
+    }
+
+    // Branch on the unsolved cell with the fewest candidates
+    let best = -1;
+    let bestCount = Infinity;
+    for (let cell = 0; cell < candidates.length; cell++) {
+      if (!solved[cell]) {
+        const cellCount = countCandidates(candidates[cell]);
+        if (cellCount < bestCount) {
+          best = cell;
+          bestCount = cellCount;
+        }
+      }
+    }
+    if (best === -1) {
+      count++;
+      if (onSolution) {
+        onSolution(Array.from({ length: gridSize }, (_, i) =>
+          candidates.slice(i * gridSize, (i + 1) * gridSize).map(mask => Math.log2(mask) + 1)));
+      }
+      return;
+    }
+
+    const bits = [];
+    for (let remaining = candidates[best]; remaining; remaining &= remaining - 1) {
+      bits.push(remaining & -remaining);
+    }
+    if (random) {
+      shuffle(bits, random);
+    }
+    for (const bit of bits) {
+      if (count >= limit) {
+        break;
+      }
+      const nextCandidates = candidates.slice();
+      const nextSolved = solved.slice();
+      nextSolved[best] = true;
+      if (placeCandidate(nextCandidates, peers, best, bit)) {
+        search(nextCandidates, nextSolved);
+      }
+    }
+  };
+
+  search(candidates.slice(), new Array(gridSize * gridSize).fill(false));
+  return count;
+}
+
+/**
+ * Counts the solutions of a clue grid, stopping once the limit is reached
+ * @param {Array<Array<number|null>>} puzzle - The clue grid from getSudokuPuzzle
+ * @param {Object} geometry - The grid geometry from getGeometry
+ * @param {boolean} mayOnlyContain - Whether the clues list the values a house may only contain
+ * @param {number} [limit=SOLUTION_LIMIT] - The number of solutions to stop counting at
+ * @param {function(Array<Array<number>>)} [onSolution] - Called with each solution found
+ * @returns {number} The number of solutions found, at most limit
+ */
+function countSolutions(puzzle, geometry, mayOnlyContain, limit = SOLUTION_LIMIT, onSolution = null) {
+  const houses = getHouses(geometry);
+  const stated = getClueCandidates(puzzle, geometry.gridSize, mayOnlyContain, houses);
+  const implied = getImpliedCandidates(puzzle, geometry.gridSize, houses);
+  const candidates = stated.map((mask, cell) => mask & implied[cell]);
+  return searchSolutions(candidates, geometry, { limit, onSolution });
+}
+
+/**
+ * Finds a solution of a clue grid
+ * @param {Array<Array<number|null>>} puzzle - The clue grid from getSudokuPuzzle
+ * @param {Object} geometry - The grid geometry from getGeometry
+ * @param {boolean} mayOnlyContain - Whether the clues list the values a house may only contain
+ * @returns {Array<Array<number>>|null} The first solution found, or null if there is none
+ */
+function findSolution(puzzle, geometry, mayOnlyContain) {
+  let solution = null;
+  countSolutions(puzzle, geometry, mayOnlyContain, 1, found => solution = found);
+  return solution;
+}
+
+/**
+ * Checks that the clues for a row lead to exactly one solution
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @throws {Error} If the clues have no solution or more than one solution
+ */
+function assertUniqueSolution(snapshot) {
+  const { row, puzzle, geometry, mayOnlyContain } = snapshot;
+  const count = countSolutions(puzzle, geometry, mayOnlyContain);
+  console.log(`Row ${row} has ${count >= SOLUTION_LIMIT ? `at least ${count}` : count} solution(s)`);
+  if (count === 1) {
+    return;
+  }
+
+  const { answersSheetName, startRow, startColumn } = snapshot;
+  const mode = mayOnlyContain ? 'may only contain' : 'must not contain';
+  const problem = count === 0 ? 'have no solution' : 'allow more than one solution';
+  throw new Error(`Row ${row}: the "${mode}" clues marked in ${formatReference(answersSheetName, startRow, startColumn)} ${problem}. Adjust the marked cells before generating this puzzle.`);
+}
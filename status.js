@@ -0,0 +1,51 @@
+// Row status
+//
+// Records the outcome of each generated row in status columns on the Sudokus
+// sheet, so it is clear which rows worked after a batch: OK or FAILED, the
+// error message, links to the document and the grid sheet, and when the row
+// was last run. The columns are added after the other extra columns the first
+// time they are needed.
+
+// Sudokus sheet headers for the status columns
+const STATUS_HEADERS = {
+  status: 'Status',
+  error: 'Error',
+  document: 'Document',
+  gridSheet: 'Grid Sheet',
+  lastRun: 'Last Run'
+};
+
+// Values of the Status column
+const ROW_STATUS = {
+  OK: 'OK',
+  FAILED: 'FAILED'
+};
+
+/**
+ * Builds a HYPERLINK formula
+ * @param {string} url - The link target
+ * @param {string} label - The link text
+ * @returns {string} The formula
+ */
+function formatHyperlink(url, label) {
+  const quote = text => `"${String(text).replace(/"/g, '""')}"`;
+  return `=HYPERLINK(${quote(url)}, ${quote(label)})`;
+}
+
+/**
+ * Writes the outcome of a row to its status columns
+ * @param {number} row - The Sudokus row
+ * @param {{status: string, error: string, document: GoogleAppsScript.Document.Document|null,
+ *     gridSheet: GoogleAppsScript.Spreadsheet.Sheet|null}} result - The status from ROW_STATUS, the error message
+ *     (empty when it worked) and what was generated. Links are cleared when there is nothing to link to
+ */
+function writeRowStatus(row, result) {
+  const { status, error, document, gridSheet } = result;
+  const sheet = getSpreadsheet();
+  const gridSheetUrl = gridSheet ? `${gridSheet.getParent().getUrl()}#gid=${gridSheet.getSheetId()}` : '';
+  sheet.getRange(row, getSudokusColumn(STATUS_HEADERS.status)).setValue(status);
+  sheet.getRange(row, getSudokusColumn(STATUS_HEADERS.error)).setValue(error);
+  sheet.getRange(row, getSudokusColumn(STATUS_HEADERS.document)).setValue(document ? formatHyperlink(document.getUrl(), document.getName()) : '');
+  sheet.getRange(row, getSudokusColumn(STATUS_HEADERS.gridSheet)).setValue(gridSheet ? formatHyperlink(gridSheetUrl, gridSheet.getName()) : '');
+  sheet.getRange(row, getSudokusColumn(STATUS_HEADERS.lastRun)).setValue(new Date());
+}
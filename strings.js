@@ -0,0 +1,201 @@
+// Document wording
+//
+// Every title, header and label the documents print comes from a template
+// here, so puzzles can be printed in other languages. The Strings sheet has a
+// "Key" column followed by one column per language, headed by its code (e.g.
+// "nl"). Each cell holds the template for that key in that language, with
+// placeholders in braces such as {shortname} or {index}. Blank cells, and
+// languages or keys missing from the sheet, fall back to the English defaults
+// below. Each Sudokus row picks its language in the "Language" column; blank
+// means English.
+
+// Strings sheet layout
+const STRINGS_SHEET_CONFIG = {
+  sheetName: 'Strings',
+  keyHeader: 'Key'
+};
+
+// Sudokus sheet header for the language of a row
+const LANGUAGE_HEADER = 'Language';
+
+// The language of rows that don't pick one, whose templates default to DEFAULT_STRINGS
+const DEFAULT_LANGUAGE = 'en';
+
+// The English templates, by key, with the placeholders each may use and those it must use
+const DEFAULT_STRINGS = {
+  'documentTitle': { text: 'Mint Hulzo Coin - {shortname}', placeholders: ['shortname', 'longname'] },
+  'difficultyHeader': { text: 'Difficulty: {difficulty} (score {score}, hardest technique: {hardest})', placeholders: ['difficulty', 'score', 'hardest'] },
+  'difficulty.Easy': { text: 'Easy', placeholders: [] },
+  'difficulty.Medium': { text: 'Medium', placeholders: [] },
+  'difficulty.Hard': { text: 'Hard', placeholders: [] },
+  'technique.NAKED_SINGLE': { text: 'Naked single', placeholders: [] },
+  'technique.HIDDEN_SINGLE': { text: 'Hidden single', placeholders: [] },
+  'technique.POINTING_PAIR': { text: 'Pointing pair', placeholders: [] },
+  'technique.BOX_LINE_REDUCTION': { text: 'Box/line reduction', placeholders: [] },
+  'technique.TRIAL_AND_ERROR': { text: 'Trial and error', placeholders: [] },
+  'sectionTitle': { text: '{sectionType} {declaration}', placeholders: ['sectionType', 'declaration'] },
+  'mustNotContain': { text: 'must not contain any of these values', placeholders: [] },
+  'mayOnlyContain': { text: 'may only contain one of these values', placeholders: [] },
+  'ruleTitle': { text: '{sectionType}: {rule}', placeholders: ['sectionType', 'rule'] },
+  'houseLabel': { text: '{prefix} {index}:', placeholders: ['prefix', 'index'] },
+  'section.ROWS': { text: 'ROWS', placeholders: [] },
+  'section.COLUMNS': { text: 'COLUMNS', placeholders: [] },
+  'section.GROUPS': { text: 'GROUPS', placeholders: [] },
+  'section.DIAGONALS': { text: 'DIAGONALS', placeholders: [] },
+  'section.WINDOWS': { text: 'WINDOWS', placeholders: [] },
+  'section.ANTI-KING': { text: 'ANTI-KING', placeholders: [] },
+  'prefix.ROW': { text: 'ROW', placeholders: [] },
+  'prefix.COLUMN': { text: 'COLUMN', placeholders: [] },
+  'prefix.GROUP': { text: 'GROUP', placeholders: [] },
+  'prefix.DIAGONAL': { text: 'DIAGONAL', placeholders: [] },
+  'prefix.WINDOW': { text: 'WINDOW', placeholders: [] },
+  'rule.anti-king': { text: 'Cells that touch diagonally must not contain the same value', placeholders: [] },
+  'referenceTitle': { text: 'Reference Images', placeholders: [] },
+  'symbolKeyTitle': { text: 'Symbol Key', placeholders: [] },
+  'solutionTitle': { text: 'Solution', placeholders: [] },
+  'bookletTitle': { text: 'Mint Hulzo Coin - Booklet ({shortnames})', placeholders: ['shortnames'], required: ['shortnames'] },
+  'bookletHeading': { text: 'Mint Hulzo Coin', placeholders: [] },
+  'contentsTitle': { text: 'Contents', placeholders: [] },
+  'bookletPart.puzzles': { text: 'Puzzles', placeholders: [] },
+  'bookletPart.references': { text: 'Reference Pages', placeholders: [] },
+  'bookletPart.solutions': { text: 'Solutions', placeholders: [] },
+  'bookletEntryTitle': { text: '{title}: {longname}', placeholders: ['title', 'longname'] }
+};
+
+// Templates read from the Strings sheet, by lowercase language code (read once per execution)
+let stringTables = null;
+
+/**
+ * Reads the templates from the Strings sheet
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet holding the Strings sheet
+ * @returns {Map<string, Map<string, {text: string, cell: string}>>} The non-blank templates of each language by key,
+ *     with the cell each was read from. Empty if there is no Strings sheet
+ * @throws {Error} If the Key column is missing, or a key is listed twice
+ */
+function readStringTables(spreadsheet) {
+  const tables = new Map();
+  const { sheetName, keyHeader } = STRINGS_SHEET_CONFIG;
+  const sheet = spreadsheet.getSheetByName(sheetName);
+  if (!sheet || sheet.getLastRow() < 1) {
+    return tables;
+  }
+
+  const values = sheet.getRange(1, 1, sheet.getLastRow(), Math.max(sheet.getLastColumn(), 1)).getValues();
+  const headers = values[0].map(value => String(value).trim());
+  const keyColumn = headers.findIndex(header => header.toLowerCase() === keyHeader.toLowerCase());
+  if (keyColumn === -1) {
+    throw new Error(`The ${sheetName} sheet has no "${keyHeader}" column. Row 1 must have "${keyHeader}" followed by a column per language code`);
+  }
+  headers.forEach((header, column) => {
+    if (column !== keyColumn && header !== '') {
+      tables.set(header.toLowerCase(), new Map());
+    }
+  });
+
+  const keyRows = new Map();
+  for (let index = 1; index < values.length; index++) {
+    const key = String(values[index][keyColumn]).trim();
+    if (key === '') {
+      continue;
+    }
+    const row = index + 1;
+    if (keyRows.has(key)) {
+      throw new Error(`The key "${key}" is listed twice on the ${sheetName} sheet, in rows ${keyRows.get(key)} and ${row}`);
+    }
+    keyRows.set(key, row);
+    headers.forEach((header, column) => {
+      const text = String(values[index][column]);
+      if (column !== keyColumn && header !== '' && text.trim() !== '') {
+        tables.get(header.toLowerCase()).set(key, { text, cell: formatReference(sheetName, row, column + 1) });
+      }
+    });
+  }
+  return tables;
+}
+
+/**
+ * Gets the templates from the Strings sheet, reading it the first time
+ * @returns {Map<string, Map<string, {text: string, cell: string}>>} The templates (see readStringTables)
+ * @throws {Error} If the Strings sheet cannot be read
+ */
+function getStringTables() {
+  if (!stringTables) {
+    stringTables = readStringTables(getSpreadsheet().getParent());
+  }
+  return stringTables;
+}
+
+/**
+ * Gets the language of a row
+ * @param {Object|null} snapshot - The row snapshot from getRowSnapshot, or null for the default language
+ * @returns {string} The lowercase language code
+ * @throws {Error} If the language has no column on the Strings sheet
+ */
+function getLanguage(snapshot) {
+  const language = snapshot ? String(getSnapshotValue(snapshot, LANGUAGE_HEADER)).trim().toLowerCase() : '';
+  if (language === '' || language === DEFAULT_LANGUAGE) {
+    return DEFAULT_LANGUAGE;
+  }
+  if (!getStringTables().has(language)) {
+    throw new Error(`Row ${snapshot.row}: language "${language}" has no column on the ${STRINGS_SHEET_CONFIG.sheetName} sheet`);
+  }
+  return language;
+}
+
+/**
+ * Fills in the placeholders of a template
+ * @param {string} template - The template
+ * @param {Object<string, any>} params - The value of each placeholder
+ * @param {string} source - Where the template came from, used in error messages
+ * @returns {string} The text
+ * @throws {Error} If the template uses a placeholder that has no value
+ */
+function fillTemplate(template, params, source) {
+  return template.replace(/\{(\w+)\}/g, (_, name) => {
+    if (!Object.prototype.hasOwnProperty.call(params, name)) {
+      throw new Error(`The template in ${source} uses {${name}}, which is not available there`);
+    }
+    return String(params[name]);
+  });
+}
+
+/**
+ * Gets the text for a key in a row's language
+ * @param {Object|null} snapshot - The row snapshot from getRowSnapshot, or null for the default language
+ * @param {string} key - The key in DEFAULT_STRINGS
+ * @param {Object<string, any>} [params] - The value of each placeholder the key allows
+ * @returns {string} The text
+ * @throws {Error} If the key is unknown, the row's language cannot be found or the template uses an unknown placeholder
+ */
+function formatString(snapshot, key, params = {}) {
+  const fallback = DEFAULT_STRINGS[key];
+  if (!fallback) {
+    throw new Error(`Unknown string key "${key}"`);
+  }
+  const language = getLanguage(snapshot);
+  const table = getStringTables().get(language);
+  const entry = table ? table.get(key) : null;
+  return entry
+    ? fillTemplate(entry.text, params, entry.cell)
+    : fillTemplate(fallback.text, params, `the default for "${key}"`);
+}
+
+/**
+ * Gets the title of a row's document, which is also its file name
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @returns {string} The title
+ */
+function getDocumentTitle(snapshot) {
+  return formatString(snapshot, 'documentTitle', { shortname: snapshot.shortname, longname: snapshot.longname });
+}
+
+/**
+ * Gets the label that starts a house's clues
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @param {string} prefix - The untranslated prefix (e.g. "ROW")
+ * @param {number} index - The house index, counted from 0
+ * @returns {string} The label (e.g. "ROW 3:")
+ */
+function formatHouseLabel(snapshot, prefix, index) {
+  return formatString(snapshot, 'houseLabel', { prefix: formatString(snapshot, `prefix.${prefix}`), index: index + 1 });
+}
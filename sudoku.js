@@ -4,12 +4,23 @@ const SPREADSHEET_ID = '1t9mwKfa_aPzJwx6qUOgO54N9-1XBQJGCPKY3PpwF-BE';
 // Menu configuration
 const MENU_NAME = 'Sudoku';
 const MENU_ITEMS = [
-  {name: 'Generate Puzzles', functionName: 'main'}
+  {name: 'Generate Puzzles', functionName: 'main'},
+  {name: 'Validate All', functionName: 'validateAll'},
+  {name: 'Generate Selected Rows', functionName: 'generateSelectedRows'},
+  {name: 'Generate Puzzle by Shortname', functionName: 'generatePuzzleByShortname'},
+  {name: 'Generate Changed Puzzles', functionName: 'generateChangedPuzzles'},
+  {name: 'Generation Job Status', functionName: 'showGenerationJob'},
+  {name: 'Generate New Puzzle', functionName: 'generateNewPuzzle'},
+  {name: 'Reduce Clues', functionName: 'reduceClues'},
+  {name: 'Make Variants', functionName: 'makeVariants'},
+  {name: 'Build Booklet', functionName: 'buildBooklet'},
+  {name: 'Preview Selected Row', functionName: 'previewPuzzle'},
+  {name: 'Rate Puzzles', functionName: 'ratePuzzles'},
+  {name: 'Clear Image Cache', functionName: 'clearImageCache'}
 ];
 
-// Section title text
-const MUST_NOT_CONTAIN = 'must not contain any of these values';
-const MAY_ONLY_CONTAIN = 'may only contain one of these values';
+// First Sudokus column free for extra headers (column U, after the symbol images in E-T for up to 16 values)
+const EXTRA_COLUMNS_START = 21;
 
 // Section types
 const SECTION_TYPES = {
@@ -30,40 +41,81 @@ const IMAGE_CONFIG = {
   }
 };
 
-// Cache for image blobs
-const imageCache = new Map();
+// Image types Google Docs can insert, and the type to assume for each file extension when a host doesn't say
+const IMAGE_CONTENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  bmp: 'image/bmp'
+};
 
-// Group boundaries for 6x6 grid with 2x3 groups
-const GROUP_BOUNDARIES_6 = [
-  { rowStart: 0, rowEnd: 1, colStart: 0, colEnd: 2 }, // Group 1 (top left)
-  { rowStart: 0, rowEnd: 1, colStart: 3, colEnd: 5 }, // Group 2 (top right)
-  { rowStart: 2, rowEnd: 3, colStart: 0, colEnd: 2 }, // Group 3 (middle left)
-  { rowStart: 2, rowEnd: 3, colStart: 3, colEnd: 5 }, // Group 4 (middle right)
-  { rowStart: 4, rowEnd: 5, colStart: 0, colEnd: 2 }, // Group 5 (bottom left)
-  { rowStart: 4, rowEnd: 5, colStart: 3, colEnd: 5 }  // Group 6 (bottom right)
-];
+// Persistent image cache: copies of downloaded images kept in a folder inside Generated Files, so reruns don't refetch them.
+// Each copy records when it was fetched and the server's ETag; once it is older than maxAgeHours the server is asked
+// whether the image changed, so an image replaced at the same URL is picked up without clearing the cache
+const IMAGE_CACHE_CONFIG = {
+  enabled: true,
+  folderName: 'Image Cache',
+  maxAgeHours: 24
+};
 
-// Group boundaries for 4x4 grid with 2x2 groups
-const GROUP_BOUNDARIES_4 = [
-  { rowStart: 0, rowEnd: 1, colStart: 0, colEnd: 1 }, // Group 1 (top left)
-  { rowStart: 0, rowEnd: 1, colStart: 2, colEnd: 3 }, // Group 2 (top right)
-  { rowStart: 2, rowEnd: 3, colStart: 0, colEnd: 1 }, // Group 3 (bottom left)
-  { rowStart: 2, rowEnd: 3, colStart: 2, colEnd: 3 }  // Group 4 (bottom right)
-];
+// Archive of replaced documents: when a puzzle's document is regenerated, a timestamped copy of its previous content
+// is kept in this folder inside Generated Files
+const ARCHIVE_CONFIG = {
+  folderName: 'Archive',
+  timestampFormat: 'yyyy-MM-dd HH-mm-ss'
+};
+
+// Prefix of the script properties holding the file ID of each generated document, by its key (a puzzle's
+// shortname), so the document is found again when its title changes
+const DOCUMENT_ID_PROPERTY_PREFIX = 'documentId.';
+
+// The steps that generate one row, in order. A generation job can stop between any two of them and carry on later
+// (see jobs.js), so each step finds the document through its context, by ID if an earlier execution wrote it
+const ROW_STEPS = [
+  {
+    name: 'document',
+    run: (snapshot, context) => {
+      // Make sure the answers are a valid sudoku and the clues have exactly one solution before printing anything
+      validateAnswerGrid(snapshot.answers, snapshot.geometry, snapshot.answersSheetName, snapshot.startCell);
+      assertUniqueSolution(snapshot);
+      const rating = ratePuzzle(snapshot.puzzle, snapshot.geometry, snapshot.mayOnlyContain);
+      preloadSymbolImages(snapshot);
 
-// Group boundaries for 9x9 grid with 3x3 groups
-const GROUP_BOUNDARIES_9 = [
-  { rowStart: 0, rowEnd: 2, colStart: 0, colEnd: 2 },   // Group 1 (top left)
-  { rowStart: 0, rowEnd: 2, colStart: 3, colEnd: 5 },   // Group 2 (top middle)
-  { rowStart: 0, rowEnd: 2, colStart: 6, colEnd: 8 },   // Group 3 (top right)
-  { rowStart: 3, rowEnd: 5, colStart: 0, colEnd: 2 },   // Group 4 (middle left)
-  { rowStart: 3, rowEnd: 5, colStart: 3, colEnd: 5 },   // Group 5 (center)
-  { rowStart: 3, rowEnd: 5, colStart: 6, colEnd: 8 },   // Group 6 (middle right)
-  { rowStart: 6, rowEnd: 8, colStart: 0, colEnd: 2 },   // Group 7 (bottom left)
-  { rowStart: 6, rowEnd: 8, colStart: 3, colEnd: 5 },   // Group 8 (bottom middle)
-  { rowStart: 6, rowEnd: 8, colStart: 6, colEnd: 8 }    // Group 9 (bottom right)
+      if (context.docId) {
+        // A row redone after its execution was killed starts over in its document, its rating already written
+        context.doc = DocumentApp.openById(context.docId);
+        resetDocument(context.doc);
+      } else {
+        writeRating(snapshot.row, rating);
+        context.doc = prepareDocument(snapshot.shortname, getDocumentTitle(snapshot));
+        context.docId = context.doc.getId();
+      }
+      setDifficultyHeader(context.doc, rating, snapshot);
+    }
+  },
+  { name: 'rows', run: (snapshot, context) => outputRows(snapshot.puzzle, getStepBody(context), snapshot) },
+  { name: 'columns', run: (snapshot, context) => outputColumns(snapshot.puzzle, getStepBody(context), snapshot) },
+  { name: 'groups', run: (snapshot, context) => outputGroups(snapshot.puzzle, getStepBody(context), snapshot) },
+  { name: 'variants', run: (snapshot, context) => outputVariants(snapshot.puzzle, getStepBody(context), snapshot) },
+  { name: 'reference', run: (snapshot, context) => createReferencePage(getStepBody(context), snapshot) },
+  { name: 'answers', run: (snapshot, context) => createAnswersSheet(getStepBody(context), snapshot) },
+  {
+    name: 'pdf',
+    run: (snapshot, context) => {
+      const doc = getStepDocument(context);
+      doc.saveAndClose();
+      context.saved = true;
+      saveDocumentPdf(doc);
+    }
+  },
+  { name: 'grid', run: (snapshot, context) => { context.gridSheet = createSudokuGrid(snapshot); } }
 ];
 
+// Cache for image blobs
+const imageCache = new Map();
+let imageCacheFolder = null;
+
 /**
  * Gets or creates the "Generated Files" folder
  * @returns {GoogleAppsScript.Drive.Folder} The folder where generated files should be stored
@@ -82,6 +134,17 @@ function getGeneratedFilesFolder() {
   return parentFolder.createFolder('Generated Files');
 }
 
+/**
+ * Gets or creates a folder inside the Generated Files folder
+ * @param {string} name - The folder name
+ * @returns {GoogleAppsScript.Drive.Folder} The folder
+ */
+function getGeneratedFilesSubfolder(name) {
+  const parentFolder = getGeneratedFilesFolder();
+  const folderIterator = parentFolder.getFoldersByName(name);
+  return folderIterator.hasNext() ? folderIterator.next() : parentFolder.createFolder(name);
+}
+
 /**
  * Creates a custom menu in the spreadsheet when it opens
  */
@@ -113,90 +176,344 @@ function getSpreadsheet() {
 }
 
 /**
- * Gets a sheet by name
- * @param {string} sheetName - The name of the sheet
- * @returns {GoogleAppsScript.Spreadsheet.Sheet} The sheet
+ * Finds the column number of a header among the Sudokus row 1 headers
+ * @param {Array<any>} headers - The row 1 values
+ * @param {string} header - The header text
+ * @returns {number|null} The column number, or null if there is no such header
+ * @throws {Error} If the header sits in the symbol image columns
  */
-function getSheetByName(sheetName) {
-  try {
-    return SpreadsheetApp.openById(SPREADSHEET_ID).getSheetByName(sheetName);
-  } catch (error) {
-    throw new Error(`Failed to access sheet "${sheetName}": ${error.message}`);
+function findHeaderColumn(headers, header) {
+  const index = headers.findIndex(value => String(value).trim().toLowerCase() === header.toLowerCase());
+  if (index === -1) {
+    return null;
+  }
+  if (index + 1 > 4 && index + 1 < EXTRA_COLUMNS_START) {
+    throw new Error(`The "${header}" column is inside the symbol image columns (E-T). Move it to column U or later`);
   }
+  return index + 1;
 }
 
 /**
- * Gets the grid size based on the answers sheet name
- * @param {number} row - The row number to get the sheet info from
- * @returns {number} The grid size (4, 6, or 9)
+ * Finds the column number of a header on the Sudokus sheet
+ * @param {string} header - The header text in row 1
+ * @returns {number|null} The column number, or null if there is no such header
  */
-function getGridSize(row) {
-  const { sheetName } = getAnswersSheetInfo(row);
+function findSudokusColumn(header) {
+  const sheet = getSpreadsheet();
+  return findHeaderColumn(sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0], header);
+}
+
+/**
+ * Gets the column number of a header on the Sudokus sheet, adding the header after the symbol columns if it is missing
+ * @param {string} header - The header text in row 1
+ * @returns {number} The column number
+ */
+function getSudokusColumn(header) {
+  const existingColumn = findSudokusColumn(header);
+  if (existingColumn) {
+    return existingColumn;
+  }
+
+  const sheet = getSpreadsheet();
+  const column = Math.max(sheet.getLastColumn() + 1, EXTRA_COLUMNS_START);
+  sheet.getRange(1, column).setValue(header);
+  return column;
+}
+
+/**
+ * Gets the Sudokus rows to process, from row 2 until the first row without a shortname
+ * @returns {Array<number>} The row numbers
+ */
+function getPuzzleRows() {
+  const sheet = getSpreadsheet();
+  const lastRow = sheet.getLastRow();
+  const rows = [];
+  for (let row = 2; row <= lastRow; row++) {
+    const shortname = sheet.getRange(row, 1).getValue();
+    if (!shortname || typeof shortname !== 'string' || shortname.trim() === '') {
+      console.log(`Stopping at row ${row} - no shortname found`);
+      break; // Stop processing when we hit an empty row
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Gets the grid size from the Grid Size column. If that is blank, it comes from the answers range when column C
+ * gives the whole block, and otherwise from the answers sheet name
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @returns {number} The grid size
+ */
+function getGridSize(snapshot) {
+  const sizeValue = getSnapshotValue(snapshot, GEOMETRY_HEADERS.gridSize);
+  if (sizeValue !== '') {
+    const size = Number(sizeValue);
+    validateGridSize(size);
+    return size;
+  }
+
+  const { numRows, numColumns } = snapshot.answersInfo;
+  if (numRows !== null) {
+    if (numRows !== numColumns) {
+      throw new Error(`The answers range for row ${snapshot.row} is ${numRows}x${numColumns}. It must cover a square grid`);
+    }
+    validateGridSize(numRows);
+    return numRows;
+  }
+
+  const sheetName = snapshot.answersSheetName;
   
   // Extract number after "Answers" (e.g. "Answers9!B2" -> 9)
   const match = sheetName.match(/^Answers(\d+)/);
   if (!match) {
-    throw new Error(`Invalid answers sheet name format: ${sheetName}. Expected format: "Answers<size>..."`);
+    throw new Error(`Invalid answers sheet name format: ${sheetName}. Expected format: "Answers<size>..." or a "${GEOMETRY_HEADERS.gridSize}" column`);
   }
   
   const size = parseInt(match[1]);
-  if (size !== 4 && size !== 6 && size !== 9) {
-    throw new Error(`Invalid grid size: ${size}. Must be 4, 6, or 9.`);
-  }
-  
+  validateGridSize(size);
   return size;
 }
 
 /**
- * Gets the group boundaries based on the grid size
- * @param {number} gridSize - The grid size (4, 6, or 9)
- * @returns {Array<Object>} The group boundaries
+ * Gets the group boundaries for a grid, with groups numbered left to right, top to bottom
+ * @param {number} gridSize - The grid size
+ * @param {number} [boxRows] - The number of rows in each box, defaults to the usual shape for the size
+ * @param {number} [boxCols] - The number of columns in each box
+ * @returns {Array<{rowStart: number, rowEnd: number, colStart: number, colEnd: number}>} The group boundaries (inclusive)
+ */
+function getGroupBoundaries(gridSize, boxRows, boxCols) {
+  if (!boxRows || !boxCols) {
+    return createGeometry(gridSize).groupBoundaries;
+  }
+  if (boxRows * boxCols !== gridSize) {
+    throw new Error(`Invalid box shape ${boxRows}x${boxCols} for a ${gridSize}x${gridSize} grid`);
+  }
+
+  const boundaries = [];
+  for (let rowStart = 0; rowStart < gridSize; rowStart += boxRows) {
+    for (let colStart = 0; colStart < gridSize; colStart += boxCols) {
+      boundaries.push({
+        rowStart,
+        rowEnd: rowStart + boxRows - 1,
+        colStart,
+        colEnd: colStart + boxCols - 1
+      });
+    }
+  }
+  return boundaries;
+}
+
+/**
+ * Gets the "Image Cache" folder inside the Generated Files folder, creating it if needed
+ * @returns {GoogleAppsScript.Drive.Folder} The folder holding cached images
+ */
+function getImageCacheFolder() {
+  if (!imageCacheFolder) {
+    imageCacheFolder = getGeneratedFilesSubfolder(IMAGE_CACHE_CONFIG.folderName);
+  }
+  return imageCacheFolder;
+}
+
+/**
+ * Converts digest bytes to hex
+ * @param {Array<number>} bytes - The bytes, signed as Utilities.computeDigest returns them
+ * @returns {string} The bytes in hex
+ */
+function bytesToHex(bytes) {
+  return bytes.map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Gets the file name an image is cached under
+ * @param {string} url - The image URL
+ * @returns {string} The MD5 hash of the URL in hex
+ */
+function getImageCacheKey(url) {
+  return bytesToHex(Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, url));
+}
+
+/**
+ * Reads an image from the persistent cache
+ * @param {string} url - The image URL
+ * @returns {{file: GoogleAppsScript.Drive.File, blob: GoogleAppsScript.Base.Blob, fetchedAt: number,
+ *     etag: string|null}|null} The cached copy, when it was fetched (in milliseconds) and its ETag, or null if it
+ *     isn't cached
+ */
+function readCachedImage(url) {
+  if (!IMAGE_CACHE_CONFIG.enabled) {
+    return null;
+  }
+  try {
+    const files = getImageCacheFolder().getFilesByName(getImageCacheKey(url));
+    if (!files.hasNext()) {
+      return null;
+    }
+    const file = files.next();
+    let info = {};
+    try {
+      info = JSON.parse(file.getDescription() || '{}');
+    } catch (error) {
+      // Copies cached before fetch dates were recorded only hold the URL
+    }
+    const fetchedAt = typeof info.fetchedAt === 'number' ? info.fetchedAt : file.getDateCreated().getTime();
+    return { file, blob: file.getBlob(), fetchedAt, etag: info.etag || null };
+  } catch (error) {
+    console.error(`Could not read cached image for ${url}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Records on a cached copy when it was fetched or last confirmed unchanged
+ * @param {GoogleAppsScript.Drive.File} file - The cached copy
+ * @param {string} url - The image URL
+ * @param {string|null} etag - The server's ETag for the image
+ */
+function setCachedImageInfo(file, url, etag) {
+  file.setDescription(JSON.stringify({ url, fetchedAt: Date.now(), etag }));
+}
+
+/**
+ * Writes an image to the persistent cache, replacing any copy cached before
+ * @param {string} url - The image URL
+ * @param {GoogleAppsScript.Base.Blob} blob - The image
+ * @param {string|null} etag - The server's ETag for the image
+ * @param {Object|null} previous - The copy it replaces, from readCachedImage
+ */
+function writeCachedImage(url, blob, etag, previous) {
+  if (!IMAGE_CACHE_CONFIG.enabled) {
+    return;
+  }
+  try {
+    if (previous) {
+      previous.file.setTrashed(true);
+    }
+    const file = getImageCacheFolder().createFile(blob.copyBlob().setName(getImageCacheKey(url)));
+    setCachedImageInfo(file, url, etag);
+  } catch (error) {
+    console.error(`Could not cache image for ${url}: ${error.message}`);
+  }
+}
+
+/**
+ * Works out the content type of a downloaded image
+ * @param {GoogleAppsScript.Base.Blob} blob - The downloaded image
+ * @param {string} url - The image URL
+ * @returns {string} The content type
+ * @throws {Error} If the download is not an image type Google Docs can insert
  */
-function getGroupBoundaries(gridSize) {
-  switch (gridSize) {
-    case 4:
-      return GROUP_BOUNDARIES_4;
-    case 6:
-      return GROUP_BOUNDARIES_6;
-    case 9:
-      return GROUP_BOUNDARIES_9;
-    default:
-      throw new Error(`Invalid grid size: ${gridSize}. Must be 4, 6, or 9.`);
+function getImageContentType(blob, url) {
+  const reported = String(blob.getContentType() || '').split(';')[0].trim().toLowerCase();
+  const supported = Object.keys(IMAGE_CONTENT_TYPES).map(extension => IMAGE_CONTENT_TYPES[extension]);
+  if (supported.includes(reported)) {
+    return reported;
+  }
+
+  // Some hosts send images as application/octet-stream, so fall back to the file extension
+  const extension = (url.match(/\.([a-z]+)(?:[?#].*)?$/i) || [])[1];
+  const byExtension = extension ? IMAGE_CONTENT_TYPES[extension.toLowerCase()] : null;
+  if (byExtension && (reported === '' || reported === 'application/octet-stream')) {
+    return byExtension;
   }
+  throw new Error(`Unsupported content type "${reported || 'unknown'}". Images must be PNG, JPEG, GIF or BMP`);
 }
 
 /**
- * Gets an image blob from cache or fetches it
+ * Downloads an image
+ * @param {string} url - The image URL
+ * @param {string|null} etag - The ETag of a cached copy, so the server can answer that it is unchanged
+ * @returns {{blob: GoogleAppsScript.Base.Blob, etag: string|null}|null} The image and its ETag, or null if the server
+ *     says the cached copy is still current
+ * @throws {Error} Naming the URL, if the image cannot be downloaded or is not a supported image type
+ */
+function fetchImage(url, etag) {
+  try {
+    const params = { muteHttpExceptions: true };
+    if (etag) {
+      params.headers = { 'If-None-Match': etag };
+    }
+    const response = UrlFetchApp.fetch(url, params);
+    if (etag && response.getResponseCode() === 304) {
+      return null;
+    }
+    if (response.getResponseCode() !== 200) {
+      throw new Error(`Server returned HTTP ${response.getResponseCode()}`);
+    }
+    const blob = response.getBlob();
+    const headers = response.getHeaders();
+    const headerName = Object.keys(headers).find(name => name.toLowerCase() === 'etag');
+    return { blob: blob.setContentType(getImageContentType(blob, url)), etag: headerName ? headers[headerName] : null };
+  } catch (error) {
+    throw new Error(`Failed to load image ${url}: ${error.message}`);
+  }
+}
+
+/**
+ * Gets an image blob from cache or fetches it. A cached copy older than IMAGE_CACHE_CONFIG.maxAgeHours is checked
+ * with the server first, and kept if the server cannot be reached
  * @param {string} url - The image URL
  * @returns {GoogleAppsScript.Base.Blob} The image blob
+ * @throws {Error} Naming the URL, if the image cannot be downloaded or is not a supported image type
  */
 function getImageBlob(url) {
   if (imageCache.has(url)) {
     return imageCache.get(url);
   }
-  
-  const image = UrlFetchApp.fetch(url).getBlob();
-  const resizedImage = image.setContentType('image/png');
-  imageCache.set(url, resizedImage);
-  return resizedImage;
+
+  const cached = readCachedImage(url);
+  let image = cached ? cached.blob : null;
+  if (!cached || Date.now() - cached.fetchedAt > IMAGE_CACHE_CONFIG.maxAgeHours * 60 * 60 * 1000) {
+    try {
+      const fetched = fetchImage(url, cached ? cached.etag : null);
+      if (fetched) {
+        image = fetched.blob;
+        writeCachedImage(url, image, fetched.etag, cached);
+      } else {
+        setCachedImageInfo(cached.file, url, cached.etag);
+      }
+    } catch (error) {
+      if (!cached) {
+        throw error;
+      }
+      console.warn(`Using the cached copy of ${url}, which could not be checked: ${error.message}`);
+    }
+  }
+  imageCache.set(url, image);
+  return image;
+}
+
+/**
+ * Deletes every image in the persistent cache, so changed images are downloaded again
+ */
+function clearImageCache() {
+  const files = getImageCacheFolder().getFiles();
+  let count = 0;
+  while (files.hasNext()) {
+    files.next().setTrashed(true);
+    count++;
+  }
+  imageCache.clear();
+  console.log(`Cleared ${count} cached image(s)`);
+  SpreadsheetApp.getUi().alert('Clear Image Cache', `Removed ${count} cached image(s). They will be downloaded again on the next run.`, SpreadsheetApp.getUi().ButtonSet.OK);
 }
 
 /**
  * Inserts an image into a paragraph while maintaining aspect ratio
  * @param {GoogleAppsScript.Document.Paragraph} paragraph - The paragraph to insert the image into
  * @param {string} url - The URL of the image to insert
+ * @param {number} [fitSize] - The size in points of a square to fit the image in. Without it, the image is 50 points high
  * @returns {GoogleAppsScript.Document.InlineImage} The inserted image
  */
-function insertImage(paragraph, url) {
+function insertImage(paragraph, url, fitSize) {
   try {
-    const blob = UrlFetchApp.fetch(url).getBlob();
-    const image = paragraph.appendInlineImage(blob);
+    const image = paragraph.appendInlineImage(getImageBlob(url));
     
-    // Set height to 50 points while maintaining aspect ratio
+    // Set height to 50 points (or fit the square) while maintaining aspect ratio
     const originalWidth = image.getWidth();
     const originalHeight = image.getHeight();
     const aspectRatio = originalWidth / originalHeight;
-    const targetHeight = 50; // points
+    const targetHeight = fitSize ? Math.min(fitSize, fitSize / aspectRatio) : 50; // points
     const targetWidth = targetHeight * aspectRatio;
     
     image.setHeight(targetHeight);
@@ -210,89 +527,110 @@ function insertImage(paragraph, url) {
 }
 
 /**
- * Gets the name and starting cell of the answers sheet from the Sudokus sheet
- * @param {number} row - The row number to get the sheet info from
- * @returns {{sheetName: string, startCell: string}} Object containing sheet name and starting cell reference
+ * Gets where the answer block of a Sudokus row is, from the reference in its column C
+ * @param {number} row - The row number the reference was read from, used in error messages
+ * @param {any} cellValue - The value of column C: a start cell ("Answers9!B2"), a full range
+ *     ("'Answers 9'!AB10:AJ18") or the name of a named range
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet to look named ranges up in
+ * @returns {{sheetName: string, startCell: string, startRow: number, startColumn: number, numRows: number|null,
+ *     numColumns: number|null}} The answers sheet and the top left cell of the block. The size is only set when
+ *     the reference covers the whole block
  * @throws {Error} If the sheet info cannot be read
  */
-function getAnswersSheetInfo(row) {
-  if (!row || typeof row !== 'number' || row < 2) {
-    throw new Error(`Invalid row number: ${row} (type: ${typeof row}). Must be row 2 or greater.`);
-  }
-  
-  const sheet = getSpreadsheet();
-  const cellValue = sheet.getRange(row, 3).getValue();
-  
+function getAnswersSheetInfo(row, cellValue, spreadsheet) {
   if (!cellValue || typeof cellValue !== 'string') {
     throw new Error(`Cell C${row} does not contain a valid sheet reference`);
   }
   
-  // Split into sheet name and cell reference (e.g. "Answers6.1!A1" -> ["Answers6.1", "A1"])
-  const [sheetName, startCell] = cellValue.split('!');
-  if (!sheetName || !startCell) {
-    throw new Error(`Cell C${row} does not contain a valid sheet reference format (expected "SheetName!CellReference")`);
+  const text = cellValue.trim();
+  let sheetName, reference;
+  if (text.includes('!')) {
+    try {
+      reference = parseReference(text);
+    } catch (error) {
+      throw new Error(`Cell C${row} does not contain a valid sheet reference: ${error.message}`);
+    }
+    sheetName = reference.sheetName;
+  } else {
+    // Anything without a sheet name must be a named range
+    const namedRange = spreadsheet.getRangeByName(text);
+    if (!namedRange) {
+      throw new Error(`Cell C${row} does not contain a valid sheet reference format (expected "SheetName!CellReference", "SheetName!StartCell:EndCell" or the name of a named range)`);
+    }
+    sheetName = namedRange.getSheet().getName();
+    reference = {
+      startRow: namedRange.getRow(),
+      startColumn: namedRange.getColumn(),
+      numRows: namedRange.getNumRows(),
+      numColumns: namedRange.getNumColumns(),
+      isRange: namedRange.getNumRows() > 1 || namedRange.getNumColumns() > 1
+    };
   }
   
-  return { sheetName, startCell };
+  return {
+    sheetName,
+    startCell: formatCellAddress(reference.startRow, reference.startColumn),
+    startRow: reference.startRow,
+    startColumn: reference.startColumn,
+    numRows: reference.isRange ? reference.numRows : null,
+    numColumns: reference.isRange ? reference.numColumns : null
+  };
 }
 
 /**
- * Gets the range for a grid starting from a given cell
- * @param {string} startCell - The starting cell reference (e.g. "A1")
- * @param {number} gridSize - The size of the grid (4, 6, or 9)
- * @returns {{range: string, startRow: number, startCol: string}} Object containing the range and starting coordinates
+ * Loads the image of every symbol of a row, so a broken symbol is reported before any document is created. Text-only
+ * rows load none
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @throws {Error} Naming the symbol, its cell and its URL, if an image cannot be loaded
  */
-function getGridRange(startCell, gridSize) {
-  // Parse the starting cell to get row and column offsets
-  const startCol = startCell.match(/[A-Z]+/)[0];
-  const startRow = parseInt(startCell.match(/\d+/)[0]);
-  
-  // Calculate the end cell based on grid size and starting position
-  const endCol = String.fromCharCode(startCol.charCodeAt(0) + gridSize - 1);
-  const endRow = startRow + gridSize - 1;
-  const range = `${startCell}:${endCol}${endRow}`;
-  
-  return { range, startRow, startCol };
+function preloadSymbolImages(snapshot) {
+  const { row, gridSize } = snapshot;
+  if (!usesSymbolImages(snapshot)) {
+    return;
+  }
+  for (let num = 1; num <= gridSize; num++) {
+    const { url, cell } = getSymbol(num, snapshot);
+    try {
+      getImageBlob(url);
+    } catch (error) {
+      throw new Error(`Row ${row}: the image for symbol ${num} in cell ${cell} could not be loaded. ${error.message}`);
+    }
+  }
 }
 
 /**
- * Gets the image URL from a spreadsheet cell
- * @param {number} num - The number to map (1-6 or 1-4)
- * @param {string} answersSheetName - The name of the answers sheet to determine grid size
- * @param {number} row - The row number to get the image from
- * @returns {string} The image URL from the corresponding cell
- * @throws {Error} If the number is out of range, cell doesn't contain an image formula, or referenced cell is empty
+ * Reads an image URL from a cell holding a URL, an image formula or an in-cell image
+ * @param {string} formula - The cell's formula, or an empty string
+ * @param {any} cellValue - The cell's value
+ * @param {string} cell - The cell reference, used in error messages
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet to resolve =IMAGE(Sheet!Ref) in
+ * @returns {string} The image URL
+ * @throws {Error} If the cell doesn't contain an image, or a referenced cell is empty
  */
-function getImageFromCell(num, row) {
-  console.log(`getImageFromCell called with num=${num}, row=${row}`);
-  const { sheetName: answersSheetName } = getAnswersSheetInfo(row);
-  const gridSize = answersSheetName.includes('6') ? 6 : answersSheetName.includes('4') ? 4 : 9;
-  if (num < 1 || num > gridSize) {
-    throw new Error(`Invalid number: ${num}. Must be between 1 and ${gridSize} (answersSheetName=${answersSheetName})`);
-  }
-  
-  const sheet = getSpreadsheet();
-  // Add 4 to the column to account for the quadruple shift (A=shortname, B=longname, C=sheetname, D=new column)
-  const cell = sheet.getRange(row, num + 4);
-  
+function readImageUrl(formula, cellValue, cell, spreadsheet) {
   // Check if the cell contains an image
-  const formula = cell.getFormula();
   if (formula == "") {
-    return cell.getValue().getContentUrl();
+    if (typeof cellValue === 'string' && cellValue.trim() !== '') {
+      return cellValue.trim();
+    }
+    if (!cellValue || typeof cellValue.getContentUrl !== 'function') {
+      throw new Error(`Cell ${cell} does not contain an image`);
+    }
+    return cellValue.getContentUrl();
   }
 
   if (!formula.toLowerCase().startsWith('=image(')) {
-    throw new Error(`Cell ${String.fromCharCode(65 + num + 3)}${row} does not contain an image formula`);
+    throw new Error(`Cell ${cell} does not contain an image formula`);
   }
   
   // Extract the content from the formula (could be a URL or cell reference)
   const match = formula.match(/=image\(([^)]+)\)/i);
   if (!match) {
-    throw new Error(`Invalid image formula in cell ${String.fromCharCode(65 + num + 3)}${row}`);
+    throw new Error(`Invalid image formula in cell ${cell}`);
   }
   
   const content = match[1];
-  console.log(`Processing image formula for number ${num}: ${formula}`);
+  console.log(`Processing image formula in ${cell}: ${formula}`);
   console.log(`Extracted content: ${content}`);
   
   // If it's a quoted string, it's a direct URL
@@ -304,7 +642,6 @@ function getImageFromCell(num, row) {
   if (content.includes('!')) {
     try {
       console.log(`Looking up cell reference: ${content}`);
-      const spreadsheet = sheet.getParent();
       const referencedCell = spreadsheet.getRange(content);
       console.log(`Referenced cell range: ${referencedCell.getA1Notation()}`);
       
@@ -327,9 +664,9 @@ function getImageFromCell(num, row) {
 }
 
 /**
- * Creates a new Google Doc and returns its body
+ * Creates a new Google Doc in the Generated Files folder
  * @param {string} title - The title of the document
- * @returns {GoogleAppsScript.Document.Body} The document body
+ * @returns {GoogleAppsScript.Document.Document} The document
  */
 function createDocument(title) {
   try {
@@ -346,31 +683,230 @@ function createDocument(title) {
     }
     folder.addFile(docFile);
     
-    return doc.getBody();
+    return doc;
   } catch (error) {
     throw new Error(`Failed to create document: ${error.message}`);
   }
 }
 
+/**
+ * Finds the document generated earlier under a title
+ * @param {string} title - The document title
+ * @returns {GoogleAppsScript.Drive.File|null} The most recently updated Google Doc with that name in the Generated
+ *     Files folder, or null if there is none
+ */
+function findGeneratedDocument(title) {
+  const files = getGeneratedFilesFolder().getFilesByName(title);
+  let latest = null;
+  while (files.hasNext()) {
+    const file = files.next();
+    if (file.getMimeType() === MimeType.GOOGLE_DOCS && (!latest || file.getLastUpdated() > latest.getLastUpdated())) {
+      latest = file;
+    }
+  }
+  return latest;
+}
+
+/**
+ * Finds the document generated earlier under a key: by the file ID saved for the key, or by its title if no ID was
+ * saved (documents generated before IDs were kept) or the saved file is gone
+ * @param {string} key - The key the document is kept under
+ * @param {string} title - The document's title
+ * @returns {GoogleAppsScript.Drive.File|null} The document's file, or null if there is none
+ */
+function findKeyedDocument(key, title) {
+  const id = PropertiesService.getScriptProperties().getProperty(`${DOCUMENT_ID_PROPERTY_PREFIX}${key}`);
+  if (id) {
+    try {
+      const file = DriveApp.getFileById(id);
+      if (!file.isTrashed()) {
+        return file;
+      }
+    } catch (error) {
+      console.log(`The document saved for "${key}" cannot be opened (${error.message}); looking for "${title}" instead`);
+    }
+  }
+  return findGeneratedDocument(title);
+}
+
+/**
+ * Keeps a timestamped copy of a document in the Archive folder inside Generated Files
+ * @param {GoogleAppsScript.Drive.File} file - The document file
+ * @returns {GoogleAppsScript.Drive.File} The copy
+ */
+function archiveDocument(file) {
+  const timestamp = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), ARCHIVE_CONFIG.timestampFormat);
+  return file.makeCopy(`${file.getName()} ${timestamp}`, getGeneratedFilesSubfolder(ARCHIVE_CONFIG.folderName));
+}
+
+/**
+ * Creates a new Google Doc in the Generated Files folder as a copy of a template, keeping the template's header,
+ * footer and margins but not its body
+ * @param {string} title - The title of the document
+ * @param {GoogleAppsScript.Drive.File} templateFile - The template document
+ * @returns {GoogleAppsScript.Document.Document} The document
+ */
+function createDocumentFromTemplate(title, templateFile) {
+  try {
+    const file = templateFile.makeCopy(title, getGeneratedFilesFolder());
+    const doc = DocumentApp.openById(file.getId());
+    doc.getBody().clear();
+    return doc;
+  } catch (error) {
+    throw new Error(`Failed to create document from template "${templateFile.getName()}": ${error.message}`);
+  }
+}
+
+/**
+ * Replaces a document's header, footer and margins with the template's
+ * @param {GoogleAppsScript.Drive.File} templateFile - The template document
+ * @param {GoogleAppsScript.Document.Document} doc - The document, with its header and footer already cleared
+ */
+function copyTemplateLayout(templateFile, doc) {
+  const template = DocumentApp.openById(templateFile.getId());
+  [
+    { source: template.getHeader(), getTarget: () => doc.getHeader() || doc.addHeader() },
+    { source: template.getFooter(), getTarget: () => doc.getFooter() || doc.addFooter() }
+  ].forEach(({ source, getTarget }) => {
+    if (!source) {
+      return;
+    }
+    const target = getTarget();
+    const placeholder = target.getNumChildren() > 0 ? target.getChild(0) : null; // The empty paragraph left by clear
+    for (let index = 0; index < source.getNumChildren(); index++) {
+      const child = source.getChild(index);
+      const type = child.getType();
+      if (type === DocumentApp.ElementType.PARAGRAPH) {
+        target.appendParagraph(child.asParagraph().copy());
+      } else if (type === DocumentApp.ElementType.TABLE) {
+        target.appendTable(child.asTable().copy());
+      }
+    }
+    if (placeholder && target.getNumChildren() > 1) {
+      placeholder.removeFromParent();
+    }
+  });
+
+  const templateBody = template.getBody();
+  const body = doc.getBody();
+  body.setMarginTop(templateBody.getMarginTop());
+  body.setMarginBottom(templateBody.getMarginBottom());
+  body.setMarginLeft(templateBody.getMarginLeft());
+  body.setMarginRight(templateBody.getMarginRight());
+}
+
+/**
+ * Empties a document to write it again: its body, header and footer are cleared, and its header, footer and margins
+ * are the template's if there is one, otherwise the defaults of createDocument
+ * @param {GoogleAppsScript.Document.Document} doc - The document
+ * @param {GoogleAppsScript.Drive.File} [templateFile] - A template whose header, footer and margins to use
+ */
+function resetDocument(doc, templateFile) {
+  doc.getBody().clear();
+  [doc.getHeader(), doc.getFooter()].forEach(section => {
+    if (section) {
+      section.clear();
+    }
+  });
+  if (templateFile) {
+    copyTemplateLayout(templateFile, doc);
+  } else {
+    doc.setMarginTop(36);
+    doc.setMarginBottom(18);
+  }
+}
+
+/**
+ * Opens the document generated earlier under a key, archiving and clearing it, or creates it if there is none.
+ * Reusing the document keeps its file ID, links and sharing settings. A document whose title changed (say the
+ * documentTitle template uses the longname, which was edited) is renamed, and the PDF under its old title trashed.
+ * The header, footer and margins start over too: the template's if there is one, otherwise the defaults of
+ * createDocument
+ * @param {string} key - What the document is kept under, such as the puzzle's shortname
+ * @param {string} title - The title of the document
+ * @param {GoogleAppsScript.Drive.File} [templateFile] - A template whose header, footer and margins to use
+ * @returns {GoogleAppsScript.Document.Document} The document, with an empty body
+ */
+function prepareDocument(key, title, templateFile) {
+  const existingFile = findKeyedDocument(key, title);
+  let doc;
+  if (!existingFile) {
+    doc = templateFile ? createDocumentFromTemplate(title, templateFile) : createDocument(title);
+  } else {
+    try {
+      const archived = archiveDocument(existingFile);
+      console.log(`Archived the previous "${existingFile.getName()}" as "${archived.getName()}"`);
+
+      const previousTitle = existingFile.getName();
+      if (previousTitle !== title) {
+        const pdfs = getGeneratedFilesFolder().getFilesByName(`${previousTitle}.pdf`);
+        while (pdfs.hasNext()) {
+          pdfs.next().setTrashed(true);
+        }
+        existingFile.setName(title);
+      }
+
+      doc = DocumentApp.openById(existingFile.getId());
+      resetDocument(doc, templateFile);
+    } catch (error) {
+      throw new Error(`Failed to update document "${title}": ${error.message}`);
+    }
+  }
+  PropertiesService.getScriptProperties().setProperty(`${DOCUMENT_ID_PROPERTY_PREFIX}${key}`, doc.getId());
+  return doc;
+}
+
+/**
+ * Saves a PDF of a document in the Generated Files folder, replacing the PDF saved for it last time
+ * @param {GoogleAppsScript.Document.Document} doc - The document, already saved with saveAndClose
+ * @returns {GoogleAppsScript.Drive.File} The PDF file
+ */
+function saveDocumentPdf(doc) {
+  try {
+    const folder = getGeneratedFilesFolder();
+    const name = `${doc.getName()}.pdf`;
+    const existingFiles = folder.getFilesByName(name);
+    while (existingFiles.hasNext()) {
+      existingFiles.next().setTrashed(true);
+    }
+    return folder.createFile(DriveApp.getFileById(doc.getId()).getAs(MimeType.PDF).setName(name));
+  } catch (error) {
+    throw new Error(`Failed to save the PDF of "${doc.getName()}": ${error.message}`);
+  }
+}
+
+/**
+ * Prints the difficulty rating in the page header of a document
+ * @param {GoogleAppsScript.Document.Document} doc - The document
+ * @param {{score: number, hardest: string, difficulty: string}} rating - The rating from ratePuzzle
+ * @param {Object} snapshot - The row snapshot whose language to print it in
+ */
+function setDifficultyHeader(doc, rating, snapshot) {
+  const header = doc.getHeader() || doc.addHeader();
+  header.setText(formatRating(rating, snapshot));
+}
+
 /**
  * Creates a section header in the document
  * @param {GoogleAppsScript.Document.Body} body - The document body
  * @param {string} text - The header text
+ * @returns {GoogleAppsScript.Document.Paragraph} The header paragraph
  */
 function createSectionHeader(body, text) {
   const header = body.appendParagraph(text);
   header.setHeading(DocumentApp.ParagraphHeading.HEADING1);
   header.setAlignment(DocumentApp.HorizontalAlignment.CENTER);
+  return header;
 }
 
 /**
  * Validates the sudoku array
  * @param {Array<Array<number|null>>} array - The sudoku array to validate
- * @param {number} row - The row number to determine grid size
+ * @param {Object} snapshot - The row snapshot to determine grid size
  * @throws {Error} If the array is invalid
  */
-function validateSudokuArray(array, row) {
-  const gridSize = getGridSize(row);
+function validateSudokuArray(array, snapshot) {
+  const { gridSize } = snapshot;
   if (!array || !Array.isArray(array) || array.length !== gridSize) {
     throw new Error(`Invalid array dimensions. Expected ${gridSize}x${gridSize}`);
   }
@@ -383,40 +919,90 @@ function validateSudokuArray(array, row) {
 }
 
 /**
- * Gets non-null values from a 2D array slice
- * @param {Array<Array<number|null>>} array - The 2D array
- * @param {Object} boundaries - The boundaries to slice
- * @returns {Array<{url: string, value: number}>} Array of image URLs and their original values
+ * Finds the cells of an answer grid that break the sudoku rules
+ * @param {Array<Array<any>>} values - The answer grid values
+ * @param {Object} geometry - The grid geometry from getGeometry
+ * @param {string} answersSheetName - The name of the answers sheet, used in cell addresses
+ * @param {string} startCell - The starting cell reference of the grid (e.g. "A1")
+ * @returns {Array<{address: string, value: any, problems: Array<string>}>} The conflicting cells, in grid order
  */
-function getNonNullValues(array, boundaries) {
-  const values = [];
-  for (let i = boundaries.rowStart; i <= boundaries.rowEnd; i++) {
-    for (let j = boundaries.colStart; j <= boundaries.colEnd; j++) {
-      if (array[i][j] !== null) {
-        const { sheetName: answersSheetName } = getAnswersSheetInfo(i + 1);
-        values.push({
-          url: getImageFromCell(array[i][j], i + 1),
-          value: array[i][j]
-        });
+function findAnswerGridConflicts(values, geometry, answersSheetName, startCell) {
+  const { gridSize } = geometry;
+  const { startRow, startColumn } = parseReference(startCell);
+  const problems = values.map(valueRow => valueRow.map(() => []));
+
+  values.forEach((valueRow, i) => valueRow.forEach((value, j) => {
+    if (!Number.isInteger(value) || value < 1 || value > gridSize) {
+      problems[i][j].push(`not an integer between 1 and ${gridSize}`);
+    }
+  }));
+
+  getHouses(geometry).forEach(house => {
+    const cellsByValue = new Map();
+    house.cells.forEach(cell => {
+      const value = values[cell.row][cell.col];
+      if (!cellsByValue.has(value)) {
+        cellsByValue.set(value, []);
+      }
+      cellsByValue.get(value).push(cell);
+    });
+    cellsByValue.forEach((cells, value) => {
+      if (cells.length > 1 && Number.isInteger(value)) {
+        cells.forEach(({ row, col }) => problems[row][col].push(`${value} repeated in ${house.prefix} ${house.index + 1}`));
       }
+    });
+  });
+
+  // Variant pairs, such as diagonally touching cells in anti-king puzzles
+  getVariantPeerPairs(geometry).forEach(([a, b]) => {
+    const value = values[a.row][a.col];
+    if (Number.isInteger(value) && value === values[b.row][b.col]) {
+      problems[a.row][a.col].push(`${value} touches the same value diagonally`);
+      problems[b.row][b.col].push(`${value} touches the same value diagonally`);
+    }
+  });
+
+  const conflicts = [];
+  problems.forEach((problemRow, i) => problemRow.forEach((cellProblems, j) => {
+    if (cellProblems.length > 0) {
+      const address = formatReference(answersSheetName, startRow + i, startColumn + j);
+      conflicts.push({ address, value: values[i][j], problems: cellProblems });
     }
+  }));
+  return conflicts;
+}
+
+/**
+ * Checks that an answer grid is a complete, valid sudoku
+ * @param {Array<Array<any>>} values - The answer grid values
+ * @param {Object} geometry - The grid geometry from getGeometry
+ * @param {string} answersSheetName - The name of the answers sheet
+ * @param {string} startCell - The starting cell reference of the grid (e.g. "A1")
+ * @throws {Error} Listing every conflicting cell by its A1 address
+ */
+function validateAnswerGrid(values, geometry, answersSheetName, startCell) {
+  const conflicts = findAnswerGridConflicts(values, geometry, answersSheetName, startCell);
+  if (conflicts.length > 0) {
+    const details = conflicts.map(({ address, problems }) => `${address} (${problems.join('; ')})`).join(', ');
+    const { startRow, startColumn } = parseReference(startCell);
+    throw new Error(`Invalid answer grid at ${formatReference(answersSheetName, startRow, startColumn)}: ${details}`);
   }
-  return values;
 }
 
 /**
- * Outputs a section with images from values
+ * Outputs a section with the symbols of values, in the row's output mode
  * @param {GoogleAppsScript.Document.Body} body - The document body
  * @param {string} title - The section title
- * @param {Array<Array<{url: string, value: number}>>} sections - Array of arrays of image data
- * @param {string} prefix - The prefix for each section (e.g., "ROW", "COLUMN", "GROUP")
+ * @param {Array<Array<{value: number}>>} sections - The clues of each house
+ * @param {string} prefix - The untranslated prefix for each section (e.g., "ROW", "COLUMN", "GROUP")
+ * @param {Object} snapshot - The row snapshot to get the symbols and language from
  */
-function outputSection(body, title, sections, prefix) {
+function outputSection(body, title, sections, prefix, snapshot) {
   createSectionHeader(body, title);
   sections.forEach((section, index) => {
-    const paragraph = body.appendParagraph(`${prefix} ${index + 1}: `);
+    const paragraph = body.appendParagraph(`${formatHouseLabel(snapshot, prefix, index)} `);
     // Sort by the original number value
-    section.sort((a, b) => a.value - b.value).forEach(item => insertImage(paragraph, item.url));
+    insertSymbols(paragraph, section.sort((a, b) => a.value - b.value).map(item => item.value), snapshot);
     body.appendParagraph(''); // Add spacing between sections
     body.appendHorizontalRule(); // Add horizontal line between sections
   });
@@ -424,56 +1010,12 @@ function outputSection(body, title, sections, prefix) {
 }
 
 /**
- * Gets whether the puzzle may only contain the specified values
- * @param {number} row - The row number to check
- * @returns {boolean} Whether the puzzle may only contain the specified values
- */
-function getMayOnlyContain(row) {
-  const sheet = getSpreadsheet();
-  const value = sheet.getRange(row, 4).getValue(); // Column D is the mayOnlyContain column
-  return Boolean(value); // Convert any value to boolean
-}
-
-/**
- * Gets the answers from the answers sheet
- * @param {string} answersSheetName - The name of the answers sheet
- * @param {string} startCell - The starting cell reference (e.g. "A1")
- * @returns {Array<Array<number>>} The answers array
- */
-function getAnswers(answersSheetName, startCell) {
-  const gridSize = answersSheetName.includes('6') ? 6 : answersSheetName.includes('4') ? 4 : 9;
-  const { range } = getGridRange(startCell, gridSize);
-  const values = getSheetData(answersSheetName, range);
-  
-  // Validate that all values are numbers between 1 and gridSize
-  if (!values.every(row => row.every(cell => Number.isInteger(cell) && cell >= 1 && cell <= gridSize))) {
-    throw new Error(`Invalid values in "${answersSheetName}" sheet. All values must be integers between 1 and ${gridSize}`);
-  }
-  
-  return values;
-}
-
-/**
- * Gets the Sudoku puzzle from the answers sheet, returning either the specified or non-specified values based on mayOnlyContain value
- * @param {number} row - The row number to get the puzzle from
+ * Gets the Sudoku puzzle from a snapshot's answer block, returning either the specified or non-specified values based on mayOnlyContain value
+ * @param {Object} snapshot - The row snapshot, with its answers and clue marks read (see getRowSnapshot)
  * @returns {Array<Array<number|null>>} The Sudoku puzzle array
  */
-function getSudokuPuzzle(row) {
-  const { sheetName: answersSheetName, startCell } = getAnswersSheetInfo(row);
-  const gridSize = getGridSize(row);
-  
-  // Parse the starting cell to get row and column offsets
-  const startCol = startCell.match(/[A-Z]+/)[0];
-  const startRow = parseInt(startCell.match(/\d+/)[0]);
-  
-  // Calculate the end cell based on grid size and starting position
-  const endCol = String.fromCharCode(startCol.charCodeAt(0) + gridSize - 1);
-  const endRow = startRow + gridSize - 1;
-  const range = `${startCell}:${endCol}${endRow}`;
-  
-  const values = getSheetData(answersSheetName, range);
-  const sheet = getSheetByName(answersSheetName);
-  const mayOnlyContain = getMayOnlyContain(row);
+function getSudokuPuzzle(snapshot) {
+  const { gridSize, answers, clueMarks, mayOnlyContain } = snapshot;
   
   // Create the Sudoku puzzle array
   const puzzle = [];
@@ -483,18 +1025,10 @@ function getSudokuPuzzle(row) {
   for (let i = 0; i < gridSize; i++) {
     const row = [];
     for (let j = 0; j < gridSize; j++) {
-      const value = values[i][j];
+      const value = answers[i][j];
       
-      // Check if the cell is specified by getting its font weight
-      let isSpecified = false;
-      try {
-        // Adjust cell coordinates based on starting position
-        const cell = sheet.getRange(startRow + i, startCol.charCodeAt(0) - 64 + j);
-        const fontWeight = cell.getFontWeight();
-        isSpecified = fontWeight === "bold";
-      } catch (e) {
-        console.log(`Could not get font weight for cell (${startRow + i}, ${startCol.charCodeAt(0) - 64 + j}): ${e.message}`);
-      }
+      // Check if the cell is specified by the row's clue marking method
+      const isSpecified = clueMarks[i][j];
       
       // If mayOnlyContain is true, we want specified values
       // If mayOnlyContain is false, we want non-specified values
@@ -516,185 +1050,211 @@ function getSudokuPuzzle(row) {
 }
 
 /**
- * Gets the section title based on type and mayOnlyContain value
+ * Gets the section title based on type and mayOnlyContain value, in the row's language
  * @param {string} sectionType - The type of section (ROWS, COLUMNS, GROUPS)
- * @param {number} row - The row number to get the mayOnlyContain value from
+ * @param {Object} snapshot - The row snapshot to get the mayOnlyContain value and language from
  * @returns {string} The formatted section title
  */
-function getSectionTitle(sectionType, row) {
-  const mayOnlyContain = getMayOnlyContain(row);
-  const declaration = mayOnlyContain ? MAY_ONLY_CONTAIN : MUST_NOT_CONTAIN;
-  return `${sectionType} ${declaration}`;
+function getSectionTitle(sectionType, snapshot) {
+  return formatString(snapshot, 'sectionTitle', {
+    sectionType: formatString(snapshot, `section.${sectionType}`),
+    declaration: formatString(snapshot, snapshot.mayOnlyContain ? 'mayOnlyContain' : 'mustNotContain')
+  });
+}
+
+/**
+ * Gets the clues of each house, for a clue section
+ * @param {Array<Array<number|null>>} sudokuArray - The sudoku array
+ * @param {Array<Array<{row: number, col: number}>>} houses - The cells of each house
+ * @returns {Array<Array<{value: number}>>} The value of each clue, house by house
+ */
+function getHouseSections(sudokuArray, houses) {
+  return houses.map(cells => cells
+    .filter(({ row, col }) => sudokuArray[row][col] !== null)
+    .map(({ row, col }) => ({ value: sudokuArray[row][col] })));
+}
+
+/**
+ * Gets the cells of each row of the grid
+ * @param {number} gridSize - The grid size
+ * @returns {Array<Array<{row: number, col: number}>>} The cells, row by row
+ */
+function getRowHouses(gridSize) {
+  return Array.from({ length: gridSize }, (_, row) => Array.from({ length: gridSize }, (_, col) => ({ row, col })));
+}
+
+/**
+ * Gets the cells of each column of the grid
+ * @param {number} gridSize - The grid size
+ * @returns {Array<Array<{row: number, col: number}>>} The cells, column by column
+ */
+function getColumnHouses(gridSize) {
+  return Array.from({ length: gridSize }, (_, col) => Array.from({ length: gridSize }, (_, row) => ({ row, col })));
+}
+
+/**
+ * Gets every clue section of a puzzle in the order the document prints them: rows, columns, groups, then variants
+ * @param {Array<Array<number|null>>} sudokuArray - The sudoku array
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @returns {Array<{title: string, prefix: string, sections: Array<Array<{value: number}>>}>} The sections
+ */
+function getClueSections(sudokuArray, snapshot) {
+  validateSudokuArray(sudokuArray, snapshot);
+  const { gridSize, groups } = snapshot.geometry;
+  return [
+    { title: getSectionTitle(SECTION_TYPES.ROWS, snapshot), prefix: 'ROW', sections: getHouseSections(sudokuArray, getRowHouses(gridSize)) },
+    { title: getSectionTitle(SECTION_TYPES.COLUMNS, snapshot), prefix: 'COLUMN', sections: getHouseSections(sudokuArray, getColumnHouses(gridSize)) },
+    { title: getSectionTitle(SECTION_TYPES.GROUPS, snapshot), prefix: 'GROUP', sections: getHouseSections(sudokuArray, groups) }
+  ].concat(getVariantSections(sudokuArray, snapshot));
 }
 
 /**
  * Outputs rows to the document
  * @param {Array<Array<number|null>>} sudokuArray - The sudoku array
  * @param {GoogleAppsScript.Document.Body} body - The document body
- * @param {number} currentRow - The row number to get the answers from
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
  */
-function outputRows(sudokuArray, body, currentRow) {
-  console.log(`outputRows called with currentRow=${currentRow}, type=${typeof currentRow}`);
-  validateSudokuArray(sudokuArray, currentRow);
-  const sections = sudokuArray.map(sudokuRow => 
-    sudokuRow
-      .map(value => {
-        if (value === null) return null;
-        const url = getImageFromCell(value, currentRow);
-        return url ? { url, value } : null;
-      })
-      .filter(Boolean)
-  );
-  outputSection(body, getSectionTitle(SECTION_TYPES.ROWS, currentRow), sections, 'ROW');
+function outputRows(sudokuArray, body, snapshot) {
+  console.log(`outputRows called for row ${snapshot.row}`);
+  validateSudokuArray(sudokuArray, snapshot);
+  const sections = getHouseSections(sudokuArray, getRowHouses(snapshot.gridSize));
+  outputSection(body, getSectionTitle(SECTION_TYPES.ROWS, snapshot), sections, 'ROW', snapshot);
 }
 
 /**
  * Outputs columns to the document
  * @param {Array<Array<number|null>>} sudokuArray - The sudoku array
  * @param {GoogleAppsScript.Document.Body} body - The document body
- * @param {number} currentRow - The row number to get the answers from
- */
-function outputColumns(sudokuArray, body, currentRow) {
-  validateSudokuArray(sudokuArray, currentRow);
-  const gridSize = getGridSize(currentRow);
-  const { sheetName: answersSheetName } = getAnswersSheetInfo(currentRow);
-  const sections = Array.from({ length: gridSize }, (_, j) =>
-    sudokuArray
-      .map(sudokuRow => {
-        const value = sudokuRow[j];
-        if (value === null) return null;
-        const url = getImageFromCell(value, currentRow);
-        return url ? { url, value } : null;
-      })
-      .filter(Boolean)
-  );
-  outputSection(body, getSectionTitle(SECTION_TYPES.COLUMNS, currentRow), sections, 'COLUMN');
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ */
+function outputColumns(sudokuArray, body, snapshot) {
+  validateSudokuArray(sudokuArray, snapshot);
+  const sections = getHouseSections(sudokuArray, getColumnHouses(snapshot.gridSize));
+  outputSection(body, getSectionTitle(SECTION_TYPES.COLUMNS, snapshot), sections, 'COLUMN', snapshot);
 }
 
 /**
  * Outputs groups to the document
  * @param {Array<Array<number|null>>} sudokuArray - The sudoku array
  * @param {GoogleAppsScript.Document.Body} body - The document body
- * @param {number} currentRow - The row number to get the answers from
- */
-function outputGroups(sudokuArray, body, currentRow) {
-  validateSudokuArray(sudokuArray, currentRow);
-  const gridSize = getGridSize(currentRow);
-  const groupBoundaries = getGroupBoundaries(gridSize);
-  const { sheetName: answersSheetName } = getAnswersSheetInfo(currentRow);
-  const sections = groupBoundaries.map(boundaries => {
-    const values = [];
-    for (let i = boundaries.rowStart; i <= boundaries.rowEnd; i++) {
-      for (let j = boundaries.colStart; j <= boundaries.colEnd; j++) {
-        const value = sudokuArray[i][j];
-        if (value !== null) {
-          const url = getImageFromCell(value, currentRow);
-          if (url) {
-            values.push({ url, value });
-          }
-        }
-      }
-    }
-    return values;
-  });
-  outputSection(body, getSectionTitle(SECTION_TYPES.GROUPS, currentRow), sections, 'GROUP');
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ */
+function outputGroups(sudokuArray, body, snapshot) {
+  validateSudokuArray(sudokuArray, snapshot);
+  const sections = getHouseSections(sudokuArray, snapshot.geometry.groups);
+  outputSection(body, getSectionTitle(SECTION_TYPES.GROUPS, snapshot), sections, 'GROUP', snapshot);
 }
 
 /**
- * Creates a reference page with all images
+ * Creates a reference page with all symbols
  * @param {GoogleAppsScript.Document.Body} body - The document body
- * @param {number} row - The row number to get the images from
+ * @param {Object} snapshot - The row snapshot to get the symbols from
  */
-function createReferencePage(body, row) {
+function createReferencePage(body, snapshot) {
   body.appendPageBreak();
-  createSectionHeader(body, 'Reference Images');
-  
-  const gridSize = getGridSize(row);
-  const { sheetName: answersSheetName } = getAnswersSheetInfo(row);
-  
-  // Create a paragraph for each number (1-4 or 1-6)
-  for (let num = 1; num <= gridSize; num++) {
-    const paragraph = body.appendParagraph('');
-    const url = getImageFromCell(num, row);
-    
-    // Insert copies of the same image
-    for (let i = 0; i < gridSize; i++) {
-      insertImage(paragraph, url);
-    }
-    
-    body.appendParagraph(''); // Add spacing between rows
-  }
+  createSectionHeader(body, getReferenceTitle(snapshot));
+  outputReferenceImages(body, snapshot);
 }
 
 /**
- * Gets data from a sheet range
- * @param {string} sheetName - The name of the sheet
- * @param {string} range - The range to get data from
- * @returns {Array<Array<any>>} The data from the range
+ * Outputs every image, once per cell of a grid row, below the reference page header. Text-only rows get a key to
+ * their symbols instead
+ * @param {GoogleAppsScript.Document.Body} body - The document body
+ * @param {Object} snapshot - The row snapshot to get the symbols from
  */
-function getSheetData(sheetName, range) {
-  try {
-    const sheet = getSheetByName(sheetName);
-    if (!sheet) {
-      throw new Error(`Sheet "${sheetName}" not found`);
-    }
-    return sheet.getRange(range).getValues();
-  } catch (error) {
-    throw new Error(`Failed to get data from range "${range}" in sheet "${sheetName}": ${error.message}`);
+function outputReferenceImages(body, snapshot) {
+  const { gridSize } = snapshot;
+  if (!usesSymbolImages(snapshot)) {
+    outputSymbolKey(body, snapshot);
+    return;
   }
+  
+  // Row n of the table holds copies of symbol n
+  const symbols = Array.from({ length: gridSize }, (_, i) => new Array(gridSize).fill(i + 1));
+  appendSymbolGrid(body, symbols, snapshot);
 }
 
 /**
  * Creates the answers sheet with the complete solution
  * @param {GoogleAppsScript.Document.Body} body - The document body
- * @param {number} row - The row number to get the answers from
+ * @param {Object} snapshot - The row snapshot to get the answers from
  */
-function createAnswersSheet(body, row) {
+function createAnswersSheet(body, snapshot) {
   body.appendPageBreak();
-  createSectionHeader(body, 'Solution');
+  createSectionHeader(body, formatString(snapshot, 'solutionTitle'));
+  outputSolution(body, snapshot);
+}
+
+/**
+ * Outputs the complete solution as a table of symbols, below the solution header. Clue cells are shaded if the row
+ * asks for it in its Shade Clues column
+ * @param {GoogleAppsScript.Document.Body} body - The document body
+ * @param {Object} snapshot - The row snapshot to get the answers from
+ */
+function outputSolution(body, snapshot) {
+  // Validate that the answers form a complete sudoku
+  const { answersSheetName, startCell, answers } = snapshot;
+  console.log(`outputSolution: answersSheetName=${answersSheetName}, startCell=${startCell}, row=${snapshot.row}`);
+  validateAnswerGrid(answers, snapshot.geometry, answersSheetName, startCell);
+  console.log(`outputSolution: answers=${JSON.stringify(answers)}`);
   
-  // Get answers from the sheet
-  const { sheetName: answersSheetName, startCell } = getAnswersSheetInfo(row);
-  console.log(`createAnswersSheet: answersSheetName=${answersSheetName}, startCell=${startCell}, row=${row}`);
-  const answers = getAnswers(answersSheetName, startCell);
-  console.log(`createAnswersSheet: answers=${JSON.stringify(answers)}`);
+  // The clue cells are the ones whose values the clue sections list
+  const backgrounds = shouldShadeClues(snapshot)
+    ? snapshot.puzzle.map(puzzleRow => puzzleRow.map(value => value !== null ? TABLE_LAYOUT_CONFIG.clueColor : null))
+    : null;
+  appendSymbolGrid(body, answers, snapshot, backgrounds);
+}
+
+/**
+ * Draws thick borders along the region edges of a jigsaw grid, replacing the template's box borders
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sudokuGrid - The SudokuGrid sheet
+ * @param {Object} geometry - The grid geometry from getGeometry
+ */
+function drawRegionBorders(sudokuGrid, geometry) {
+  const { gridSize, regions } = geometry;
+  const thin = SpreadsheetApp.BorderStyle.SOLID;
+  const thick = SpreadsheetApp.BorderStyle.SOLID_THICK;
   
-  // Create a row for each answer array
-  answers.forEach((answerRow, index) => {
-    console.log(`Processing answer row ${index + 1}: ${JSON.stringify(answerRow)}`);
-    const paragraph = body.appendParagraph('');
-    answerRow.forEach(value => {
-      console.log(`Processing value ${value} in row ${index + 1}`);
-      const url = getImageFromCell(value, row);
-      insertImage(paragraph, url);
-    });
-    body.appendParagraph(''); // Add spacing between rows
-  });
+  // The grid starts at B2 in the template
+  sudokuGrid.getRange(2, 2, gridSize, gridSize).setBorder(true, true, true, true, true, true, 'black', thin);
+  
+  for (let i = 0; i < gridSize; i++) {
+    for (let j = 0; j < gridSize; j++) {
+      const region = regions[i][j];
+      const top = i === 0 || regions[i - 1][j] !== region;
+      const left = j === 0 || regions[i][j - 1] !== region;
+      const bottom = i === gridSize - 1 || regions[i + 1][j] !== region;
+      const right = j === gridSize - 1 || regions[i][j + 1] !== region;
+      if (top || left || bottom || right) {
+        // Null leaves the thin border in place
+        sudokuGrid.getRange(i + 2, j + 2).setBorder(top || null, left || null, bottom || null, right || null, null, null, 'black', thick);
+      }
+    }
+  }
 }
 
 /**
- * Creates a SudokuGrid sheet with X's for bold numbers
- * @param {number} row - The row number to get the data from
+ * Creates a SudokuGrid sheet with X's for the marked clue cells
+ * @param {Object} snapshot - The row snapshot to get the data from
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The new sheet
  */
-function createSudokuGrid(row) {
+function createSudokuGrid(snapshot) {
+  const { row, spreadsheet, geometry, gridSize } = snapshot;
   try {
     const targetSpreadsheetId = '1JB2VLOx1DuzSHr4FdMfGfLMmaXiXkGxb1jM3_SwZStM';
-    const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
     const targetSpreadsheet = SpreadsheetApp.openById(targetSpreadsheetId);
-    const gridSize = getGridSize(row);
-    const templateName = gridSize === 4 ? 'Template4' : gridSize === 6 ? 'Template6' : 'Template9';
+    const templateName = `Template${gridSize}`;
     const templateSheet = spreadsheet.getSheetByName(templateName);
     if (!templateSheet) {
       throw new Error(`${templateName} sheet not found`);
     }
 
     // Get the shortname from column A and longname from column B
-    const shortname = getSpreadsheet().getRange(row, 1).getValue();
+    const { shortname, longname } = snapshot;
     if (!shortname || typeof shortname !== 'string') {
       throw new Error(`Cell A${row} does not contain a valid shortname`);
     }
 
-    const longname = getSpreadsheet().getRange(row, 2).getValue();
     if (!longname || typeof longname !== 'string') {
       throw new Error(`Cell B${row} does not contain a valid longname`);
     }
@@ -710,7 +1270,7 @@ function createSudokuGrid(row) {
     sudokuGrid.setName(shortname);
 
     // Get the named range from the spreadsheet to find the correct cell
-    const namedRange = gridSize === 4 ? 'Template4Name' : gridSize === 6 ? 'Template6Name' : 'Template9Name';
+    const namedRange = `${templateName}Name`;
     const templateRange = spreadsheet.getRangeByName(namedRange);
     if (!templateRange) {
       throw new Error(`Named range "${namedRange}" not found`);
@@ -723,40 +1283,32 @@ function createSudokuGrid(row) {
     // Set the longname in the corresponding cell of the new sheet
     sudokuGrid.getRange(templateRow, templateCol).setValue(longname);
 
-    // Get the answers sheet name and data
-    const { sheetName: answersSheetName, startCell } = getAnswersSheetInfo(row);
-    const answersSheet = spreadsheet.getSheetByName(answersSheetName);
-    if (!answersSheet) {
-      throw new Error(`Sheet "${answersSheetName}" not found for row ${row}`);
+    // Jigsaw regions don't match the template's boxes
+    if (geometry.jigsaw) {
+      drawRegionBorders(sudokuGrid, geometry);
     }
 
-    const { range, startRow, startCol } = getGridRange(startCell, gridSize);
-    const values = answersSheet.getRange(range).getValues();
+    // Get the answers sheet data
+    const { answersSheetName, startCell, answers: values, clueMarks } = snapshot;
+    validateAnswerGrid(values, geometry, answersSheetName, startCell);
 
     // Process each cell in the answers sheet
     for (let i = 0; i < gridSize; i++) {
       for (let j = 0; j < gridSize; j++) {
         const value = values[i][j];
         
-        // Check if the cell is bold
-        let isBold = false;
-        try {
-          // Use the actual cell coordinates from the answers sheet
-          const cell = answersSheet.getRange(startRow + i, startCol.charCodeAt(0) - 64 + j);
-          const fontWeight = cell.getFontWeight();
-          isBold = fontWeight === "bold";
-        } catch (e) {
-          console.log(`Could not get font weight for cell (${startRow + i}, ${startCol.charCodeAt(0) - 64 + j}): ${e.message}`);
-        }
+        // Check if the cell is marked as a clue
+        const isMarked = clueMarks[i][j];
         
-        // If the cell is bold and contains a number, set the corresponding cell in SudokuGrid to 'X'
-        if (isBold && Number.isInteger(value) && value >= 1 && value <= gridSize) {
+        // If the cell is marked and contains a number, set the corresponding cell in SudokuGrid to 'X'
+        if (isMarked && Number.isInteger(value) && value >= 1 && value <= gridSize) {
           // Add 1 to row and column to account for the offset in SudokuGrid
           const sudokuCell = sudokuGrid.getRange(i + 2, j + 2);
           sudokuCell.setValue('X');
         }
       }
     }
+    return sudokuGrid;
   } catch (error) {
     console.error(`Error creating SudokuGrid for row ${row}:`, error.message);
     throw error;
@@ -764,39 +1316,74 @@ function createSudokuGrid(row) {
 }
 
 /**
- * Main function to run all outputs
+ * Gets the document a row's steps write to, opening it by ID when an earlier execution created it
+ * @param {{doc: GoogleAppsScript.Document.Document|null, docId: string|null}} context - The steps' context
+ * @returns {GoogleAppsScript.Document.Document} The document
  */
-function main() {
-  try {
-    const sheet = getSpreadsheet();
-    const lastRow = sheet.getLastRow();
-    console.log(`Starting main with lastRow=${lastRow}`);
-    
-    // Process each row until we hit an empty row, starting after the header
-    for (let row = 2; row <= lastRow; row++) {
-      console.log(`Processing row ${row} (type: ${typeof row})`);
-      // Check if this row has a shortname (column A)
-      const shortname = sheet.getRange(row, 1).getValue();
-      if (!shortname || typeof shortname !== 'string' || shortname.trim() === '') {
-        console.log(`Stopping at row ${row} - no shortname found`);
-        break; // Stop processing when we hit an empty row
+function getStepDocument(context) {
+  if (!context.doc) {
+    context.doc = DocumentApp.openById(context.docId);
+  }
+  return context.doc;
+}
+
+/**
+ * Gets the body of the document a row's steps write to
+ * @param {{doc: GoogleAppsScript.Document.Document|null, docId: string|null}} context - The steps' context
+ * @returns {GoogleAppsScript.Document.Body} The document body
+ */
+function getStepBody(context) {
+  return getStepDocument(context).getBody();
+}
+
+/**
+ * Creates the document and grid sheet for one Sudokus row, running ROW_STEPS in order
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @param {{step: number, docId: string|null, afterStep: function(number, string|null): boolean}} [progress] - To
+ *     continue a row stopped part way: the number of steps already done and the document they wrote, which with no
+ *     steps done is the document to write the row into again. afterStep is called after each step but the last with
+ *     the steps done so far and the document ID, and returns false to stop
+ * @returns {{doc: GoogleAppsScript.Document.Document, gridSheet: GoogleAppsScript.Spreadsheet.Sheet}|null} The
+ *     document, saved and closed, and the grid sheet, or null if afterStep stopped the row (its document is saved)
+ */
+function generateRow(snapshot, progress) {
+  const { row, shortname } = snapshot;
+  const { step: firstStep = 0, docId = null, afterStep = () => true } = progress || {};
+  if (firstStep === 0) {
+    console.log(`Processing row ${row} with shortname: ${shortname}`);
+  } else {
+    console.log(`Continuing row ${row} (${shortname}) at step "${ROW_STEPS[firstStep].name}"`);
+  }
+
+  const context = { doc: null, docId, saved: false, gridSheet: null };
+  for (let step = firstStep; step < ROW_STEPS.length; step++) {
+    ROW_STEPS[step].run(snapshot, context);
+    if (step + 1 < ROW_STEPS.length && !afterStep(step + 1, context.docId)) {
+      if (context.doc && !context.saved) {
+        context.doc.saveAndClose();
       }
-      
-      console.log(`Processing row ${row} with shortname: ${shortname}`);
-      
-      // Create document for this row
-      const body = createDocument(`Mint Hulzo Coin - ${shortname}`);
-      const puzzle = getSudokuPuzzle(row);
-      
-      outputRows(puzzle, body, row);
-      outputColumns(puzzle, body, row);
-      outputGroups(puzzle, body, row);
-      createReferencePage(body, row);
-      createAnswersSheet(body, row);
-      createSudokuGrid(row);
+      return null;
     }
+  }
+  return { doc: getStepDocument(context), gridSheet: context.gridSheet };
+}
+
+/**
+ * Main function to run all outputs. Rows are generated one by one as a generation job that carries on in the
+ * background if it runs out of time (see jobs.js), and a summary lists any that failed
+ */
+function main() {
+  const ui = SpreadsheetApp.getUi();
+  const title = 'Generate Puzzles';
+  let rows;
+  try {
+    assertNoValidationErrors();
+    rows = getPuzzleRows();
   } catch (error) {
     console.error('Error processing sudoku:', error.message);
-    throw error; // Re-throw to show in Apps Script execution log
+    ui.alert(title, error.message, ui.ButtonSet.OK);
+    return;
   }
+  console.log(`Starting main with ${rows.length} rows`);
+  generatePuzzlesAndReport(title, rows, { incremental: false });
 }
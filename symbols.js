@@ -0,0 +1,178 @@
+// Symbol library
+//
+// Named symbol sets on the Symbols sheet, so puzzles that share symbols don't
+// each repeat them. Each row of the sheet defines one symbol of a set:
+//   Set      - the set name, as entered in the "Symbol Set" column of the Sudokus sheet
+//   Value    - the value the symbol stands for, from 1 up to the grid size
+//   Image    - an image URL, an =IMAGE() formula or an in-cell image
+//   Label    - a short text name for the symbol (defaults to the value)
+//   Alt Text - a description of the image for readers who can't see it (defaults to the label)
+// A Sudokus row with a symbol set takes its symbols from the set, except where
+// its own symbol column (E onward) holds an image, which overrides that value.
+// Rows without a set keep their images in columns E onward. Every symbol the
+// output functions show is looked up through getSymbol.
+
+// Symbols sheet layout
+const SYMBOLS_SHEET_CONFIG = {
+  sheetName: 'Symbols',
+  headers: ['Set', 'Value', 'Image', 'Label', 'Alt Text']
+};
+
+// Sudokus sheet header for the name of a row's symbol set
+const SYMBOL_SET_HEADER = 'Symbol Set';
+
+// Symbol sets read from the Symbols sheet, by lowercase set name (read once per execution)
+let symbolSets = null;
+
+/**
+ * Reads the symbol sets from the Symbols sheet
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet holding the Symbols sheet
+ * @returns {Map<string, {name: string, symbols: Map<number, {formula: string, value: any, cell: string, label: string,
+ *     altText: string}>}>} The sets by lowercase name. Each symbol keeps its Image cell's formula and value, so
+ *     a broken image is only reported for the rows that use it. Empty if there is no Symbols sheet
+ * @throws {Error} If a header is missing, or a value is invalid or defined twice in a set
+ */
+function readSymbolSets(spreadsheet) {
+  const sets = new Map();
+  const sheet = spreadsheet.getSheetByName(SYMBOLS_SHEET_CONFIG.sheetName);
+  if (!sheet || sheet.getLastRow() < 2) {
+    return sets;
+  }
+
+  const { sheetName, headers } = SYMBOLS_SHEET_CONFIG;
+  const range = sheet.getRange(1, 1, sheet.getLastRow(), Math.max(sheet.getLastColumn(), headers.length));
+  const values = range.getValues();
+  const formulas = range.getFormulas();
+  const columns = headers.map(header => {
+    const index = values[0].findIndex(value => String(value).trim().toLowerCase() === header.toLowerCase());
+    if (index === -1) {
+      throw new Error(`The ${sheetName} sheet has no "${header}" column. Its row 1 must have the headers ${headers.join(', ')}`);
+    }
+    return index;
+  });
+  const [setColumn, valueColumn, imageColumn, labelColumn, altTextColumn] = columns;
+
+  for (let index = 1; index < values.length; index++) {
+    const rowValues = values[index];
+    const name = String(rowValues[setColumn]).trim();
+    if (name === '') {
+      continue;
+    }
+    const row = index + 1;
+    const num = Number(rowValues[valueColumn]);
+    if (!Number.isInteger(num) || num < 1 || num > MAX_GRID_SIZE) {
+      throw new Error(`Invalid value "${rowValues[valueColumn]}" in ${formatReference(sheetName, row, valueColumn + 1)}. Must be a whole number from 1 to ${MAX_GRID_SIZE}`);
+    }
+
+    const key = name.toLowerCase();
+    if (!sets.has(key)) {
+      sets.set(key, { name, symbols: new Map() });
+    }
+    const { symbols } = sets.get(key);
+    if (symbols.has(num)) {
+      throw new Error(`Symbol set "${name}" defines value ${num} twice, in ${symbols.get(num).cell} and ${formatReference(sheetName, row, imageColumn + 1)}`);
+    }
+    const label = String(rowValues[labelColumn]).trim() || String(num);
+    symbols.set(num, {
+      formula: formulas[index][imageColumn],
+      value: rowValues[imageColumn],
+      cell: formatReference(sheetName, row, imageColumn + 1),
+      label,
+      altText: String(rowValues[altTextColumn]).trim() || label
+    });
+  }
+  return sets;
+}
+
+/**
+ * Gets the symbol sets, reading the Symbols sheet the first time
+ * @returns {Map<string, Object>} The sets by lowercase name (see readSymbolSets)
+ * @throws {Error} If the Symbols sheet cannot be read
+ */
+function getSymbolSets() {
+  if (!symbolSets) {
+    symbolSets = readSymbolSets(getSpreadsheet().getParent());
+  }
+  return symbolSets;
+}
+
+/**
+ * Gets the symbol set a row uses
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @returns {{name: string, symbols: Map<number, Object>}|null} The set, or null if the row doesn't name one
+ * @throws {Error} If the named set is not on the Symbols sheet
+ */
+function getRowSymbolSet(snapshot) {
+  const name = String(getSnapshotValue(snapshot, SYMBOL_SET_HEADER)).trim();
+  if (name === '') {
+    return null;
+  }
+  const set = getSymbolSets().get(name.toLowerCase());
+  if (!set) {
+    throw new Error(`Row ${snapshot.row}: symbol set "${name}" is not defined on the ${SYMBOLS_SHEET_CONFIG.sheetName} sheet`);
+  }
+  return set;
+}
+
+/**
+ * Finds where a row's symbol for a value is defined: its own symbol column, or else its symbol set
+ * @param {number} num - The value (1 to the grid size)
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @returns {{formula: string, value: any, cell: string, label: string, altText: string}} The image cell's formula,
+ *     value and reference, and the symbol's label and alt text
+ * @throws {Error} If the row's symbol set is unknown or has no symbol for the value
+ */
+function findSymbolSource(num, snapshot) {
+  const { row } = snapshot;
+  const column = num + 4; // Symbols start in column E
+  const formula = snapshot.formulas[column - 1] || '';
+  const value = snapshot.values[column - 1];
+  const set = getRowSymbolSet(snapshot);
+  const entry = set ? set.symbols.get(num) : null;
+  const hasOwnImage = formula !== '' || (value !== '' && value !== null);
+
+  if (set && !hasOwnImage) {
+    if (!entry) {
+      throw new Error(`Row ${row}: symbol set "${set.name}" has no symbol for value ${num}`);
+    }
+    return entry;
+  }
+  return {
+    formula,
+    value,
+    cell: `${columnToLetters(column)}${row}`,
+    label: entry ? entry.label : String(num),
+    altText: entry ? entry.altText : `Symbol ${num}`
+  };
+}
+
+/**
+ * Gets a row's symbol for a value
+ * @param {number} num - The value (1 to the grid size)
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @returns {{url: string, label: string, altText: string, cell: string}} The image URL, label and alt text, and the
+ *     cell the image was read from
+ * @throws {Error} If the value is out of range, or the symbol cannot be found or has no image
+ */
+function getSymbol(num, snapshot) {
+  const { gridSize, answersSheetName, symbols } = snapshot;
+  if (num < 1 || num > gridSize) {
+    throw new Error(`Invalid number: ${num}. Must be between 1 and ${gridSize} (answersSheetName=${answersSheetName})`);
+  }
+  if (!symbols.has(num)) {
+    const { formula, value, cell, label, altText } = findSymbolSource(num, snapshot);
+    symbols.set(num, { url: readImageUrl(formula, value, cell, snapshot.spreadsheet), label, altText, cell });
+  }
+  return symbols.get(num);
+}
+
+/**
+ * Gets the image URL of a row's symbol for a value
+ * @param {number} num - The value (1 to the grid size)
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @returns {string} The image URL
+ * @throws {Error} As for getSymbol
+ */
+function getSymbolImageUrl(num, snapshot) {
+  return getSymbol(num, snapshot).url;
+}
@@ -0,0 +1,149 @@
+// Grid tables
+//
+// Draws the solution and reference pages as Docs tables with one symbol per
+// cell (an image, or text for text-only rows), sized so the whole grid fits the
+// page width. The Docs service can only
+// set one border width per table, so grids with boxes are drawn as a table of
+// boxes with thick borders, each holding a table of cells with thin borders.
+// Jigsaw regions have no straight box edges, so their cells are shaded by
+// region instead.
+
+// Table layout settings, in points
+const TABLE_LAYOUT_CONFIG = {
+  maxImageSize: 50, // The size images have in the clue sections
+  cellPadding: 2,
+  cellBorderWidth: 1,
+  boxBorderWidth: 3,
+  borderColor: '#000000',
+  clueColor: '#b7b7b7',
+  regionColors: ['#fce5cd', '#d9ead3', '#cfe2f3', '#fff2cc', '#ead1dc', '#d0e0e3']
+};
+
+// Sudokus sheet header for the option to shade clue cells in the solution
+const SHADE_CLUES_HEADER = 'Shade Clues';
+
+/**
+ * Checks whether a row asks for its clue cells to be shaded in the solution
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @returns {boolean} Whether the Shade Clues column is ticked (or says yes)
+ */
+function shouldShadeClues(snapshot) {
+  const value = getSnapshotValue(snapshot, SHADE_CLUES_HEADER);
+  return value === true || /^(yes|y|true|1)$/i.test(String(value).trim());
+}
+
+/**
+ * Works out how big the images in a grid table can be
+ * @param {GoogleAppsScript.Document.Body} body - The document body
+ * @param {number} gridSize - The number of cells across
+ * @returns {number} The image size in points
+ */
+function getGridImageSize(body, gridSize) {
+  const { maxImageSize, cellPadding, boxBorderWidth } = TABLE_LAYOUT_CONFIG;
+  const pageWidth = body.getPageWidth() - body.getMarginLeft() - body.getMarginRight();
+  return Math.min(maxImageSize, Math.floor(pageWidth / gridSize - 2 * cellPadding - boxBorderWidth));
+}
+
+/**
+ * Picks a shading colour for each jigsaw region so that regions next to each other differ
+ * @param {Object} geometry - The grid geometry from getGeometry
+ * @returns {Array<string>} The colour of each region, by region index
+ */
+function getRegionColors(geometry) {
+  const { gridSize, regions } = geometry;
+  const neighbours = Array.from({ length: gridSize }, () => new Set());
+  for (let i = 0; i < gridSize; i++) {
+    for (let j = 0; j < gridSize; j++) {
+      if (i + 1 < gridSize && regions[i + 1][j] !== regions[i][j]) {
+        neighbours[regions[i][j]].add(regions[i + 1][j]);
+        neighbours[regions[i + 1][j]].add(regions[i][j]);
+      }
+      if (j + 1 < gridSize && regions[i][j + 1] !== regions[i][j]) {
+        neighbours[regions[i][j]].add(regions[i][j + 1]);
+        neighbours[regions[i][j + 1]].add(regions[i][j]);
+      }
+    }
+  }
+
+  // Greedy colouring; with more neighbours than colours, a repeat is better than no shading
+  const palette = TABLE_LAYOUT_CONFIG.regionColors;
+  const colors = [];
+  for (let region = 0; region < gridSize; region++) {
+    const used = new Set(Array.from(neighbours[region]).map(neighbour => colors[neighbour]));
+    colors.push(palette.find(color => !used.has(color)) || palette[region % palette.length]);
+  }
+  return colors;
+}
+
+/**
+ * Fills a table cell with a centred symbol
+ * @param {GoogleAppsScript.Document.TableCell} cell - The cell
+ * @param {number} num - The symbol's value
+ * @param {Object} snapshot - The row snapshot to get the symbol from
+ * @param {number} imageSize - The image size in points
+ * @param {string|null} background - The cell colour, or null to leave it white
+ */
+function fillGridCell(cell, num, snapshot, imageSize, background) {
+  const { cellPadding } = TABLE_LAYOUT_CONFIG;
+  cell.setPaddingTop(cellPadding).setPaddingBottom(cellPadding).setPaddingLeft(cellPadding).setPaddingRight(cellPadding);
+  cell.setWidth(imageSize + 2 * cellPadding);
+  cell.setVerticalAlignment(DocumentApp.VerticalAlignment.CENTER);
+  if (background) {
+    cell.setBackgroundColor(background);
+  }
+  const paragraph = cell.getChild(0).asParagraph();
+  paragraph.setAlignment(DocumentApp.HorizontalAlignment.CENTER);
+  insertSymbol(paragraph, num, snapshot, imageSize);
+}
+
+/**
+ * Appends a grid of symbols as a table
+ * @param {GoogleAppsScript.Document.Body} body - The document body
+ * @param {Array<Array<number>>} symbols - The symbol in each cell
+ * @param {Object} snapshot - The row snapshot to get the symbols and geometry from
+ * @param {Array<Array<string|null>>} [backgrounds] - A colour for each cell, or null to leave it unshaded
+ * @returns {GoogleAppsScript.Document.Table} The table
+ */
+function appendSymbolGrid(body, symbols, snapshot, backgrounds) {
+  const { geometry } = snapshot;
+  const { gridSize, groupBoundaries } = geometry;
+  const { cellBorderWidth, boxBorderWidth, borderColor } = TABLE_LAYOUT_CONFIG;
+  const imageSize = getGridImageSize(body, gridSize);
+  const getBackground = (i, j) => backgrounds ? backgrounds[i][j] : null;
+  const fillRow = (tableRow, i, colStart, colEnd, getCellBackground) => {
+    for (let j = colStart; j <= colEnd; j++) {
+      fillGridCell(tableRow.appendTableCell(), symbols[i][j], snapshot, imageSize, getCellBackground(i, j));
+    }
+  };
+
+  // Jigsaw grids: one table, shaded by region under any cell colours
+  if (!groupBoundaries) {
+    const regionColors = getRegionColors(geometry);
+    const table = body.appendTable().setBorderWidth(cellBorderWidth).setBorderColor(borderColor);
+    for (let i = 0; i < gridSize; i++) {
+      fillRow(table.appendTableRow(), i, 0, gridSize - 1, (row, col) => getBackground(row, col) || regionColors[geometry.regions[row][col]]);
+    }
+    return table;
+  }
+
+  // Boxed grids: a table of boxes, each a table of cells. The boundaries run box by box, left to right
+  const boxesPerRow = gridSize / geometry.boxCols;
+  const outer = body.appendTable().setBorderWidth(boxBorderWidth).setBorderColor(borderColor);
+  let outerRow = null;
+  groupBoundaries.forEach(({ rowStart, rowEnd, colStart, colEnd }, index) => {
+    if (index % boxesPerRow === 0) {
+      outerRow = outer.appendTableRow();
+    }
+    const boxCell = outerRow.appendTableCell();
+    boxCell.setPaddingTop(0).setPaddingBottom(0).setPaddingLeft(0).setPaddingRight(0);
+    const box = boxCell.appendTable().setBorderWidth(cellBorderWidth).setBorderColor(borderColor);
+    // Drop the empty paragraph every new cell starts with, once the box is there to keep the cell from being empty
+    if (boxCell.getNumChildren() > 1) {
+      boxCell.getChild(0).removeFromParent();
+    }
+    for (let i = rowStart; i <= rowEnd; i++) {
+      fillRow(box.appendTableRow(), i, colStart, colEnd, getBackground);
+    }
+  });
+  return outer;
+}
@@ -0,0 +1,241 @@
+// Puzzle transforms
+//
+// Spins a series of new puzzles off one Sudokus row by transforming its answer
+// grid and clue marks in ways that keep the puzzle valid and its solution
+// unique: relabelling the symbols, swapping rows within a band and columns
+// within a stack, swapping whole bands and stacks, transposing and rotating.
+// Swaps follow the box shape, so boxes stay boxes; transposing and quarter
+// turns need square boxes. Jigsaw grids have no bands or stacks, so only their
+// symbols and orientation change, and their region map turns with the grid.
+// Rows with variants keep their line order, since swaps would break houses
+// such as the diagonals. Every new puzzle is made and checked before any is
+// written, so a transform that fails leaves the sheets as they were.
+
+// Number of random transforms to try for each new puzzle before giving up
+const TRANSFORM_ATTEMPTS = 20;
+
+// Largest number of new puzzles one Make Variants run can write
+const MAX_PUZZLE_VARIANTS = 20;
+
+/**
+ * Orders lines (rows or columns) by shuffling the blocks of lines and the lines within each block
+ * @param {number} gridSize - The number of lines
+ * @param {number} blockSize - The number of lines in each band or stack
+ * @param {function(): number} random - The random number generator
+ * @returns {Array<number>} The source line for each new line
+ */
+function shuffleLines(gridSize, blockSize, random) {
+  const blocks = shuffle(Array.from({ length: gridSize / blockSize }, (_, block) => block), random);
+  return blocks.reduce((order, block) => order.concat(
+    shuffle(Array.from({ length: blockSize }, (_, line) => block * blockSize + line), random)), []);
+}
+
+/**
+ * Picks a random transform that keeps a grid's houses intact
+ * @param {Object} geometry - The grid geometry from getGeometry
+ * @param {function(): number} random - The random number generator
+ * @returns {{relabel: Array<number>, rowOrder: Array<number>, colOrder: Array<number>, transpose: boolean,
+ *     quarterTurns: number}} The new value for each value (by value - 1), the source row and column of each
+ *     line, and then whether to transpose and how many quarter turns clockwise to rotate
+ */
+function createTransform(geometry, random) {
+  const { gridSize, boxRows, boxCols, jigsaw, variants } = geometry;
+  const lines = Array.from({ length: gridSize }, (_, line) => line);
+  const swapLines = !jigsaw && variants.length === 0;
+  const squareBoxes = jigsaw || boxRows === boxCols;
+  return {
+    relabel: shuffle(lines.map(line => line + 1), random),
+    rowOrder: swapLines ? shuffleLines(gridSize, boxRows, random) : lines,
+    colOrder: swapLines ? shuffleLines(gridSize, boxCols, random) : lines,
+    transpose: squareBoxes && random() < 0.5,
+    quarterTurns: squareBoxes ? Math.floor(random() * 4) : 2 * Math.floor(random() * 2)
+  };
+}
+
+/**
+ * Describes a transform for the report
+ * @param {Object} transform - The transform from createTransform
+ * @returns {string} The steps it takes (e.g. "symbols relabelled, transposed, rotated 90°")
+ */
+function describeTransform(transform) {
+  const { rowOrder, colOrder, transpose, quarterTurns } = transform;
+  const moved = order => order.some((source, line) => source !== line);
+  const steps = ['symbols relabelled'];
+  if (moved(rowOrder)) {
+    steps.push('rows and bands swapped');
+  }
+  if (moved(colOrder)) {
+    steps.push('columns and stacks swapped');
+  }
+  if (transpose) {
+    steps.push('transposed');
+  }
+  if (quarterTurns > 0) {
+    steps.push(`rotated ${quarterTurns * 90}°`);
+  }
+  return steps.join(', ');
+}
+
+/**
+ * Moves the cells of a grid the way a transform does, without relabelling them
+ * @param {Array<Array<any>>} grid - The grid (answers, clue marks or region map)
+ * @param {Object} transform - The transform from createTransform
+ * @returns {Array<Array<any>>} The moved grid
+ */
+function moveGridCells(grid, transform) {
+  let moved = transform.rowOrder.map(row => transform.colOrder.map(col => grid[row][col]));
+  if (transform.transpose) {
+    moved = moved[0].map((_, j) => moved.map(movedRow => movedRow[j]));
+  }
+  for (let turn = 0; turn < transform.quarterTurns; turn++) {
+    moved = moved[0].map((_, j) => moved.map(movedRow => movedRow[j]).reverse());
+  }
+  return moved;
+}
+
+/**
+ * Transforms a row's puzzle, checking that the result is still a valid puzzle with one solution
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @param {function(): number} random - The random number generator
+ * @returns {{answers: Array<Array<number>>, clueMarks: Array<Array<boolean>>, regionMap: Array<Array<number>>|null,
+ *     description: string}} The new answers and clue marks, the region map for jigsaw grids, and what was done
+ * @throws {Error} If no transform gave a valid puzzle
+ */
+function transformPuzzle(snapshot, random) {
+  const { answers, clueMarks, geometry, mayOnlyContain, answersSheetName, startCell } = snapshot;
+  for (let attempt = 0; attempt < TRANSFORM_ATTEMPTS; attempt++) {
+    const transform = createTransform(geometry, random);
+    const newAnswers = moveGridCells(answers, transform).map(answerRow => answerRow.map(value => transform.relabel[value - 1]));
+    const newClueMarks = moveGridCells(clueMarks, transform);
+    const regionMap = geometry.jigsaw ? moveGridCells(geometry.regions, transform).map(mapRow => mapRow.map(region => region + 1)) : null;
+    const newGeometry = geometry.jigsaw ? withVariants(createJigsawGeometry(regionMap, 'the transformed grid'), geometry.variants) : geometry;
+
+    // The same checks main makes, in case a variant's houses do not survive the move
+    const puzzle = getSudokuPuzzle(Object.assign({}, snapshot, { answers: newAnswers, clueMarks: newClueMarks }));
+    if (findAnswerGridConflicts(newAnswers, newGeometry, answersSheetName, startCell).length === 0 &&
+        countSolutions(puzzle, newGeometry, mayOnlyContain) === 1) {
+      return { answers: newAnswers, clueMarks: newClueMarks, regionMap, description: describeTransform(transform) };
+    }
+  }
+  throw new Error(`No valid transform found for row ${snapshot.row} after ${TRANSFORM_ATTEMPTS} attempts`);
+}
+
+/**
+ * Writes a transformed puzzle into a new answer block and adds a Sudokus row for it, copying the source row's settings
+ * @param {Object} snapshot - The source row snapshot
+ * @param {{answers: Array<Array<number>>, clueMarks: Array<Array<boolean>>, regionMap: Array<Array<number>>|null}}
+ *     transformed - The transformed puzzle from transformPuzzle
+ * @param {string} shortname - The shortname for the new row
+ * @param {string} longname - The longname for the new row
+ * @returns {number} The Sudokus row that was added
+ */
+function writePuzzleVariant(snapshot, transformed, shortname, longname) {
+  const { row: sourceRow, answersSheet, answersSheetName, gridSize } = snapshot;
+  const startRow = findFreeAnswersRow(answersSheet);
+  answersSheet.getRange(startRow, 1, gridSize, gridSize).setValues(transformed.answers);
+  if (transformed.regionMap) {
+    answersSheet.getRange(startRow, 1 + gridSize + REGION_MAP_GAP, gridSize, gridSize).setValues(transformed.regionMap);
+  }
+
+  // Copy the symbols and settings as they are written, so references in formulas are not shifted
+  const sheet = getSpreadsheet();
+  const row = findFreeSudokusRow();
+  const lastColumn = sheet.getLastColumn();
+  const sourceRange = sheet.getRange(sourceRow, 1, 1, lastColumn);
+  const formulas = sourceRange.getFormulas()[0];
+  const values = sourceRange.getValues()[0].map((value, index) => formulas[index] || value);
+  const outputHeaders = getOutputHeaders();
+  snapshot.headers.forEach((header, index) => {
+    if (outputHeaders.includes(String(header).trim().toLowerCase())) {
+      values[index] = '';
+    }
+  });
+  values[0] = shortname;
+  values[1] = longname;
+  values[2] = formatReference(answersSheetName, startRow, 1);
+  sheet.getRange(row, 1, 1, lastColumn).setValues([values]);
+
+  writeClueMarks(getRowSnapshot(row), transformed.clueMarks);
+  console.log(`Wrote puzzle variant "${shortname}" to ${values[2]} and Sudokus row ${row}`);
+  return row;
+}
+
+/**
+ * Makes new puzzles from one Sudokus row by transforming its answer grid and clue marks. All of them are transformed
+ * and checked before the first is written
+ * @param {number} row - The source row
+ * @param {number} count - How many new puzzles to make
+ * @param {function(): number} random - The random number generator
+ * @returns {Array<{row: number, shortname: string, description: string}>} The rows added
+ * @throws {Error} If the source puzzle is invalid or a new puzzle cannot be made, before anything is written; or if
+ *     writing one fails, naming the rows already added
+ */
+function makePuzzleVariants(row, count, random) {
+  const snapshot = getRowSnapshot(row);
+  validateAnswerGrid(snapshot.answers, snapshot.geometry, snapshot.answersSheetName, snapshot.startCell);
+  assertUniqueSolution(snapshot);
+
+  // Number the new shortnames after any the series already has
+  const sheet = getSpreadsheet();
+  const shortnames = new Set(sheet.getRange(1, 1, sheet.getLastRow(), 1).getValues().map(([value]) => String(value).trim()));
+  let number = 1;
+  const variants = [];
+  for (let made = 0; made < count; made++) {
+    while (shortnames.has(`${snapshot.shortname}-v${number}`)) {
+      number++;
+    }
+    const shortname = `${snapshot.shortname}-v${number}`;
+    shortnames.add(shortname);
+    variants.push({ shortname, longname: `${snapshot.longname} (variant ${number})`, transformed: transformPuzzle(snapshot, random) });
+  }
+
+  const added = [];
+  variants.forEach(({ shortname, longname, transformed }) => {
+    try {
+      const newRow = writePuzzleVariant(snapshot, transformed, shortname, longname);
+      added.push({ row: newRow, shortname, description: transformed.description });
+    } catch (error) {
+      const done = added.length > 0 ? added.map(variant => `${variant.shortname} (row ${variant.row})`).join(', ') : 'none';
+      throw new Error(`Failed to write ${shortname} after adding ${added.length} of ${count} puzzle(s) (${done}): ${error.message}`);
+    }
+  });
+  return added;
+}
+
+/**
+ * Asks how many new puzzles to make from the row selected on the Sudokus sheet, then makes them
+ */
+function makeVariants() {
+  const ui = SpreadsheetApp.getUi();
+  const title = 'Make Variants';
+  let rows;
+  try {
+    rows = getSelectedPuzzleRows();
+  } catch (error) {
+    ui.alert(title, error.message, ui.ButtonSet.OK);
+    return;
+  }
+  if (rows.length !== 1) {
+    ui.alert(title, 'Select the one puzzle row to make variants of.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const countResponse = ui.prompt(title, `How many new puzzles (1 to ${MAX_PUZZLE_VARIANTS})?`, ui.ButtonSet.OK_CANCEL);
+  if (countResponse.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+  const count = Number(countResponse.getResponseText().trim());
+  if (!Number.isInteger(count) || count < 1 || count > MAX_PUZZLE_VARIANTS) {
+    ui.alert(title, `Enter a whole number from 1 to ${MAX_PUZZLE_VARIANTS}.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  try {
+    const added = makePuzzleVariants(rows[0], count, createRandom(Date.now()));
+    const lines = added.map(({ row, shortname, description }) => `${shortname} (row ${row}): ${description}`);
+    ui.alert(title, `Added ${added.length} puzzle(s) with the symbols and settings of row ${rows[0]}:\n${lines.join('\n')}`, ui.ButtonSet.OK);
+  } catch (error) {
+    console.error('Error making variants:', error.message);
+    ui.alert(title, `Failed to make variants: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
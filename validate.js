@@ -0,0 +1,496 @@
+// Preflight validation
+//
+// Checks every Sudokus row without creating any documents or sheets, so that
+// broken rows are found before main has generated half of them. Each problem
+// is one line of the "Validation Report" sheet, with the row, the cell to fix,
+// what is wrong and a suggested fix. Errors stop main from starting; warnings
+// are worth a look but do not.
+
+// Report sheet settings
+const VALIDATION_REPORT_CONFIG = {
+  sheetName: 'Validation Report',
+  headers: ['Severity', 'Row', 'Cell', 'Problem', 'Suggested Fix']
+};
+
+// Problem severities
+const VALIDATION_SEVERITY = {
+  ERROR: 'Error',
+  WARNING: 'Warning'
+};
+
+/**
+ * Creates a validation problem
+ * @param {string} severity - One of VALIDATION_SEVERITY
+ * @param {number} row - The Sudokus row the problem belongs to
+ * @param {string} cell - The reference of the cell to fix, with its sheet name
+ * @param {string} problem - What is wrong
+ * @param {string} fix - How to fix it
+ * @returns {{severity: string, row: number, cell: string, problem: string, fix: string}} The problem
+ */
+function createProblem(severity, row, cell, problem, fix) {
+  return { severity, row, cell, problem, fix };
+}
+
+/**
+ * Gets the reference of a cell on the Sudokus sheet
+ * @param {number} row - The row
+ * @param {number} column - The column
+ * @returns {string} The reference (e.g. "Sudokus!C5")
+ */
+function getSudokusCellReference(row, column) {
+  return formatReference('Sudokus', row, column);
+}
+
+/**
+ * Checks the Sudokus headers that the script looks up by name
+ * @param {Array<any>} headers - The row 1 values
+ * @returns {Array<Object>} The problems found (see createProblem)
+ */
+function findHeaderProblems(headers) {
+  const problems = [];
+  const lookedUp = [GEOMETRY_HEADERS.gridSize, GEOMETRY_HEADERS.boxShape, VARIANTS_HEADER, SHADE_CLUES_HEADER, SYMBOL_SET_HEADER, OUTPUT_MODE_HEADER, LANGUAGE_HEADER]
+    .concat(Object.values(CLUE_MARKING_HEADERS), Object.values(DIFFICULTY_HEADERS), Object.values(STATUS_HEADERS));
+  lookedUp.forEach(header => {
+    try {
+      findHeaderColumn(headers, header);
+    } catch (error) {
+      const column = headers.findIndex(value => String(value).trim().toLowerCase() === header.toLowerCase()) + 1;
+      // Point at the whole header row if the column cannot be found
+      const cell = column > 0 ? getSudokusCellReference(1, column) : 'Sudokus!1:1';
+      problems.push(createProblem(VALIDATION_SEVERITY.ERROR, 1, cell, error.message,
+        `Move the "${header}" column to column ${columnToLetters(EXTRA_COLUMNS_START)} or later`));
+    }
+  });
+  return problems;
+}
+
+/**
+ * Checks the geometry columns of a row: grid size, variants, box shape and any jigsaw region map
+ * @param {Object} partial - The row as read so far: row, headers, values, answersInfo, answersSheetName, answersSheet,
+ *     startRow and startColumn
+ * @returns {Object|null} A problem (see createProblem), or null if the geometry can be read
+ */
+function findGeometryProblem(partial) {
+  const { row, headers } = partial;
+  const cellFor = header => {
+    const column = findHeaderColumn(headers, header);
+    return getSudokusCellReference(row, column || 3);
+  };
+
+  try {
+    partial.gridSize = getGridSize(partial);
+  } catch (error) {
+    return createProblem(VALIDATION_SEVERITY.ERROR, row, cellFor(GEOMETRY_HEADERS.gridSize), error.message,
+      `Enter a grid size from ${MIN_GRID_SIZE} to ${MAX_GRID_SIZE} in the "${GEOMETRY_HEADERS.gridSize}" column, or use an answers sheet named like "Answers9"`);
+  }
+  try {
+    parseVariants(getSnapshotValue(partial, VARIANTS_HEADER));
+  } catch (error) {
+    return createProblem(VALIDATION_SEVERITY.ERROR, row, cellFor(VARIANTS_HEADER), error.message,
+      'Correct or remove the variant name');
+  }
+  try {
+    getGeometry(partial);
+  } catch (error) {
+    return createProblem(VALIDATION_SEVERITY.ERROR, row, cellFor(GEOMETRY_HEADERS.boxShape), error.message,
+      `Use a box shape such as "3x3" that fits the grid and the variants, or for "${JIGSAW_BOX_SHAPE}" check the region map ${REGION_MAP_GAP} column to the right of the answers`);
+  }
+  return null;
+}
+
+/**
+ * Checks how a row marks its clues: the Clue Marking column, and the mask grid or cell list it points to
+ * @param {Object} partial - The row as read for findGeometryProblem, with its grid size
+ * @returns {Object|null} A problem (see createProblem), or null if the clue marks can be read
+ */
+function findClueMarkingProblem(partial) {
+  const { row, headers, answersSheetName, startRow } = partial;
+  const cellFor = header => getSudokusCellReference(row, findHeaderColumn(headers, header) || 3);
+
+  let method;
+  try {
+    method = parseClueMarking(getSnapshotValue(partial, CLUE_MARKING_HEADERS.method)).method;
+  } catch (error) {
+    return createProblem(VALIDATION_SEVERITY.ERROR, row, cellFor(CLUE_MARKING_HEADERS.method), error.message,
+      `Use one of: ${Object.values(CLUE_MARKING_METHODS).join(', ')}, or leave it blank for bold`);
+  }
+  partial.geometry = getGeometry(partial);
+  try {
+    readClueMarks(partial);
+  } catch (error) {
+    if (method === CLUE_MARKING_METHODS.LIST) {
+      return createProblem(VALIDATION_SEVERITY.ERROR, row, cellFor(CLUE_MARKING_HEADERS.cells), error.message,
+        'List the clue cells as R<row>C<column>, separated by commas, e.g. "R1C1, R2C5"');
+    }
+    const maskCell = formatReference(answersSheetName, startRow, getClueMaskColumn(partial));
+    return createProblem(VALIDATION_SEVERITY.ERROR, row, maskCell, error.message,
+      'Fill the mask grid with 1 for each clue cell and 0 for the others');
+  }
+  return null;
+}
+
+/**
+ * Checks that the Symbols sheet can be read
+ * @returns {Array<Object>} The problems found (see createProblem)
+ */
+function findSymbolSheetProblems() {
+  try {
+    getSymbolSets();
+  } catch (error) {
+    const { sheetName, headers } = SYMBOLS_SHEET_CONFIG;
+    return [createProblem(VALIDATION_SEVERITY.ERROR, 1, `${sheetName}!A1`, error.message,
+      `Give the ${sheetName} sheet the headers ${headers.join(', ')}, with each value listed once per set`)];
+  }
+  return [];
+}
+
+/**
+ * Checks the templates on the Strings sheet: that the sheet can be read, that each key is known and that each
+ * template only uses the placeholders its key allows
+ * @returns {Array<Object>} The problems found (see createProblem)
+ */
+function findStringSheetProblems() {
+  const { sheetName, keyHeader } = STRINGS_SHEET_CONFIG;
+  let tables;
+  try {
+    tables = getStringTables();
+  } catch (error) {
+    return [createProblem(VALIDATION_SEVERITY.ERROR, 1, `${sheetName}!A1`, error.message,
+      `Give the ${sheetName} sheet a "${keyHeader}" column listing each key once, followed by a column per language code`)];
+  }
+
+  const problems = [];
+  const reportedKeys = new Set();
+  tables.forEach(table => table.forEach(({ text, cell }, key) => {
+    const fallback = DEFAULT_STRINGS[key];
+    if (!fallback) {
+      if (!reportedKeys.has(key)) {
+        reportedKeys.add(key);
+        problems.push(createProblem(VALIDATION_SEVERITY.WARNING, 1, cell, `Unknown string key "${key}", so this row is never used`,
+          'Correct the key to one of the keys the documents use (see DEFAULT_STRINGS in strings.js)'));
+      }
+      return;
+    }
+    const unknown = (text.match(/\{(\w+)\}/g) || []).filter(placeholder => !fallback.placeholders.includes(placeholder.slice(1, -1)));
+    if (unknown.length > 0) {
+      const allowed = fallback.placeholders.length > 0 ? fallback.placeholders.map(name => `{${name}}`).join(', ') : 'none';
+      problems.push(createProblem(VALIDATION_SEVERITY.ERROR, 1, cell, `The "${key}" template uses ${unknown.join(', ')}, which it cannot fill in`,
+        `Use only the placeholders "${key}" allows: ${allowed}`));
+    }
+    const missing = (fallback.required || []).filter(name => !text.includes(`{${name}}`));
+    if (missing.length > 0) {
+      const names = missing.map(name => `{${name}}`).join(', ');
+      problems.push(createProblem(VALIDATION_SEVERITY.WARNING, 1, cell, `The "${key}" template leaves out ${names}, so documents it names can share a title`,
+        `Add ${names} to the template, as the English default "${fallback.text}" does`));
+    }
+  }));
+  return problems;
+}
+
+/**
+ * Checks that a row's language has templates on the Strings sheet
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @returns {Array<Object>} The problems found (see createProblem)
+ */
+function findLanguageProblems(snapshot) {
+  try {
+    getLanguage(snapshot);
+  } catch (error) {
+    const { row, headers } = snapshot;
+    return [createProblem(VALIDATION_SEVERITY.ERROR, row, getSudokusCellReference(row, findHeaderColumn(headers, LANGUAGE_HEADER)), error.message,
+      `Add a column headed by the language code to the ${STRINGS_SHEET_CONFIG.sheetName} sheet, or leave the language blank for English`)];
+  }
+  return [];
+}
+
+/**
+ * Checks the symbols of a row: the output mode, the symbol set and, unless the row is text-only, the images
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @returns {Array<Object>} The problems found (see createProblem)
+ */
+function findSymbolProblems(snapshot) {
+  const { row, headers, gridSize } = snapshot;
+  const setCell = getSudokusCellReference(row, findHeaderColumn(headers, SYMBOL_SET_HEADER) || 5);
+  let showsImages;
+  try {
+    showsImages = usesSymbolImages(snapshot);
+  } catch (error) {
+    const modeCell = getSudokusCellReference(row, findHeaderColumn(headers, OUTPUT_MODE_HEADER));
+    return [createProblem(VALIDATION_SEVERITY.ERROR, row, modeCell, error.message,
+      `Use one of: ${Object.values(OUTPUT_MODES).join(', ')}, or leave it blank for images`)];
+  }
+  try {
+    getRowSymbolSet(snapshot);
+  } catch (error) {
+    return [createProblem(VALIDATION_SEVERITY.ERROR, row, setCell, error.message,
+      `Add the set to the ${SYMBOLS_SHEET_CONFIG.sheetName} sheet, or correct its name`)];
+  }
+
+  const problems = [];
+  for (let num = 1; num <= gridSize; num++) {
+    let source;
+    try {
+      source = findSymbolSource(num, snapshot);
+    } catch (error) {
+      problems.push(createProblem(VALIDATION_SEVERITY.ERROR, row, setCell, error.message,
+        `Add value ${num} to the set on the ${SYMBOLS_SHEET_CONFIG.sheetName} sheet, or put an image for it in ${columnToLetters(num + 4)}${row}`));
+      continue;
+    }
+    if (!showsImages) {
+      continue;
+    }
+    // Set symbols are named with their sheet, a row's own symbols only by cell
+    const cell = source.cell.includes('!') ? source.cell : getSudokusCellReference(row, num + 4);
+    let url;
+    try {
+      url = getSymbol(num, snapshot).url;
+    } catch (error) {
+      problems.push(createProblem(VALIDATION_SEVERITY.ERROR, row, cell, error.message,
+        'Put an image URL, an =IMAGE("https://...") formula or an in-cell image here, and fill in the URL in any cell the formula refers to'));
+      continue;
+    }
+    if (!/^https?:\/\//i.test(String(url).trim())) {
+      problems.push(createProblem(VALIDATION_SEVERITY.ERROR, row, cell, `The image for symbol ${num} has no web address: "${url}"`,
+        'Use an image URL starting with https://'));
+    }
+  }
+  return problems;
+}
+
+/**
+ * Checks the answer grid of a row and, if it is valid, that its clues have exactly one solution
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @returns {Array<Object>} The problems found (see createProblem)
+ */
+function findAnswerProblems(snapshot) {
+  const { row, answers, geometry, answersSheetName, startCell, startRow, startColumn, gridSize, mayOnlyContain } = snapshot;
+  const conflicts = findAnswerGridConflicts(answers, geometry, answersSheetName, startCell);
+  if (conflicts.length > 0) {
+    return conflicts.map(({ address, value, problems }) => createProblem(VALIDATION_SEVERITY.ERROR, row, address,
+      `Answer "${value}": ${problems.join('; ')}`, 'Correct the answer so every row, column and group holds each value once'));
+  }
+
+  const count = countSolutions(snapshot.puzzle, geometry, mayOnlyContain);
+  if (count === 1) {
+    return [];
+  }
+  const cell = formatReference(answersSheetName, startRow, startColumn, gridSize, gridSize);
+  if (count === 0) {
+    return [createProblem(VALIDATION_SEVERITY.ERROR, row, cell, 'The clues have no solution',
+      `Check which cells are marked as clues (see the "${CLUE_MARKING_HEADERS.method}" column) against the answers`)];
+  }
+  return [createProblem(VALIDATION_SEVERITY.ERROR, row, cell, 'The clues allow more than one solution',
+    `${mayOnlyContain ? 'Unmark' : 'Mark'} more cells to give more clues, or use Generate New Puzzle`)];
+}
+
+/**
+ * Checks that the grid template for a grid size exists, once per size
+ * @param {Object} snapshot - The row snapshot from getRowSnapshot
+ * @param {Set<number>} checkedSizes - The grid sizes already checked, updated as sizes are checked
+ * @returns {Array<Object>} The problems found (see createProblem)
+ */
+function findTemplateProblems(snapshot, checkedSizes) {
+  const { row, gridSize, spreadsheet } = snapshot;
+  if (checkedSizes.has(gridSize)) {
+    return [];
+  }
+  checkedSizes.add(gridSize);
+
+  const templateName = `Template${gridSize}`;
+  const cell = getSudokusCellReference(row, 3);
+  if (!spreadsheet.getSheetByName(templateName)) {
+    return [createProblem(VALIDATION_SEVERITY.ERROR, row, cell, `${templateName} sheet not found`,
+      `Add a sheet named "${templateName}" with the grid layout for ${gridSize}x${gridSize} puzzles`)];
+  }
+  if (!spreadsheet.getRangeByName(`${templateName}Name`)) {
+    return [createProblem(VALIDATION_SEVERITY.ERROR, row, cell, `Named range "${templateName}Name" not found`,
+      `Name the cell on ${templateName} that holds the long name "${templateName}Name" (Data > Named ranges)`)];
+  }
+  return [];
+}
+
+/**
+ * Checks one Sudokus row, stopping at the first problem that keeps the rest of the row from being read
+ * @param {number} row - The row number
+ * @param {Array<any>} headers - The row 1 values
+ * @param {Array<any>} values - The row's values
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet holding the Sudokus sheet
+ * @param {Set<number>} checkedSizes - The grid sizes whose templates were already checked
+ * @returns {Array<Object>} The problems found (see createProblem)
+ */
+function findRowProblems(row, headers, values, spreadsheet, checkedSizes) {
+  const problems = [];
+  const [shortname, longname, reference] = values;
+  if (typeof shortname !== 'string') {
+    problems.push(createProblem(VALIDATION_SEVERITY.ERROR, row, getSudokusCellReference(row, 1),
+      `The shortname ${shortname} is not text, so Generate Puzzles stops at this row`,
+      'Format column A as plain text (Format > Number > Plain text) and type the shortname again'));
+  }
+  if (!longname || typeof longname !== 'string') {
+    problems.push(createProblem(VALIDATION_SEVERITY.ERROR, row, getSudokusCellReference(row, 2),
+      `Cell B${row} does not contain a valid longname`, 'Enter the puzzle title as text'));
+  }
+
+  let answersInfo;
+  try {
+    answersInfo = getAnswersSheetInfo(row, reference, spreadsheet);
+  } catch (error) {
+    const text = String(reference).trim();
+    const fix = text !== '' && !text.includes('!')
+      ? `Create a named range "${text}" over the answer grid (Data > Named ranges), or use a reference such as "Answers9!B2"`
+      : 'Use a reference such as "Answers9!B2", "Answers9!B2:J10" or the name of a named range';
+    problems.push(createProblem(VALIDATION_SEVERITY.ERROR, row, getSudokusCellReference(row, 3), error.message, fix));
+    return problems;
+  }
+  const answersSheet = spreadsheet.getSheetByName(answersInfo.sheetName);
+  if (!answersSheet) {
+    problems.push(createProblem(VALIDATION_SEVERITY.ERROR, row, getSudokusCellReference(row, 3),
+      `Sheet "${answersInfo.sheetName}" not found`,
+      `Add a sheet named "${answersInfo.sheetName}" or correct the sheet name in C${row}`));
+    return problems;
+  }
+
+  const partial = {
+    row,
+    headers,
+    values,
+    answersInfo,
+    answersSheetName: answersInfo.sheetName,
+    answersSheet,
+    startRow: answersInfo.startRow,
+    startColumn: answersInfo.startColumn
+  };
+  const geometryProblem = findGeometryProblem(partial) || findClueMarkingProblem(partial);
+  if (geometryProblem) {
+    problems.push(geometryProblem);
+    return problems;
+  }
+
+  let snapshot;
+  try {
+    snapshot = getRowSnapshot(row);
+  } catch (error) {
+    problems.push(createProblem(VALIDATION_SEVERITY.ERROR, row, getSudokusCellReference(row, 3), error.message,
+      'Correct the answers reference so it covers the whole grid'));
+    return problems;
+  }
+  return problems
+    .concat(findLanguageProblems(snapshot))
+    .concat(findSymbolProblems(snapshot))
+    .concat(findAnswerProblems(snapshot))
+    .concat(findTemplateProblems(snapshot, checkedSizes));
+}
+
+/**
+ * Checks the whole Sudokus sheet without changing anything
+ * @returns {Array<Object>} The problems found, in row order (see createProblem)
+ */
+function findAllProblems() {
+  const sheet = getSpreadsheet();
+  const spreadsheet = sheet.getParent();
+  const lastRow = sheet.getLastRow();
+  const lastColumn = Math.max(sheet.getLastColumn(), 4);
+  const headers = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+
+  // A misplaced header or a broken Symbols or Strings sheet breaks every row, so report those alone
+  const problems = findHeaderProblems(headers).concat(findSymbolSheetProblems(), findStringSheetProblems());
+  if (problems.some(({ severity }) => severity === VALIDATION_SEVERITY.ERROR) || lastRow < 2) {
+    return problems;
+  }
+
+  const rows = sheet.getRange(2, 1, lastRow - 1, lastColumn).getValues();
+  const shortnameRows = new Map();
+  const checkedSizes = new Set();
+  for (let index = 0; index < rows.length; index++) {
+    const row = index + 2;
+    const values = rows[index];
+    const shortname = values[0];
+
+    // Generate Puzzles stops at the first row without a shortname, like getPuzzleRows
+    if (shortname === '' || shortname === null || (typeof shortname === 'string' && shortname.trim() === '')) {
+      const nextFilled = rows.slice(index + 1).findIndex(later => later.some(value => value !== '' && value !== null));
+      if (nextFilled !== -1) {
+        problems.push(createProblem(VALIDATION_SEVERITY.WARNING, row, getSudokusCellReference(row, 1),
+          `Row ${row} has no shortname, so rows from ${row + nextFilled + 1} on are never generated`,
+          'Fill in the shortname, or delete the row if it is empty'));
+      }
+      break;
+    }
+
+    if (typeof shortname === 'string') {
+      const key = shortname.trim();
+      if (shortnameRows.has(key)) {
+        problems.push(createProblem(VALIDATION_SEVERITY.ERROR, row, getSudokusCellReference(row, 1),
+          `The shortname "${key}" is already used in row ${shortnameRows.get(key)}, so one puzzle would overwrite the other`,
+          'Give each puzzle a different shortname'));
+      } else {
+        shortnameRows.set(key, row);
+      }
+    }
+    findRowProblems(row, headers, values, spreadsheet, checkedSizes).forEach(problem => problems.push(problem));
+  }
+  return problems;
+}
+
+/**
+ * Writes problems to the report sheet, replacing the last report
+ * @param {Array<Object>} problems - The problems (see createProblem)
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The report sheet
+ */
+function writeValidationReport(problems) {
+  const { sheetName, headers } = VALIDATION_REPORT_CONFIG;
+  const spreadsheet = getSpreadsheet().getParent();
+  const sheet = spreadsheet.getSheetByName(sheetName) || spreadsheet.insertSheet(sheetName);
+  sheet.clear();
+
+  const lines = problems.length > 0
+    ? problems.map(({ severity, row, cell, problem, fix }) => [severity, row, cell, problem, fix])
+    : [['', '', '', 'No problems found', '']];
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+  sheet.getRange(2, 1, lines.length, headers.length).setValues(lines);
+  sheet.setFrozenRows(1);
+  return sheet;
+}
+
+/**
+ * Counts the problems of each severity
+ * @param {Array<Object>} problems - The problems (see createProblem)
+ * @returns {{errors: number, warnings: number}} The counts
+ */
+function countProblems(problems) {
+  const errors = problems.filter(problem => problem.severity === VALIDATION_SEVERITY.ERROR).length;
+  return { errors, warnings: problems.length - errors };
+}
+
+/**
+ * Checks the whole Sudokus sheet and refreshes the report, before anything is generated
+ * @throws {Error} If any errors were found
+ */
+function assertNoValidationErrors() {
+  const problems = findAllProblems();
+  writeValidationReport(problems);
+  const { errors } = countProblems(problems);
+  if (errors > 0) {
+    throw new Error(`Validation found ${errors} error(s). Fix them (see the "${VALIDATION_REPORT_CONFIG.sheetName}" sheet) and try again`);
+  }
+}
+
+/**
+ * Checks every row of the Sudokus sheet and writes the report
+ */
+function validateAll() {
+  const ui = SpreadsheetApp.getUi();
+  const title = 'Validate All';
+  try {
+    const problems = findAllProblems();
+    writeValidationReport(problems).activate();
+    const { errors, warnings } = countProblems(problems);
+    const message = problems.length === 0
+      ? 'No problems found.'
+      : `Found ${errors} error(s) and ${warnings} warning(s). See the "${VALIDATION_REPORT_CONFIG.sheetName}" sheet.`;
+    ui.alert(title, message, ui.ButtonSet.OK);
+  } catch (error) {
+    console.error('Error validating puzzles:', error.message);
+    ui.alert(title, `Failed to validate the puzzles: ${error.message}`, ui.ButtonSet.OK);
+  }
+}
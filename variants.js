@@ -0,0 +1,175 @@
+// Variant constraints
+//
+// Variants are chosen per row in the "Variants" column of the Sudokus sheet,
+// as a comma-separated list of names (e.g. "diagonal, windoku"). A variant can
+// add extra houses, which must hold every value once and get their own clue
+// section, and extra pairs of cells that must hold different values.
+
+// Sudokus sheet header for the variants column
+const VARIANTS_HEADER = 'Variants';
+
+// Supported variants, keyed by the name used in the Variants column. The section
+// type and prefix label the variant's clue section like SECTION_TYPES and "ROW" do;
+// the documents print them, and the rule of a variant with no houses, from their
+// "section.", "prefix." and "rule." strings (see DEFAULT_STRINGS)
+const VARIANTS = {
+  'diagonal': {
+    sectionType: 'DIAGONALS',
+    prefix: 'DIAGONAL',
+    getHouses: getDiagonalHouses,
+    getPeerPairs: () => []
+  },
+  'windoku': {
+    sectionType: 'WINDOWS',
+    prefix: 'WINDOW',
+    getHouses: getWindowHouses,
+    getPeerPairs: () => []
+  },
+  'anti-king': {
+    sectionType: 'ANTI-KING',
+    hasRule: true,
+    getHouses: () => [],
+    getPeerPairs: getAntiKingPairs
+  }
+};
+
+/**
+ * Gets both main diagonals of the grid
+ * @param {Object} geometry - The grid geometry
+ * @returns {Array<Array<{row: number, col: number}>>} The cells of each diagonal, top left to bottom right first
+ */
+function getDiagonalHouses({ gridSize }) {
+  return [
+    Array.from({ length: gridSize }, (_, i) => ({ row: i, col: i })),
+    Array.from({ length: gridSize }, (_, i) => ({ row: i, col: gridSize - 1 - i }))
+  ];
+}
+
+/**
+ * Gets the windoku windows: boxes offset by one cell from the edges, with one cell between neighbouring windows
+ * @param {Object} geometry - The grid geometry
+ * @returns {Array<Array<{row: number, col: number}>>} The cells of each window, left to right, top to bottom
+ */
+function getWindowHouses({ gridSize, boxRows, boxCols }) {
+  const windows = [];
+  for (let rowStart = 1; rowStart + boxRows <= gridSize; rowStart += boxRows + 1) {
+    for (let colStart = 1; colStart + boxCols <= gridSize; colStart += boxCols + 1) {
+      const cells = [];
+      for (let i = rowStart; i < rowStart + boxRows; i++) {
+        for (let j = colStart; j < colStart + boxCols; j++) {
+          cells.push({ row: i, col: j });
+        }
+      }
+      windows.push(cells);
+    }
+  }
+  return windows;
+}
+
+/**
+ * Gets every pair of cells that touch diagonally
+ * @param {Object} geometry - The grid geometry
+ * @returns {Array<Array<{row: number, col: number}>>} The pairs of cells
+ */
+function getAntiKingPairs({ gridSize }) {
+  const pairs = [];
+  for (let i = 0; i < gridSize - 1; i++) {
+    for (let j = 0; j < gridSize; j++) {
+      if (j > 0) {
+        pairs.push([{ row: i, col: j }, { row: i + 1, col: j - 1 }]);
+      }
+      if (j < gridSize - 1) {
+        pairs.push([{ row: i, col: j }, { row: i + 1, col: j + 1 }]);
+      }
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Parses the Variants column
+ * @param {string} text - The comma-separated variant names
+ * @returns {Array<string>} The variant names
+ * @throws {Error} If a variant name is not supported
+ */
+function parseVariants(text) {
+  const names = String(text).split(',').map(name => name.trim().toLowerCase()).filter(name => name !== '');
+  names.forEach(name => {
+    if (!VARIANTS[name]) {
+      throw new Error(`Unknown variant "${name}". Must be one of: ${Object.keys(VARIANTS).join(', ')}`);
+    }
+  });
+  return names;
+}
+
+/**
+ * Adds variants to a geometry
+ * @param {Object} geometry - The grid geometry
+ * @param {Array<string>} variants - The variant names
+ * @returns {Object} A copy of the geometry with its variants set
+ * @throws {Error} If a variant does not work with the geometry
+ */
+function withVariants(geometry, variants) {
+  if (variants.includes('windoku') && geometry.jigsaw) {
+    throw new Error('The windoku variant needs rectangular boxes and cannot be used with a jigsaw grid');
+  }
+  return Object.assign({}, geometry, { variants });
+}
+
+/**
+ * Gets the extra houses added by the variants of a geometry
+ * @param {Object} geometry - The grid geometry
+ * @returns {Array<{sectionType: string, prefix: string, index: number, cells: Array<{row: number, col: number}>}>} The variant houses
+ */
+function getVariantHouses(geometry) {
+  const houses = [];
+  (geometry.variants || []).forEach(name => {
+    const variant = VARIANTS[name];
+    variant.getHouses(geometry).forEach((cells, index) => {
+      houses.push({ sectionType: variant.sectionType, prefix: variant.prefix, index, cells });
+    });
+  });
+  return houses;
+}
+
+/**
+ * Gets the extra pairs of cells that must differ under the variants of a geometry
+ * @param {Object} geometry - The grid geometry
+ * @returns {Array<Array<{row: number, col: number}>>} The pairs of cells
+ */
+function getVariantPeerPairs(geometry) {
+  return (geometry.variants || []).reduce((pairs, name) => pairs.concat(VARIANTS[name].getPeerPairs(geometry)), []);
+}
+
+/**
+ * Gets a clue section for each variant of a row. Variants that only add a rule get a section with no houses
+ * @param {Array<Array<number|null>>} sudokuArray - The sudoku array
+ * @param {Object} snapshot - The row snapshot to get the variants from
+ * @returns {Array<{title: string, prefix: string, sections: Array<Array<{value: number}>>}>} The sections
+ */
+function getVariantSections(sudokuArray, snapshot) {
+  const { geometry } = snapshot;
+  const variantHouses = getVariantHouses(geometry);
+
+  return geometry.variants.map(name => {
+    const variant = VARIANTS[name];
+    if (variant.hasRule) {
+      const rule = formatString(snapshot, `rule.${name}`);
+      return { title: formatString(snapshot, 'ruleTitle', { sectionType: formatString(snapshot, `section.${variant.sectionType}`), rule }), prefix: '', sections: [] };
+    }
+
+    const houses = variantHouses.filter(house => house.sectionType === variant.sectionType).map(house => house.cells);
+    return { title: getSectionTitle(variant.sectionType, snapshot), prefix: variant.prefix, sections: getHouseSections(sudokuArray, houses) };
+  });
+}
+
+/**
+ * Outputs a section for each variant of a row
+ * @param {Array<Array<number|null>>} sudokuArray - The sudoku array
+ * @param {GoogleAppsScript.Document.Body} body - The document body
+ * @param {Object} snapshot - The row snapshot to get the variants from
+ */
+function outputVariants(sudokuArray, body, snapshot) {
+  validateSudokuArray(sudokuArray, snapshot);
+  getVariantSections(sudokuArray, snapshot).forEach(({ title, prefix, sections }) => outputSection(body, title, sections, prefix, snapshot));
+}